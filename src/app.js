@@ -9,12 +9,6 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
-// CORS configuration
-app.use(cors({
-  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:5173'],
-  credentials: true
-}));
-
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
@@ -30,6 +24,16 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Public widget API; mounted before the global CORS policy because it allows
+// each client's own embedding origins
+app.use('/api/widget', require('./routes/widget'));
+
+// CORS configuration
+app.use(cors({
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:5173'],
+  credentials: true
+}));
+
 // Health check route
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -0,0 +1,113 @@
+const moment = require('moment-timezone');
+
+// Appointment booking defaults, used for any setting a client hasn't set in
+// `Client.availability`. Times of day are 'HH:mm' in the client's time zone.
+const DEFAULT_AVAILABILITY = {
+  enabled: false,
+  timezone: 'UTC',
+  slotMinutes: 30,
+  // day: 0 = Sunday ... 6 = Saturday
+  weeklyHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+  // 'YYYY-MM-DD' dates with no bookings
+  blackoutDates: [],
+  // Earliest slot offered, in minutes from now
+  minNoticeMinutes: 60,
+  // Latest day offered, counted from today
+  maxDaysAhead: 30
+};
+
+const SETTINGS = Object.keys(DEFAULT_AVAILABILITY);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isSet = value => value !== undefined && value !== null;
+
+// Client settings merged over the defaults (works with documents and lean objects)
+const resolveAvailability = (client) => {
+  const stored = (client && client.availability) || {};
+  const config = { ...DEFAULT_AVAILABILITY };
+
+  SETTINGS.forEach(key => {
+    if (isSet(stored[key]) && !(Array.isArray(DEFAULT_AVAILABILITY[key]) && !Array.isArray(stored[key]))) {
+      config[key] = stored[key];
+    }
+  });
+  config.weeklyHours = config.weeklyHours.map(({ day, start, end }) => ({ day, start, end }));
+  config.blackoutDates = [...config.blackoutDates];
+
+  return config;
+};
+
+// Validate a resolved config. Returns a list of error messages; empty when valid.
+const validateAvailability = (config) => {
+  const errors = [];
+
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (typeof config.timezone !== 'string' || !moment.tz.zone(config.timezone)) {
+    errors.push('timezone must be an IANA time zone such as Europe/Berlin');
+  }
+  if (!Number.isInteger(config.slotMinutes) || config.slotMinutes < 5 || config.slotMinutes > 480) {
+    errors.push('slotMinutes must be an integer between 5 and 480');
+  }
+  if (!Array.isArray(config.weeklyHours)) {
+    errors.push('weeklyHours must be an array');
+  } else {
+    config.weeklyHours.forEach((hours, i) => {
+      if (!hours || !Number.isInteger(hours.day) || hours.day < 0 || hours.day > 6) {
+        errors.push(`weeklyHours[${i}].day must be 0 (Sunday) to 6 (Saturday)`);
+      }
+      if (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+        errors.push(`weeklyHours[${i}].start and end must be HH:mm times`);
+      } else if (hours.start >= hours.end) {
+        errors.push(`weeklyHours[${i}].start must be before end`);
+      }
+    });
+  }
+  if (!Array.isArray(config.blackoutDates) || !config.blackoutDates.every(date => DATE_PATTERN.test(date) && moment(date, 'YYYY-MM-DD', true).isValid())) {
+    errors.push('blackoutDates must be an array of YYYY-MM-DD dates');
+  }
+  if (!Number.isInteger(config.minNoticeMinutes) || config.minNoticeMinutes < 0) {
+    errors.push('minNoticeMinutes must be a non-negative integer');
+  }
+  if (!Number.isInteger(config.maxDaysAhead) || config.maxDaysAhead < 1 || config.maxDaysAhead > 365) {
+    errors.push('maxDaysAhead must be an integer between 1 and 365');
+  }
+
+  return errors;
+};
+
+// Apply a partial update to a client's stored settings. A null value removes
+// the setting so the default applies again.
+const mergeAvailability = (current = {}, updates = {}) => {
+  const stored = { ...current };
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    if (!SETTINGS.includes(key)) {
+      errors.push(`Unknown setting ${key}`);
+    } else if (updates[key] === null) {
+      delete stored[key];
+    } else if (Array.isArray(DEFAULT_AVAILABILITY[key]) && !Array.isArray(updates[key])) {
+      errors.push(`${key} must be an array`);
+    } else if (key === 'weeklyHours' && !updates[key].every(hours => hours && typeof hours === 'object')) {
+      errors.push('weeklyHours must be an array of { day, start, end } objects');
+    } else {
+      stored[key] = updates[key];
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateAvailability(resolveAvailability({ availability: stored })));
+  }
+
+  return { stored, errors };
+};
+
+module.exports = {
+  DEFAULT_AVAILABILITY,
+  resolveAvailability,
+  validateAvailability,
+  mergeAvailability
+};
@@ -0,0 +1,228 @@
+const { hasNestedQuantifier } = require('../utils/regex.util');
+
+// Guardrail policy defaults, used for any setting a client hasn't set in
+// `Client.guardrailPolicy`. A client's `rules` list (even an empty one) replaces
+// the default rules: the off-topic patterns every client was held to before
+// policies were configurable, matched on whole words so that e.g. "update",
+// "lawn" or a hyphenated word don't trip them.
+const DEFAULT_RULES = [
+  { name: 'coding', pattern: /\bwrite\b.*\bcode\b|\b(programming|javascript|python|html|css|sql)\b/i },
+  { name: 'math', pattern: /\b(calculate|math|mathematics)\b|\bsolve\b.*\bequations?\b|\b(what|how much) is -?\d+(\.\d+)? ?[-+*\/x^] ?-?\d/i },
+  { name: 'weather_time', pattern: /\b(weather|forecast)\b|\bwhat time is it\b|\b(current|local) time\b|\b(today's|current) date\b/i },
+  { name: 'translation', pattern: /\b(translate|translation)\b|\bconvert\b.*\blanguages?\b/i },
+  { name: 'cooking', pattern: /\b(recipes?|cooking|ingredients)\b|\bhow to cook\b/i },
+  { name: 'medical', pattern: /\bmedical advice\b|\b(health|symptoms?|diseases?|medicine)\b/i },
+  { name: 'legal', pattern: /\blegal advice\b|\b(law|lawsuit|attorney)\b/i },
+  { name: 'financial', pattern: /\b(investment|stocks?|crypto|bitcoin)\b|\bfinancial advice\b/i },
+  { name: 'homework', pattern: /\bwrite\b.*\bessay\b|\b(homework|assignment|thesis)\b/i },
+  { name: 'opinion', pattern: /\bpersonal opinion\b|\bwhat do you think\b|\byour opinion\b/i }
+].map(({ name, pattern }) => ({ name, type: 'regex', pattern: pattern.source, flags: pattern.flags }));
+
+const DEFAULT_GUARDRAIL_POLICY = {
+  enabled: true,
+  // Topic phrases; a query semantically close to one is never blocked by the
+  // rules or deny topics (moderation still applies)
+  allowTopics: [],
+  // Topic phrases; a query semantically close to one is refused
+  denyTopics: [],
+  // Cosine similarity a query needs to match a topic
+  topicThreshold: 0.75,
+  // Regex rules: { name, type: 'regex', pattern, flags }
+  // Semantic rules: { name, type: 'semantic', examples: [...], threshold }
+  rules: DEFAULT_RULES,
+  // LLM check for harmful content, run after the rules
+  moderation: {
+    enabled: false,
+    categories: ['hate', 'harassment', 'sexual', 'violence', 'self_harm', 'illegal']
+  },
+  // Refusal per language code; languages without one get the English message translated
+  refusalMessages: {
+    en: "I'm sorry, but I can only help with questions related to our knowledge base. I cannot assist with general questions like coding, math calculations, or other topics outside my scope. Please ask me something related to the information in our uploaded documents."
+  }
+};
+
+const RULE_TYPES = ['regex', 'semantic'];
+const MODERATION_CATEGORIES = ['hate', 'harassment', 'sexual', 'violence', 'self_harm', 'illegal', 'spam', 'prompt_injection'];
+const DEFAULT_SEMANTIC_THRESHOLD = 0.8;
+const MAX_RULES = 50;
+const MAX_TOPICS = 50;
+const MAX_EXAMPLES = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+const SETTINGS = ['enabled', 'allowTopics', 'denyTopics', 'topicThreshold', 'rules'];
+
+const isSet = value => value !== undefined && value !== null;
+const isScore = value => typeof value === 'number' && value >= 0 && value <= 1;
+// Mongoose maps (documents) and plain objects (lean, request bodies) alike
+const toPlainObject = value => (value instanceof Map ? Object.fromEntries(value) : value) || {};
+
+// Client settings merged over the defaults (works with documents and lean objects)
+const resolveGuardrailPolicy = (client) => {
+  const stored = (client && client.guardrailPolicy) || {};
+  const config = {
+    ...DEFAULT_GUARDRAIL_POLICY,
+    moderation: { ...DEFAULT_GUARDRAIL_POLICY.moderation },
+    refusalMessages: { ...DEFAULT_GUARDRAIL_POLICY.refusalMessages, ...toPlainObject(stored.refusalMessages) }
+  };
+
+  ['enabled', 'topicThreshold'].forEach(key => {
+    if (isSet(stored[key])) config[key] = stored[key];
+  });
+  ['allowTopics', 'denyTopics'].forEach(key => {
+    if (Array.isArray(stored[key])) config[key] = [...stored[key]];
+  });
+  if (Array.isArray(stored.rules)) {
+    config.rules = stored.rules.map(({ name, type, pattern, flags, examples, threshold }) => (type === 'semantic'
+      ? { name, type, examples: [...(examples || [])], threshold: isSet(threshold) ? threshold : DEFAULT_SEMANTIC_THRESHOLD }
+      : { name, type, pattern, flags: flags || '' }));
+  }
+  if (stored.moderation) {
+    if (isSet(stored.moderation.enabled)) config.moderation.enabled = stored.moderation.enabled;
+    if (Array.isArray(stored.moderation.categories) && stored.moderation.categories.length > 0) {
+      config.moderation.categories = [...stored.moderation.categories];
+    }
+  }
+
+  return config;
+};
+
+const validateTopics = (key, topics, errors) => {
+  if (!Array.isArray(topics) || topics.length > MAX_TOPICS ||
+    !topics.every(topic => typeof topic === 'string' && topic.trim() && topic.length <= 200)) {
+    errors.push(`${key} must be an array of up to ${MAX_TOPICS} phrases of at most 200 characters`);
+  }
+};
+
+// Validate a resolved policy. Returns a list of error messages; empty when valid.
+const validateGuardrailPolicy = (config) => {
+  const errors = [];
+
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (!isScore(config.topicThreshold)) {
+    errors.push('topicThreshold must be a number between 0 and 1');
+  }
+  validateTopics('allowTopics', config.allowTopics, errors);
+  validateTopics('denyTopics', config.denyTopics, errors);
+
+  if (!Array.isArray(config.rules) || config.rules.length > MAX_RULES) {
+    errors.push(`rules must be an array of at most ${MAX_RULES} rules`);
+  } else {
+    const names = new Set();
+    config.rules.forEach((rule, i) => {
+      if (!rule || typeof rule.name !== 'string' || !/^[a-zA-Z0-9_-]{1,40}$/.test(rule.name)) {
+        errors.push(`rules[${i}].name must be 1 to 40 letters, digits, dashes or underscores`);
+      } else if (names.has(rule.name)) {
+        errors.push(`rules[${i}].name "${rule.name}" is used twice`);
+      } else {
+        names.add(rule.name);
+      }
+
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        errors.push(`rules[${i}].type must be one of ${RULE_TYPES.join(', ')}`);
+      } else if (rule.type === 'regex') {
+        if (typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > MAX_PATTERN_LENGTH) {
+          errors.push(`rules[${i}].pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+        } else if (typeof rule.flags !== 'string' || !/^[imsu]*$/.test(rule.flags)) {
+          errors.push(`rules[${i}].flags may only contain i, m, s and u`);
+        } else {
+          try {
+            new RegExp(rule.pattern, rule.flags);
+            if (hasNestedQuantifier(rule.pattern)) {
+              errors.push(`rules[${i}].pattern must not repeat a group that itself repeats, as in (a+)+, or use backreferences`);
+            }
+          } catch (error) {
+            errors.push(`rules[${i}].pattern is not a valid regular expression: ${error.message}`);
+          }
+        }
+      } else {
+        if (!Array.isArray(rule.examples) || rule.examples.length === 0 || rule.examples.length > MAX_EXAMPLES ||
+          !rule.examples.every(example => typeof example === 'string' && example.trim() && example.length <= 500)) {
+          errors.push(`rules[${i}].examples must be an array of 1 to ${MAX_EXAMPLES} example queries`);
+        }
+        if (!isScore(rule.threshold)) {
+          errors.push(`rules[${i}].threshold must be a number between 0 and 1`);
+        }
+      }
+    });
+  }
+
+  if (typeof config.moderation.enabled !== 'boolean') {
+    errors.push('moderation.enabled must be a boolean');
+  }
+  if (!config.moderation.categories.every(category => MODERATION_CATEGORIES.includes(category))) {
+    errors.push(`moderation.categories must only contain ${MODERATION_CATEGORIES.join(', ')}`);
+  }
+
+  Object.entries(config.refusalMessages).forEach(([language, message]) => {
+    if (!/^[a-z]{2}$/.test(language)) {
+      errors.push(`refusalMessages.${language} is not a two-letter language code`);
+    } else if (typeof message !== 'string' || !message.trim() || message.length > 1000) {
+      errors.push(`refusalMessages.${language} must be a message of at most 1000 characters`);
+    }
+  });
+
+  return errors;
+};
+
+// Apply a partial update to a client's stored policy. A null value removes the
+// setting so the default applies again (for refusalMessages, per language).
+const mergeGuardrailPolicy = (current = {}, updates = {}) => {
+  const stored = {
+    ...current,
+    moderation: { ...(current.moderation || {}) },
+    refusalMessages: { ...toPlainObject(current.refusalMessages) }
+  };
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const value = updates[key];
+
+    if (key === 'moderation' || key === 'refusalMessages') {
+      if (value === null) {
+        stored[key] = {};
+      } else if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${key} must be an object`);
+      } else {
+        Object.keys(value).forEach(subKey => {
+          if (key === 'moderation' && !(subKey in DEFAULT_GUARDRAIL_POLICY.moderation)) {
+            errors.push(`Unknown setting moderation.${subKey}`);
+          } else if (key === 'moderation' && subKey === 'categories' && value[subKey] !== null && !Array.isArray(value[subKey])) {
+            errors.push('moderation.categories must be an array');
+          } else if (value[subKey] === null) {
+            delete stored[key][subKey];
+          } else {
+            stored[key][subKey] = value[subKey];
+          }
+        });
+      }
+    } else if (['allowTopics', 'denyTopics', 'rules'].includes(key) && value !== null && !Array.isArray(value)) {
+      errors.push(`${key} must be an array`);
+    } else if (key === 'rules' && value !== null && !value.every(rule => rule && typeof rule === 'object')) {
+      errors.push('rules must be an array of rule objects');
+    } else if (SETTINGS.includes(key)) {
+      if (value === null) {
+        delete stored[key];
+      } else {
+        stored[key] = value;
+      }
+    } else {
+      errors.push(`Unknown setting ${key}`);
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateGuardrailPolicy(resolveGuardrailPolicy({ guardrailPolicy: stored })));
+  }
+
+  return { stored, errors };
+};
+
+module.exports = {
+  DEFAULT_GUARDRAIL_POLICY,
+  MODERATION_CATEGORIES,
+  resolveGuardrailPolicy,
+  validateGuardrailPolicy,
+  mergeGuardrailPolicy
+};
@@ -0,0 +1,123 @@
+// Live-agent handoff defaults, used for any setting a client hasn't set in
+// `Client.handoffConfig`.
+const DEFAULT_HANDOFF_CONFIG = {
+  enabled: false,
+  triggers: {
+    // The visitor asks for a person (query analysis intent human_agent)
+    request: true,
+    // This many bot answers in a row without a confident answer (0 = never)
+    lowConfidenceCount: 3,
+    // Query analysis reports the visitor is frustrated
+    frustration: true
+  },
+  // Agents emailed when a visitor is waiting; the client's contactEmail when empty
+  notifyEmails: [],
+  waitingMessage: 'Let me connect you with a member of our team. Someone will reply here shortly.',
+  closedMessage: 'The conversation with our team has ended. I am happy to help with anything else.'
+};
+
+const MAX_NOTIFY_EMAILS = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isSet = value => value !== undefined && value !== null;
+
+// Client settings merged over the defaults (works with documents and lean objects)
+const resolveHandoffConfig = (client) => {
+  const stored = (client && client.handoffConfig) || {};
+  const config = {
+    ...DEFAULT_HANDOFF_CONFIG,
+    triggers: { ...DEFAULT_HANDOFF_CONFIG.triggers }
+  };
+
+  ['enabled', 'waitingMessage', 'closedMessage'].forEach(key => {
+    if (isSet(stored[key])) config[key] = stored[key];
+  });
+  if (Array.isArray(stored.notifyEmails)) {
+    config.notifyEmails = [...stored.notifyEmails];
+  }
+  Object.keys(config.triggers).forEach(key => {
+    if (stored.triggers && isSet(stored.triggers[key])) config.triggers[key] = stored.triggers[key];
+  });
+
+  return config;
+};
+
+// Validate a resolved config. Returns a list of error messages; empty when valid.
+const validateHandoffConfig = (config) => {
+  const errors = [];
+
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  ['request', 'frustration'].forEach(key => {
+    if (typeof config.triggers[key] !== 'boolean') errors.push(`triggers.${key} must be a boolean`);
+  });
+  if (!Number.isInteger(config.triggers.lowConfidenceCount) || config.triggers.lowConfidenceCount < 0) {
+    errors.push('triggers.lowConfidenceCount must be a non-negative integer');
+  }
+  if (!Array.isArray(config.notifyEmails) || config.notifyEmails.length > MAX_NOTIFY_EMAILS ||
+    !config.notifyEmails.every(email => typeof email === 'string' && EMAIL_PATTERN.test(email))) {
+    errors.push(`notifyEmails must be an array of at most ${MAX_NOTIFY_EMAILS} email addresses`);
+  }
+  ['waitingMessage', 'closedMessage'].forEach(key => {
+    if (typeof config[key] !== 'string' || !config[key].trim() || config[key].length > 500) {
+      errors.push(`${key} must be a message of at most 500 characters`);
+    }
+  });
+
+  return errors;
+};
+
+const SETTINGS = ['enabled', 'notifyEmails', 'waitingMessage', 'closedMessage'];
+
+// Apply a partial update to a client's stored settings. A null value removes
+// the setting so the default applies again.
+const mergeHandoffConfig = (current = {}, updates = {}) => {
+  const stored = { ...current, triggers: { ...(current.triggers || {}) } };
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const value = updates[key];
+
+    if (key === 'triggers') {
+      if (value === null) {
+        stored.triggers = {};
+      } else if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('triggers must be an object');
+      } else {
+        Object.keys(value).forEach(subKey => {
+          if (!(subKey in DEFAULT_HANDOFF_CONFIG.triggers)) {
+            errors.push(`Unknown setting triggers.${subKey}`);
+          } else if (value[subKey] === null) {
+            delete stored.triggers[subKey];
+          } else {
+            stored.triggers[subKey] = value[subKey];
+          }
+        });
+      }
+    } else if (key === 'notifyEmails' && value !== null && !Array.isArray(value)) {
+      errors.push('notifyEmails must be an array');
+    } else if (SETTINGS.includes(key)) {
+      if (value === null) {
+        delete stored[key];
+      } else {
+        stored[key] = key === 'notifyEmails' ? value.map(email => String(email).trim().toLowerCase()) : value;
+      }
+    } else {
+      errors.push(`Unknown setting ${key}`);
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateHandoffConfig(resolveHandoffConfig({ handoffConfig: stored })));
+  }
+
+  return { stored, errors };
+};
+
+module.exports = {
+  DEFAULT_HANDOFF_CONFIG,
+  resolveHandoffConfig,
+  validateHandoffConfig,
+  mergeHandoffConfig
+};
@@ -0,0 +1,156 @@
+// Lead form defaults, used for any setting a client hasn't set in
+// `Client.leadCaptureConfig`. A client's `fields` list replaces the default one.
+const DEFAULT_LEAD_CAPTURE_CONFIG = {
+  enabled: false,
+  title: 'Leave your details and we will get back to you',
+  successMessage: 'Thanks! We will be in touch shortly.',
+  fields: [
+    { name: 'name', label: 'Name', type: 'text', required: true },
+    { name: 'email', label: 'Email', type: 'email', required: true },
+    { name: 'phone', label: 'Phone', type: 'phone', required: false },
+    { name: 'message', label: 'Message', type: 'textarea', required: false }
+  ],
+  triggers: {
+    // Query analysis intents that show the form
+    intents: ['pricing', 'appointment'],
+    // Show the form once the session has this many unanswered questions (0 = never)
+    unansweredCount: 2
+  },
+  // Country assumed for phone numbers written without an international prefix
+  defaultCountry: 'US',
+  // Where new leads are emailed; the client's contactEmail when unset
+  notifyEmail: null
+};
+
+const FIELD_TYPES = ['text', 'email', 'phone', 'textarea'];
+const MAX_FIELDS = 10;
+// Intents reported by QueryAnalysisService
+const INTENTS = ['contact_email', 'contact_phone', 'website', 'pricing', 'appointment', 'human_agent', 'other'];
+
+const isSet = value => value !== undefined && value !== null;
+
+// Client settings merged over the defaults (works with documents and lean objects)
+const resolveLeadCaptureConfig = (client) => {
+  const stored = (client && client.leadCaptureConfig) || {};
+  const config = {
+    ...DEFAULT_LEAD_CAPTURE_CONFIG,
+    triggers: { ...DEFAULT_LEAD_CAPTURE_CONFIG.triggers }
+  };
+
+  ['enabled', 'title', 'successMessage', 'defaultCountry', 'notifyEmail'].forEach(key => {
+    if (isSet(stored[key])) config[key] = stored[key];
+  });
+  if (Array.isArray(stored.fields) && stored.fields.length > 0) {
+    config.fields = stored.fields.map(({ name, label, type, required }) => ({ name, label: label || name, type, required: Boolean(required) }));
+  }
+  if (stored.triggers) {
+    if (Array.isArray(stored.triggers.intents) && stored.triggers.intents.length > 0) config.triggers.intents = [...stored.triggers.intents];
+    if (isSet(stored.triggers.unansweredCount)) config.triggers.unansweredCount = stored.triggers.unansweredCount;
+  }
+
+  return config;
+};
+
+// Validate a resolved config. Returns a list of error messages; empty when valid.
+const validateLeadCaptureConfig = (config) => {
+  const errors = [];
+
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  ['title', 'successMessage'].forEach(key => {
+    if (typeof config[key] !== 'string' || config[key].length > 500) errors.push(`${key} must be a string of at most 500 characters`);
+  });
+  if (!Array.isArray(config.fields) || config.fields.length === 0 || config.fields.length > MAX_FIELDS) {
+    errors.push(`fields must be an array of 1 to ${MAX_FIELDS} fields`);
+  } else {
+    const names = new Set();
+    config.fields.forEach((field, i) => {
+      if (!field || typeof field.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(field.name)) {
+        errors.push(`fields[${i}].name must be a letter followed by up to 39 letters, digits or underscores`);
+      } else if (names.has(field.name)) {
+        errors.push(`fields[${i}].name "${field.name}" is used twice`);
+      } else {
+        names.add(field.name);
+      }
+      if (field && !FIELD_TYPES.includes(field.type)) {
+        errors.push(`fields[${i}].type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+    });
+    if (!config.fields.some(field => field && (field.type === 'email' || field.type === 'phone') && field.required)) {
+      errors.push('at least one required email or phone field is needed to contact the lead');
+    }
+  }
+  if (!config.triggers.intents.every(intent => INTENTS.includes(intent))) {
+    errors.push(`triggers.intents must only contain ${INTENTS.join(', ')}`);
+  }
+  if (!Number.isInteger(config.triggers.unansweredCount) || config.triggers.unansweredCount < 0) {
+    errors.push('triggers.unansweredCount must be a non-negative integer');
+  }
+  if (typeof config.defaultCountry !== 'string' || !/^[A-Z]{2}$/.test(config.defaultCountry)) {
+    errors.push('defaultCountry must be a two-letter country code');
+  }
+  if (isSet(config.notifyEmail) && (typeof config.notifyEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(config.notifyEmail))) {
+    errors.push('notifyEmail must be an email address');
+  }
+
+  return errors;
+};
+
+const SETTINGS = ['enabled', 'title', 'successMessage', 'fields', 'defaultCountry', 'notifyEmail'];
+
+// Apply a partial update to a client's stored settings. A null value removes
+// the setting so the default applies again.
+const mergeLeadCaptureConfig = (current = {}, updates = {}) => {
+  const stored = { ...current, triggers: { ...(current.triggers || {}) } };
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const value = updates[key];
+
+    if (key === 'triggers') {
+      if (value === null) {
+        stored.triggers = {};
+      } else if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('triggers must be an object');
+      } else {
+        Object.keys(value).forEach(subKey => {
+          if (!(subKey in DEFAULT_LEAD_CAPTURE_CONFIG.triggers)) {
+            errors.push(`Unknown setting triggers.${subKey}`);
+          } else if (subKey === 'intents' && value[subKey] !== null && !Array.isArray(value[subKey])) {
+            errors.push('triggers.intents must be an array');
+          } else if (value[subKey] === null) {
+            delete stored.triggers[subKey];
+          } else {
+            stored.triggers[subKey] = value[subKey];
+          }
+        });
+      }
+    } else if (key === 'fields' && value !== null &&
+      (!Array.isArray(value) || value.length === 0 || !value.every(field => field && typeof field === 'object'))) {
+      errors.push('fields must be a non-empty array of field objects');
+    } else if (SETTINGS.includes(key)) {
+      if (value === null) {
+        delete stored[key];
+      } else {
+        stored[key] = value;
+      }
+    } else {
+      errors.push(`Unknown setting ${key}`);
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateLeadCaptureConfig(resolveLeadCaptureConfig({ leadCaptureConfig: stored })));
+  }
+
+  return { stored, errors };
+};
+
+module.exports = {
+  DEFAULT_LEAD_CAPTURE_CONFIG,
+  FIELD_TYPES,
+  resolveLeadCaptureConfig,
+  validateLeadCaptureConfig,
+  mergeLeadCaptureConfig
+};
@@ -0,0 +1,158 @@
+const { hasNestedQuantifier } = require('../utils/regex.util');
+
+// PII redaction defaults, used for any setting a client hasn't set in
+// `Client.redactionConfig`. Detected values are replaced with a mask such as
+// [EMAIL] before chat history is saved or logged.
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  detectors: {
+    email: true,
+    // Parsed with libphonenumber; numbers without a prefix are read as numbers
+    // of the lead form's default country
+    phone: true,
+    // 13-19 digit numbers that pass the Luhn check
+    creditCard: true,
+    // IBANs that pass the mod-97 check
+    iban: true
+  },
+  // Client-specific patterns: { name, pattern, flags, mask }
+  customPatterns: [],
+  // Keep an encrypted copy of redacted messages (needs PII_ENCRYPTION_KEY) so the
+  // details a visitor typed can be read back from their lead's transcript
+  keepEncryptedOriginals: false
+};
+
+const DETECTORS = Object.keys(DEFAULT_REDACTION_CONFIG.detectors);
+const MAX_CUSTOM_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 500;
+
+const isSet = value => value !== undefined && value !== null;
+
+// Client settings merged over the defaults (works with documents and lean objects)
+const resolveRedactionConfig = (client) => {
+  const stored = (client && client.redactionConfig) || {};
+  const config = {
+    ...DEFAULT_REDACTION_CONFIG,
+    detectors: { ...DEFAULT_REDACTION_CONFIG.detectors }
+  };
+
+  ['enabled', 'keepEncryptedOriginals'].forEach(key => {
+    if (isSet(stored[key])) config[key] = stored[key];
+  });
+  DETECTORS.forEach(key => {
+    if (stored.detectors && isSet(stored.detectors[key])) config.detectors[key] = stored.detectors[key];
+  });
+  if (Array.isArray(stored.customPatterns)) {
+    config.customPatterns = stored.customPatterns.map(({ name, pattern, flags, mask }) => ({
+      name,
+      pattern,
+      flags: flags || '',
+      mask: mask || `[${String(name).toUpperCase()}]`
+    }));
+  }
+
+  return config;
+};
+
+// Validate a resolved config. Returns a list of error messages; empty when valid.
+const validateRedactionConfig = (config) => {
+  const errors = [];
+
+  ['enabled', 'keepEncryptedOriginals'].forEach(key => {
+    if (typeof config[key] !== 'boolean') errors.push(`${key} must be a boolean`);
+  });
+  DETECTORS.forEach(key => {
+    if (typeof config.detectors[key] !== 'boolean') errors.push(`detectors.${key} must be a boolean`);
+  });
+
+  if (!Array.isArray(config.customPatterns) || config.customPatterns.length > MAX_CUSTOM_PATTERNS) {
+    errors.push(`customPatterns must be an array of at most ${MAX_CUSTOM_PATTERNS} patterns`);
+  } else {
+    const names = new Set();
+    config.customPatterns.forEach((custom, i) => {
+      if (!custom || typeof custom.name !== 'string' || !/^[a-zA-Z0-9_-]{1,40}$/.test(custom.name)) {
+        errors.push(`customPatterns[${i}].name must be 1 to 40 letters, digits, dashes or underscores`);
+      } else if (names.has(custom.name)) {
+        errors.push(`customPatterns[${i}].name "${custom.name}" is used twice`);
+      } else {
+        names.add(custom.name);
+      }
+
+      if (!custom || typeof custom.pattern !== 'string' || !custom.pattern || custom.pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`customPatterns[${i}].pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+      } else if (typeof custom.flags !== 'string' || !/^[imsu]*$/.test(custom.flags)) {
+        errors.push(`customPatterns[${i}].flags may only contain i, m, s and u`);
+      } else {
+        try {
+          if (new RegExp(custom.pattern, custom.flags).test('')) {
+            errors.push(`customPatterns[${i}].pattern must not match empty text`);
+          } else if (hasNestedQuantifier(custom.pattern)) {
+            errors.push(`customPatterns[${i}].pattern must not repeat a group that itself repeats, as in (a+)+, or use backreferences`);
+          }
+        } catch (error) {
+          errors.push(`customPatterns[${i}].pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+      if (custom && (typeof custom.mask !== 'string' || custom.mask.length > 40)) {
+        errors.push(`customPatterns[${i}].mask must be a string of at most 40 characters`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+const SETTINGS = ['enabled', 'customPatterns', 'keepEncryptedOriginals'];
+
+// Apply a partial update to a client's stored settings. A null value removes
+// the setting so the default applies again.
+const mergeRedactionConfig = (current = {}, updates = {}) => {
+  const stored = { ...current, detectors: { ...(current.detectors || {}) } };
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const value = updates[key];
+
+    if (key === 'detectors') {
+      if (value === null) {
+        stored.detectors = {};
+      } else if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('detectors must be an object');
+      } else {
+        Object.keys(value).forEach(subKey => {
+          if (!DETECTORS.includes(subKey)) {
+            errors.push(`Unknown detector ${subKey}`);
+          } else if (value[subKey] === null) {
+            delete stored.detectors[subKey];
+          } else {
+            stored.detectors[subKey] = value[subKey];
+          }
+        });
+      }
+    } else if (key === 'customPatterns' && value !== null &&
+      (!Array.isArray(value) || !value.every(custom => custom && typeof custom === 'object'))) {
+      errors.push('customPatterns must be an array of pattern objects');
+    } else if (SETTINGS.includes(key)) {
+      if (value === null) {
+        delete stored[key];
+      } else {
+        stored[key] = value;
+      }
+    } else {
+      errors.push(`Unknown setting ${key}`);
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateRedactionConfig(resolveRedactionConfig({ redactionConfig: stored })));
+  }
+
+  return { stored, errors };
+};
+
+module.exports = {
+  DEFAULT_REDACTION_CONFIG,
+  resolveRedactionConfig,
+  validateRedactionConfig,
+  mergeRedactionConfig
+};
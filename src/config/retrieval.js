@@ -0,0 +1,152 @@
+// Retrieval defaults, used for any setting a client hasn't overridden in
+// `Client.retrievalConfig`. Scores are cosine similarities (0-1).
+const DEFAULT_RETRIEVAL_CONFIG = {
+  // Best Q&A match must reach this to be returned as an answer
+  answerThreshold: 0.7,
+  // Other matches at or above this can be combined into a synthesized answer
+  synthesisThreshold: 0.6,
+  // Number of Q&A matches retrieved per query
+  topK: 5,
+  // Website passages below this are not shown to the LLM
+  websiteThreshold: 0.5,
+  // Minimum word overlap for a clicked suggestion to resolve to a Q&A pair
+  suggestionClickFloor: 0.3,
+  // Lower bounds of the confidence levels reported with answers
+  confidenceTiers: {
+    high: 0.7,
+    medium: 0.5
+  },
+  hybrid: {
+    enabled: true,
+    vectorWeight: 1,
+    lexicalWeight: 1,
+    rrfK: 60
+  },
+  // Reuse the final answer of an earlier query whose embedding is at least this similar
+  answerCache: {
+    enabled: true,
+    minSimilarity: 0.95
+  }
+};
+
+// Settings made of several sub-settings
+const GROUPS = ['confidenceTiers', 'hybrid', 'answerCache'];
+
+const SCORE_FIELDS = ['answerThreshold', 'synthesisThreshold', 'websiteThreshold', 'suggestionClickFloor'];
+const MAX_TOP_K = 20;
+
+const isSet = value => value !== undefined && value !== null;
+
+// Client overrides merged over the defaults (works with documents and lean objects)
+const resolveRetrievalConfig = (client) => {
+  const overrides = (client && client.retrievalConfig) || {};
+  const config = { ...DEFAULT_RETRIEVAL_CONFIG };
+  GROUPS.forEach(group => {
+    config[group] = { ...DEFAULT_RETRIEVAL_CONFIG[group] };
+  });
+
+  [...SCORE_FIELDS, 'topK'].forEach(key => {
+    if (isSet(overrides[key])) config[key] = overrides[key];
+  });
+  GROUPS.forEach(group => {
+    Object.keys(config[group]).forEach(key => {
+      if (overrides[group] && isSet(overrides[group][key])) config[group][key] = overrides[group][key];
+    });
+  });
+
+  return config;
+};
+
+// Validate a (partial) retrievalConfig update against the config it would
+// produce. Returns a list of error messages; empty when the update is valid.
+const validateRetrievalConfig = (config) => {
+  const errors = [];
+  const isScore = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+  SCORE_FIELDS.forEach(key => {
+    if (!isScore(config[key])) errors.push(`${key} must be a number between 0 and 1`);
+  });
+  if (!Number.isInteger(config.topK) || config.topK < 1 || config.topK > MAX_TOP_K) {
+    errors.push(`topK must be an integer between 1 and ${MAX_TOP_K}`);
+  }
+  if (!isScore(config.confidenceTiers.high) || !isScore(config.confidenceTiers.medium)) {
+    errors.push('confidenceTiers.high and confidenceTiers.medium must be numbers between 0 and 1');
+  } else if (config.confidenceTiers.medium > config.confidenceTiers.high) {
+    errors.push('confidenceTiers.medium cannot be above confidenceTiers.high');
+  }
+  if (isScore(config.answerThreshold) && isScore(config.synthesisThreshold) && config.synthesisThreshold > config.answerThreshold) {
+    errors.push('synthesisThreshold cannot be above answerThreshold');
+  }
+  if (typeof config.hybrid.enabled !== 'boolean') {
+    errors.push('hybrid.enabled must be a boolean');
+  }
+  ['vectorWeight', 'lexicalWeight'].forEach(key => {
+    if (typeof config.hybrid[key] !== 'number' || config.hybrid[key] < 0) errors.push(`hybrid.${key} must be a non-negative number`);
+  });
+  if (typeof config.hybrid.rrfK !== 'number' || config.hybrid.rrfK < 1) {
+    errors.push('hybrid.rrfK must be a number of at least 1');
+  }
+  if (typeof config.answerCache.enabled !== 'boolean') {
+    errors.push('answerCache.enabled must be a boolean');
+  }
+  if (!isScore(config.answerCache.minSimilarity)) {
+    errors.push('answerCache.minSimilarity must be a number between 0 and 1');
+  }
+
+  return errors;
+};
+
+// Apply a partial update to a client's stored overrides. A null value removes
+// the override so the default applies again.
+const mergeRetrievalOverrides = (current = {}, updates = {}) => {
+  const overrides = { ...current };
+  GROUPS.forEach(group => {
+    overrides[group] = { ...(current[group] || {}) };
+  });
+  const errors = [];
+
+  Object.keys(updates).forEach(key => {
+    const value = updates[key];
+
+    if (GROUPS.includes(key)) {
+      if (value === null) {
+        overrides[key] = {};
+        return;
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${key} must be an object`);
+        return;
+      }
+      Object.keys(value).forEach(subKey => {
+        if (!(subKey in DEFAULT_RETRIEVAL_CONFIG[key])) {
+          errors.push(`Unknown setting ${key}.${subKey}`);
+        } else if (value[subKey] === null) {
+          delete overrides[key][subKey];
+        } else {
+          overrides[key][subKey] = value[subKey];
+        }
+      });
+    } else if (key in DEFAULT_RETRIEVAL_CONFIG) {
+      if (value === null) {
+        delete overrides[key];
+      } else {
+        overrides[key] = value;
+      }
+    } else {
+      errors.push(`Unknown setting ${key}`);
+    }
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateRetrievalConfig(resolveRetrievalConfig({ retrievalConfig: overrides })));
+  }
+
+  return { overrides, errors };
+};
+
+module.exports = {
+  DEFAULT_RETRIEVAL_CONFIG,
+  resolveRetrievalConfig,
+  validateRetrievalConfig,
+  mergeRetrievalOverrides
+};
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BookingService = require('../services/booking.service');
+const { resolveAvailability, mergeAvailability } = require('../config/booking');
+
+const MAX_SLOT_DAYS = 31;
+
+// Load a booking of the client loaded by loadOwnedClient; null if not found
+const findBooking = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+    return null;
+  }
+  return Booking.findOne({ _id: req.params.bookingId, clientId: req.client._id });
+};
+
+const sendBookingError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+class BookingController {
+  // Free appointment slots (widget; the client comes from the publishable key).
+  // Query: from (date), days (default 14), limit
+  async getSlots(req, res) {
+    try {
+      const client = req.client;
+      const config = resolveAvailability(client);
+      if (!config.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment booking is not enabled for this chatbot'
+        });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      if (isNaN(from)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from must be a valid date'
+        });
+      }
+      const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), MAX_SLOT_DAYS);
+      const limit = parseInt(req.query.limit) || undefined;
+
+      const slots = await BookingService.getFreeSlots(client._id, config, { from, days, limit });
+
+      res.status(200).json({
+        success: true,
+        timezone: config.timezone,
+        slotMinutes: config.slotMinutes,
+        slots
+      });
+
+    } catch (error) {
+      console.error('Get slots error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get available times'
+      });
+    }
+  }
+
+  // Book a slot (widget). Body: { start, name, email, phone, notes, sessionId }
+  async createBooking(req, res) {
+    try {
+      const client = req.client;
+      const { start, name, email, phone, notes, sessionId } = req.body;
+      const { booking, label } = await BookingService.book(client, {
+        start,
+        name,
+        email,
+        phone,
+        notes,
+        sessionId: sessionId ? String(sessionId) : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Your appointment is booked for ${label}. A calendar invite is on its way to ${booking.email}.`,
+        booking: {
+          _id: booking._id,
+          start: booking.start,
+          end: booking.end,
+          timezone: booking.timezone,
+          label
+        }
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Create booking error:', error);
+      sendBookingError(res, error, 'Failed to book appointment');
+    }
+  }
+
+  // Get availability settings: stored values and the effective config
+  async getAvailability(req, res) {
+    res.status(200).json({
+      success: true,
+      availability: req.client.toObject().availability || {},
+      effective: resolveAvailability(req.client)
+    });
+  }
+
+  // Update availability. Body: partial config; null resets a setting to its default
+  async updateAvailability(req, res) {
+    try {
+      const { stored, errors } = mergeAvailability(req.client.toObject().availability || {}, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid availability',
+          errors
+        });
+      }
+
+      req.client.availability = stored;
+      await req.client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Availability updated successfully',
+        availability: req.client.toObject().availability,
+        effective: resolveAvailability(req.client)
+      });
+
+    } catch (error) {
+      console.error('Update availability error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update availability'
+      });
+    }
+  }
+
+  // List bookings. Query: status, from, to (appointment start), page, limit
+  async getBookings(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const filter = { clientId: req.client._id };
+
+      if (req.query.status) {
+        if (!['confirmed', 'cancelled'].includes(req.query.status)) {
+          return res.status(400).json({
+            success: false,
+            message: 'status must be confirmed or cancelled'
+          });
+        }
+        filter.status = req.query.status;
+      }
+      if (req.query.from || req.query.to) {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+          return res.status(400).json({
+            success: false,
+            message: 'from and to must be valid dates'
+          });
+        }
+        filter.start = {};
+        if (from) filter.start.$gte = from;
+        if (to) filter.start.$lte = to;
+      }
+
+      const [bookings, total] = await Promise.all([
+        Booking.find(filter)
+          .sort({ start: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Booking.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        bookings,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('Get bookings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get bookings'
+      });
+    }
+  }
+
+  // Cancel a booking. Body: { reason }
+  async cancelBooking(req, res) {
+    try {
+      const booking = await findBooking(req);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      const reason = typeof req.body.reason === 'string' ? req.body.reason : undefined;
+      await BookingService.cancel(booking, req.client, reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        booking
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Cancel booking error:', error);
+      sendBookingError(res, error, 'Failed to cancel booking');
+    }
+  }
+
+  // Move a booking to another free slot. Body: { start }
+  async rescheduleBooking(req, res) {
+    try {
+      const booking = await findBooking(req);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      await BookingService.reschedule(booking, req.client, req.body.start);
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking rescheduled successfully',
+        booking
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Reschedule booking error:', error);
+      sendBookingError(res, error, 'Failed to reschedule booking');
+    }
+  }
+}
+
+module.exports = new BookingController();
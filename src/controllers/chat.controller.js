@@ -1,68 +1,54 @@
 const Client = require('../models/Client');
-const ClientQA = require('../models/ClientQA');
 const ChatHistory = require('../models/ChatHistory');
 const GeminiService = require('../services/gemini.service');
-const { cosineSimilarity } = require('../utils/vector.util');
+const QueryAnalysisService = require('../services/queryAnalysis.service');
+const VectorIndexService = require('../services/vectorIndex.service');
+const RetrievalService = require('../services/retrieval.service');
+const AnswerCacheService = require('../services/answerCache.service');
+const UnansweredService = require('../services/unanswered.service');
+const LeadService = require('../services/lead.service');
+const BookingService = require('../services/booking.service');
+const GuardrailService = require('../services/guardrail.service');
+const RedactionService = require('../services/redaction.service');
+const HandoffService = require('../services/handoff.service');
+const FlowService = require('../services/flow.service');
+const { DEFAULT_RETRIEVAL_CONFIG, resolveRetrievalConfig } = require('../config/retrieval');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { resolveAvailability } = require('../config/booking');
+const { resolveHandoffConfig } = require('../config/handoff');
 const mongoose = require('mongoose');
 
+// Website passages shown to the LLM when composing a website answer
+const WEBSITE_PASSAGE_COUNT = 4;
+// Free appointment slots offered in the chat
+const CHAT_SLOT_COUNT = 6;
+
 class ChatController {
   constructor() {
     this.getPriorityQuestions = this.getPriorityQuestions.bind(this);
     this.semanticSearch = this.semanticSearch.bind(this);
+    this.streamChat = this.streamChat.bind(this);
     this.handleSuggestionClick = this.handleSuggestionClick.bind(this);
     this.saveChatInteraction = this.saveChatInteraction.bind(this);
     this.getChatHistory = this.getChatHistory.bind(this);
     this.getChatSessions = this.getChatSessions.bind(this);
     this.deleteChatHistory = this.deleteChatHistory.bind(this);
     this.handleWidgetRequest = this.handleWidgetRequest.bind(this);
+    this.getWidgetConfig = this.getWidgetConfig.bind(this);
     
     // Initialize Gemini service (it's exported as a singleton)
     this.geminiService = GeminiService;
-    
-    // Define restricted question patterns
-    this.restrictedPatterns = [
-      /write.*code|code.*for|programming|javascript|python|html|css|sql/i,
-      /calculate|math|mathematics|solve.*equation|what.*is.*\+|\*|\/|\-/i,
-      /weather|time|date|current.*time|what.*time/i,
-      /translate|translation|convert.*language/i,
-      /recipe|cooking|how.*to.*cook|ingredients/i,
-      /medical.*advice|health|symptoms|disease|medicine/i,
-      /legal.*advice|law|lawsuit|attorney/i,
-      /investment|stock|crypto|bitcoin|financial.*advice/i,
-      /write.*essay|homework|assignment|thesis/i,
-      /personal.*opinion|what.*do.*you.*think|your.*opinion/i
-    ];
-  }
-
-  // Dynamic AI-powered greeting detection
-  async isGreeting(query) {
-    try {
-      const greetingPrompt = `
-Analyze if the following text is a greeting or casual conversation starter. Consider greetings in multiple languages including English, Hindi, Spanish, French, German, etc.
-
-Text: "${query}"
-
-Is this a greeting? Respond with only "YES" or "NO".
-
-Examples of greetings:
-- Hi, Hello, Hey, Good morning, Good evening
-- How are you?, What's up?, How's it going?
-- Namaste, Hola, Bonjour, Guten Tag
-- Casual conversation starters
-
-Response:`;
-
-      const result = await this.geminiService.generateText(greetingPrompt);
-      const isGreetingResponse = result.trim().toLowerCase();
-      
-      console.log(`[GREETING-AI] Query: "${query}" | AI Response: "${result}" | Is Greeting: ${isGreetingResponse === 'yes'}`);
-      return isGreetingResponse === 'yes';
-    } catch (error) {
-      console.log(`[GREETING-AI] Error detecting greeting: ${error.message}`);
-      // Fallback to simple pattern matching
-      const simpleGreetingPattern = /^(hi|hello|hey|namaste|hola|bonjour|guten tag|good morning|good afternoon|good evening|how are you|what's up)$/i;
-      return simpleGreetingPattern.test(query.trim());
-    }
+    this.queryAnalysis = QueryAnalysisService;
+    this.vectorIndex = VectorIndexService;
+    this.retrieval = RetrievalService;
+    this.answerCache = AnswerCacheService;
+    this.unanswered = UnansweredService;
+    this.leads = LeadService;
+    this.bookings = BookingService;
+    this.guardrails = GuardrailService;
+    this.redaction = RedactionService;
+    this.handoff = HandoffService;
+    this.flows = FlowService;
   }
 
   // Dynamic AI-powered greeting response generation
@@ -125,68 +111,10 @@ Generate a greeting response:`;
     }
   }
 
-  // Check if query is restricted (general question)
-  isRestrictedQuery(query) {
-    return this.restrictedPatterns.some(pattern => pattern.test(query));
-  }
-
-  // Enhanced contact intent detection with type classification
-  async detectContactIntentWithType(query) {
-    if (!query) return { isContact: false, type: null };
-    
-    try {
-      const contactIntentPrompt = `
-Analyze the user query and determine:
-1. Is it asking for contact information?
-2. What specific type of contact info?
-
-Query: "${query}"
-
-Classify into one of these categories:
-- email: asking for email address, mail id, email contact
-- phone: asking for phone number, contact number, mobile number
-- general: asking for general contact info (could be either)
-- none: not asking for contact information
-
-Examples:
-- "give me contact" → general
-- "phone number" → phone  
-- "email address" → email
-- "mail id" → email
-- "contact number" → phone
-- "how to contact" → general
-
-Respond with only: email|phone|general|none
-
-Response:`;
-
-      const result = await this.geminiService.generateText(contactIntentPrompt);
-      const contactType = result.trim().toLowerCase();
-      
-      const isContact = ['email', 'phone', 'general'].includes(contactType);
-      console.log(`[CONTACT-AI] Query: "${query}" | Type: "${contactType}" | Is Contact: ${isContact}`);
-      
-      return { isContact, type: contactType };
-    } catch (error) {
-      console.log(`[CONTACT-AI] Error detecting contact intent: ${error.message}`);
-      // Fallback logic
-      const q = query.toLowerCase();
-      if (q.includes('phone') || q.includes('number') || q.includes('mobile')) {
-        return { isContact: true, type: 'phone' };
-      } else if (q.includes('email') || q.includes('mail')) {
-        return { isContact: true, type: 'email' };
-      } else if (q.includes('contact')) {
-        return { isContact: true, type: 'general' };
-      }
-      return { isContact: false, type: null };
-    }
-  }
-
   // Search for contact information in Q&A data
   async findContactInQA(clientId, contactType) {
     try {
-      const qaData = await ClientQA.find({ clientId, status: 'completed' });
-      const allPairs = qaData.flatMap(doc => doc.pairs);
+      const { pairs: allPairs } = await this.vectorIndex.getIndex(clientId);
       
       // Search patterns based on contact type
       let searchPatterns = [];
@@ -223,7 +151,8 @@ Response:`;
             found: true,
             question: pair.question,
             answer: pair.answer,
-            type: contactType
+            type: contactType,
+            source: this.toSource({ ...pair, score: 1.0 })
           };
         }
       }
@@ -268,7 +197,7 @@ Response:`;
       const result = await this.geminiService.generateText(contactIntentPrompt);
       const isContactIntent = result.trim().toLowerCase() === 'yes';
       
-      console.log(`[CONTACT-AI] Query: "${query}" | AI Response: "${result}" | Is Contact Intent: ${isContactIntent}`);
+      console.log(`[CONTACT-AI] Query: "${this.redaction.forLog(query)}" | AI Response: "${result}" | Is Contact Intent: ${isContactIntent}`);
       return isContactIntent;
     } catch (error) {
       console.log(`[CONTACT-AI] Error detecting contact intent: ${error.message}`);
@@ -281,64 +210,6 @@ Response:`;
     }
   }
 
-  // LLM-based intent classification for short/ambiguous queries
-  async classifyIntent(query) {
-    try {
-      const prompt = `Classify the user's intent into EXACTLY one of the following labels:
-contact_email | contact_phone | website | pricing | appointment | other
-
-Rules:
-- Output ONLY the label, nothing else.
-- Consider multilingual input (English, Hindi, Spanish, French, German, Hinglish).
-- Examples:
-  - "email", "mail id", "ईमेल", "correo" -> contact_email
-  - "phone number", "contact number", "नंबर" -> contact_phone
-  - "website", "site", "वेबसाइट" -> website
-  - "price", "pricing", "cost", "किंमत", "precio" -> pricing
-  - "book appointment", "schedule a call" -> appointment
-  - otherwise -> other
-
-User query: "${query}"
-
-Label:`;
-
-      const raw = await this.geminiService.generateText(prompt);
-      const label = (raw || '').trim().toLowerCase();
-      const allowed = new Set(['contact_email', 'contact_phone', 'website', 'pricing', 'appointment', 'other']);
-      const cleaned = label.replace(/[^a-z_]/g, '');
-      return allowed.has(cleaned) ? cleaned : 'other';
-    } catch (e) {
-      console.log('[INTENT] classifyIntent failed, defaulting to other:', e.message);
-      return 'other';
-    }
-  }
-
-  // Check if query is a direct question match from knowledge base (skip refinement)
-  async isDirectQuestionMatch(query, clientId) {
-    try {
-      const qaDocuments = await ClientQA.find({ clientId });
-      
-      for (const doc of qaDocuments) {
-        for (const qaPair of doc.pairs) {
-          // Check for exact or very close match (case-insensitive)
-          const questionLower = qaPair.question.toLowerCase().trim();
-          const queryLower = query.toLowerCase().trim();
-          
-          if (questionLower === queryLower || 
-              questionLower.includes(queryLower) || 
-              queryLower.includes(questionLower)) {
-            console.log(`[DIRECT-MATCH] Found direct question match: "${qaPair.question}"`);
-            return true;
-          }
-        }
-      }
-      return false;
-    } catch (error) {
-      console.error('Error checking direct question match:', error);
-      return false; // Fallback to normal processing
-    }
-  }
-
   // Filter WH-words and helping verbs
   filterKeywords(query) {
     const whWords = new Set(['who', 'what', 'when', 'where', 'why', 'how', 'which', 'whom', 'whose']);
@@ -348,24 +219,26 @@ Label:`;
     const filteredWords = words.filter(word => !whWords.has(word) && !helpingVerbs.has(word));
     
     const filteredQuery = filteredWords.join(' ');
-    console.log(`[FILTER] Original for filtering: '${query}' | Filtered: '${filteredQuery}'`);
+    console.log(`[FILTER] Original for filtering: '${this.redaction.forLog(query)}' | Filtered: '${this.redaction.forLog(filteredQuery)}'`);
     return filteredQuery;
   }
 
-  // Detect query language using Gemini (more accurate than hardcoded patterns)
-  async detectLanguage(query) {
-    return await this.geminiService.detectLanguage(query);
-  }
-
   // Enhanced match evaluation with multiple confidence tiers
-  evaluateMatchConfidence(score) {
-    if (score > 0.7) {
+  evaluateMatchConfidence(score, tiers = DEFAULT_RETRIEVAL_CONFIG.confidenceTiers) {
+    if (score >= tiers.high) {
       return {
         level: 'high',
         description: 'High confidence match',
         shouldReturnAnswer: true,
         includeConfidenceNote: false
       };
+    } else if (score >= tiers.medium) {
+      return {
+        level: 'medium',
+        description: 'Medium confidence match',
+        shouldReturnAnswer: true,
+        includeConfidenceNote: true
+      };
     } else {
       return {
         level: 'low',
@@ -378,13 +251,10 @@ Label:`;
 
   // Format suggestions with enhanced metadata and translation
   async formatSuggestions(matches, originalQuery, userLanguage = 'en') {
-    const suggestions = [];
-    
-    for (let i = 0; i < matches.length; i++) {
-      const match = matches[i];
+    // Translate all suggestions concurrently if user language is not English
+    return Promise.all(matches.map(async (match, i) => {
       let translatedQuestion = match.question;
       
-      // Translate suggestion if user language is not English
       if (userLanguage !== 'en') {
         try {
           translatedQuestion = await this.geminiService.translateResponse(match.question, userLanguage);
@@ -395,16 +265,86 @@ Label:`;
         }
       }
       
-      suggestions.push({
+      return {
         id: `suggestion_${i + 1}`,
         question: translatedQuestion,
         originalQuestion: match.question, // Keep original for backend processing
         score: parseFloat(match.score.toFixed(4)),
+        rankers: match.rankers,
         relevanceReason: this.generateRelevanceReason(match.score)
-      });
+      };
+    }));
+  }
+
+  // Answer from the semantic cache: replay the stream events and record the
+  // interaction as if the pipeline had produced it
+  async replayCachedAnswer(cached, { chatHistory, query, refinedQuery, originalLanguage, emit }) {
+    const { result } = cached;
+
+    if (result.followUpQuestions) {
+      emit('followups', { questions: result.followUpQuestions });
     }
-    
-    return suggestions;
+    emit('answer', { text: result.answer });
+
+    await this.saveChatInteraction(
+      chatHistory,
+      query,
+      refinedQuery,
+      result.answer,
+      result.confidence,
+      result.score,
+      originalLanguage,
+      result.matchedQuestion || result.type,
+      { responseType: result.type, sources: result.sources }
+    );
+
+    return {
+      ...result,
+      cached: true,
+      cache: {
+        similarity: parseFloat(cached.similarity.toFixed(4)),
+        cachedQuery: cached.cachedQuery
+      }
+    };
+  }
+
+  // Citation for an index entry: a Q&A pair (with its upload) or a website chunk
+  toSource(match) {
+    const score = parseFloat((match.score || 0).toFixed(4));
+
+    if (match.chunkId) {
+      return {
+        type: 'website',
+        chunkId: match.chunkId,
+        sourceUrl: match.sourceUrl,
+        pageTitle: match.pageTitle,
+        score
+      };
+    }
+
+    return {
+      type: 'qa',
+      uploadId: match.uploadId,
+      fileName: match.fileName,
+      pairId: match.pairId,
+      question: match.question,
+      score
+    };
+  }
+
+  // Which rankers produced each match, for responses and stream events
+  summarizeRetrieval(matches, hybridConfig) {
+    return {
+      mode: hybridConfig.enabled ? 'hybrid' : 'vector',
+      matches: matches.map(match => ({
+        question: match.question,
+        score: parseFloat(match.score.toFixed(4)),
+        fusedScore: match.fusedScore !== undefined ? parseFloat(match.fusedScore.toFixed(6)) : undefined,
+        vectorRank: match.vectorRank,
+        lexicalRank: match.lexicalRank,
+        rankers: match.rankers
+      }))
+    };
   }
 
   // Generate relevance reason based on score
@@ -416,60 +356,10 @@ Label:`;
 
   async getPriorityQuestions(req, res) {
     try {
-      const { clientId } = req.params;
       const limit = parseInt(req.query.limit) || 3;
+      const { pairs } = await this.vectorIndex.getIndex(req.client._id);
 
-      if (!clientId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Client ID is required'
-        });
-      }
-
-      // Dynamic LLM-based intent classification for short queries
-      const tokenCount = query.trim().split(/\s+/).filter(Boolean).length;
-      if (tokenCount <= 4) {
-        const intent = await this.classifyIntent(query);
-        if (intent === 'contact_email') {
-          console.log('[INTENT] LLM classified as contact_email. Searching for contact information in Q&A data.');
-          const detectedLanguage = await this.geminiService.detectLanguage(query);
-          const contactInfo = await this.findContactInQA(clientId, 'email');
-          if (contactInfo.found) {
-            const answer = contactInfo.answer;
-            const translated = await this.geminiService.translateResponse(answer, detectedLanguage);
-            await this.saveChatInteraction(chatHistory, query, query, translated, 'high', 1.0, detectedLanguage, 'contact_email');
-            return res.json({
-              answer: translated,
-              score: 1.0,
-              confidence: 'high',
-              type: 'contact_email',
-              language: detectedLanguage
-            });
-          } else {
-            return res.json({
-              answer: "I'm sorry, I couldn't find any contact information in our knowledge base.",
-              score: 0,
-              type: 'no_data'
-            });
-          }
-        }
-      }
-
-      const client = await Client.findById(clientId);
-      if (!client) {
-        return res.status(404).json({
-          success: false,
-          message: 'Client not found'
-        });
-      }
-
-      const qaDocs = await ClientQA.find({ clientId: clientId, status: 'completed' });
-      let allPairs = [];
-      qaDocs.forEach(doc => {
-        allPairs = allPairs.concat(doc.pairs);
-      });
-
-      const priorityQuestions = allPairs
+      const priorityQuestions = [...pairs]
         .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
         .slice(0, limit)
         .map(p => ({ question: p.question, confidence: p.confidence }));
@@ -486,172 +376,435 @@ Label:`;
   }
 
   async semanticSearch(req, res) {
-    const { query, clientId, sessionId } = req.body;
+    const { query, sessionId } = req.body;
+    const clientId = req.client._id.toString();
 
-    if (!query || !clientId || !sessionId) {
-      return res.status(400).json({ message: 'Query, Client ID, and Session ID are required.' });
+    if (!query || !sessionId) {
+      return res.status(400).json({ message: 'Query and Session ID are required.' });
     }
 
-    console.log('\n--- New Semantic Search Request ---');
-    console.log(`[1] Received Query: '${query}' for Client ID: '${clientId}' and Session ID: '${sessionId}'`);
+    try {
+      const result = await this.processQuery({ query, clientId, sessionId });
+      res.json(result);
+    } catch (error) {
+      console.error('Error during semantic search:', error);
+      res.status(error.status || 500).json({ message: error.status ? error.message : 'An error occurred during the search.' });
+    }
+    console.log('--- Search Request Finished ---\n');
+  }
+
+  // Stream the chat pipeline as Server-Sent Events (GET with query params or POST with JSON body)
+  async streamChat(req, res) {
+    const { query, sessionId } = req.method === 'GET' ? req.query : req.body;
+    const clientId = req.client._id.toString();
+
+    if (!query || !sessionId) {
+      return res.status(400).json({ message: 'Query and Session ID are required.' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // Keep processing after a disconnect so the interaction is still saved
+    let closed = false;
+    const send = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+    }, 15000);
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+    });
 
     try {
-      // Get or create chat history for session first (needed for greeting context)
-      const chatHistory = await this.getOrCreateChatHistory(clientId, sessionId);
+      const result = await this.processQuery({ query, clientId, sessionId }, { onEvent: send });
+      send('done', result);
+    } catch (error) {
+      console.error('Error during streamed search:', error);
+      send('error', { message: error.status ? error.message : 'An error occurred during the search.' });
+    } finally {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+    }
+    console.log('--- Stream Request Finished ---\n');
+  }
 
-      // Check for greeting first with AI-powered detection
-      if (await this.isGreeting(query)) {
-        console.log('[GREETING] Detected greeting message, generating dynamic AI-powered response.');
-        
-        // Detect language for contextual greeting
-        const detectedLanguage = await this.geminiService.detectLanguage(query);
-        
-        // Generate contextual greeting response
-        const greetingResponse = await this.generateGreetingResponse(query, detectedLanguage, chatHistory);
-        
-        // Save greeting interaction to history
-        await this.saveChatInteraction(
-          chatHistory, 
-          query, 
-          query, 
-          greetingResponse, 
-          'high', 
-          1.0, 
-          detectedLanguage, 
-          'greeting'
-        );
+  // Run the full chat pipeline and return the response body, with the id of the
+  // saved message so the visitor can rate it.
+  // onEvent(name, data) receives progress events: analysis, matches, token, answer, followups, booking_slots, handoff, lead_form, flow.
+  async processQuery({ query, clientId, sessionId }, { onEvent } = {}) {
+    const emit = onEvent || (() => {});
+    // Answer text is streamed token by token only to a listener
+    const onToken = onEvent ? text => emit('token', { text }) : undefined;
 
-        return res.json({ 
-          answer: greetingResponse, 
-          score: 1.0,
-          confidence: 'high',
-          type: 'greeting',
-          language: detectedLanguage
-        });
-      }
+    console.log('\n--- New Semantic Search Request ---');
+    console.log(`[1] Received Query: '${this.redaction.forLog(query)}' for Client ID: '${clientId}' and Session ID: '${sessionId}'`);
+
+    // Get or create chat history for session first (needed for greeting context)
+    const chatHistory = await this.getOrCreateChatHistory(clientId, sessionId);
+    const previousMessage = chatHistory.messages[chatHistory.messages.length - 1];
+    // Only the response that starts the session carries its visitor token
+    const { sessionToken } = chatHistory.$locals;
+
+    // A person is answering this session: relay the message to the agents instead of the bot
+    if (chatHistory.mode === 'handoff') {
+      const message = await this.handoff.addVisitorMessage(chatHistory, query);
+      const handoff = this.handoff.getStatus(chatHistory);
+      emit('handoff', handoff);
+      return {
+        answer: '',
+        score: 0,
+        type: 'handoff',
+        handoff,
+        sources: [],
+        messageId: message._id,
+        sessionToken
+      };
+    }
 
-      // Check for restricted queries
-      if (this.isRestrictedQuery(query)) {
-        console.log('[RESTRICTION] Detected restricted/general query, blocking response.');
-        return res.json({ 
-          answer: "I'm sorry, but I can only help with questions related to our knowledge base. I cannot assist with general questions like coding, math calculations, or other topics outside my scope. Please ask me something related to the information in our uploaded documents.", 
-          score: 0,
-          type: 'restricted'
-        });
+    // The session is in a guided flow: the message answers the flow's last question
+    if (chatHistory.context.flow && chatHistory.context.flow.flowId) {
+      const client = await Client.findById(clientId).select('name contactEmail leadCaptureConfig handoffConfig').lean();
+      const step = await this.flows.resume(chatHistory, query, client);
+      if (step) {
+        return { ...(await this.respondWithFlow({ chatHistory, client, query, step }, emit)), sessionToken };
       }
+    }
 
-      // Shortcut: contact email intent
-      const contactIntent = await this.detectContactIntentWithType(query);
-      if (contactIntent.isContact) {
-        console.log('[INTENT] Detected contact intent. Searching for contact information in Q&A data.');
-        const detectedLanguage = await this.geminiService.detectLanguage(query);
-        const contactInfo = await this.findContactInQA(clientId, contactIntent.type);
-        if (contactInfo.found) {
-          const answer = contactInfo.answer;
-          const translated = await this.geminiService.translateResponse(answer, detectedLanguage);
-          await this.saveChatInteraction(chatHistory, query, query, translated, 'high', 1.0, detectedLanguage, contactIntent.type);
-          return res.json({
-            answer: translated,
-            score: 1.0,
-            confidence: 'high',
-            type: contactIntent.type,
-            language: detectedLanguage
-          });
-        } else {
-          return res.json({
-            answer: "I'm sorry, I couldn't find any contact information in our knowledge base.",
-            score: 0,
-            type: 'no_data'
-          });
-        }
+    // answerQuery fills in the analysis and client settings for the steps below
+    const turn = {};
+    let result = await this.answerQuery({ query, clientId, chatHistory, turn, onToken }, emit);
+    if (sessionToken) {
+      result = { ...result, sessionToken };
+    }
+
+    const savedMessage = chatHistory.messages[chatHistory.messages.length - 1];
+    if (savedMessage && savedMessage !== previousMessage) {
+      result = { ...result, messageId: savedMessage._id };
+    }
+
+    // Hand off to a person after too many answers in a row the bot wasn't sure of
+    if (turn.client && chatHistory.mode !== 'handoff') {
+      const handoffConfig = resolveHandoffConfig(turn.client);
+      const reason = this.handoff.getLowConfidenceTrigger(handoffConfig, chatHistory);
+      if (reason) {
+        const waitingMessage = await this.geminiService.translateResponse(handoffConfig.waitingMessage, turn.analysis.language);
+        await this.handoff.start(chatHistory, turn.client, reason, waitingMessage);
+        const handoff = this.handoff.getStatus(chatHistory);
+        emit('handoff', handoff);
+        result = { ...result, handoff, handoffMessage: waitingMessage };
       }
+    }
+
+    // Offer the lead form when the client's triggers fire (booking already collects
+    // contact details, an agent can ask for them, and flows have their own lead step)
+    const leadForm = turn.client && !['appointment', 'flow'].includes(result.type) && !result.handoff
+      ? this.leads.getPrompt(turn.client, { intent: turn.analysis && turn.analysis.intent, chatHistory })
+      : null;
+    if (leadForm) {
+      await this.leads.markPrompted(chatHistory);
+      emit('lead_form', leadForm);
+      result = { ...result, leadForm };
+    }
 
-      // Check if this is a direct question match (from suggestions) - skip refinement
-      const isDirectQuestionMatch = await this.isDirectQuestionMatch(query, clientId);
+    return result;
+  }
+
+  // Save a flow turn and build its response. Flow text is sent as the admin wrote
+  // it; a flow ending in a lead_capture or handoff node shows the form or hands off.
+  async respondWithFlow({ chatHistory, client, query, step }, emit) {
+    const answer = step.messages.join('\n\n');
+    const flow = {
+      flowId: step.flowId,
+      name: step.flowName,
+      messages: step.messages,
+      buttons: step.buttons,
+      input: step.input,
+      done: step.done
+    };
+    const messageId = await this.saveChatInteraction(chatHistory, query, query, answer, 'high', 1.0, step.language, step.flowName, { responseType: 'flow' });
+    emit('flow', flow);
+
+    const result = {
+      answer,
+      score: 1.0,
+      confidence: 'high',
+      type: 'flow',
+      flow,
+      language: step.language,
+      sources: [],
+      messageId
+    };
+
+    if (step.handoff) {
+      await this.handoff.start(chatHistory, client, 'requested');
+      result.handoff = this.handoff.getStatus(chatHistory);
+      emit('handoff', result.handoff);
+    }
+    if (step.leadForm) {
+      await this.leads.markPrompted(chatHistory);
+      emit('lead_form', step.leadForm);
+      result.leadForm = step.leadForm;
+    }
+
+    return result;
+  }
+
+  async answerQuery({ query, clientId, chatHistory, turn = {}, onToken }, emit) {
+    // One LLM call for greeting, intent, contact type, language and refinement.
+    // The direct-match and retrieval settings lookups only hit the database, so run them alongside.
+    const [analysis, isDirectQuestionMatch, client] = await Promise.all([
+      this.queryAnalysis.analyze(query, { recentContext: chatHistory.getRecentContext(3) }),
+      this.retrieval.isDirectQuestionMatch(query, clientId),
+      Client.findById(clientId).select('name contactEmail retrievalConfig leadCaptureConfig availability guardrailPolicy handoffConfig').lean()
+    ]);
+    turn.analysis = analysis;
+    turn.client = client;
+    const originalLanguage = analysis.language;
+    console.log(`[LANGUAGE] Detected language: ${originalLanguage}`);
+    emit('analysis', {
+      isGreeting: analysis.isGreeting,
+      intent: analysis.intent,
+      contactType: analysis.contactType,
+      language: originalLanguage
+    });
+
+    if (analysis.isGreeting) {
+      console.log('[GREETING] Detected greeting message, generating dynamic AI-powered response.');
       
-      let refinedQuery = query;
-      let filteredKeywords = '';
+      // Generate contextual greeting response
+      const greetingResponse = await this.generateGreetingResponse(query, originalLanguage, chatHistory);
       
-      if (!isDirectQuestionMatch) {
-        // Build context-aware query using chat history
-        const contextAwareQuery = await this.buildContextAwareQuery(query, chatHistory);
-
-        // --- Query Refinement and Filtering ---
-        console.log('[PRE-PROCESSING] Starting query refinement and filtering...');
-        // 1. Refine the context-aware query with Gemini for semantic richness
-        refinedQuery = await this.geminiService.refineQuery(contextAwareQuery);
-
-        // 2. Filter keywords for logging or future hybrid search (vector search will use the full refined query)
-        filteredKeywords = this.filterKeywords(refinedQuery);
-        console.log(`[PRE-PROCESSING] Using refined query for vector search: '${refinedQuery}'`);
-      } else {
-        console.log('[PRE-PROCESSING] Direct question match detected, skipping refinement');
-        filteredKeywords = this.filterKeywords(query);
-      }
+      // Save greeting interaction to history
+      await this.saveChatInteraction(
+        chatHistory, 
+        query, 
+        query, 
+        greetingResponse, 
+        'high', 
+        1.0, 
+        originalLanguage, 
+        'greeting',
+        { responseType: 'greeting' }
+      );
+
+      return { 
+        answer: greetingResponse, 
+        score: 1.0,
+        confidence: 'high',
+        type: 'greeting',
+        language: originalLanguage,
+        sources: []
+      };
+    }
 
-      // Detect query language using Gemini (more accurate than hardcoded patterns)
-      const originalLanguage = await this.geminiService.detectLanguage(query);
-      console.log(`[LANGUAGE] Detected language: ${originalLanguage}`);
+    // Refuse queries the client's guardrail policy doesn't allow
+    const refusal = await this.guardrails.check(client, query, originalLanguage);
+    if (refusal) {
+      await this.saveChatInteraction(chatHistory, query, query, refusal.message, 'low', 0, originalLanguage, null, {
+        responseType: 'restricted',
+        guardrail: refusal.rule
+      });
+      return {
+        answer: refusal.message,
+        score: 0,
+        type: 'restricted',
+        language: originalLanguage,
+        sources: []
+      };
+    }
 
-      // Set similarity threshold (only return answers when score >= 0.7)
-      const baseSimilarityThreshold = 0.7;
-      console.log(`[i] Using base similarity threshold: ${baseSimilarityThreshold}`);
+    // The visitor asked for a person or is frustrated: hand the session to an agent
+    const handoffConfig = resolveHandoffConfig(client);
+    const handoffReason = this.handoff.getRequestTrigger(handoffConfig, analysis);
+    if (handoffReason) {
+      const waitingMessage = await this.geminiService.translateResponse(handoffConfig.waitingMessage, originalLanguage);
+      await this.saveChatInteraction(chatHistory, query, query, waitingMessage, 'high', 1.0, originalLanguage, null, { responseType: 'handoff' });
+      await this.handoff.start(chatHistory, client, handoffReason);
+      const handoff = this.handoff.getStatus(chatHistory);
+      emit('handoff', handoff);
+      return {
+        answer: waitingMessage,
+        score: 1.0,
+        confidence: 'high',
+        type: 'handoff',
+        handoff,
+        language: originalLanguage,
+        sources: []
+      };
+    }
+
+    // Start a guided flow when the query matches one of the client's flow triggers
+    const flow = await this.flows.findTriggered(clientId, query, analysis.intent);
+    if (flow) {
+      const step = await this.flows.start(chatHistory, flow, client, originalLanguage);
+      return this.respondWithFlow({ chatHistory, client, query, step }, emit);
+    }
 
-      // Generate embedding for the refined query
-      const queryEmbedding = await this.geminiService.generateEmbedding(refinedQuery);
-      if (!queryEmbedding) {
-        return res.status(500).json({ message: 'Failed to generate query embedding.' });
+    // Shortcut: contact intent
+    if (analysis.contactType !== 'none') {
+      console.log('[INTENT] Detected contact intent. Searching for contact information in Q&A data.');
+      const contactInfo = await this.findContactInQA(clientId, analysis.contactType);
+      if (contactInfo.found) {
+        const answer = contactInfo.answer;
+        const translated = await this.geminiService.translateResponse(answer, originalLanguage);
+        const sources = [contactInfo.source];
+        await this.saveChatInteraction(chatHistory, query, query, translated, 'high', 1.0, originalLanguage, analysis.contactType, {
+          responseType: analysis.contactType,
+          sources
+        });
+        return {
+          answer: translated,
+          score: 1.0,
+          confidence: 'high',
+          type: analysis.contactType,
+          language: originalLanguage,
+          sources
+        };
+      } else {
+        return {
+          answer: "I'm sorry, I couldn't find any contact information in our knowledge base.",
+          score: 0,
+          type: 'no_data',
+          sources: []
+        };
+      }
+    }
+
+    // Shortcut: appointment intent, when the client takes bookings
+    const availability = resolveAvailability(client);
+    if (analysis.intent === 'appointment' && availability.enabled) {
+      const slots = await this.bookings.getFreeSlots(clientId, availability, { limit: CHAT_SLOT_COUNT });
+      if (slots.length > 0) {
+        console.log(`[BOOKING] Offering ${slots.length} free slots.`);
+        const answer = await this.geminiService.translateResponse('I can book an appointment for you. Please pick one of these times:', originalLanguage);
+        await this.saveChatInteraction(chatHistory, query, query, answer, 'high', 1.0, originalLanguage, 'appointment', { responseType: 'appointment' });
+        emit('booking_slots', { slots });
+        return {
+          answer,
+          slots,
+          score: 1.0,
+          confidence: 'high',
+          type: 'appointment',
+          language: originalLanguage,
+          sources: []
+        };
       }
-      console.log('[2] Successfully generated query embedding.');
+      console.log('[BOOKING] No free slots, answering from the knowledge base.');
+    }
 
-      // Retrieve Q&A data for this client
-      const clientQAData = await ClientQA.find({ clientId: clientId, status: 'completed' });
-      const allPairs = clientQAData.flatMap(doc => doc.pairs.filter(p => p.embedding && p.embedding.length > 0));
+    let refinedQuery = query;
+    let filteredKeywords = '';
+    
+    if (!isDirectQuestionMatch) {
+      // The analysis already made the query context-aware and refined it
+      refinedQuery = analysis.refinedQuery;
 
-      console.log(`[3] Found ${clientQAData.length} Q&A documents with a total of ${allPairs.length} Q&A pairs for this client.`);
+      // Filter keywords for logging (both rankers use the full refined query)
+      filteredKeywords = this.filterKeywords(refinedQuery);
+      console.log(`[PRE-PROCESSING] Using refined query for vector search: '${this.redaction.forLog(refinedQuery)}'`);
+    } else {
+      console.log('[PRE-PROCESSING] Direct question match detected, skipping refinement');
+      filteredKeywords = this.filterKeywords(query);
+    }
 
-      if (allPairs.length === 0) {
-        return res.json({ 
-          answer: "I'm sorry, but there are no Q&A pairs available for this client. Please upload some Q&A data first.", 
-          score: 0,
-          type: 'no_data'
-        });
+    // Only return answers when the best match reaches the client's answer threshold
+    const retrievalConfig = this.retrieval.getConfig(client);
+    const baseSimilarityThreshold = retrievalConfig.answerThreshold;
+    console.log(`[i] Using base similarity threshold: ${baseSimilarityThreshold}`);
+
+    // Generate embedding for the refined query
+    const queryEmbedding = await this.geminiService.generateEmbedding(refinedQuery);
+    if (!queryEmbedding) {
+      const error = new Error('Failed to generate query embedding.');
+      error.status = 500;
+      throw error;
+    }
+    console.log('[2] Successfully generated query embedding.');
+
+    // A near-identical question in the same language was answered recently
+    // from the current knowledge base: reuse its final answer
+    const cacheConfig = retrievalConfig.answerCache;
+    if (cacheConfig.enabled) {
+      const cached = this.answerCache.lookup(clientId, queryEmbedding, originalLanguage, cacheConfig.minSimilarity);
+      if (cached) {
+        return this.replayCachedAnswer(cached, { chatHistory, query, refinedQuery, originalLanguage, emit });
       }
+    }
+    // Queue questions we couldn't answer for the admin inbox; never holds up the reply
+    const recordUnanswered = responseType => {
+      this.unanswered.record(clientId, {
+        query,
+        refinedQuery,
+        embedding: queryEmbedding,
+        language: originalLanguage,
+        sessionId: chatHistory.sessionId,
+        responseType
+      }).catch(error => console.error('[UNANSWERED] Failed to record query:', error.message));
+    };
+    // Only stored answers given word for word are cached: generated text can
+    // echo the visitor's question, and the cache replays it to other visitors.
+    // Queries holding anything the redaction detectors mask are never cached.
+    const cacheAnswer = result => {
+      const hasPii = [query, refinedQuery].some(text => this.redaction.redact(text).types.length > 0);
+      if (cacheConfig.enabled && !hasPii) {
+        this.answerCache.store(clientId, refinedQuery, queryEmbedding, originalLanguage, result);
+      }
+      return result;
+    };
+
+    // Search the Q&A index (vector search fused with BM25 unless the client
+    // turned hybrid off); load the website index alongside
+    const [retrieved, chunkIndex] = await Promise.all([
+      this.retrieval.retrieve(clientId, refinedQuery, retrievalConfig, { queryEmbedding }),
+      this.vectorIndex.getChunkIndex(clientId)
+    ]);
+    const { index, matches: topMatches } = retrieved;
+    console.log(`[3] Index has ${index.size} embedded Q&A pairs and ${chunkIndex.size} website chunks for this client.`);
+
+    if (index.size === 0 && chunkIndex.size === 0) {
+      return { 
+        answer: "I'm sorry, but there is no knowledge base content available for this client. Please upload some Q&A data or scrape the website first.", 
+        score: 0,
+        type: 'no_data',
+        sources: []
+      };
+    }
 
-      // Perform vector similarity search
-      const comparisons = allPairs.map(pair => ({
-        question: pair.question,
-        answer: pair.answer,
-        score: cosineSimilarity(queryEmbedding, pair.embedding)
-      }));
-
-      // Sort by similarity score (descending)
-      comparisons.sort((a, b) => b.score - a.score);
-      const topMatches = comparisons.slice(0, 5);
-
-      console.log(`[4] Performed ${allPairs.length} vector comparisons.`);
-      console.log('[5] Top 5 matches found:');
-      topMatches.forEach((match, index) => {
-        console.log(`  ${index + 1}. Score: ${match.score.toFixed(4)} | Question: ${match.question}`);
-      });
+    const retrievalSummary = this.summarizeRetrieval(topMatches, retrievalConfig.hybrid);
 
-      let bestMatch = topMatches[0];
-      const matchEvaluation = this.evaluateMatchConfidence(bestMatch ? bestMatch.score : 0);
-      console.log(`[EVALUATION] Match confidence: ${matchEvaluation.level} (${matchEvaluation.description || 'Confidence evaluation'})`);
+    console.log(`[4] Performed ${index.size} vector comparisons (${retrievalSummary.mode} retrieval).`);
+    console.log(`[5] Top ${retrievalConfig.topK} matches found:`);
+    topMatches.forEach((match, index) => {
+      console.log(`  ${index + 1}. Score: ${match.score.toFixed(4)} | Rankers: ${match.rankers.join('+')} | Question: ${match.question}`);
+    });
+    emit('matches', retrievalSummary);
 
-      if (bestMatch && bestMatch.score >= baseSimilarityThreshold) {
-        console.log(`[6] ${matchEvaluation.level} confidence match. Checking for answer synthesis.`);
-        
-        // Check if multiple relevant answers should be combined
-        const relevantMatches = topMatches.filter(match => match.score >= 0.6).slice(0, 3);
-        
-        // Intelligent query analysis - understand specific intent
-        let shouldSynthesize = false;
-        let specificMatch = null;
-        
-        if (relevantMatches.length > 1) {
-          try {
-            const intentAnalysisPrompt = `
+    let bestMatch = topMatches[0];
+    const matchEvaluation = this.evaluateMatchConfidence(bestMatch ? bestMatch.score : 0, retrievalConfig.confidenceTiers);
+    console.log(`[EVALUATION] Match confidence: ${matchEvaluation.level} (${matchEvaluation.description || 'Confidence evaluation'})`);
+
+    if (bestMatch && bestMatch.score >= baseSimilarityThreshold) {
+      console.log(`[6] ${matchEvaluation.level} confidence match. Checking for answer synthesis.`);
+      
+      // Check if multiple relevant answers should be combined
+      const relevantMatches = topMatches.filter(match => match.score >= retrievalConfig.synthesisThreshold).slice(0, 3);
+      
+      // Intelligent query analysis - understand specific intent
+      let shouldSynthesize = false;
+      let specificMatch = null;
+      
+      if (relevantMatches.length > 1) {
+        try {
+          const intentAnalysisPrompt = `
 Analyze if the user wants SPECIFIC information or GENERAL information.
 
 Query: "${query}"
@@ -667,39 +820,39 @@ Response format: SPECIFIC:1 or GENERAL
 
 Analysis:`;
 
-            const intentResult = await this.geminiService.generateText(intentAnalysisPrompt);
-            const intentMatch = intentResult.trim().match(/^(SPECIFIC|GENERAL)(?::(\d+))?/);
+          const intentResult = await this.geminiService.generateText(intentAnalysisPrompt);
+          const intentMatch = intentResult.trim().match(/^(SPECIFIC|GENERAL)(?::(\d+))?/);
+          
+          if (intentMatch) {
+            const intentType = intentMatch[1];
+            const specificIndex = intentMatch[2] ? parseInt(intentMatch[2]) - 1 : 0;
             
-            if (intentMatch) {
-              const intentType = intentMatch[1];
-              const specificIndex = intentMatch[2] ? parseInt(intentMatch[2]) - 1 : 0;
-              
-              console.log(`[INTENT-ANALYSIS] Query intent: ${intentType}${intentMatch[2] ? `, specific match: ${intentMatch[2]}` : ''}`);
-              
-              if (intentType === 'SPECIFIC' && relevantMatches[specificIndex]) {
-                specificMatch = relevantMatches[specificIndex];
-                console.log(`[SPECIFIC-MATCH] Using specific answer instead of synthesis`);
-              } else if (intentType === 'GENERAL') {
-                shouldSynthesize = true;
-                console.log(`[SYNTHESIS] Will combine answers for general query`);
-              }
+            console.log(`[INTENT-ANALYSIS] Query intent: ${intentType}${intentMatch[2] ? `, specific match: ${intentMatch[2]}` : ''}`);
+            
+            if (intentType === 'SPECIFIC' && relevantMatches[specificIndex]) {
+              specificMatch = relevantMatches[specificIndex];
+              console.log(`[SPECIFIC-MATCH] Using specific answer instead of synthesis`);
+            } else if (intentType === 'GENERAL') {
+              shouldSynthesize = true;
+              console.log(`[SYNTHESIS] Will combine answers for general query`);
             }
-          } catch (analysisError) {
-            console.log(`[INTENT-ANALYSIS] Error: ${analysisError.message}, using single answer`);
           }
+        } catch (analysisError) {
+          console.log(`[INTENT-ANALYSIS] Error: ${analysisError.message}, using single answer`);
         }
+      }
+      
+      // Use specific match if identified
+      if (specificMatch) {
+        bestMatch = specificMatch; // Override bestMatch with specific match
+      }
+      
+      // Synthesize answers for general queries only
+      if (shouldSynthesize && !specificMatch) {
+        console.log(`[SYNTHESIS] Found ${relevantMatches.length} relevant matches. Combining answers.`);
         
-        // Use specific match if identified
-        if (specificMatch) {
-          bestMatch = specificMatch; // Override bestMatch with specific match
-        }
-        
-        // Synthesize answers for general queries only
-        if (shouldSynthesize && !specificMatch) {
-          console.log(`[SYNTHESIS] Found ${relevantMatches.length} relevant matches. Combining answers.`);
-          
-          try {
-            const synthesisPrompt = `
+        try {
+          const synthesisPrompt = `
 Combine the following relevant answers into one comprehensive, coherent response for the user's question.
 
 User Question: "${query}"
@@ -718,225 +871,232 @@ Instructions:
 
 Combined Answer:`;
 
-            const synthesizedAnswer = await this.geminiService.generateText(synthesisPrompt);
-            
-            if (synthesizedAnswer && synthesizedAnswer.trim().length > 0) {
-              // Clean the synthesized answer
-              let finalAnswer = synthesizedAnswer.trim()
-                .replace(/\*+/g, '') // Remove asterisks
-                .replace(/•/g, '') // Remove bullet points
-                .replace(/\*\*/g, '') // Remove bold formatting
-                .replace(/#+/g, '') // Remove headers
-                .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-                .trim();
-
-              console.log(`[SYNTHESIS] Successfully combined ${relevantMatches.length} answers`);
-
-              // Translate response if needed
-              const translatedAnswer = await this.geminiService.translateResponse(finalAnswer, originalLanguage);
-
-              // Save interaction to history
-              await this.saveChatInteraction(
-                chatHistory, 
-                query, 
-                refinedQuery, 
-                translatedAnswer, 
-                'high', 
-                bestMatch.score, 
-                originalLanguage, 
-                'synthesized_answer'
-              );
-
-              return res.json({
-                answer: translatedAnswer,
-                score: bestMatch.score,
-                confidence: 'high',
-                type: 'synthesized_answer',
-                language: originalLanguage,
-                sourceCount: relevantMatches.length
-              });
-            }
-          } catch (synthesisError) {
-            console.log(`[SYNTHESIS] Error combining answers: ${synthesisError.message}, using single answer`);
+          const synthesizedAnswer = await this.geminiService.generateText(synthesisPrompt);
+          
+          if (synthesizedAnswer && synthesizedAnswer.trim().length > 0) {
+            // Clean the synthesized answer
+            let finalAnswer = synthesizedAnswer.trim()
+              .replace(/\*+/g, '') // Remove asterisks
+              .replace(/•/g, '') // Remove bullet points
+              .replace(/\*\*/g, '') // Remove bold formatting
+              .replace(/#+/g, '') // Remove headers
+              .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+              .trim();
+
+            console.log(`[SYNTHESIS] Successfully combined ${relevantMatches.length} answers`);
+
+            // Translate response if needed
+            const translatedAnswer = await this.geminiService.translateResponse(finalAnswer, originalLanguage);
+
+            // Every merged pair is a source of the combined answer
+            const sources = relevantMatches.map(match => this.toSource(match));
+
+            // Save interaction to history
+            await this.saveChatInteraction(
+              chatHistory, 
+              query, 
+              refinedQuery, 
+              translatedAnswer, 
+              'high', 
+              bestMatch.score, 
+              originalLanguage, 
+              'synthesized_answer',
+              { responseType: 'synthesized_answer', sources }
+            );
+
+            return {
+              answer: translatedAnswer,
+              score: bestMatch.score,
+              confidence: 'high',
+              type: 'synthesized_answer',
+              language: originalLanguage,
+              sourceCount: relevantMatches.length,
+              sources,
+              retrieval: retrievalSummary
+            };
           }
+        } catch (synthesisError) {
+          console.log(`[SYNTHESIS] Error combining answers: ${synthesisError.message}, using single answer`);
         }
-        
-        // Process single answer (either specific match or fallback)
-        console.log(`[6] Using single answer processing.`);
-        
-        let rawAnswer = bestMatch.answer;
-        
-        // Regex to detect and remove prefixes like "Q1:", "Q91:", "Question:" etc.
-        const questionPrefixRegex = /^(Q\d+:|Question:)\s*/i;
-        const cleanedAnswer = rawAnswer.replace(questionPrefixRegex, '').trim();
-        
-        // Remove asterisks and formatting symbols from stored answers
-        let finalCleanedAnswer = cleanedAnswer
-          .replace(/\*+/g, '') // Remove all asterisks
-          .replace(/•/g, '') // Remove bullet points
-          .replace(/\*\*/g, '') // Remove bold formatting
-          .replace(/#+/g, '') // Remove headers
-          .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-          .trim();
-        
-        let finalAnswer = finalCleanedAnswer;
-
-        // Apply dynamic answer template
-        try {
-          finalAnswer = await this.applyDynamicTemplate(query, finalAnswer);
-        } catch (templateError) {
-          console.log(`[TEMPLATE] Error applying template: ${templateError.message}`);
+      }
+      
+      // Process single answer (either specific match or fallback)
+      console.log(`[6] Using single answer processing.`);
+      
+      let rawAnswer = bestMatch.answer;
+      
+      // Regex to detect and remove prefixes like "Q1:", "Q91:", "Question:" etc.
+      const questionPrefixRegex = /^(Q\d+:|Question:)\s*/i;
+      const cleanedAnswer = rawAnswer.replace(questionPrefixRegex, '').trim();
+      
+      // Remove asterisks and formatting symbols from stored answers
+      let finalCleanedAnswer = cleanedAnswer
+        .replace(/\*+/g, '') // Remove all asterisks
+        .replace(/•/g, '') // Remove bullet points
+        .replace(/\*\*/g, '') // Remove bold formatting
+        .replace(/#+/g, '') // Remove headers
+        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+        .trim();
+      
+      // When streaming, tokens come from the step that produces the visible text:
+      // the extraction for English, otherwise the translation.
+      const streamExtraction = originalLanguage === 'en';
+
+      // Template formatting and direct-answer extraction both work from the
+      // stored answer, so run them together; a usable extraction wins.
+      const [templatedAnswer, directAnswer] = await Promise.all([
+        this.applyDynamicTemplate(query, finalCleanedAnswer),
+        this.extractDirectAnswer(query, cleanedAnswer, { onToken: streamExtraction ? onToken : undefined })
+      ]);
+      const finalAnswer = directAnswer || templatedAnswer;
+      
+      // --- End of Processing ---
+      
+      // Translation, follow-up generation and the completeness check are independent
+      const [translatedAnswer, followUpQuestions, completenessScore] = await Promise.all([
+        this.geminiService.translateResponse(finalAnswer, originalLanguage, { onToken: streamExtraction ? undefined : onToken }),
+        this.generateFollowUpQuestions(query, finalAnswer).then(questions => {
+          emit('followups', { questions });
+          return questions;
+        }),
+        this.checkAnswerCompleteness(query, finalAnswer)
+      ]);
+      emit('answer', { text: translatedAnswer });
+
+      // If completeness is low, try to enrich the answer
+      let enrichedAnswer = translatedAnswer;
+      if (completenessScore < 0.8) {
+        const newEnrichedAnswer = await this.enrichAnswer(query, finalAnswer);
+        if (newEnrichedAnswer) {
+          enrichedAnswer = await this.geminiService.translateResponse(newEnrichedAnswer, originalLanguage);
+          emit('answer', { text: enrichedAnswer });
         }
+      }
 
-        // Smart answer extraction - make answers direct and concise
-        try {
-          const extractionPrompt = `
-Extract the most direct and concise answer from the following Q&A response. Remove unnecessary theory, explanations, or fluff.
-
-User asked: "${query}"
-Full response: "${cleanedAnswer}"
-
-Rules:
-1. Give ONLY the essential information the user needs
-2. Remove marketing language, unnecessary details, theory
-3. For contact info: just give email/phone directly
-4. For pricing: just state the price and key features
-5. For services: list main services only
-6. Keep it concise (1-2 sentences)
-7. Be direct and helpful
-
-Direct answer:`;
-
-          const directAnswer = await this.geminiService.generateText(extractionPrompt);
-          if (directAnswer && directAnswer.trim().length > 0 && directAnswer.trim().length < cleanedAnswer.length) {
-            finalAnswer = directAnswer.trim();
-            console.log(`[EXTRACT] Made answer more direct: ${cleanedAnswer.length} → ${finalAnswer.length} chars`);
-          }
-        } catch (extractError) {
-          console.log(`[EXTRACT] Error extracting direct answer: ${extractError.message}`);
-          // Use cleaned answer as fallback
-        }
-        
-        // --- End of Processing ---
-        
-        // Translate response if needed
-        const translatedAnswer = await this.geminiService.translateResponse(finalAnswer, originalLanguage);
+      const sources = [this.toSource(bestMatch)];
+
+      // Save interaction to history
+      await this.saveChatInteraction(
+        chatHistory, 
+        query, 
+        refinedQuery, 
+        enrichedAnswer, 
+        matchEvaluation.level, 
+        bestMatch.score, 
+        originalLanguage, 
+        bestMatch.question,
+        { responseType: 'answer', sources }
+      );
+
+      const result = {
+        answer: enrichedAnswer,
+        score: bestMatch.score,
+        confidence: matchEvaluation.level,
+        type: 'answer',
+        language: originalLanguage,
+        matchedQuestion: bestMatch.question,
+        sources,
+        completenessScore: completenessScore,
+        followUpQuestions: followUpQuestions.length > 0 ? followUpQuestions : undefined,
+        retrieval: retrievalSummary
+      };
+      // Extraction, templating and enrichment tailor the answer to the query
+      return finalAnswer === finalCleanedAnswer && enrichedAnswer === translatedAnswer ? cacheAnswer(result) : result;
 
-        // Generate smart follow-up questions (top 3 only)
-        let followUpQuestions = [];
-        try {
-          followUpQuestions = await this.generateFollowUpQuestions(query, finalAnswer);
-        } catch (followUpError) {
-          console.log(`[FOLLOW-UP] Error generating follow-up questions: ${followUpError.message}`);
-        }
+    } else {
+      // No Q&A pair is close enough; try answering from the website content
+      console.log('[6] Low confidence match or no match found. Checking website content.');
+      const websiteAnswer = await this.answerFromWebsite(refinedQuery, queryEmbedding, chunkIndex, retrievalConfig.websiteThreshold);
 
-        // Check answer completeness
-        let completenessScore = 1.0;
-        let enrichedAnswer = translatedAnswer;
-        try {
-          completenessScore = await this.checkAnswerCompleteness(query, finalAnswer);
-          // If completeness is low, try to enrich the answer
-          if (completenessScore < 0.8) {
-            const newEnrichedAnswer = await this.enrichAnswer(query, finalAnswer);
-            if (newEnrichedAnswer) {
-              enrichedAnswer = newEnrichedAnswer;
-            }
-          }
-        } catch (completenessError) {
-          console.log(`[COMPLETENESS] Error checking completeness: ${completenessError.message}`);
-        }
+      if (websiteAnswer) {
+        emit('answer', { text: websiteAnswer.answer });
 
-        // Save interaction to history
         await this.saveChatInteraction(
-          chatHistory, 
-          query, 
-          refinedQuery, 
-          enrichedAnswer, 
-          matchEvaluation.level, 
-          bestMatch.score, 
-          originalLanguage, 
-          bestMatch.question
+          chatHistory,
+          query,
+          refinedQuery,
+          websiteAnswer.answer,
+          'medium',
+          websiteAnswer.score,
+          originalLanguage,
+          'website_answer',
+          { responseType: 'website_answer', sources: websiteAnswer.sources }
         );
 
-        return res.json({
-          answer: enrichedAnswer,
-          score: bestMatch.score,
-          confidence: matchEvaluation.level,
-          type: 'answer',
+        return {
+          answer: websiteAnswer.answer,
+          score: websiteAnswer.score,
+          confidence: 'medium',
+          type: 'website_answer',
           language: originalLanguage,
-          matchedQuestion: bestMatch.question,
-          completenessScore: completenessScore,
-          followUpQuestions: followUpQuestions.length > 0 ? followUpQuestions : undefined
-        });
-
-      } else {
-        // Low confidence or no match, return suggestions
-        console.log('[6] Low confidence match or no match found. Returning suggestions.');
-
-        const suggestions = await this.formatSuggestions(topMatches, query, originalLanguage);
-
-        // Save interaction to history
-        await this.saveChatInteraction(chatHistory, query, refinedQuery, 'suggestions_provided', 'low', bestMatch ? bestMatch.score : 0, originalLanguage, null);
-
-        // Translate the "no answer found" message to user's language
-        let noAnswerMessage = "I couldn't find a direct answer to your question, but here are some related topics that might help:";
-        if (originalLanguage !== 'en') {
-          try {
-            noAnswerMessage = await this.geminiService.translateResponse(noAnswerMessage, originalLanguage);
-          } catch (error) {
-            console.error('Error translating no-answer message:', error);
-          }
-        }
+          sources: websiteAnswer.sources
+        };
+      }
 
-        return res.json({
-          answer: noAnswerMessage,
-          suggestions: suggestions,
-          score: bestMatch ? bestMatch.score : 0,
+      if (topMatches.length === 0) {
+        const noDataMessage = await this.geminiService.translateResponse("I'm sorry, I couldn't find an answer to your question in our knowledge base.", originalLanguage);
+        await this.saveChatInteraction(chatHistory, query, refinedQuery, noDataMessage, 'low', 0, originalLanguage, null, { responseType: 'no_data' });
+        recordUnanswered('no_data');
+        return {
+          answer: noDataMessage,
+          score: 0,
           confidence: 'low',
-          type: 'suggestions',
+          type: 'no_data',
           language: originalLanguage,
-          metadata: {
-            originalQuery: query,
-            refinedQuery: refinedQuery,
-            filteredKeywords: filteredKeywords
-          }
-        });
+          sources: []
+        };
       }
 
-    } catch (error) {
-      console.error('Error during semantic search:', error);
-      res.status(500).json({ message: 'An error occurred during the search.' });
+      // Return suggestions from the closest Q&A pairs
+      console.log('[6] No website answer. Returning suggestions.');
+
+      // Translate the suggestions and the "no answer found" message to user's language together
+      const [suggestions, noAnswerMessage] = await Promise.all([
+        this.formatSuggestions(topMatches, query, originalLanguage),
+        this.geminiService.translateResponse("I couldn't find a direct answer to your question, but here are some related topics that might help:", originalLanguage)
+      ]);
+
+      // Save interaction to history
+      await this.saveChatInteraction(chatHistory, query, refinedQuery, 'suggestions_provided', 'low', bestMatch ? bestMatch.score : 0, originalLanguage, null, { responseType: 'suggestions' });
+      recordUnanswered('suggestions');
+
+      return {
+        answer: noAnswerMessage,
+        suggestions: suggestions,
+        score: bestMatch ? bestMatch.score : 0,
+        confidence: 'low',
+        type: 'suggestions',
+        language: originalLanguage,
+        sources: [],
+        metadata: {
+          originalQuery: query,
+          refinedQuery: refinedQuery,
+          filteredKeywords: filteredKeywords
+        },
+        retrieval: retrievalSummary
+      };
     }
-    console.log('--- Search Request Finished ---\n');
   }
 
   // Handle suggestion click with Gemini AI enhancement
   async handleSuggestionClick(req, res) {
-    const { originalQuestion, userLanguage = 'en', clientId, sessionId } = req.body;
+    const { originalQuestion, userLanguage = 'en', sessionId } = req.body;
+    const clientId = req.client._id.toString();
 
     try {
-      console.log(`[SUGGESTION-CLICK] Processing for client: ${clientId}, question: "${originalQuestion}"`);
+      console.log(`[SUGGESTION-CLICK] Processing for client: ${clientId}, question: "${this.redaction.forLog(originalQuestion)}"`);
       
-      if (!originalQuestion || !clientId) {
+      if (!originalQuestion) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required fields: originalQuestion and clientId'
-        });
-      }
-
-      // Verify client exists
-      const client = await Client.findById(clientId);
-      if (!client) {
-        return res.status(404).json({
-          success: false,
-          message: 'Client not found'
+          message: 'Missing required field: originalQuestion'
         });
       }
 
       // Get Q&A data for the client
-      const qaData = await ClientQA.find({ clientId }).select('pairs');
+      const { pairs } = await this.vectorIndex.getIndex(clientId);
       
-      if (!qaData || qaData.length === 0) {
+      if (pairs.length === 0) {
         return res.status(404).json({
           success: false,
           message: 'No Q&A data found for this client'
@@ -947,32 +1107,29 @@ Direct answer:`;
       let bestMatch = null;
       let bestScore = 0;
 
-      for (const qa of qaData) {
-        for (const pair of qa.pairs) {
-          // Check for exact match first
-          if (pair.question && pair.question.toLowerCase().trim() === originalQuestion.toLowerCase().trim()) {
-            bestMatch = pair;
-            bestScore = 1.0;
-            break;
-          }
+      for (const pair of pairs) {
+        // Check for exact match first
+        if (pair.question && pair.question.toLowerCase().trim() === originalQuestion.toLowerCase().trim()) {
+          bestMatch = pair;
+          bestScore = 1.0;
+          break;
+        }
+        
+        // Simple text similarity as fallback
+        if (pair.question) {
+          const words1 = originalQuestion.toLowerCase().split(' ');
+          const words2 = pair.question.toLowerCase().split(' ');
+          const commonWords = words1.filter(word => words2.includes(word));
+          const similarity = commonWords.length / Math.max(words1.length, words2.length);
           
-          // Simple text similarity as fallback
-          if (pair.question) {
-            const words1 = originalQuestion.toLowerCase().split(' ');
-            const words2 = pair.question.toLowerCase().split(' ');
-            const commonWords = words1.filter(word => words2.includes(word));
-            const similarity = commonWords.length / Math.max(words1.length, words2.length);
-            
-            if (similarity > bestScore) {
-              bestMatch = pair;
-              bestScore = similarity;
-            }
+          if (similarity > bestScore) {
+            bestMatch = pair;
+            bestScore = similarity;
           }
         }
-        if (bestScore === 1.0) break; // Exit outer loop if exact match found
       }
 
-      if (!bestMatch || bestScore < 0.3) {
+      if (!bestMatch || bestScore < resolveRetrievalConfig(req.client).suggestionClickFloor) {
         return res.status(404).json({
           success: false,
           message: 'No matching answer found for the selected question'
@@ -994,10 +1151,13 @@ Direct answer:`;
       console.log(`[CLEAN-ANSWER] Cleaned formatting from suggestion answer`);
       
       // Save interaction to chat history if session provided
+      let messageId = null;
+      let sessionToken;
       if (sessionId) {
         try {
           const chatHistory = await this.getOrCreateChatHistory(clientId, sessionId);
-          await this.saveChatInteraction(
+          sessionToken = chatHistory.$locals.sessionToken;
+          messageId = await this.saveChatInteraction(
             chatHistory, 
             originalQuestion, 
             originalQuestion, 
@@ -1005,7 +1165,8 @@ Direct answer:`;
             bestScore >= 0.8 ? 'high' : bestScore >= 0.5 ? 'medium' : 'low',
             bestScore,
             userLanguage,
-            bestMatch.question
+            bestMatch.question,
+            { responseType: 'suggestion_click', sources: [this.toSource({ ...bestMatch, score: bestScore })] }
           );
         } catch (historyError) {
           console.log(`[HISTORY] Failed to save interaction: ${historyError.message}`);
@@ -1019,8 +1180,11 @@ Direct answer:`;
         confidence: bestScore >= 0.8 ? 'high' : bestScore >= 0.5 ? 'medium' : 'low',
         type: 'suggestion_click',
         matchedQuestion: bestMatch.question,
+        sources: [this.toSource({ ...bestMatch, score: bestScore })],
         language: userLanguage,
-        enhanced: false
+        enhanced: false,
+        messageId,
+        sessionToken
       });
 
     } catch (error) {
@@ -1032,35 +1196,21 @@ Direct answer:`;
     }
   }
 
-  // Handle widget chat requests
+  // Widget chat; the client comes from the publishable key (see authenticateWidget)
   async handleWidgetRequest(req, res) {
     try {
-      const { clientId, query, sessionId } = req.body;
+      const { query, sessionId } = req.body;
+      const clientId = req.client._id.toString();
 
-      if (!clientId || !query) {
+      if (!query || !sessionId) {
         return res.status(400).json({
           success: false,
-          message: 'Client ID and query are required'
+          message: 'Query and session ID are required'
         });
       }
 
-      // Create a mock request object for semanticSearch
-      const mockReq = {
-        body: { query, clientId, sessionId }
-      };
-
-      // Create a mock response object to capture the result
-      let semanticResult = null;
-      const mockRes = {
-        json: (data) => {
-          semanticResult = data;
-          return mockRes;
-        },
-        status: (code) => mockRes
-      };
-
-      // Call the same semanticSearch logic used by admin panel
-      await this.semanticSearch(mockReq, mockRes);
+      // Run the same pipeline used by the admin panel
+      const semanticResult = await this.processQuery({ query, clientId, sessionId });
 
       if (semanticResult) {
         // Extract follow-up questions if they exist
@@ -1073,7 +1223,17 @@ Direct answer:`;
           response: semanticResult.answer,
           suggestions: suggestions,
           followUpQuestions: followUpQuestions,
-          completenessScore: completenessScore
+          completenessScore: completenessScore,
+          type: semanticResult.type,
+          sources: semanticResult.sources || [],
+          messageId: semanticResult.messageId,
+          leadForm: semanticResult.leadForm,
+          slots: semanticResult.slots,
+          handoff: semanticResult.handoff,
+          handoffMessage: semanticResult.handoffMessage,
+          flow: semanticResult.flow,
+          // Set on the session's first response; send it with handoff requests
+          sessionToken: semanticResult.sessionToken
         });
       } else {
         return res.status(500).json({
@@ -1091,7 +1251,40 @@ Direct answer:`;
     }
   }
 
-  // Get or create chat history for session
+  // Widget bootstrap: display name and the questions to offer before the first message
+  async getWidgetConfig(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 3, 10);
+      const { pairs } = await this.vectorIndex.getIndex(req.client._id);
+      const leadCapture = resolveLeadCaptureConfig(req.client);
+
+      const priorityQuestions = [...pairs]
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+        .slice(0, limit)
+        .map(p => ({ question: p.question, confidence: p.confidence }));
+
+      res.status(200).json({
+        success: true,
+        config: {
+          name: req.client.name,
+          website: req.client.website,
+          priorityQuestions,
+          leadForm: leadCapture.enabled ? this.leads.getForm(leadCapture) : null,
+          booking: resolveAvailability(req.client).enabled,
+          handoff: resolveHandoffConfig(req.client).enabled
+        }
+      });
+    } catch (error) {
+      console.error('Widget config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Get or create chat history for session. A new session gets a visitor token,
+  // left in chatHistory.$locals.sessionToken for the response.
   async getOrCreateChatHistory(clientId, sessionId, userId = 'anonymous') {
     let chatHistory = await ChatHistory.findOne({ clientId, sessionId });
     
@@ -1112,6 +1305,7 @@ Direct answer:`;
           lastActive: new Date()
         }
       });
+      chatHistory.$locals.sessionToken = chatHistory.issueVisitorToken();
       await chatHistory.save();
       console.log(`[HISTORY] Created new chat history for session: ${sessionId}`);
     }
@@ -1119,58 +1313,6 @@ Direct answer:`;
     return chatHistory;
   }
 
-  // Build context-aware query using chat history
-  async buildContextAwareQuery(originalQuery, chatHistory) {
-    const recentContext = chatHistory.getRecentContext(3);
-    
-    if (recentContext.length === 0) {
-      return originalQuery; // No context available
-    }
-
-    // Create context string from recent conversations
-    const contextString = recentContext
-      .map(msg => `Q: ${msg.query} A: ${msg.response.substring(0, 100)}...`)
-      .join('\n');
-
-    // Use Gemini to create context-aware query
-    try {
-      const contextPrompt = `
-Based on this recent conversation context:
-${contextString}
-
-Current user query: "${originalQuery}"
-
-Please enhance the current query by considering the conversation context. If the current query relates to previous topics, make it more specific. If it's a follow-up question, make the context clear. Return only the enhanced query, nothing else.
-
-Enhanced query:`;
-
-      const enhancedQuery = await this.geminiService.generateText(contextPrompt);
-      
-      if (enhancedQuery && enhancedQuery.trim() !== originalQuery.trim()) {
-        // Validate that enhanced query is actually related to original query
-        const originalWords = originalQuery.toLowerCase().split(/\s+/);
-        const enhancedWords = enhancedQuery.toLowerCase().split(/\s+/);
-        
-        // Check if enhanced query has at least one significant word from original
-        const hasCommonWords = originalWords.some(word => 
-          word.length > 3 && enhancedWords.includes(word)
-        );
-        
-        if (hasCommonWords) {
-          console.log(`[CONTEXT] Original: "${originalQuery}" | Enhanced: "${enhancedQuery}"`);
-          return enhancedQuery.trim();
-        } else {
-          console.log(`[CONTEXT] Enhanced query seems unrelated, using original: "${originalQuery}"`);
-          return originalQuery;
-        }
-      }
-    } catch (error) {
-      console.error('Error building context-aware query:', error);
-    }
-    
-    return originalQuery; // Fallback to original query
-  }
-
   // Apply dynamic answer template using Gemini
   async applyDynamicTemplate(query, answer) {
     try {
@@ -1212,6 +1354,37 @@ Formatted Answer:`;
     return answer; // Return original answer on error or no-op
   }
 
+  // Smart answer extraction - make answers direct and concise
+  async extractDirectAnswer(query, answer, options = {}) {
+    try {
+      const extractionPrompt = `
+Extract the most direct and concise answer from the following Q&A response. Remove unnecessary theory, explanations, or fluff.
+
+User asked: "${query}"
+Full response: "${answer}"
+
+Rules:
+1. Give ONLY the essential information the user needs
+2. Remove marketing language, unnecessary details, theory
+3. For contact info: just give email/phone directly
+4. For pricing: just state the price and key features
+5. For services: list main services only
+6. Keep it concise (1-2 sentences)
+7. Be direct and helpful
+
+Direct answer:`;
+
+      const directAnswer = await this.geminiService.generateText(extractionPrompt, options);
+      if (directAnswer && directAnswer.trim().length > 0 && directAnswer.trim().length < answer.length) {
+        console.log(`[EXTRACT] Made answer more direct: ${answer.length} → ${directAnswer.trim().length} chars`);
+        return directAnswer.trim();
+      }
+    } catch (extractError) {
+      console.log(`[EXTRACT] Error extracting direct answer: ${extractError.message}`);
+    }
+    return null; // Caller keeps the templated answer
+  }
+
   // Generate follow-up questions using Gemini
   async generateFollowUpQuestions(query, answer) {
     try {
@@ -1306,9 +1479,62 @@ Enhanced Answer:`;
     return null; // Return null if no enrichment occurs
   }
 
-  // Get chat history for a specific session
+  // Compose an answer from the client's scraped website passages. The LLM may
+  // only use the passages and replies NO_ANSWER when they don't cover the question.
+  async answerFromWebsite(query, queryEmbedding, chunkIndex, threshold = DEFAULT_RETRIEVAL_CONFIG.websiteThreshold) {
+    const passages = this.vectorIndex.search(chunkIndex, queryEmbedding, WEBSITE_PASSAGE_COUNT)
+      .filter(passage => passage.score >= threshold);
+
+    if (passages.length === 0) {
+      console.log('[WEBSITE] No website passages above threshold.');
+      return null;
+    }
+
+    console.log(`[WEBSITE] Using ${passages.length} website passages (best score ${passages[0].score.toFixed(4)}).`);
+
+    try {
+      const websitePrompt = `
+Answer the user's question using ONLY the website passages below.
+
+User Question: "${query}"
+
+Website Passages:
+${passages.map((passage, index) => `[${index + 1}] ${passage.pageTitle || passage.sourceUrl}\n${passage.text}`).join('\n\n')}
+
+Rules:
+1. Use only facts stated in the passages; do not add outside knowledge
+2. If the passages do not answer the question, respond with exactly NO_ANSWER
+3. Keep the response concise and direct (1-3 sentences)
+4. Write the answer in the same language as the user's question
+5. No asterisks, bullet points, passage numbers or formatting symbols
+
+Answer:`;
+
+      const result = (await this.geminiService.generateText(websitePrompt, { temperature: 0.2 })).trim();
+      if (!result || /NO_ANSWER/.test(result)) {
+        console.log('[WEBSITE] Passages do not answer the question.');
+        return null;
+      }
+
+      const answer = result
+        .replace(/\*+/g, '') // Remove asterisks
+        .replace(/•/g, '') // Remove bullet points
+        .replace(/#+/g, '') // Remove headers
+        .replace(/\[\d+\]/g, '') // Remove passage references
+        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+        .trim();
+
+      return { answer, score: passages[0].score, sources: passages.map(passage => this.toSource(passage)) };
+    } catch (error) {
+      console.log(`[WEBSITE] Error composing website answer: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Get chat history for a specific session (mounted under an owned client, see loadOwnedClient)
   async getChatHistory(req, res) {
-    const { clientId, sessionId } = req.params;
+    const clientId = req.client._id;
+    const { sessionId } = req.params;
 
     try {
       const chatHistory = await ChatHistory.findOne({ clientId, sessionId });
@@ -1341,28 +1567,118 @@ Enhanced Answer:`;
     }
   }
 
-  // Get all chat sessions for a client
+  // Build the ChatHistory filter for the transcript browser. Message filters are
+  // combined in one $elemMatch, so a session matches when a single message
+  // satisfies all of them. Returns { filter } or { error }.
+  buildConversationFilter(clientId, params) {
+    const { from, to, language, confidence, matchedQuestion, noAnswer, search, userId } = params;
+    const filter = { clientId };
+    const conditions = [];
+    const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (from || to) {
+      const timestamp = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) return { error: 'from must be a valid date' };
+        timestamp.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) return { error: 'to must be a valid date' };
+        timestamp.$lte = toDate;
+      }
+      conditions.push({ timestamp });
+    }
+
+    if (language) {
+      conditions.push({ language: { $in: String(language).split(',') } });
+    }
+
+    if (confidence) {
+      const levels = String(confidence).split(',');
+      if (levels.some(level => !['high', 'medium', 'low'].includes(level))) {
+        return { error: 'confidence must be a comma-separated list of high, medium, low' };
+      }
+      conditions.push({ confidence: { $in: levels } });
+    }
+
+    if (matchedQuestion) {
+      conditions.push({ matchedQuestion: { $regex: escapeRegex(String(matchedQuestion)), $options: 'i' } });
+    }
+
+    // Suggestions and no-data replies; older messages only have the 'suggestions_provided' marker
+    if (noAnswer === 'true') {
+      conditions.push({
+        $or: [
+          { responseType: { $in: ['suggestions', 'no_data'] } },
+          { response: 'suggestions_provided' }
+        ]
+      });
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(String(search)), $options: 'i' };
+      conditions.push({ $or: [{ query: pattern }, { response: pattern }] });
+    }
+
+    if (conditions.length > 0) {
+      filter.messages = { $elemMatch: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+    }
+    if (userId) {
+      filter.userId = String(userId);
+    }
+
+    return { filter };
+  }
+
+  // List chat sessions for a client, newest activity first, with transcript filters:
+  // from, to, language, confidence, matchedQuestion, noAnswer=true, search, userId
   async getChatSessions(req, res) {
-    const { clientId } = req.params;
-    const { limit = 20, page = 1 } = req.query;
+    const clientId = req.client._id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
     try {
+      const { filter, error } = this.buildConversationFilter(clientId, req.query);
+      if (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error 
+        });
+      }
+
       const skip = (page - 1) * limit;
       
-      const sessions = await ChatHistory.find({ clientId })
-        .select('sessionId userId metadata.createdAt updatedAt')
-        .sort({ 'metadata.lastActive': -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
-
-      const totalSessions = await ChatHistory.countDocuments({ clientId });
+      const [sessions, totalSessions] = await Promise.all([
+        ChatHistory.aggregate([
+          { $match: filter },
+          { $sort: { 'metadata.lastActive': -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              sessionId: 1,
+              userId: 1,
+              metadata: 1,
+              createdAt: 1,
+              updatedAt: 1,
+              messageCount: { $size: '$messages' },
+              firstQuery: { $arrayElemAt: ['$messages.query', 0] },
+              lastMessage: { $arrayElemAt: ['$messages', -1] }
+            }
+          },
+          { $project: { 'lastMessage.encryptedOriginal': 0 } }
+        ]),
+        ChatHistory.countDocuments(filter)
+      ]);
 
       res.json({
         success: true,
         data: {
           sessions,
           pagination: {
-            currentPage: parseInt(page),
+            currentPage: page,
             totalPages: Math.ceil(totalSessions / limit),
             totalSessions,
             hasMore: skip + sessions.length < totalSessions
@@ -1380,7 +1696,8 @@ Enhanced Answer:`;
 
   // Delete chat history for a specific session
   async deleteChatHistory(req, res) {
-    const { clientId, sessionId } = req.params;
+    const clientId = req.client._id;
+    const { sessionId } = req.params;
 
     try {
       const deletedHistory = await ChatHistory.findOneAndDelete({ clientId, sessionId });
@@ -1412,23 +1729,36 @@ Enhanced Answer:`;
   }
 
   // Save chat interaction to history
-  async saveChatInteraction(chatHistory, query, refinedQuery, response, confidence, score, language, matchedQuestion) {
+  // `extras` carries the response type and the sources the response was built from
+  async saveChatInteraction(chatHistory, query, refinedQuery, response, confidence, score, language, matchedQuestion, extras = {}) {
     try {
+      // Mask PII in what the visitor typed (and any echo of it) before it is stored
+      const redacted = this.redaction.redactMessage(
+        { query, refinedQuery, response },
+        await this.redaction.getClientSettings(chatHistory.clientId)
+      );
       const messageData = {
-        query,
-        refinedQuery,
-        response,
+        query: redacted.query,
+        refinedQuery: redacted.refinedQuery,
+        response: redacted.response,
         confidence,
         score,
         language,
         matchedQuestion,
+        responseType: extras.responseType,
+        sources: extras.sources || [],
+        guardrail: extras.guardrail,
+        redactedTypes: redacted.redactedTypes.length > 0 ? redacted.redactedTypes : undefined,
+        encryptedOriginal: redacted.encryptedOriginal,
         timestamp: new Date()
       };
 
       await chatHistory.addMessage(messageData);
-      console.log(`[HISTORY] Saved interaction - Query: "${query}" | Confidence: ${confidence}`);
+      console.log(`[HISTORY] Saved interaction - Query: "${messageData.query}" | Confidence: ${confidence}${messageData.redactedTypes ? ` | Redacted: ${messageData.redactedTypes.join(', ')}` : ''}`);
+      return chatHistory.messages[chatHistory.messages.length - 1]._id;
     } catch (error) {
       console.error('Error saving chat interaction:', error);
+      return null;
     }
   }
 }
@@ -1,5 +1,7 @@
 const ScrapedChunk = require('../models/ScrapedChunk');
 const Client = require('../models/Client');
+const VectorIndexService = require('../services/vectorIndex.service');
+const JobQueueService = require('../services/jobQueue.service');
 
 class ChunksController {
   // Bulk save chunks from Python scraping service
@@ -67,7 +69,10 @@ class ChunksController {
         sectionType: chunk.sectionType || null,
         isHeader: chunk.isHeader || false,
         semanticMetadata: chunk.semanticMetadata || {},
-        embedding: chunk.embedding,
+        // The scraper's own vectors aren't comparable with query embeddings, so
+        // keep them for reference and re-embed with the client's provider below
+        embedding: chunk.embedding || [],
+        embeddingStatus: 'pending',
         embeddingModel: chunk.embeddingModel || 'all-MiniLM-L6-v2',
         embeddingDimensions: chunk.embeddingDimensions || 384,
         scrapedAt: chunk.scrapedAt ? new Date(chunk.scrapedAt) : new Date(),
@@ -85,11 +90,15 @@ class ChunksController {
       client.lastScrapedAt = new Date();
       await client.save();
 
+      // Embed the new chunks in the background (see jobs/embedChunks.job.js)
+      const embedJob = await JobQueueService.enqueue('embed_chunks', { clientId: client._id, dedupe: true });
+
       res.status(200).json({
         success: true,
         message: `Successfully saved ${savedChunks.length} chunks`,
         chunksCount: savedChunks.length,
         jobId: jobId,
+        embedJobId: embedJob._id,
         clientId: clientId
       });
 
@@ -198,6 +207,7 @@ class ChunksController {
       }
 
       const result = await ScrapedChunk.deleteMany({ clientId });
+      VectorIndexService.invalidate(client._id);
 
       res.status(200).json({
         success: true,
@@ -216,6 +226,49 @@ class ChunksController {
     }
   }
 
+  // Embed a client's pending and failed chunks so they can be used for answers
+  async embedClientChunks(req, res) {
+    try {
+      const { clientId } = req.params;
+
+      // Validate client exists
+      const client = await Client.findById(clientId);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const pendingCount = await ScrapedChunk.countDocuments({
+        clientId: client._id,
+        embeddingStatus: { $in: ['pending', 'failed'] }
+      });
+
+      const job = pendingCount > 0
+        ? await JobQueueService.enqueue('embed_chunks', { clientId: client._id, createdBy: req.admin.id, dedupe: true })
+        : null;
+
+      res.status(202).json({
+        success: true,
+        message: pendingCount > 0
+          ? `Embedding ${pendingCount} chunks in the background`
+          : 'All chunks are already embedded',
+        pendingCount,
+        jobId: job ? job._id : undefined,
+        clientId: clientId
+      });
+
+    } catch (error) {
+      console.error('Error embedding client chunks:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start chunk embedding',
+        error: error.message
+      });
+    }
+  }
+
   // Search chunks by text similarity (for future vector search)
   async searchChunks(req, res) {
     try {
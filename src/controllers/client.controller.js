@@ -1,13 +1,21 @@
+const mongoose = require('mongoose');
 const Client = require('../models/Client');
+const Job = require('../models/Job');
 const httpx = require('axios');
-const scrapeService = require('../services/scrape.service');
-const { v4: uuidv4 } = require('uuid');
-
-// In-memory job storage (simplified for now)
-const activeJobs = {};
-
-// Generate embed script for website integration
-function generateEmbedScript(clientId) {
+const GeminiService = require('../services/gemini.service');
+const VectorIndexService = require('../services/vectorIndex.service');
+const RetrievalService = require('../services/retrieval.service');
+const AnswerCacheService = require('../services/answerCache.service');
+const JobQueueService = require('../services/jobQueue.service');
+const { DEFAULT_RETRIEVAL_CONFIG, resolveRetrievalConfig, mergeRetrievalOverrides } = require('../config/retrieval');
+const { validateLLMConfig } = require('../services/providers');
+
+// Fields PUT /clients/:id may change. The embedding model is part of llmConfig.
+const CLIENT_UPDATE_FIELDS = ['name', 'website', 'description', 'industry', 'contactEmail', 'status', 'scrapingConfig', 'allowedOrigins', 'llmConfig'];
+
+// Generate embed script for website integration. The widget identifies the
+// client by its publishable key, never by the database id.
+function generateEmbedScript(publicKey) {
   const chatbotUrl = process.env.BACKEND_URL || 'http://localhost:5173';
   
   return `<!-- Gemini Chatbot Widget -->
@@ -15,8 +23,8 @@ function generateEmbedScript(clientId) {
   (function() {
     // Chatbot configuration
     window.GeminiChatbotConfig = {
-      clientId: '${clientId}',
-      apiUrl: '${process.env.BACKEND_URL || 'http://localhost:8080'}',
+      publicKey: '${publicKey}',
+      apiUrl: '${process.env.BACKEND_URL || 'http://localhost:8080'}/api/widget/${publicKey}',
       theme: {
         primaryColor: '#007bff',
         position: 'bottom-right',
@@ -139,7 +147,7 @@ class ClientController {
       await client.save();
 
       // Generate and store embed script for website integration
-      const embedScript = generateEmbedScript(client._id);
+      const embedScript = generateEmbedScript(client.publicKey);
       client.embedScript = embedScript;
       client.scriptGeneratedAt = new Date();
       await client.save();
@@ -169,12 +177,57 @@ class ClientController {
   async updateClient(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
 
-      // Remove fields that shouldn't be updated directly
-      delete updates.createdBy;
-      delete updates.totalPagesScrapped;
-      delete updates.lastScrapedAt;
+      // Only plain settings; other fields have their own validated endpoints or
+      // are maintained by the server
+      const updates = {};
+      CLIENT_UPDATE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      if (updates.llmConfig) {
+        const errors = validateLLMConfig(updates.llmConfig);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid llmConfig',
+            errors
+          });
+        }
+      }
+
+      // Stored vectors only compare with queries from the model that made them,
+      // so a new embedding provider or model is applied by a reembed job once
+      // the knowledge base is embedded again; the client answers as before until then
+      let reembedJob = null;
+      if (updates.llmConfig !== undefined) {
+        const current = await Client.findOne({ _id: id, createdBy: req.admin.id }).select('llmConfig');
+        if (!current) {
+          return res.status(404).json({
+            success: false,
+            message: 'Client not found'
+          });
+        }
+
+        const pending = await Job.exists({ type: 'reembed', clientId: current._id, status: { $in: ['queued', 'running'] } });
+        if (pending) {
+          return res.status(409).json({
+            success: false,
+            message: 'The knowledge base is being embedded with a new model; change llmConfig once that job has finished'
+          });
+        }
+
+        const from = GeminiService.getProviderForClient(current);
+        const to = GeminiService.getProviderForClient({ llmConfig: updates.llmConfig });
+        if (from.name !== to.name || from.embeddingModelName !== to.embeddingModelName) {
+          reembedJob = await JobQueueService.enqueue('reembed', {
+            clientId: current._id,
+            payload: { llmConfig: updates.llmConfig },
+            createdBy: req.admin.id
+          });
+          delete updates.llmConfig;
+        }
+      }
 
       const client = await Client.findOneAndUpdate(
         { _id: id, createdBy: req.admin.id },
@@ -189,10 +242,16 @@ class ClientController {
         });
       }
 
-      res.status(200).json({
+      // Settings such as retrievalConfig change what the bot answers
+      AnswerCacheService.clear(client._id);
+
+      res.status(reembedJob ? 202 : 200).json({
         success: true,
-        message: 'Client updated successfully',
-        client: client
+        message: reembedJob
+          ? 'Client updated; llmConfig applies once the knowledge base is embedded with the new model'
+          : 'Client updated successfully',
+        client: client,
+        job_id: reembedJob ? reembedJob._id : undefined
       });
 
     } catch (error) {
@@ -221,6 +280,9 @@ class ClientController {
         });
       }
 
+      VectorIndexService.invalidate(client._id);
+      AnswerCacheService.clear(client._id);
+
       res.status(200).json({
         success: true,
         message: 'Client deleted successfully'
@@ -253,9 +315,6 @@ class ClientController {
         });
       }
 
-      // Generate unique job ID
-      const jobId = uuidv4();
-
       // Prepare scraping request for Node.js scraper
       const scrapeRequest = {
         client_id: client._id.toString(),
@@ -267,40 +326,19 @@ class ClientController {
         }
       };
 
-      // Store job info
-      activeJobs[jobId] = {
-        client_id: client._id.toString(),
-        status: 'queued',
-        created_at: new Date(),
-        urls: scrapeRequest.urls,
-        base_url: scrapeRequest.base_url
-      };
+      // Queued as a job (see jobs/scrape.job.js); chunks are embedded with the client's provider
+      const job = await JobQueueService.enqueue('scrape', {
+        clientId: client._id,
+        payload: scrapeRequest,
+        createdBy: req.admin.id
+      });
+      const jobId = String(job._id);
 
-      console.log(`🚀 Starting Node.js scrape job ${jobId} for client ${client.name}`);
-
-      // Start scraping job asynchronously
-      scrapeService.processScrapeJob(jobId, scrapeRequest)
-        .then(result => {
-          activeJobs[jobId].status = 'completed';
-          activeJobs[jobId].completed_at = new Date();
-          activeJobs[jobId].result = result;
-          console.log(`✅ Scrape job ${jobId} completed successfully`);
-        })
-        .catch(error => {
-          activeJobs[jobId].status = 'failed';
-          activeJobs[jobId].error = error.message;
-          activeJobs[jobId].failed_at = new Date();
-          console.error(`❌ Scrape job ${jobId} failed:`, error);
-        });
-
-      // Update client's last scraping info
-      client.lastScrapingJobId = jobId;
-      client.lastScrapingStarted = new Date();
-      await client.save();
+      console.log(`🚀 Queued Node.js scrape job ${jobId} for client ${client.name}`);
 
       res.status(200).json({
         success: true,
-        message: 'Node.js scraping job started successfully',
+        message: 'Node.js scraping job queued successfully',
         job_id: jobId,
         client_id: client._id,
         urls_found: scrapeRequest.urls.length || 1
@@ -320,23 +358,27 @@ class ClientController {
     try {
       const { jobId } = req.params;
 
-      if (!activeJobs[jobId]) {
+      const job = mongoose.Types.ObjectId.isValid(jobId)
+        ? await Job.findOne({ _id: jobId, type: 'scrape' })
+        : null;
+      const owned = job && await Client.exists({ _id: job.clientId, createdBy: req.admin.id });
+      if (!owned) {
         return res.status(404).json({
           success: false,
           message: 'Job not found'
         });
       }
 
-      const job = activeJobs[jobId];
-
       res.status(200).json({
         success: true,
         job_id: jobId,
-        client_id: job.client_id,
+        client_id: job.clientId,
         status: job.status,
-        created_at: job.created_at,
-        completed_at: job.completed_at,
-        failed_at: job.failed_at,
+        progress: job.progress,
+        progress_message: job.progressMessage,
+        created_at: job.createdAt,
+        completed_at: job.status === 'completed' ? job.finishedAt : undefined,
+        failed_at: job.status === 'failed' ? job.finishedAt : undefined,
         error: job.error,
         result: job.result
       });
@@ -455,10 +497,13 @@ class ClientController {
         });
       }
 
-      // Check if script exists in database, generate if not
+      // Generate the script if it doesn't exist yet or predates publishable keys
+      if (!client.publicKey) {
+        await client.validate();
+      }
       let embedScript = client.embedScript;
-      if (!embedScript) {
-        embedScript = generateEmbedScript(client._id);
+      if (!embedScript || !embedScript.includes(client.publicKey)) {
+        embedScript = generateEmbedScript(client.publicKey);
         client.embedScript = embedScript;
         client.scriptGeneratedAt = new Date();
         await client.save();
@@ -503,7 +548,10 @@ class ClientController {
       }
 
       // Generate new script and save to database
-      const embedScript = generateEmbedScript(client._id);
+      if (!client.publicKey) {
+        await client.validate();
+      }
+      const embedScript = generateEmbedScript(client.publicKey);
       client.embedScript = embedScript;
       client.scriptGeneratedAt = new Date();
       await client.save();
@@ -530,6 +578,48 @@ class ClientController {
     }
   }
 
+  // Replace the client's publishable key. Sites still embedding the old key stop
+  // working until they use the new embed script.
+  async rotateWidgetKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({
+        _id: id,
+        createdBy: req.admin.id
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      client.publicKey = Client.generatePublicKey();
+      client.publicKeyRotatedAt = new Date();
+      client.embedScript = generateEmbedScript(client.publicKey);
+      client.scriptGeneratedAt = new Date();
+      await client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Widget key rotated successfully',
+        publicKey: client.publicKey,
+        publicKeyRotatedAt: client.publicKeyRotatedAt,
+        allowedOrigins: client.getAllowedOrigins(),
+        embedScript: client.embedScript
+      });
+
+    } catch (error) {
+      console.error('Rotate widget key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rotate widget key'
+      });
+    }
+  }
+
   // Export scraped data as CSV
   async exportScrapedDataCSV(req, res) {
     try {
@@ -604,6 +694,238 @@ class ClientController {
       });
     }
   }
+
+  // Get retrieval thresholds for client (effective values, overrides and defaults)
+  async getRetrievalConfig(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const overrides = client.toObject().retrievalConfig || {};
+
+      res.status(200).json({
+        success: true,
+        retrievalConfig: resolveRetrievalConfig(client),
+        overrides,
+        defaults: DEFAULT_RETRIEVAL_CONFIG
+      });
+
+    } catch (error) {
+      console.error('Get retrieval config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get retrieval config'
+      });
+    }
+  }
+
+  // Update retrieval thresholds for client (partial; null resets a setting to its default)
+  async updateRetrievalConfig(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be an object of retrieval settings'
+        });
+      }
+
+      const { overrides, errors } = mergeRetrievalOverrides(client.toObject().retrievalConfig || {}, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid retrieval config',
+          errors
+        });
+      }
+
+      client.retrievalConfig = overrides;
+      await client.save();
+      AnswerCacheService.clear(client._id);
+
+      console.log(`🎚️ Updated retrieval config for client ${client.name}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Retrieval config updated successfully',
+        retrievalConfig: resolveRetrievalConfig(client),
+        overrides: client.toObject().retrievalConfig || {}
+      });
+
+    } catch (error) {
+      console.error('Update retrieval config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update retrieval config'
+      });
+    }
+  }
+
+  // Suggest thresholds from labelled example queries; { apply: true } saves them
+  async calibrateRetrieval(req, res) {
+    try {
+      const { id } = req.params;
+      const { examples, apply = false } = req.body;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      if (!Array.isArray(examples) || examples.length < 3 || examples.length > 200) {
+        return res.status(400).json({
+          success: false,
+          message: 'examples must be an array of 3 to 200 labelled queries'
+        });
+      }
+
+      if (examples.some(example => !example || typeof example.query !== 'string' || !example.query.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every example needs a query; add expectedQuestion or expectedPairId when it should be answered'
+        });
+      }
+
+      if (!examples.some(example => example.expectedQuestion || example.expectedPairId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one example must have an expectedQuestion or expectedPairId'
+        });
+      }
+
+      const config = resolveRetrievalConfig(client);
+      const calibration = await GeminiService.runWithClient(client, () =>
+        RetrievalService.calibrate(client._id, examples, config));
+
+      if (apply) {
+        const { overrides, errors } = mergeRetrievalOverrides(client.toObject().retrievalConfig || {}, calibration.suggested);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Suggested thresholds are not a valid config',
+            errors,
+            calibration
+          });
+        }
+        client.retrievalConfig = { ...overrides, calibratedAt: new Date() };
+        await client.save();
+        AnswerCacheService.clear(client._id);
+        console.log(`🎚️ Applied calibrated thresholds for client ${client.name}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        applied: Boolean(apply),
+        calibration,
+        retrievalConfig: resolveRetrievalConfig(client)
+      });
+
+    } catch (error) {
+      console.error('Calibrate retrieval error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to calibrate retrieval thresholds'
+      });
+    }
+  }
+
+  // Get semantic answer cache stats for client
+  async getAnswerCache(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        client_id: client._id,
+        settings: resolveRetrievalConfig(client).answerCache,
+        ...AnswerCacheService.getStats(client._id)
+      });
+
+    } catch (error) {
+      console.error('Get answer cache error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get answer cache stats'
+      });
+    }
+  }
+
+  // Clear semantic answer cache for client
+  async clearAnswerCache(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const cleared = AnswerCacheService.clear(client._id);
+
+      res.status(200).json({
+        success: true,
+        message: `Cleared ${cleared} cached answers`,
+        cleared
+      });
+
+    } catch (error) {
+      console.error('Clear answer cache error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear answer cache'
+      });
+    }
+  }
 }
 
 module.exports = new ClientController();
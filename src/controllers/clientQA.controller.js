@@ -12,7 +12,10 @@ const xml2js = require('xml2js');
 const { htmlToText } = require('html-to-text');
 const ClientQA = require('../models/ClientQA');
 const Client = require('../models/Client');
-const GeminiService = require('../services/gemini.service');
+const VectorIndexService = require('../services/vectorIndex.service');
+const UploadVersionService = require('../services/uploadVersion.service');
+const ColumnMappingService = require('../services/columnMapping.service');
+const JobQueueService = require('../services/jobQueue.service');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -81,6 +84,30 @@ const upload = multer({
   }
 });
 
+// File types whose columns can be mapped
+const TABULAR_FILE_TYPES = ['csv', 'xlsx'];
+const PREVIEW_SAMPLE_SIZE = 20;
+
+// Column mapping sent with an upload (a JSON string in the multipart form).
+// Returns { mapping, errors }; mapping is undefined when none was sent.
+const readMapping = (body, fileType) => {
+  let mapping = body ? body.mapping : undefined;
+  if (mapping === undefined || mapping === '') {
+    return { mapping: undefined, errors: [] };
+  }
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      return { mapping: undefined, errors: ['mapping must be a JSON object of column names'] };
+    }
+  }
+  if (!TABULAR_FILE_TYPES.includes(fileType)) {
+    return { mapping: undefined, errors: ['A column mapping can only be given for CSV and spreadsheet files'] };
+  }
+  return { mapping, errors: ColumnMappingService.validateMapping(mapping) };
+};
+
 class ClientQAController {
   constructor() {}
 
@@ -116,67 +143,37 @@ class ClientQAController {
 
       // Determine file type
       const fileType = this.getFileType(file.mimetype, file.originalname);
+
+      const { mapping, errors } = readMapping(req.body, fileType);
+      if (errors.length > 0) {
+        fs.unlinkSync(file.path);
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid column mapping',
+          errors
+        });
+      }
       
       // Create ClientQA record
       const clientQA = new ClientQA({
         clientId: client._id,
         fileName: file.originalname,
         fileType: fileType,
-        status: 'processing'
+        columnMapping: mapping,
+        status: 'processing',
+        uploadedBy: req.admin.id,
+        events: [{ type: 'uploaded', adminId: req.admin.id }]
       });
 
       await clientQA.save();
 
-      // Process file asynchronously
-      this.processQAFile(file.path, fileType, clientQA._id)
-        .then(async (result) => {
-          const { pairs, fullText } = result;
-          console.log(`🧠 Generating embeddings for ${pairs.length} questions...`);
-          // Generate embeddings for each question
-          const pairsWithEmbeddings = await Promise.all(
-            pairs.map(async (pair) => {
-              const embedding = await GeminiService.generateEmbedding(pair.question);
-              return { ...pair, embedding };
-            })
-          );
-
-          const successfulPairs = pairsWithEmbeddings.filter(p => p.embedding);
-          console.log(`✅ Generated ${successfulPairs.length} embeddings successfully.`);
-
-          clientQA.pairs = successfulPairs;
-          clientQA.fullText = fullText;
-          clientQA.totalPairs = clientQA.pairs.length;
-          clientQA.status = 'completed';
-          clientQA.processedAt = new Date();
-
-          await clientQA.save();
-          console.log(`💾 Saved ${clientQA.totalPairs} Q&A pairs with embeddings to the database.`);
-          
-          console.log(`✅ Successfully processed ${result.pairs.length} Q&A pairs for client ${client.name}`);
-          
-          // Clean up uploaded file
-          fs.unlinkSync(file.path);
-        })
-        .catch(async (error) => {
-          console.error(`❌ Failed to process Q&A file for client ${client.name}:`, error);
-          
-          // Defensive error handling - ensure we have proper error structure
-          const errorMessage = error && error.message ? error.message : 'Unknown processing error';
-          
-          clientQA.status = 'failed';
-          clientQA.errorMessage = errorMessage;
-          await clientQA.save();
-          
-          // Clean up uploaded file
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        });
+      const job = await this.queueProcessing(clientQA, file, mapping, req.admin.id);
 
       res.status(200).json({
         success: true,
-        message: 'Q&A file uploaded and processing started',
+        message: 'Q&A file uploaded and queued for processing',
         uploadId: clientQA._id,
+        jobId: job._id,
         fileName: file.originalname,
         fileType: fileType
       });
@@ -196,6 +193,345 @@ class ClientQAController {
     }
   }
 
+  // Queue parsing and embedding of an uploaded file (see jobs/qaUpload.job.js).
+  // The upload is marked failed if the job can't be queued.
+  async queueProcessing(clientQA, file, mapping, adminId) {
+    try {
+      const job = await JobQueueService.enqueue('qa_upload', {
+        clientId: clientQA.clientId,
+        payload: { uploadId: clientQA._id, filePath: file.path, mapping },
+        createdBy: adminId
+      });
+      await ClientQA.updateOne({ _id: clientQA._id }, { $set: { jobId: job._id } });
+      return job;
+    } catch (error) {
+      await ClientQA.updateOne(
+        { _id: clientQA._id },
+        { $set: { status: 'failed', errorMessage: 'The file could not be queued for processing' } }
+      );
+      throw error;
+    }
+  }
+
+  // Parse a file without embedding or saving it: detected columns, the proposed
+  // column mapping, a sample of the pairs and warnings. Body (multipart): qaFile,
+  // mapping (optional JSON) to try a mapping before committing the upload.
+  async previewUpload(req, res) {
+    const file = req.file;
+
+    try {
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      const fileType = this.getFileType(file.mimetype, file.originalname);
+      const { mapping, errors } = readMapping(req.body, fileType);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid column mapping',
+          errors
+        });
+      }
+
+      let result;
+      try {
+        result = await this.processQAFile(file.path, fileType, { mapping });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const table = result.table || {};
+      const pairs = result.pairs.filter(pair => !(/Processing Notice$/.test(pair.question) && pair.confidence === 0));
+      const warnings = ColumnMappingService.buildWarnings(result.pairs, table.skipped);
+      (table.sheets || []).filter(sheet => sheet.missingColumns.length > 0).forEach(sheet => {
+        warnings.push({
+          type: 'missing_columns',
+          message: `Sheet '${sheet.name}' is skipped: it has no column(s) ${sheet.missingColumns.join(', ')}`,
+          count: 1
+        });
+      });
+
+      res.status(200).json({
+        success: true,
+        fileName: file.originalname,
+        fileType,
+        totalPairs: pairs.length,
+        columns: table.columns,
+        sheets: table.sheets && table.sheets.map(sheet => ({
+          name: sheet.name,
+          columns: sheet.columns,
+          rowCount: sheet.rowCount,
+          proposedMapping: sheet.proposedMapping,
+          mapping: sheet.mapping,
+          totalPairs: sheet.totalPairs || 0
+        })),
+        proposedMapping: table.columns ? ColumnMappingService.proposeMapping(table.columns) : undefined,
+        mapping: table.mapping,
+        samplePairs: pairs.slice(0, PREVIEW_SAMPLE_SIZE).map(pair => ({
+          question: pair.question,
+          answer: pair.answer,
+          category: pair.category,
+          language: pair.language,
+          confidence: pair.confidence,
+          row: pair.row,
+          source: pair.source
+        })),
+        warnings
+      });
+
+    } catch (error) {
+      console.error('Preview upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview Q&A file'
+      });
+    } finally {
+      if (file && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  }
+
+  // Replace an upload with a new file, kept as the upload's next version. The
+  // current version stays live until the new one has been processed.
+  async replaceUpload(req, res) {
+    const file = req.file;
+    const removeFile = () => {
+      if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    };
+
+    try {
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      const client = await Client.findOne({
+        _id: req.params.id,
+        createdBy: req.admin.id
+      });
+      const upload = client ? await UploadVersionService.findUpload(client._id, req.params.uploadId) : null;
+      if (!upload) {
+        removeFile();
+        return res.status(404).json({
+          success: false,
+          message: client ? 'Upload not found' : 'Client not found'
+        });
+      }
+
+      const fileType = this.getFileType(file.mimetype, file.originalname);
+      const { mapping, errors } = readMapping(req.body, fileType);
+      if (errors.length > 0) {
+        removeFile();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid column mapping',
+          errors
+        });
+      }
+
+      const replacement = await UploadVersionService.startReplacement(upload, {
+        fileName: file.originalname,
+        fileType,
+        columnMapping: mapping
+      }, req.admin.id);
+
+      console.log(`📤 Replacing upload ${replacement.uploadGroupId} of client ${client.name} with ${file.originalname} (version ${replacement.version})`);
+      const job = await this.queueProcessing(replacement, file, mapping, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Replacement file uploaded and queued for processing',
+        uploadId: replacement._id,
+        jobId: job._id,
+        uploadGroupId: replacement.uploadGroupId,
+        version: replacement.version,
+        fileName: file.originalname,
+        fileType
+      });
+
+    } catch (error) {
+      removeFile();
+      if (!error.status) console.error('Replace upload error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to replace upload'
+      });
+    }
+  }
+
+  // Version history of an upload: every version (newest first) and who changed what
+  async getUploadVersions(req, res) {
+    try {
+      const upload = await UploadVersionService.findUpload(req.client._id, req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      const versions = await UploadVersionService.getVersions(upload);
+      const events = versions
+        .flatMap(version => (version.events || []).map(event => ({ ...event, uploadVersion: version.version || 1 })))
+        .sort((a, b) => new Date(b.at) - new Date(a.at));
+
+      res.status(200).json({
+        success: true,
+        uploadGroupId: upload.uploadGroupId || upload._id,
+        deletedAt: upload.deletedAt,
+        versions: versions.map(({ events: versionEvents, ...version }) => ({ ...version, version: version.version || 1 })),
+        events
+      });
+
+    } catch (error) {
+      console.error('Get upload versions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get upload versions'
+      });
+    }
+  }
+
+  // Added, removed and changed pairs between two versions. Query: from, to
+  // (version numbers; default the live version and the one before it)
+  async getUploadDiff(req, res) {
+    try {
+      const fromVersion = req.query.from !== undefined ? parseInt(req.query.from) : undefined;
+      const toVersion = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+      if ([fromVersion, toVersion].some(version => version !== undefined && !(version >= 1))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be version numbers'
+        });
+      }
+
+      const upload = await UploadVersionService.findUpload(req.client._id, req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      const { from, to } = await UploadVersionService.getDiffVersions(upload, { fromVersion, toVersion });
+
+      res.status(200).json({
+        success: true,
+        ...UploadVersionService.diff(from, to)
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Get upload diff error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to compare upload versions'
+      });
+    }
+  }
+
+  // Make an earlier version's pairs live again, as a new version. Body: { version }
+  async rollbackUpload(req, res) {
+    try {
+      const targetVersion = req.body.version;
+      if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'version must be the number of the version to restore'
+        });
+      }
+
+      const upload = await UploadVersionService.findUpload(req.client._id, req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      const version = await UploadVersionService.rollback(upload, targetVersion, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Rolled back to version ${targetVersion}`,
+        uploadId: version._id,
+        uploadGroupId: version.uploadGroupId,
+        version: version.version,
+        totalPairs: version.totalPairs
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Rollback upload error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to roll back upload'
+      });
+    }
+  }
+
+  // Soft-delete an upload: all its versions stop being searched but are kept
+  async deleteUpload(req, res) {
+    try {
+      const upload = await UploadVersionService.findUpload(req.client._id, req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      await UploadVersionService.softDelete(upload, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Upload deleted'
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Delete upload error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to delete upload'
+      });
+    }
+  }
+
+  // Undo a soft delete
+  async restoreUpload(req, res) {
+    try {
+      const upload = await UploadVersionService.findUpload(req.client._id, req.params.uploadId);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      await UploadVersionService.restore(upload, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Upload restored'
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Restore upload error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to restore upload'
+      });
+    }
+  }
+
   // Get file type from MIME type and extension
   getFileType(mimetype, filename = '') {
     const typeMap = {
@@ -254,13 +590,14 @@ class ClientQAController {
     return extensionMap[fileExtension] || 'unknown';
   }
 
-  // Process Q&A file based on type
-  async processQAFile(filePath, fileType, clientQAId) {
+  // Process Q&A file based on type. `options.mapping` picks the columns of
+  // CSV and spreadsheet files.
+  async processQAFile(filePath, fileType, options = {}) {
     console.log(`🔄 Processing ${fileType.toUpperCase()} file: ${filePath}`);
     
     switch (fileType) {
       case 'csv':
-        return await this.parseCSV(filePath);
+        return await this.parseCSV(filePath, options);
       case 'pdf':
         return await this.parsePDF(filePath);
       case 'txt':
@@ -268,7 +605,7 @@ class ClientQAController {
       case 'json':
         return await this.parseJSON(filePath);
       case 'xlsx':
-        return await this.parseXLSX(filePath);
+        return await this.parseXLSX(filePath, options);
       case 'markdown':
         return await this.parseMarkdown(filePath);
       case 'docx':
@@ -290,109 +627,57 @@ class ClientQAController {
     }
   }
 
-  // Parse CSV file with enhanced format support
-  async parseCSV(filePath) {
+  // Parse CSV file. Columns come from `options.mapping`, or are detected from
+  // the headers. The result's `table` describes the columns for previews.
+  async parseCSV(filePath, options = {}) {
+    const { columns, rows } = await this.readCSVTable(filePath);
+    console.log(`📋 CSV Headers detected: ${columns.join(', ')}`);
+
+    const mapping = options.mapping || ColumnMappingService.proposeMapping(columns);
+    const missing = ColumnMappingService.missingColumns(mapping, columns);
+    if (missing.length > 0) {
+      throw new Error(`Column(s) not found in the CSV file: ${missing.join(', ')}. Detected headers: ${columns.join(', ')}`);
+    }
+
+    const { pairs, skipped } = ColumnMappingService.extractPairs(rows, mapping);
+    console.log(`📊 Parsed ${pairs.length} Q&A pairs from CSV (${skipped.length} rows skipped)`);
+
+    if (pairs.length === 0) {
+      console.log(`⚠️ No valid Q&A pairs found. Headers were: ${columns.join(', ')}`);
+      console.log(`💡 Expected columns: question/q, answer/a, category (optional), language (optional), confidence (optional)`);
+    }
+
+    return {
+      pairs: pairs.length > 0 ? pairs : [{
+        question: 'CSV Processing Notice',
+        answer: `CSV file was processed but no valid Q&A pairs were found. Please ensure your CSV has columns named 'question' and 'answer' (or 'q' and 'a'). Detected headers: ${columns.join(', ')}`,
+        category: 'info',
+        confidence: 0.0
+      }],
+      fullText: pairs.map(p => `Q: ${p.question}\nA: ${p.answer}`).join('\n\n'),
+      table: { columns, mapping, skipped }
+    };
+  }
+
+  // Headers and rows of a CSV file; the separator is detected from the header line
+  async readCSVTable(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+    const separator = ColumnMappingService.detectSeparator(content.split(/\r?\n/, 1)[0]);
+
     return new Promise((resolve, reject) => {
-      const pairs = [];
-      let headers = [];
-      let isFirstRow = true;
-      
+      const rows = [];
+      let columns = [];
+
       fs.createReadStream(filePath)
         .pipe(csv({
-          skipEmptyLines: true,
-          skipLinesWithError: true,
-          separator: 'auto' // Auto-detect separator
+          separator,
+          mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
         }))
         .on('headers', (headerList) => {
-          headers = headerList.map(h => h.toLowerCase().trim());
-          console.log(`📋 CSV Headers detected: ${headers.join(', ')}`);
-        })
-        .on('data', (row) => {
-          try {
-            // Multiple column name variations support
-            const questionKeys = ['question', 'q', 'query', 'ask', 'प्रश्न', 'pregunta', 'frage'];
-            const answerKeys = ['answer', 'a', 'response', 'reply', 'उत्तर', 'respuesta', 'antwort'];
-            const categoryKeys = ['category', 'cat', 'type', 'topic', 'श्रेणी', 'categoría', 'kategorie'];
-            const confidenceKeys = ['confidence', 'conf', 'score', 'weight'];
-            
-            let question = '';
-            let answer = '';
-            let category = 'general';
-            let confidence = 1.0;
-            
-            // Find question column
-            for (const key of questionKeys) {
-              if (row[key]) {
-                question = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find answer column
-            for (const key of answerKeys) {
-              if (row[key]) {
-                answer = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find category column
-            for (const key of categoryKeys) {
-              if (row[key]) {
-                category = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find confidence column
-            for (const key of confidenceKeys) {
-              if (row[key]) {
-                const conf = parseFloat(row[key]);
-                if (!isNaN(conf)) {
-                  confidence = Math.max(0, Math.min(1, conf)); // Clamp between 0 and 1
-                }
-                break;
-              }
-            }
-            
-            // If no structured columns found, try to use first two columns
-            if (!question && !answer && Object.keys(row).length >= 2) {
-              const values = Object.values(row);
-              question = values[0] ? values[0].toString().trim() : '';
-              answer = values[1] ? values[1].toString().trim() : '';
-              console.log(`⚠️ Using first two columns as Q&A: "${question.substring(0, 50)}..." -> "${answer.substring(0, 50)}..."`);
-            }
-            
-            if (question && answer && question.length > 3 && answer.length > 3) {
-              pairs.push({
-                question: question.substring(0, 500),
-                answer: answer.substring(0, 1000),
-                category: category || 'general',
-                confidence: confidence
-              });
-            }
-          } catch (rowError) {
-            console.warn(`⚠️ Skipping malformed CSV row: ${rowError.message}`);
-          }
-        })
-        .on('end', () => {
-          console.log(`📊 Parsed ${pairs.length} Q&A pairs from CSV`);
-          
-          if (pairs.length === 0) {
-            console.log(`⚠️ No valid Q&A pairs found. Headers were: ${headers.join(', ')}`);
-            console.log(`💡 Expected columns: question/q, answer/a, category (optional), confidence (optional)`);
-          }
-          
-          resolve({
-            pairs: pairs.length > 0 ? pairs : [{
-              question: 'CSV Processing Notice',
-              answer: `CSV file was processed but no valid Q&A pairs were found. Please ensure your CSV has columns named 'question' and 'answer' (or 'q' and 'a'). Detected headers: ${headers.join(', ')}`,
-              category: 'info',
-              confidence: 0.0
-            }],
-            fullText: pairs.map(p => `Q: ${p.question}\nA: ${p.answer}`).join('\n\n')
-          });
+          columns = headerList;
         })
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve({ columns, rows }))
         .on('error', (error) => {
           console.error('CSV parsing error:', error);
           reject(new Error(`Failed to parse CSV file: ${error.message}`));
@@ -734,128 +1019,81 @@ class ClientQAController {
     }
   }
 
-  // Parse XLSX file with enhanced format support
-  async parseXLSX(filePath) {
+  // Parse XLSX file, all sheets. Columns come from `options.mapping` (applied
+  // to every sheet; sheets without the mapped columns are skipped), or are
+  // detected from each sheet's headers.
+  async parseXLSX(filePath, options = {}) {
+    let workbook;
     try {
-      const workbook = XLSX.readFile(filePath);
-      console.log(`📊 XLSX file has ${workbook.SheetNames.length} sheets: ${workbook.SheetNames.join(', ')}`);
-      
-      const pairs = [];
-      
-      // Process all sheets
-      for (const sheetName of workbook.SheetNames) {
-        console.log(`🔍 Processing sheet: ${sheetName}`);
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-          defval: '', // Default value for empty cells
-          blankrows: false // Skip blank rows
-        });
-        
-        if (jsonData.length === 0) {
-          console.log(`⚠️ Sheet '${sheetName}' is empty, skipping...`);
-          continue;
-        }
-        
-        // Get headers for debugging
-        const headers = Object.keys(jsonData[0] || {}).map(h => h.toLowerCase().trim());
-        console.log(`📋 Sheet '${sheetName}' headers: ${headers.join(', ')}`);
-        
-        for (const row of jsonData) {
-          try {
-            // Multiple column name variations support
-            const questionKeys = ['question', 'q', 'query', 'ask', 'प्रश्न', 'pregunta', 'frage'];
-            const answerKeys = ['answer', 'a', 'response', 'reply', 'उत्तर', 'respuesta', 'antwort'];
-            const categoryKeys = ['category', 'cat', 'type', 'topic', 'श्रेणी', 'categoría', 'kategorie'];
-            const confidenceKeys = ['confidence', 'conf', 'score', 'weight'];
-            
-            let question = '';
-            let answer = '';
-            let category = 'general';
-            let confidence = 1.0;
-            
-            // Find question column (case-insensitive)
-            for (const key of Object.keys(row)) {
-              const lowerKey = key.toLowerCase().trim();
-              if (questionKeys.includes(lowerKey) && row[key]) {
-                question = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find answer column (case-insensitive)
-            for (const key of Object.keys(row)) {
-              const lowerKey = key.toLowerCase().trim();
-              if (answerKeys.includes(lowerKey) && row[key]) {
-                answer = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find category column
-            for (const key of Object.keys(row)) {
-              const lowerKey = key.toLowerCase().trim();
-              if (categoryKeys.includes(lowerKey) && row[key]) {
-                category = row[key].toString().trim();
-                break;
-              }
-            }
-            
-            // Find confidence column
-            for (const key of Object.keys(row)) {
-              const lowerKey = key.toLowerCase().trim();
-              if (confidenceKeys.includes(lowerKey) && row[key]) {
-                const conf = parseFloat(row[key]);
-                if (!isNaN(conf)) {
-                  confidence = Math.max(0, Math.min(1, conf));
-                }
-                break;
-              }
-            }
-            
-            // If no structured columns found, try to use first two columns
-            if (!question && !answer && Object.keys(row).length >= 2) {
-              const values = Object.values(row);
-              question = values[0] ? values[0].toString().trim() : '';
-              answer = values[1] ? values[1].toString().trim() : '';
-              console.log(`⚠️ Using first two columns as Q&A in sheet '${sheetName}'`);
-            }
-            
-            if (question && answer && question.length > 3 && answer.length > 3) {
-              pairs.push({
-                question: question.substring(0, 500),
-                answer: answer.substring(0, 1000),
-                category: category || 'general',
-                confidence: confidence,
-                source: `Sheet: ${sheetName}`
-              });
-            }
-          } catch (rowError) {
-            console.warn(`⚠️ Skipping malformed row in sheet '${sheetName}': ${rowError.message}`);
-          }
-        }
-      }
-      
-      console.log(`📊 Parsed ${pairs.length} Q&A pairs from XLSX (${workbook.SheetNames.length} sheets)`);
-      
-      if (pairs.length === 0) {
-        console.log(`⚠️ No valid Q&A pairs found in any sheet`);
-        console.log(`💡 Expected columns: question/q, answer/a, category (optional), confidence (optional)`);
-      }
-      
-      return {
-        pairs: pairs.length > 0 ? pairs : [{
-          question: 'XLSX Processing Notice',
-          answer: `XLSX file was processed but no valid Q&A pairs were found. Please ensure your spreadsheet has columns named 'question' and 'answer' (or 'q' and 'a'). Processed ${workbook.SheetNames.length} sheets: ${workbook.SheetNames.join(', ')}`,
-          category: 'info',
-          confidence: 0.0
-        }],
-        fullText: pairs.map(p => `Q: ${p.question}\nA: ${p.answer}`).join('\n\n')
-      };
-      
+      workbook = XLSX.readFile(filePath);
     } catch (error) {
       console.error('XLSX parsing error:', error);
       throw new Error(`Failed to parse XLSX file: ${error.message}`);
     }
+    console.log(`📊 XLSX file has ${workbook.SheetNames.length} sheets: ${workbook.SheetNames.join(', ')}`);
+
+    const pairs = [];
+    const skipped = [];
+    const sheets = [];
+
+    for (const sheetName of workbook.SheetNames) {
+      const worksheet = workbook.Sheets[sheetName];
+      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+        defval: '', // Default value for empty cells
+        blankrows: false // Skip blank rows
+      });
+
+      if (jsonData.length === 0) {
+        console.log(`⚠️ Sheet '${sheetName}' is empty, skipping...`);
+        continue;
+      }
+
+      const columns = Object.keys(jsonData[0]);
+      const proposedMapping = ColumnMappingService.proposeMapping(columns);
+      const mapping = options.mapping || proposedMapping;
+      const missingColumns = ColumnMappingService.missingColumns(mapping, columns);
+      const sheet = { name: sheetName, columns, rowCount: jsonData.length, proposedMapping, mapping, missingColumns };
+      sheets.push(sheet);
+      console.log(`📋 Sheet '${sheetName}' headers: ${columns.join(', ')}`);
+
+      if (missingColumns.length > 0) {
+        console.log(`⚠️ Sheet '${sheetName}' has no column(s) ${missingColumns.join(', ')}, skipping...`);
+        continue;
+      }
+
+      const extracted = ColumnMappingService.extractPairs(jsonData, mapping, { source: `Sheet: ${sheetName}` });
+      pairs.push(...extracted.pairs);
+      skipped.push(...extracted.skipped);
+      sheet.totalPairs = extracted.pairs.length;
+    }
+
+    if (options.mapping && sheets.length > 0 && sheets.every(sheet => sheet.missingColumns.length > 0)) {
+      throw new Error(`Column(s) not found in any sheet: ${sheets[0].missingColumns.join(', ')}. Sheet '${sheets[0].name}' has: ${sheets[0].columns.join(', ')}`);
+    }
+
+    console.log(`📊 Parsed ${pairs.length} Q&A pairs from XLSX (${workbook.SheetNames.length} sheets, ${skipped.length} rows skipped)`);
+
+    if (pairs.length === 0) {
+      console.log(`⚠️ No valid Q&A pairs found in any sheet`);
+      console.log(`💡 Expected columns: question/q, answer/a, category (optional), language (optional), confidence (optional)`);
+    }
+
+    const columns = [...new Set(sheets.flatMap(sheet => sheet.columns))];
+    return {
+      pairs: pairs.length > 0 ? pairs : [{
+        question: 'XLSX Processing Notice',
+        answer: `XLSX file was processed but no valid Q&A pairs were found. Please ensure your spreadsheet has columns named 'question' and 'answer' (or 'q' and 'a'). Processed ${workbook.SheetNames.length} sheets: ${workbook.SheetNames.join(', ')}`,
+        category: 'info',
+        confidence: 0.0
+      }],
+      fullText: pairs.map(p => `Q: ${p.question}\nA: ${p.answer}`).join('\n\n'),
+      table: {
+        columns,
+        mapping: options.mapping || (sheets.length > 0 ? sheets[0].mapping : ColumnMappingService.proposeMapping([])),
+        sheets,
+        skipped
+      }
+    };
   }
 
   // Parse Markdown file
@@ -1314,6 +1552,46 @@ class ClientQAController {
     };
   }
 
+  // Get in-memory vector index stats for client
+  async getVectorIndexStats(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await Client.findOne({ 
+        _id: id, 
+        createdBy: req.admin.id 
+      });
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      // Load the indexes if this process hasn't built them yet
+      if (req.query.warm === 'true') {
+        await Promise.all([
+          VectorIndexService.getIndex(client._id),
+          VectorIndexService.getChunkIndex(client._id)
+        ]);
+      }
+
+      res.status(200).json({
+        success: true,
+        client_id: client._id,
+        ...VectorIndexService.getStats(client._id)
+      });
+
+    } catch (error) {
+      console.error('Get vector index stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get vector index stats'
+      });
+    }
+  }
+
   // Get Q&A data for client
   async getClientQA(req, res) {
     try {
@@ -1331,10 +1609,21 @@ class ClientQAController {
         });
       }
 
-      const qaRecords = await ClientQA.find({ clientId: client._id })
+      // Live versions plus replacements still processing or failed; older
+      // versions are listed by GET /uploads/:uploadId/versions
+      const filter = {
+        clientId: client._id,
+        $or: [{ isActive: { $ne: false } }, { status: { $ne: 'completed' } }]
+      };
+      if (req.query.includeDeleted !== 'true') {
+        filter.deletedAt = null;
+      }
+      const qaRecords = await ClientQA.find(filter)
         .sort({ uploadedAt: -1 });
 
-      const totalPairs = qaRecords.reduce((sum, record) => sum + record.totalPairs, 0);
+      const totalPairs = qaRecords
+        .filter(record => record.status === 'completed' && record.isActive !== false && !record.deletedAt)
+        .reduce((sum, record) => sum + record.totalPairs, 0);
 
       // Debug logging
       console.log(`🔍 DEBUG - Client QA Data for ${client.name}:`);
@@ -1364,17 +1653,26 @@ class ClientQAController {
         total_pairs: totalPairs,
         uploads: qaRecords.map(record => ({
           id: record._id,
+          uploadGroupId: record.uploadGroupId || record._id,
+          version: record.version || 1,
+          isActive: record.isActive !== false,
+          changeType: record.changeType,
+          deletedAt: record.deletedAt,
           fileName: record.fileName,
           fileType: record.fileType,
           uploadedAt: record.uploadedAt,
           processedAt: record.processedAt,
           totalPairs: record.totalPairs,
+          // Pairs kept without an embedding; retried by POST /qa-pairs/embed
+          failedEmbeddings: record.pairs.filter(pair => pair.embeddingStatus === 'failed').length,
           status: record.status,
           errorMessage: record.errorMessage,
+          jobId: record.jobId,
           samplePairs: record.pairs ? record.pairs.slice(0, 3).map(pair => ({
             question: pair.question.substring(0, 200),
             answer: pair.answer.substring(0, 200),
             category: pair.category,
+            language: pair.language,
             confidence: pair.confidence
           })) : []
         }))
@@ -1396,5 +1694,14 @@ const clientQAController = new ClientQAController();
 module.exports = {
   upload: upload.single('qaFile'),
   uploadQAPairs: clientQAController.uploadQAPairs.bind(clientQAController),
-  getClientQA: clientQAController.getClientQA.bind(clientQAController)
+  previewUpload: clientQAController.previewUpload.bind(clientQAController),
+  getClientQA: clientQAController.getClientQA.bind(clientQAController),
+  getVectorIndexStats: clientQAController.getVectorIndexStats.bind(clientQAController),
+  replaceUpload: clientQAController.replaceUpload.bind(clientQAController),
+  getUploadVersions: clientQAController.getUploadVersions.bind(clientQAController),
+  getUploadDiff: clientQAController.getUploadDiff.bind(clientQAController),
+  rollbackUpload: clientQAController.rollbackUpload.bind(clientQAController),
+  deleteUpload: clientQAController.deleteUpload.bind(clientQAController),
+  restoreUpload: clientQAController.restoreUpload.bind(clientQAController),
+  processQAFile: clientQAController.processQAFile.bind(clientQAController)
 };
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { FEEDBACK_REASONS } = require('../models/ChatHistory');
+const FeedbackService = require('../services/feedback.service');
+
+class FeedbackController {
+  // Rate a bot response. Body: { sessionId, messageId, rating: 'up'|'down', reason, comment }
+  // (plus clientId on /api/chat); the client is in req.client
+  async submitFeedback(req, res) {
+    try {
+      const { sessionId, messageId, rating, reason, comment } = req.body;
+      const clientId = req.client._id.toString();
+
+      if (!sessionId || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session ID and message ID are required'
+        });
+      }
+
+      if (!['up', 'down'].includes(rating)) {
+        return res.status(400).json({
+          success: false,
+          message: 'rating must be up or down'
+        });
+      }
+
+      if (reason !== undefined && reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `reason must be one of ${FEEDBACK_REASONS.join(', ')}`
+        });
+      }
+
+      if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+        return res.status(400).json({
+          success: false,
+          message: 'comment must be a string of at most 1000 characters'
+        });
+      }
+
+      const feedback = await FeedbackService.rateMessage(clientId, String(sessionId), messageId, {
+        rating,
+        reason: reason || undefined,
+        comment: comment || undefined
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Thanks for your feedback',
+        feedback
+      });
+
+    } catch (error) {
+      console.error('Submit feedback error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to save feedback'
+      });
+    }
+  }
+
+  // Rating totals and the most disliked pairs. Query: from, to
+  async getFeedbackSummary(req, res) {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : undefined;
+      const to = req.query.to ? new Date(req.query.to) : undefined;
+
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+
+      const summary = await FeedbackService.getSummary(req.client._id, { from, to });
+
+      res.status(200).json({
+        success: true,
+        feedback: summary
+      });
+
+    } catch (error) {
+      console.error('Get feedback summary error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get feedback summary'
+      });
+    }
+  }
+
+  // Low-rated pairs awaiting review. Query: minDown (default 2), minDownRate (default 0.5), limit
+  async getReviewQueue(req, res) {
+    try {
+      const minDown = Math.max(parseInt(req.query.minDown) || 2, 1);
+      const minDownRate = req.query.minDownRate !== undefined ? parseFloat(req.query.minDownRate) : 0.5;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      if (isNaN(minDownRate) || minDownRate < 0 || minDownRate > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'minDownRate must be a number between 0 and 1'
+        });
+      }
+
+      const queue = await FeedbackService.getReviewQueue(req.client._id, { minDown, minDownRate, limit });
+
+      res.status(200).json({
+        success: true,
+        queue,
+        total: queue.length
+      });
+
+    } catch (error) {
+      console.error('Get review queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get review queue'
+      });
+    }
+  }
+
+  // Mark a pair as reviewed, removing it from the queue until new down ratings arrive
+  async resolveReview(req, res) {
+    try {
+      const { pairId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(pairId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pair ID'
+        });
+      }
+
+      const found = await FeedbackService.markReviewed(req.client._id, pairId);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Q&A pair not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Pair marked as reviewed'
+      });
+
+    } catch (error) {
+      console.error('Resolve review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark pair as reviewed'
+      });
+    }
+  }
+}
+
+module.exports = new FeedbackController();
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Flow = require('../models/Flow');
+const FlowService = require('../services/flow.service');
+
+// Load a flow of the client loaded by loadOwnedClient; null if not found
+const findFlow = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.flowId)) {
+    return null;
+  }
+  return Flow.findOne({ _id: req.params.flowId, clientId: req.client._id });
+};
+
+// Fields kept for each node type; anything else in the request is dropped
+const NODE_FIELDS = {
+  message: ['text', 'next'],
+  buttons: ['text', 'buttons', 'variable'],
+  input: ['text', 'next', 'variable', 'validation', 'errorMessage'],
+  condition: ['conditions', 'defaultNext'],
+  qa_answer: ['text', 'next', 'pairId'],
+  lead_capture: ['text', 'next'],
+  handoff: ['text', 'next']
+};
+
+const pick = (source, keys) => {
+  const picked = {};
+  keys.forEach(key => {
+    if (source[key] !== undefined && source[key] !== null) picked[key] = source[key];
+  });
+  return picked;
+};
+
+const pickNode = (node) => {
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  const picked = { id: node.id, type: node.type, ...pick(node, NODE_FIELDS[node.type] || []) };
+  if (Array.isArray(picked.buttons)) {
+    picked.buttons = picked.buttons.map(button => button && typeof button === 'object' ? pick(button, ['label', 'value', 'next']) : button);
+  }
+  if (Array.isArray(picked.conditions)) {
+    picked.conditions = picked.conditions.map(condition => condition && typeof condition === 'object'
+      ? pick(condition, ['variable', 'operator', 'value', 'next'])
+      : condition);
+  }
+  if (picked.validation && typeof picked.validation === 'object') {
+    picked.validation = pick(picked.validation, ['type', 'pattern', 'min', 'max']);
+  }
+  return picked;
+};
+
+// Apply the request body over the current flow (the defaults when creating).
+// Returns { flow, errors } with the flow checked by FlowService.validateFlow.
+const buildFlow = (current, body) => {
+  const { name, description, enabled, triggers, startNodeId, nodes } = body;
+  const flow = { ...current };
+  const errors = [];
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      errors.push('name must be at most 100 characters');
+    }
+    flow.name = name;
+  }
+  if (description !== undefined) flow.description = description;
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') errors.push('enabled must be a boolean');
+    flow.enabled = enabled;
+  }
+  if (triggers !== undefined) {
+    if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) {
+      errors.push('triggers must be an object');
+    } else {
+      flow.triggers = {
+        intents: triggers.intents === undefined ? [] : triggers.intents,
+        keywords: Array.isArray(triggers.keywords)
+          ? triggers.keywords.map(keyword => typeof keyword === 'string' ? keyword.trim().toLowerCase() : keyword)
+          : (triggers.keywords === undefined ? [] : triggers.keywords)
+      };
+    }
+  }
+  if (startNodeId !== undefined) flow.startNodeId = startNodeId;
+  if (nodes !== undefined) {
+    flow.nodes = Array.isArray(nodes) ? nodes.map(pickNode) : nodes;
+  }
+
+  if (!flow.name) {
+    errors.push('Name is required');
+  }
+  if (errors.length === 0) {
+    errors.push(...FlowService.validateFlow(flow));
+  }
+  return { flow, errors };
+};
+
+class FlowController {
+  // List the client's flows
+  async getFlows(req, res) {
+    try {
+      const flows = await Flow.find({ clientId: req.client._id })
+        .select('name description enabled triggers startNodeId nodes.id createdAt updatedAt')
+        .sort({ updatedAt: -1 })
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        flows: flows.map(flow => ({
+          _id: flow._id,
+          name: flow.name,
+          description: flow.description,
+          enabled: flow.enabled,
+          triggers: flow.triggers,
+          totalNodes: flow.nodes.length,
+          createdAt: flow.createdAt,
+          updatedAt: flow.updatedAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get flows error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get flows'
+      });
+    }
+  }
+
+  // Create a flow. Body: { name, description, enabled, triggers: { intents, keywords }, startNodeId, nodes }
+  async createFlow(req, res) {
+    try {
+      const { flow, errors } = buildFlow({ enabled: true, triggers: { intents: [], keywords: [] } }, req.body);
+      if (errors.length === 0) {
+        errors.push(...await FlowService.validateReferences(req.client._id, flow));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid flow',
+          errors
+        });
+      }
+
+      const created = await Flow.create({
+        ...flow,
+        clientId: req.client._id,
+        createdBy: req.admin.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Flow created successfully',
+        flow: created
+      });
+
+    } catch (error) {
+      console.error('Create flow error:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A flow with this name already exists for this client'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create flow'
+      });
+    }
+  }
+
+  // Get a flow with its nodes
+  async getFlow(req, res) {
+    try {
+      const flow = await findFlow(req);
+      if (!flow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Flow not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        flow
+      });
+
+    } catch (error) {
+      console.error('Get flow error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get flow'
+      });
+    }
+  }
+
+  // Update a flow. Body: any of the create fields; `nodes` replaces the whole list.
+  // Visitors in the middle of the flow leave it if their current node is removed.
+  async updateFlow(req, res) {
+    try {
+      const existing = await findFlow(req);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Flow not found'
+        });
+      }
+
+      const current = existing.toObject();
+      const { flow, errors } = buildFlow({
+        name: current.name,
+        description: current.description,
+        enabled: current.enabled,
+        triggers: current.triggers,
+        startNodeId: current.startNodeId,
+        nodes: current.nodes
+      }, req.body);
+      if (errors.length === 0) {
+        errors.push(...await FlowService.validateReferences(req.client._id, flow));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid flow',
+          errors
+        });
+      }
+
+      existing.set(flow);
+      await existing.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Flow updated successfully',
+        flow: existing
+      });
+
+    } catch (error) {
+      console.error('Update flow error:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A flow with this name already exists for this client'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update flow'
+      });
+    }
+  }
+
+  // Delete a flow; sessions in it go back to normal answers on their next message
+  async deleteFlow(req, res) {
+    try {
+      const flow = mongoose.Types.ObjectId.isValid(req.params.flowId)
+        ? await Flow.findOneAndDelete({ _id: req.params.flowId, clientId: req.client._id })
+        : null;
+      if (!flow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Flow not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Flow deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete flow error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete flow'
+      });
+    }
+  }
+}
+
+module.exports = new FlowController();
@@ -0,0 +1,99 @@
+const GeminiService = require('../services/gemini.service');
+const GuardrailService = require('../services/guardrail.service');
+const { resolveGuardrailPolicy, mergeGuardrailPolicy } = require('../config/guardrails');
+
+// Stored policy as plain JSON (refusalMessages is a Mongoose map)
+const storedPolicy = client => client.toObject({ flattenMaps: true }).guardrailPolicy || {};
+
+class GuardrailController {
+  // Get the guardrail policy: stored settings and the effective policy
+  async getGuardrailPolicy(req, res) {
+    res.status(200).json({
+      success: true,
+      guardrailPolicy: storedPolicy(req.client),
+      effective: resolveGuardrailPolicy(req.client)
+    });
+  }
+
+  // Update the guardrail policy. Body: partial policy; null resets a setting to its default
+  async updateGuardrailPolicy(req, res) {
+    try {
+      const { stored, errors } = mergeGuardrailPolicy(storedPolicy(req.client), req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid guardrail policy',
+          errors
+        });
+      }
+
+      req.client.guardrailPolicy = stored;
+      await req.client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Guardrail policy updated successfully',
+        guardrailPolicy: storedPolicy(req.client),
+        effective: resolveGuardrailPolicy(req.client)
+      });
+
+    } catch (error) {
+      console.error('Update guardrail policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update guardrail policy'
+      });
+    }
+  }
+
+  // Run a query through the policy and report every check.
+  // Body: { query, language, policy } - policy is an optional draft update to try before saving it
+  async testGuardrailPolicy(req, res) {
+    try {
+      const { query, language = 'en', policy: draft } = req.body;
+      if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query is required'
+        });
+      }
+
+      let policy = resolveGuardrailPolicy(req.client);
+      if (draft !== undefined) {
+        const { stored, errors } = mergeGuardrailPolicy(storedPolicy(req.client), draft || {});
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid guardrail policy',
+            errors
+          });
+        }
+        policy = resolveGuardrailPolicy({ guardrailPolicy: stored });
+      }
+
+      const result = await GeminiService.runWithClient(req.client, async () => {
+        // A draft's phrases are embedded for this test only
+        const evaluation = await GuardrailService.evaluate(query.trim(), policy, {
+          clientId: draft === undefined ? req.client._id : undefined
+        });
+        const refusal = evaluation.allowed ? null : await GuardrailService.getRefusal(policy, language);
+        return { ...evaluation, refusal };
+      });
+
+      res.status(200).json({
+        success: true,
+        query: query.trim(),
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Test guardrail policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to test guardrail policy'
+      });
+    }
+  }
+}
+
+module.exports = new GuardrailController();
@@ -0,0 +1,363 @@
+const ChatHistory = require('../models/ChatHistory');
+const GeminiService = require('../services/gemini.service');
+const HandoffService = require('../services/handoff.service');
+const { resolveHandoffConfig, mergeHandoffConfig } = require('../config/handoff');
+
+const MAX_MESSAGE_LENGTH = 4000;
+const HEARTBEAT_MS = 15000;
+
+// The widget client's session named by :sessionId (its visitor token was
+// checked by checkVisitorSession). Responds with 404 and returns null if missing.
+const findVisitorSession = async (req, res, fields) => {
+  const query = ChatHistory.findOne({ clientId: req.client._id, sessionId: req.params.sessionId });
+  const chatHistory = await (fields ? query.select(fields) : query);
+  if (!chatHistory) {
+    res.status(404).json({
+      success: false,
+      message: 'Chat session not found'
+    });
+    return null;
+  }
+  return chatHistory;
+};
+
+// Language the visitor last wrote in, for system messages
+const visitorLanguage = (chatHistory) => {
+  const last = [...chatHistory.messages].reverse().find(message => message.author === 'bot' && message.language);
+  return last ? last.language : 'en';
+};
+
+// Open a Server-Sent Events response; returns send(event, data) and registers cleanup
+const openEventStream = (req, res, onClose) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+  return send;
+};
+
+const sendHandoffError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage
+  });
+};
+
+class HandoffController {
+  // Visitor asks for a person (e.g. a "talk to a human" button). Body: { sessionId }.
+  // A session started here gets its visitor token, returned as sessionToken.
+  async requestHandoff(req, res) {
+    try {
+      const client = req.client;
+      const { sessionId } = req.body;
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session ID is required'
+        });
+      }
+
+      const config = resolveHandoffConfig(client);
+      if (!config.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Live agents are not available for this chatbot'
+        });
+      }
+
+      let chatHistory = await ChatHistory.findOne({ clientId: client._id, sessionId: String(sessionId) });
+      let sessionToken;
+      if (!chatHistory) {
+        chatHistory = new ChatHistory({ clientId: client._id, sessionId: String(sessionId) });
+        sessionToken = chatHistory.issueVisitorToken();
+      }
+
+      if (chatHistory.mode !== 'handoff') {
+        const waitingMessage = await GeminiService.runWithClient(client, () =>
+          GeminiService.translateResponse(config.waitingMessage, visitorLanguage(chatHistory)));
+        await HandoffService.start(chatHistory, client, 'requested', waitingMessage);
+      }
+
+      res.status(200).json({
+        success: true,
+        handoff: HandoffService.getStatus(chatHistory),
+        messages: HandoffService.getMessagesSince(chatHistory),
+        sessionToken
+      });
+
+    } catch (error) {
+      console.error('Request handoff error:', error);
+      sendHandoffError(res, error, 'Failed to contact an agent');
+    }
+  }
+
+  // Agent and system messages for the visitor. Query: after (id of the last message received)
+  async getHandoffMessages(req, res) {
+    try {
+      const chatHistory = await findVisitorSession(req, res);
+      if (!chatHistory) return;
+
+      res.status(200).json({
+        success: true,
+        mode: chatHistory.mode,
+        handoff: HandoffService.getStatus(chatHistory),
+        messages: HandoffService.getMessagesSince(chatHistory, req.query.after)
+      });
+
+    } catch (error) {
+      console.error('Get handoff messages error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get messages'
+      });
+    }
+  }
+
+  // Agent and system messages for the visitor as Server-Sent Events
+  async streamHandoff(req, res) {
+    try {
+      const chatHistory = await findVisitorSession(req, res, 'sessionId mode handoff');
+      if (!chatHistory) return;
+
+      let unsubscribe = () => {};
+      const send = openEventStream(req, res, () => unsubscribe());
+      unsubscribe = HandoffService.subscribeSession(req.client._id, chatHistory.sessionId, event => send(event.type, event));
+      send('status', {
+        mode: chatHistory.mode,
+        handoff: HandoffService.getStatus(chatHistory)
+      });
+
+    } catch (error) {
+      console.error('Stream handoff error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to open message stream'
+        });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  // Visitor ends the conversation with the agent
+  async closeHandoffByVisitor(req, res) {
+    try {
+      const chatHistory = await findVisitorSession(req, res);
+      if (!chatHistory) return;
+
+      const config = resolveHandoffConfig(req.client);
+      const closedMessage = await GeminiService.runWithClient(req.client, () =>
+        GeminiService.translateResponse(config.closedMessage, visitorLanguage(chatHistory)));
+      await HandoffService.close(chatHistory, 'visitor', closedMessage);
+
+      res.status(200).json({
+        success: true,
+        mode: chatHistory.mode,
+        handoff: HandoffService.getStatus(chatHistory)
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Close handoff error:', error);
+      sendHandoffError(res, error, 'Failed to end the conversation');
+    }
+  }
+
+  // Sessions handed off to agents. Query: status (waiting or active; both when unset)
+  async getHandoffs(req, res) {
+    try {
+      const statuses = req.query.status ? [req.query.status] : ['waiting', 'active'];
+      if (!statuses.every(status => ['waiting', 'active', 'closed'].includes(status))) {
+        return res.status(400).json({
+          success: false,
+          message: 'status must be waiting, active or closed'
+        });
+      }
+
+      const filter = { clientId: req.client._id, 'handoff.status': { $in: statuses } };
+      if (!statuses.includes('closed')) {
+        filter.mode = 'handoff';
+      }
+
+      const sessions = await ChatHistory.aggregate([
+        { $match: filter },
+        { $sort: { 'handoff.requestedAt': 1 } },
+        { $limit: 200 },
+        {
+          $project: {
+            sessionId: 1,
+            mode: 1,
+            handoff: 1,
+            metadata: 1,
+            messageCount: { $size: '$messages' },
+            lastMessage: { $arrayElemAt: ['$messages', -1] }
+          }
+        },
+        { $project: { 'lastMessage.encryptedOriginal': 0 } }
+      ]);
+
+      res.status(200).json({
+        success: true,
+        sessions
+      });
+
+    } catch (error) {
+      console.error('Get handoffs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get handoffs'
+      });
+    }
+  }
+
+  // Live handoff events of the client's sessions (new requests, visitor and agent messages)
+  async streamHandoffEvents(req, res) {
+    let unsubscribe = () => {};
+    const send = openEventStream(req, res, () => unsubscribe());
+    unsubscribe = HandoffService.subscribeClient(req.client._id, event => send(event.type, event));
+    send('ready', { clientId: req.client._id });
+  }
+
+  // Agent takes a waiting session, or takes over one the bot is answering
+  async acceptHandoff(req, res) {
+    try {
+      const chatHistory = await ChatHistory.findOne({ clientId: req.client._id, sessionId: req.params.sessionId });
+      if (!chatHistory) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found'
+        });
+      }
+
+      if (chatHistory.mode === 'handoff') {
+        await HandoffService.accept(chatHistory, req.admin);
+      } else {
+        await HandoffService.takeOver(chatHistory, req.client, req.admin);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'You are now handling this session',
+        mode: chatHistory.mode,
+        handoff: HandoffService.getStatus(chatHistory)
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Accept handoff error:', error);
+      sendHandoffError(res, error, 'Failed to accept handoff');
+    }
+  }
+
+  // Agent reply to the visitor. Body: { text }
+  async sendAgentMessage(req, res) {
+    try {
+      const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+      if (!text || text.length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `text must be a message of at most ${MAX_MESSAGE_LENGTH} characters`
+        });
+      }
+
+      const chatHistory = await ChatHistory.findOne({ clientId: req.client._id, sessionId: req.params.sessionId });
+      if (!chatHistory) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found'
+        });
+      }
+
+      const message = await HandoffService.reply(chatHistory, req.admin, text);
+
+      res.status(201).json({
+        success: true,
+        message
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Send agent message error:', error);
+      sendHandoffError(res, error, 'Failed to send message');
+    }
+  }
+
+  // Agent ends the handoff; the bot answers the session again
+  async closeHandoff(req, res) {
+    try {
+      const chatHistory = await ChatHistory.findOne({ clientId: req.client._id, sessionId: req.params.sessionId });
+      if (!chatHistory) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found'
+        });
+      }
+
+      const config = resolveHandoffConfig(req.client);
+      const closedMessage = await GeminiService.runWithClient(req.client, () =>
+        GeminiService.translateResponse(config.closedMessage, visitorLanguage(chatHistory)));
+      await HandoffService.close(chatHistory, 'agent', closedMessage);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session returned to the bot',
+        mode: chatHistory.mode,
+        handoff: HandoffService.getStatus(chatHistory)
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Close handoff error:', error);
+      sendHandoffError(res, error, 'Failed to close handoff');
+    }
+  }
+
+  // Get handoff settings: stored values and the effective config
+  async getHandoffConfig(req, res) {
+    res.status(200).json({
+      success: true,
+      handoffConfig: req.client.toObject().handoffConfig || {},
+      effective: resolveHandoffConfig(req.client)
+    });
+  }
+
+  // Update handoff settings. Body: partial config; null resets a setting to its default
+  async updateHandoffConfig(req, res) {
+    try {
+      const { stored, errors } = mergeHandoffConfig(req.client.toObject().handoffConfig || {}, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid handoff config',
+          errors
+        });
+      }
+
+      req.client.handoffConfig = stored;
+      await req.client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Handoff config updated successfully',
+        handoffConfig: req.client.toObject().handoffConfig,
+        effective: resolveHandoffConfig(req.client)
+      });
+
+    } catch (error) {
+      console.error('Update handoff config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update handoff config'
+      });
+    }
+  }
+}
+
+module.exports = new HandoffController();
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobQueueService = require('../services/jobQueue.service');
+
+// Load a job of the client loaded by loadOwnedClient; null if not found
+const findJob = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return null;
+  }
+  return Job.findOne({ _id: req.params.jobId, clientId: req.client._id });
+};
+
+class JobController {
+  // List the client's background jobs, newest first. Query: type, status, page, limit
+  async getJobs(req, res) {
+    try {
+      const { type, status } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      if (type && !Job.JOB_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `type must be one of ${Job.JOB_TYPES.join(', ')}`
+        });
+      }
+      if (status && !Job.JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of ${Job.JOB_STATUSES.join(', ')}`
+        });
+      }
+
+      const filter = { clientId: req.client._id };
+      if (type) filter.type = type;
+      if (status) filter.status = status;
+
+      const [jobs, total] = await Promise.all([
+        Job.find(filter)
+          .select('-payload')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Job.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        jobs: jobs.map(job => JobQueueService.toJob(job)),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('Get jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get jobs'
+      });
+    }
+  }
+
+  // Status and progress of one job
+  async getJob(req, res) {
+    try {
+      const job = await findJob(req);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        job: JobQueueService.toJob(job)
+      });
+
+    } catch (error) {
+      console.error('Get job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get job'
+      });
+    }
+  }
+
+  // Cancel a queued or running job
+  async cancelJob(req, res) {
+    try {
+      const job = await findJob(req);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const cancelled = await JobQueueService.cancel(job);
+
+      res.status(200).json({
+        success: true,
+        message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops at its next step',
+        job: JobQueueService.toJob(cancelled)
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Cancel job error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to cancel job'
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const ChatHistory = require('../models/ChatHistory');
+const LeadService = require('../services/lead.service');
+const { resolveLeadCaptureConfig, mergeLeadCaptureConfig } = require('../config/leadCapture');
+const { isEncryptionConfigured, decrypt } = require('../utils/crypto.util');
+
+const STATUSES = ['new', 'contacted', 'qualified', 'closed'];
+const EXPORT_LIMIT = 10000;
+
+// Filter for the admin lead list and export. Returns { filter } or { error }.
+const buildLeadFilter = (clientId, { status, from, to, search }) => {
+  const filter = { clientId };
+
+  if (status) {
+    if (!STATUSES.includes(status)) {
+      return { error: `status must be one of ${STATUSES.join(', ')}` };
+    }
+    filter.status = status;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) return { error: 'from must be a valid date' };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) return { error: 'to must be a valid date' };
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  if (search) {
+    const pattern = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }, { message: pattern }];
+  }
+
+  return { filter };
+};
+
+// Visitor-typed values starting like a formula (=, +, -, @, tab, CR) get a
+// leading quote so spreadsheets show them as text instead of evaluating them
+const csvCell = value => {
+  const text = String(value === undefined || value === null ? '' : value);
+  return `"${(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
+
+class LeadController {
+  // Submit the lead form (widget only; the client comes from the publishable key).
+  // Body: { sessionId, values: { fieldName: value }, trigger, pageUrl }
+  async submitLead(req, res) {
+    try {
+      const { sessionId, values, trigger, pageUrl } = req.body;
+      const client = req.client;
+
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return res.status(400).json({
+          success: false,
+          message: 'values must be an object of form field values'
+        });
+      }
+
+      const { lead, successMessage } = await LeadService.submitLead(client, {
+        sessionId: sessionId ? String(sessionId) : undefined,
+        values,
+        trigger,
+        pageUrl
+      });
+
+      res.status(201).json({
+        success: true,
+        message: successMessage,
+        leadId: lead._id
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          ...(error.errors && { errors: error.errors })
+        });
+      }
+      console.error('Submit lead error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save your details'
+      });
+    }
+  }
+
+  // List leads. Query: status, from, to, search, page, limit
+  async getLeads(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const { filter, error } = buildLeadFilter(req.client._id, req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const [leads, total] = await Promise.all([
+        Lead.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Lead.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        leads,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('Get leads error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get leads'
+      });
+    }
+  }
+
+  // Update a lead's status. Body: { status }
+  async updateLead(req, res) {
+    try {
+      const { status } = req.body;
+
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of ${STATUSES.join(', ')}`
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.leadId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead not found'
+        });
+      }
+
+      const lead = await Lead.findOneAndUpdate(
+        { _id: req.params.leadId, clientId: req.client._id },
+        { status },
+        { new: true }
+      );
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Lead updated successfully',
+        lead
+      });
+
+    } catch (error) {
+      console.error('Update lead error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update lead'
+      });
+    }
+  }
+
+  // Export leads as CSV, with the same filters as the list. Custom form fields get their own columns.
+  async exportLeadsCSV(req, res) {
+    try {
+      const { filter, error } = buildLeadFilter(req.client._id, req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const leads = await Lead.find(filter).sort({ createdAt: -1 }).limit(EXPORT_LIMIT);
+      const standardFields = ['name', 'email', 'phone', 'message'];
+      const customFields = [...new Set(leads.flatMap(lead => [...lead.fields.keys()]))]
+        .filter(name => !standardFields.includes(name));
+
+      const csvHeaders = ['Created', 'Name', 'Email', 'Phone', 'Message', ...customFields, 'Status', 'Trigger', 'Page URL', 'Session ID', 'Notification'];
+      let csvContent = csvHeaders.map(csvCell).join(',') + '\n';
+
+      for (const lead of leads) {
+        const row = [
+          lead.createdAt.toISOString(),
+          lead.name,
+          lead.email,
+          lead.phone,
+          lead.message,
+          ...customFields.map(name => lead.fields.get(name)),
+          lead.status,
+          lead.trigger,
+          lead.pageUrl,
+          lead.sessionId,
+          lead.notification ? lead.notification.status : ''
+        ];
+        csvContent += row.map(csvCell).join(',') + '\n';
+      }
+
+      const filename = `${req.client.name.replace(/[^a-zA-Z0-9]/g, '_')}_leads_${new Date().toISOString().split('T')[0]}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-cache');
+
+      console.log(`📊 Exporting ${leads.length} leads as CSV for client: ${req.client.name}`);
+
+      res.status(200).send(csvContent);
+
+    } catch (error) {
+      console.error('Export leads error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export leads'
+      });
+    }
+  }
+
+  // Chat transcript of the session a lead came from. Messages the client kept
+  // encrypted originals for include the unmasked text as `original`.
+  async getLeadTranscript(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.leadId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead not found'
+        });
+      }
+
+      const lead = await Lead.findOne({ _id: req.params.leadId, clientId: req.client._id });
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead not found'
+        });
+      }
+
+      const chatHistory = lead.chatHistoryId
+        ? await ChatHistory.findOne({ _id: lead.chatHistoryId, clientId: req.client._id }).lean()
+        : await ChatHistory.findOne({ clientId: req.client._id, sessionId: lead.sessionId }).lean();
+      if (!chatHistory) {
+        return res.status(404).json({
+          success: false,
+          message: 'No chat session for this lead'
+        });
+      }
+
+      const canDecrypt = isEncryptionConfigured();
+      const messages = chatHistory.messages.map(({ encryptedOriginal, ...message }) => {
+        if (!encryptedOriginal) {
+          return message;
+        }
+        if (!canDecrypt) {
+          return { ...message, originalUnavailable: true };
+        }
+        try {
+          return { ...message, original: JSON.parse(decrypt(encryptedOriginal)) };
+        } catch (error) {
+          console.error(`Lead transcript: cannot decrypt message ${message._id}:`, error.message);
+          return { ...message, originalUnavailable: true };
+        }
+      });
+
+      console.log(`[LEAD] Transcript of lead ${lead._id} viewed by admin ${req.admin.id}`);
+      res.status(200).json({
+        success: true,
+        lead,
+        sessionId: chatHistory.sessionId,
+        messages
+      });
+
+    } catch (error) {
+      console.error('Get lead transcript error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get lead transcript'
+      });
+    }
+  }
+
+  // Get lead form settings: stored values and the effective config
+  async getLeadCaptureConfig(req, res) {
+    res.status(200).json({
+      success: true,
+      leadCaptureConfig: req.client.toObject().leadCaptureConfig || {},
+      effective: resolveLeadCaptureConfig(req.client)
+    });
+  }
+
+  // Update lead form settings. Body: partial config; null resets a setting to its default
+  async updateLeadCaptureConfig(req, res) {
+    try {
+      const { stored, errors } = mergeLeadCaptureConfig(req.client.toObject().leadCaptureConfig || {}, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid lead capture config',
+          errors
+        });
+      }
+
+      req.client.leadCaptureConfig = stored;
+      await req.client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Lead capture config updated successfully',
+        leadCaptureConfig: req.client.toObject().leadCaptureConfig,
+        effective: resolveLeadCaptureConfig(req.client)
+      });
+
+    } catch (error) {
+      console.error('Update lead capture config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update lead capture config'
+      });
+    }
+  }
+}
+
+module.exports = new LeadController();
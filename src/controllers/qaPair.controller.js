@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const GeminiService = require('../services/gemini.service');
+const QAPairService = require('../services/qaPair.service');
+const JobQueueService = require('../services/jobQueue.service');
+
+const sendPairError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage
+  });
+};
+
+const parseConfidence = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1 ? number : NaN;
+};
+
+class QAPairController {
+  // List Q&A pairs. Query: search, category, uploadId, minConfidence, maxConfidence, page, limit
+  async getPairs(req, res) {
+    try {
+      const { search, category, uploadId } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const minConfidence = parseConfidence(req.query.minConfidence);
+      const maxConfidence = parseConfidence(req.query.maxConfidence);
+
+      if (uploadId && !mongoose.Types.ObjectId.isValid(uploadId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'uploadId must be a valid upload id'
+        });
+      }
+      if (Number.isNaN(minConfidence) || Number.isNaN(maxConfidence)) {
+        return res.status(400).json({
+          success: false,
+          message: 'minConfidence and maxConfidence must be numbers between 0 and 1'
+        });
+      }
+
+      const [{ pairs, total }, categories] = await Promise.all([
+        QAPairService.listPairs(req.client._id, {
+          search: search ? String(search) : undefined,
+          category: category ? String(category) : undefined,
+          uploadId,
+          minConfidence,
+          maxConfidence,
+          page,
+          limit
+        }),
+        QAPairService.getCategories(req.client._id)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        pairs,
+        categories,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('Get Q&A pairs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get Q&A pairs'
+      });
+    }
+  }
+
+  // Get one Q&A pair
+  async getPair(req, res) {
+    try {
+      const pair = mongoose.Types.ObjectId.isValid(req.params.pairId)
+        ? await QAPairService.getPair(req.client._id, req.params.pairId)
+        : null;
+      if (!pair) {
+        return res.status(404).json({
+          success: false,
+          message: 'Q&A pair not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        pair
+      });
+
+    } catch (error) {
+      console.error('Get Q&A pair error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get Q&A pair'
+      });
+    }
+  }
+
+  // Add a Q&A pair. Body: { question, answer, category, language, confidence, uploadId }; without
+  // uploadId the pair goes to the client's manual answers
+  async createPair(req, res) {
+    try {
+      const { uploadId, ...fields } = req.body;
+      if (uploadId !== undefined && !mongoose.Types.ObjectId.isValid(uploadId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'uploadId must be a valid upload id'
+        });
+      }
+
+      const errors = QAPairService.validatePair(fields);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Q&A pair',
+          errors
+        });
+      }
+
+      const pair = await GeminiService.runWithClient(req.client, () =>
+        QAPairService.createPair(req.client._id, fields, { uploadId, adminId: req.admin.id }));
+
+      res.status(201).json({
+        success: true,
+        message: 'Q&A pair added',
+        pair
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Create Q&A pair error:', error);
+      sendPairError(res, error, 'Failed to add Q&A pair');
+    }
+  }
+
+  // Edit a Q&A pair. Body: any of question, answer, category, language, confidence
+  async updatePair(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.pairId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Q&A pair not found'
+        });
+      }
+
+      const errors = QAPairService.validatePair(req.body, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Q&A pair',
+          errors
+        });
+      }
+
+      const pair = await GeminiService.runWithClient(req.client, () =>
+        QAPairService.updatePair(req.client._id, req.params.pairId, req.body, req.admin.id));
+
+      res.status(200).json({
+        success: true,
+        message: 'Q&A pair updated',
+        pair
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Update Q&A pair error:', error);
+      sendPairError(res, error, 'Failed to update Q&A pair');
+    }
+  }
+
+  // Retry embedding the client's pairs whose embedding failed at upload
+  async embedFailedPairs(req, res) {
+    try {
+      const pendingCount = await QAPairService.countFailedEmbeddings(req.client._id);
+      const job = pendingCount > 0
+        ? await JobQueueService.enqueue('embed_pairs', { clientId: req.client._id, createdBy: req.admin.id, dedupe: true })
+        : null;
+
+      res.status(202).json({
+        success: true,
+        message: pendingCount > 0
+          ? `Embedding ${pendingCount} Q&A pairs in the background`
+          : 'All Q&A pairs are already embedded',
+        pendingCount,
+        jobId: job ? job._id : undefined
+      });
+
+    } catch (error) {
+      console.error('Embed failed Q&A pairs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start Q&A pair embedding'
+      });
+    }
+  }
+
+  // Delete a Q&A pair
+  async deletePair(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.pairId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Q&A pair not found'
+        });
+      }
+
+      await QAPairService.deletePair(req.client._id, req.params.pairId, req.admin.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Q&A pair deleted'
+      });
+
+    } catch (error) {
+      if (!error.status) console.error('Delete Q&A pair error:', error);
+      sendPairError(res, error, 'Failed to delete Q&A pair');
+    }
+  }
+}
+
+module.exports = new QAPairController();
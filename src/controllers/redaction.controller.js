@@ -0,0 +1,72 @@
+const RedactionService = require('../services/redaction.service');
+const { resolveRedactionConfig, mergeRedactionConfig } = require('../config/redaction');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { isEncryptionConfigured } = require('../utils/crypto.util');
+
+class RedactionController {
+  // Get PII redaction settings: stored values and the effective config
+  async getRedactionConfig(req, res) {
+    res.status(200).json({
+      success: true,
+      redactionConfig: req.client.toObject().redactionConfig || {},
+      effective: resolveRedactionConfig(req.client),
+      encryptionConfigured: isEncryptionConfigured()
+    });
+  }
+
+  // Update PII redaction settings. Body: partial config; null resets a setting to its default.
+  // Applies to messages saved from now on; run `npm run redact:history` for older ones.
+  async updateRedactionConfig(req, res) {
+    try {
+      const { stored, errors } = mergeRedactionConfig(req.client.toObject().redactionConfig || {}, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid redaction config',
+          errors
+        });
+      }
+
+      req.client.redactionConfig = stored;
+      await req.client.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Redaction config updated successfully',
+        redactionConfig: req.client.toObject().redactionConfig,
+        effective: resolveRedactionConfig(req.client),
+        encryptionConfigured: isEncryptionConfigured()
+      });
+
+    } catch (error) {
+      console.error('Update redaction config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update redaction config'
+      });
+    }
+  }
+
+  // Show how a text would be stored. Body: { text }
+  async testRedaction(req, res) {
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text is required'
+      });
+    }
+
+    const { text: redacted, types } = RedactionService.redact(text, resolveRedactionConfig(req.client), {
+      defaultCountry: resolveLeadCaptureConfig(req.client).defaultCountry
+    });
+
+    res.status(200).json({
+      success: true,
+      redacted,
+      types
+    });
+  }
+}
+
+module.exports = new RedactionController();
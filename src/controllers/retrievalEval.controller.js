@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const RetrievalEvalSet = require('../models/RetrievalEvalSet');
+const RetrievalEvalRun = require('../models/RetrievalEvalRun');
+const GeminiService = require('../services/gemini.service');
+const RetrievalEvalService = require('../services/retrievalEval.service');
+const { PROVIDER_NAMES } = require('../services/providers');
+const { resolveRetrievalConfig, mergeRetrievalOverrides } = require('../config/retrieval');
+
+const findOwnedClient = (req) => Client.findOne({
+  _id: req.params.id,
+  createdBy: req.admin.id
+});
+
+// Returns an error message, or null when the queries are valid
+const validateQueries = (queries) => {
+  if (!Array.isArray(queries) || queries.length === 0 || queries.length > 500) {
+    return 'queries must be an array of 1 to 500 items';
+  }
+  for (const [i, item] of queries.entries()) {
+    if (!item || typeof item.query !== 'string' || !item.query.trim()) {
+      return `queries[${i}].query is required`;
+    }
+    if (item.expectedPairIds !== undefined &&
+      (!Array.isArray(item.expectedPairIds) || !item.expectedPairIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return `queries[${i}].expectedPairIds must be an array of pair ids`;
+    }
+    if (item.expectedAnswer !== undefined && item.expectedAnswer !== null && typeof item.expectedAnswer !== 'string') {
+      return `queries[${i}].expectedAnswer must be a string`;
+    }
+  }
+  return null;
+};
+
+const pickQueries = (queries) => queries.map(item => ({
+  query: item.query,
+  expectedPairIds: item.expectedPairIds || [],
+  expectedAnswer: item.expectedAnswer || undefined,
+  tags: Array.isArray(item.tags) ? item.tags : []
+}));
+
+class RetrievalEvalController {
+  // List eval sets for client
+  async getEvalSets(req, res) {
+    try {
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const evalSets = await RetrievalEvalSet.find({ clientId: client._id })
+        .select('name description queries.query createdAt updatedAt')
+        .sort({ updatedAt: -1 })
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        evalSets: evalSets.map(evalSet => ({
+          _id: evalSet._id,
+          name: evalSet.name,
+          description: evalSet.description,
+          totalQueries: evalSet.queries.length,
+          createdAt: evalSet.createdAt,
+          updatedAt: evalSet.updatedAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get eval sets error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get eval sets'
+      });
+    }
+  }
+
+  // Create eval set for client
+  async createEvalSet(req, res) {
+    try {
+      const { name, description, queries } = req.body;
+
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Name is required'
+        });
+      }
+
+      const queriesError = validateQueries(queries);
+      if (queriesError) {
+        return res.status(400).json({
+          success: false,
+          message: queriesError
+        });
+      }
+
+      const evalSet = await RetrievalEvalSet.create({
+        clientId: client._id,
+        name,
+        description,
+        queries: pickQueries(queries),
+        createdBy: req.admin.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Eval set created successfully',
+        evalSet
+      });
+
+    } catch (error) {
+      console.error('Create eval set error:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'An eval set with this name already exists for this client'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create eval set'
+      });
+    }
+  }
+
+  // Get eval set with its queries
+  async getEvalSet(req, res) {
+    try {
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const evalSet = await RetrievalEvalSet.findOne({ _id: req.params.setId, clientId: client._id });
+      if (!evalSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Eval set not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        evalSet
+      });
+
+    } catch (error) {
+      console.error('Get eval set error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get eval set'
+      });
+    }
+  }
+
+  // Update eval set name, description or queries
+  async updateEvalSet(req, res) {
+    try {
+      const { name, description, queries } = req.body;
+
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const evalSet = await RetrievalEvalSet.findOne({ _id: req.params.setId, clientId: client._id });
+      if (!evalSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Eval set not found'
+        });
+      }
+
+      if (queries !== undefined) {
+        const queriesError = validateQueries(queries);
+        if (queriesError) {
+          return res.status(400).json({
+            success: false,
+            message: queriesError
+          });
+        }
+        evalSet.queries = pickQueries(queries);
+      }
+      if (name !== undefined) evalSet.name = name;
+      if (description !== undefined) evalSet.description = description;
+
+      await evalSet.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Eval set updated successfully',
+        evalSet
+      });
+
+    } catch (error) {
+      console.error('Update eval set error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update eval set'
+      });
+    }
+  }
+
+  // Delete eval set and its runs
+  async deleteEvalSet(req, res) {
+    try {
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const evalSet = await RetrievalEvalSet.findOneAndDelete({ _id: req.params.setId, clientId: client._id });
+      if (!evalSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Eval set not found'
+        });
+      }
+
+      const { deletedCount } = await RetrievalEvalRun.deleteMany({ evalSetId: evalSet._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Eval set deleted successfully',
+        deletedRuns: deletedCount
+      });
+
+    } catch (error) {
+      console.error('Delete eval set error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete eval set'
+      });
+    }
+  }
+
+  // Run eval set. Body: { label, refine, retrievalConfig (unsaved overrides to try),
+  // llmConfig (provider and models to run under, e.g. { provider: 'fake' }), wait }.
+  // Under another embedding model the pairs are re-embedded for the run.
+  async runEvalSet(req, res) {
+    try {
+      const { label, refine = true, retrievalConfig = {}, llmConfig, wait = false } = req.body;
+
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const evalSet = await RetrievalEvalSet.findOne({ _id: req.params.setId, clientId: client._id });
+      if (!evalSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Eval set not found'
+        });
+      }
+
+      const { overrides, errors } = mergeRetrievalOverrides(client.toObject().retrievalConfig || {}, retrievalConfig);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid retrieval config',
+          errors
+        });
+      }
+
+      if (llmConfig && !PROVIDER_NAMES.includes(llmConfig.provider)) {
+        return res.status(400).json({
+          success: false,
+          message: `llmConfig.provider must be one of ${PROVIDER_NAMES.join(', ')}`
+        });
+      }
+
+      // Only the provider and models can be swapped for a run; keys and URLs come from the environment
+      const provider = GeminiService.getProviderForClient(llmConfig
+        ? { llmConfig: { provider: llmConfig.provider, textModel: llmConfig.textModel, embeddingModel: llmConfig.embeddingModel } }
+        : client);
+      const { run, done } = await RetrievalEvalService.startRun(evalSet, {
+        provider,
+        indexProvider: GeminiService.getProviderForClient(client),
+        config: resolveRetrievalConfig({ retrievalConfig: overrides }),
+        refine: Boolean(refine),
+        label,
+        createdBy: req.admin.id
+      });
+
+      if (wait) {
+        const finishedRun = await done;
+        return res.status(200).json({
+          success: finishedRun.status === 'completed',
+          run: finishedRun
+        });
+      }
+
+      done.catch(error => console.error(`[EVAL] Run ${run._id} crashed:`, error));
+
+      res.status(202).json({
+        success: true,
+        message: 'Eval run started',
+        run_id: run._id,
+        status: run.status
+      });
+
+    } catch (error) {
+      console.error('Run eval set error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run eval set'
+      });
+    }
+  }
+
+  // List runs of an eval set (metrics and settings only) for comparison
+  async getEvalRuns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const runs = await RetrievalEvalRun.find({ clientId: client._id, evalSetId: req.params.setId })
+        .select('-results')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        runs
+      });
+
+    } catch (error) {
+      console.error('Get eval runs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get eval runs'
+      });
+    }
+  }
+
+  // Get a run with per-query results
+  async getEvalRun(req, res) {
+    try {
+      const client = await findOwnedClient(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const run = await RetrievalEvalRun.findOne({ _id: req.params.runId, clientId: client._id }).lean();
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Eval run not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        run
+      });
+
+    } catch (error) {
+      console.error('Get eval run error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get eval run'
+      });
+    }
+  }
+}
+
+module.exports = new RetrievalEvalController();
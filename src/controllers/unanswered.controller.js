@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const UnansweredCluster = require('../models/UnansweredCluster');
+const GeminiService = require('../services/gemini.service');
+const UnansweredService = require('../services/unanswered.service');
+
+const STATUSES = ['open', 'answered', 'out_of_scope'];
+const SORTS = {
+  count: { count: -1, lastAskedAt: -1 },
+  recent: { lastAskedAt: -1 }
+};
+
+// Load a cluster of the client loaded by loadOwnedClient; null if not found
+const findCluster = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.clusterId)) {
+    return null;
+  }
+  return UnansweredCluster.findOne({ _id: req.params.clusterId, clientId: req.client._id });
+};
+
+class UnansweredController {
+  // List unanswered-question clusters. Query: status (default open), sort (count|recent), page, limit
+  async getClusters(req, res) {
+    try {
+      const status = req.query.status || 'open';
+      const sort = SORTS[req.query.sort] || SORTS.count;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be all or one of ${STATUSES.join(', ')}`
+        });
+      }
+
+      const filter = { clientId: req.client._id };
+      if (status !== 'all') {
+        filter.status = status;
+      }
+
+      const [clusters, total] = await Promise.all([
+        UnansweredCluster.find(filter)
+          .select('-centroid')
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        UnansweredCluster.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        clusters,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('Get unanswered clusters error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unanswered questions'
+      });
+    }
+  }
+
+  // Get a cluster with its example phrasings
+  async getCluster(req, res) {
+    try {
+      const cluster = await findCluster(req)?.select('-centroid');
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unanswered question not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        cluster
+      });
+
+    } catch (error) {
+      console.error('Get unanswered cluster error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unanswered question'
+      });
+    }
+  }
+
+  // Answer a cluster. Body: { answer, question (defaults to the representative query), category }
+  async answerCluster(req, res) {
+    try {
+      const { answer, category } = req.body;
+
+      const cluster = await findCluster(req);
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unanswered question not found'
+        });
+      }
+
+      const question = (req.body.question || cluster.representativeQuery || '').trim();
+      if (!answer || typeof answer !== 'string' || !answer.trim() || !question) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question and answer are required'
+        });
+      }
+
+      const answered = await GeminiService.runWithClient(req.client, () =>
+        UnansweredService.answerCluster(cluster, { question, answer: answer.trim(), category }, req.admin.id));
+
+      const { centroid, ...result } = answered.toObject();
+      res.status(200).json({
+        success: true,
+        message: 'Answer added to the knowledge base',
+        cluster: result
+      });
+
+    } catch (error) {
+      console.error('Answer unanswered cluster error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Failed to answer question'
+      });
+    }
+  }
+
+  // Mark a cluster as out of scope. Body: { note }
+  async markOutOfScope(req, res) {
+    try {
+      const cluster = await findCluster(req);
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unanswered question not found'
+        });
+      }
+
+      cluster.status = 'out_of_scope';
+      cluster.note = req.body.note;
+      cluster.resolvedAt = new Date();
+      cluster.resolvedBy = req.admin.id;
+      await cluster.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Question marked as out of scope'
+      });
+
+    } catch (error) {
+      console.error('Mark out of scope error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update question'
+      });
+    }
+  }
+
+  // Put a resolved cluster back in the open inbox
+  async reopenCluster(req, res) {
+    try {
+      const cluster = await findCluster(req);
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unanswered question not found'
+        });
+      }
+
+      cluster.status = 'open';
+      cluster.resolvedAt = undefined;
+      cluster.resolvedBy = undefined;
+      await cluster.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Question reopened'
+      });
+
+    } catch (error) {
+      console.error('Reopen cluster error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reopen question'
+      });
+    }
+  }
+}
+
+module.exports = new UnansweredController();
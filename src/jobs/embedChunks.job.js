@@ -0,0 +1,20 @@
+const Client = require('../models/Client');
+const GeminiService = require('../services/gemini.service');
+const JobQueueService = require('../services/jobQueue.service');
+const scrapeService = require('../services/scrape.service');
+
+// (Re-)embed a client's pending and failed scraped chunks with the client's
+// embedding provider. No payload.
+module.exports = {
+  concurrency: 1,
+  maxAttempts: 3,
+
+  async run(job, ctx) {
+    const client = await Client.findById(job.clientId);
+    if (!client) {
+      throw JobQueueService.permanentError('Client not found');
+    }
+
+    return GeminiService.runWithClient(client, () => scrapeService.embedPendingChunks(client._id, ctx.progress));
+  }
+};
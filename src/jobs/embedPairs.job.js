@@ -0,0 +1,25 @@
+const Client = require('../models/Client');
+const GeminiService = require('../services/gemini.service');
+const JobQueueService = require('../services/jobQueue.service');
+const QAPairService = require('../services/qaPair.service');
+
+// Embed a client's Q&A pairs whose embedding failed at upload, with the
+// client's embedding provider. Pairs that fail again fail the attempt, so the
+// queue retries them with backoff. No payload.
+module.exports = {
+  concurrency: 1,
+  maxAttempts: 5,
+
+  async run(job, ctx) {
+    const client = await Client.findById(job.clientId);
+    if (!client) {
+      throw JobQueueService.permanentError('Client not found');
+    }
+
+    const result = await GeminiService.runWithClient(client, () => QAPairService.embedFailedPairs(client._id, ctx.progress));
+    if (result.failed > 0) {
+      throw new Error(`${result.failed} of ${result.embedded + result.failed} pairs could not be embedded`);
+    }
+    return result;
+  }
+};
@@ -0,0 +1,10 @@
+const JobQueueService = require('../services/jobQueue.service');
+
+// Handlers for every job type in models/Job.js
+JobQueueService.register('qa_upload', require('./qaUpload.job'));
+JobQueueService.register('scrape', require('./scrape.job'));
+JobQueueService.register('embed_chunks', require('./embedChunks.job'));
+JobQueueService.register('embed_pairs', require('./embedPairs.job'));
+JobQueueService.register('reembed', require('./reembed.job'));
+
+module.exports = JobQueueService;
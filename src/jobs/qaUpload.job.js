@@ -0,0 +1,133 @@
+const fs = require('fs');
+const ClientQA = require('../models/ClientQA');
+const Client = require('../models/Client');
+const Job = require('../models/Job');
+const GeminiService = require('../services/gemini.service');
+const VectorIndexService = require('../services/vectorIndex.service');
+const UploadVersionService = require('../services/uploadVersion.service');
+const JobQueueService = require('../services/jobQueue.service');
+const { processQAFile } = require('../controllers/clientQA.controller');
+
+// Pairs whose embedding failed (provider outage, quota) are retried this much later
+const RETRY_FAILED_EMBEDDINGS_AFTER_MS = 10 * 60 * 1000;
+
+// Parse an uploaded Q&A file and embed its pairs into the upload's ClientQA
+// record, with the client's LLM provider. A replacement version (not active
+// yet) carries over unchanged questions from the live version and goes live
+// once it completes. Payload: { uploadId, filePath, mapping }
+module.exports = {
+  concurrency: 2,
+  maxAttempts: 3,
+
+  async run(job, ctx) {
+    const { uploadId, filePath, mapping } = job.payload;
+    const clientQA = await ClientQA.findById(uploadId);
+    if (!clientQA) {
+      throw JobQueueService.permanentError('The upload no longer exists');
+    }
+    const client = await Client.findById(clientQA.clientId);
+    if (!client) {
+      throw JobQueueService.permanentError('Client not found');
+    }
+    if (!fs.existsSync(filePath)) {
+      throw JobQueueService.permanentError('The uploaded file is no longer available; upload it again');
+    }
+    const isReplacement = clientQA.isActive === false;
+
+    return GeminiService.runWithClient(client, async () => {
+      await ctx.progress(5, 'Parsing file');
+      const result = await processQAFile(filePath, clientQA.fileType, { mapping });
+
+      let { pairs } = result;
+      if (isReplacement) {
+        const live = await UploadVersionService.getLiveVersion(clientQA);
+        pairs = UploadVersionService.carryOver(pairs, live ? live.pairs : []);
+      }
+
+      const hasEmbedding = pair => Array.isArray(pair.embedding) && pair.embedding.length > 0;
+      const toEmbed = pairs.filter(pair => !hasEmbedding(pair));
+      console.log(`🧠 Generating embeddings for ${toEmbed.length} questions (${pairs.length - toEmbed.length} reused)...`);
+      await ctx.progress(10, `Embedding ${toEmbed.length} questions`);
+
+      // Embed each new or reworded question in rate-limited batches. Pairs whose
+      // embedding failed are kept and retried later by an embed_pairs job.
+      const { embeddings, errors } = await GeminiService.embedMany(
+        toEmbed.map(pair => pair.question),
+        { onProgress: (percent, message) => ctx.progress(10 + percent * 0.85, `${message} questions`) }
+      );
+      const embeddedPairs = new Map(toEmbed.map((pair, i) => [pair, i]));
+      const pairsWithEmbeddings = pairs.map(pair => {
+        if (!embeddedPairs.has(pair)) {
+          return { ...pair, embeddingStatus: 'completed' };
+        }
+        const i = embeddedPairs.get(pair);
+        return embeddings[i]
+          ? { ...pair, embedding: embeddings[i], embeddingStatus: 'completed' }
+          : { ...pair, embedding: [], embeddingStatus: 'failed', embeddingError: errors[i] };
+      });
+
+      const failedEmbeddings = pairsWithEmbeddings.filter(pair => pair.embeddingStatus === 'failed').length;
+      console.log(`✅ Generated ${toEmbed.length - failedEmbeddings} embeddings successfully (${failedEmbeddings} failed).`);
+      await ctx.progress(95, 'Saving pairs');
+
+      clientQA.pairs = pairsWithEmbeddings;
+      clientQA.fullText = result.fullText;
+      clientQA.totalPairs = clientQA.pairs.length;
+      clientQA.status = 'completed';
+      clientQA.errorMessage = undefined;
+      clientQA.processedAt = new Date();
+
+      await clientQA.save();
+      if (isReplacement) {
+        await UploadVersionService.activate(clientQA);
+      } else {
+        VectorIndexService.invalidate(client._id);
+      }
+      console.log(`💾 Saved ${clientQA.totalPairs} Q&A pairs with embeddings to the database.`);
+      console.log(`✅ Successfully processed ${result.pairs.length} Q&A pairs for client ${client.name}`);
+
+      if (failedEmbeddings > 0) {
+        await JobQueueService.enqueue('embed_pairs', {
+          clientId: client._id,
+          runAt: new Date(Date.now() + RETRY_FAILED_EMBEDDINGS_AFTER_MS),
+          dedupe: true
+        });
+      }
+
+      return {
+        totalPairs: clientQA.totalPairs,
+        reused: pairs.length - toEmbed.length,
+        failedEmbeddings
+      };
+    });
+  },
+
+  // Remove the uploaded file; an upload whose job didn't complete is marked failed
+  async finalize(job) {
+    const { uploadId, filePath } = job.payload;
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    if (job.status !== 'completed') {
+      await ClientQA.updateOne(
+        { _id: uploadId, status: 'processing' },
+        { $set: { status: 'failed', errorMessage: job.status === 'cancelled' ? 'Processing was cancelled' : job.error } }
+      );
+    }
+  },
+
+  // Uploads left in 'processing' without a queued or running job (started
+  // before the queue existed, or whose job record is gone) will never finish
+  async recover() {
+    const activeJobs = await Job.find({ type: 'qa_upload', status: { $in: ['queued', 'running'] } })
+      .select('payload.uploadId')
+      .lean();
+    const result = await ClientQA.updateMany(
+      { status: 'processing', _id: { $nin: activeJobs.map(job => job.payload.uploadId) } },
+      { $set: { status: 'failed', errorMessage: 'Processing was interrupted by a server restart; upload the file again' } }
+    );
+    if (result.modifiedCount > 0) {
+      console.warn(`[JOBS] Marked ${result.modifiedCount} interrupted uploads as failed`);
+    }
+  }
+};
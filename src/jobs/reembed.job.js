@@ -0,0 +1,50 @@
+const Client = require('../models/Client');
+const GeminiService = require('../services/gemini.service');
+const JobQueueService = require('../services/jobQueue.service');
+const QAPairService = require('../services/qaPair.service');
+const VectorIndexService = require('../services/vectorIndex.service');
+const AnswerCacheService = require('../services/answerCache.service');
+const scrapeService = require('../services/scrape.service');
+
+// Switch a client to an LLM config with another embedding provider or model:
+// embed its live Q&A pairs and scraped chunks with the new provider, then save
+// the vectors and the config together. Until then the client keeps answering
+// with its current provider and vectors. Payload: { llmConfig } (null for the
+// server default).
+module.exports = {
+  concurrency: 1,
+  maxAttempts: 3,
+
+  async run(job, ctx) {
+    const client = await Client.findById(job.clientId);
+    if (!client) {
+      throw JobQueueService.permanentError('Client not found');
+    }
+
+    const { llmConfig } = job.payload;
+    const provider = GeminiService.getProviderForClient({ llmConfig });
+    const { pairs, chunks } = await GeminiService.runWithProvider(provider, async () => ({
+      pairs: await QAPairService.embedLivePairs(client._id, (percent, message) => ctx.progress(percent * 0.45, message)),
+      chunks: await scrapeService.embedAllChunks(client._id, (percent, message) => ctx.progress(45 + percent * 0.45, message))
+    }));
+
+    // Last point to cancel: from here on the client answers with the new model
+    await ctx.progress(90, 'Switching to the new embedding model');
+    const pairsLeft = await QAPairService.saveModelEmbeddings(client._id, pairs);
+    const chunksLeft = await scrapeService.saveModelEmbeddings(client._id, chunks);
+    await Client.updateOne({ _id: client._id }, llmConfig ? { $set: { llmConfig } } : { $unset: { llmConfig: '' } });
+    VectorIndexService.invalidate(client._id);
+    AnswerCacheService.clear(client._id);
+
+    // Failed texts, and any added while this ran, are embedded by the usual jobs
+    if (pairsLeft > 0) {
+      await JobQueueService.enqueue('embed_pairs', { clientId: client._id, dedupe: true });
+    }
+    if (chunksLeft > 0) {
+      await JobQueueService.enqueue('embed_chunks', { clientId: client._id, dedupe: true });
+    }
+
+    console.log(`[REEMBED] Client ${client._id} switched to ${provider.name}/${provider.embeddingModelName}`);
+    return { pairs: pairs.length, chunks: chunks.length, pairsLeft, chunksLeft };
+  }
+};
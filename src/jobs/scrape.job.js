@@ -0,0 +1,38 @@
+const Client = require('../models/Client');
+const ScrapedChunk = require('../models/ScrapedChunk');
+const GeminiService = require('../services/gemini.service');
+const JobQueueService = require('../services/jobQueue.service');
+const scrapeService = require('../services/scrape.service');
+
+// Chunks whose embedding failed (provider outage, quota) are retried this much later
+const RETRY_FAILED_EMBEDDINGS_AFTER_MS = 10 * 60 * 1000;
+
+// Scrape a client's website into embedded chunks. Payload: the scrape request
+// ({ client_id, base_url, urls, options }); the job id tags the chunks.
+module.exports = {
+  concurrency: 1, // The scraper shares one browser between pages
+  maxAttempts: 2,
+
+  async run(job, ctx) {
+    const client = await Client.findById(job.clientId);
+    if (!client) {
+      throw JobQueueService.permanentError('Client not found');
+    }
+
+    const jobId = String(job._id);
+    if (job.attempts > 1) {
+      // Start over without chunks saved by an interrupted attempt
+      await ScrapedChunk.deleteMany({ jobId });
+    }
+
+    const result = await GeminiService.runWithClient(client, () => scrapeService.processScrapeJob(jobId, job.payload, ctx.progress));
+    if (result.chunks_embedded < result.chunks_created) {
+      await JobQueueService.enqueue('embed_chunks', {
+        clientId: client._id,
+        runAt: new Date(Date.now() + RETRY_FAILED_EMBEDDINGS_AFTER_MS),
+        dedupe: true
+      });
+    }
+    return result;
+  }
+};
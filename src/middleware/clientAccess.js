@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const GeminiService = require('../services/gemini.service');
+
+// Load the client named by :id into req.client, provided it belongs to the
+// authenticated admin. Use after authenticateAdmin.
+const loadOwnedClient = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const client = mongoose.Types.ObjectId.isValid(id)
+      ? await Client.findOne({ _id: id, createdBy: req.admin.id })
+      : null;
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    console.error('Load client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load client'
+    });
+  }
+};
+
+// Load the client named by clientId (path, body or query) into req.client,
+// provided it belongs to the authenticated admin, and use the client's LLM
+// provider for the rest of the request. Use after authenticateAdmin.
+const loadRequestedClient = async (req, res, next) => {
+  const clientId = req.params.clientId || req.body?.clientId || req.query.clientId;
+
+  let client;
+  try {
+    client = mongoose.Types.ObjectId.isValid(clientId)
+      ? await Client.findOne({ _id: clientId, createdBy: req.admin.id })
+      : null;
+  } catch (error) {
+    console.error('Load client error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load client'
+    });
+  }
+
+  if (!client) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client not found'
+    });
+  }
+
+  req.client = client;
+  GeminiService.runWithClient(client, next);
+};
+
+module.exports = { loadOwnedClient, loadRequestedClient };
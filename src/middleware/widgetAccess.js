@@ -0,0 +1,105 @@
+const Client = require('../models/Client');
+const ChatHistory = require('../models/ChatHistory');
+const GeminiService = require('../services/gemini.service');
+const { getRequestOrigin, isOriginAllowed } = require('../utils/origin.util');
+
+const WIDGET_CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Session-Token',
+  'Access-Control-Max-Age': '600'
+};
+
+// Resolve the client from the :publicKey in the path, check the calling page's
+// origin against the client's allowlist and answer with CORS headers for that
+// origin only. Sets req.client and binds the client's LLM provider.
+const authenticateWidget = async (req, res, next) => {
+  res.vary('Origin');
+
+  let client;
+  try {
+    client = await Client.findOne({ publicKey: req.params.publicKey })
+      .select('name website contactEmail status allowedOrigins llmConfig retrievalConfig leadCaptureConfig availability handoffConfig');
+  } catch (error) {
+    console.error('[WIDGET] Failed to load client:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load widget'
+    });
+  }
+
+  if (!client) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid widget key'
+    });
+  }
+
+  const origin = getRequestOrigin(req);
+  if (!isOriginAllowed(origin, client.getAllowedOrigins())) {
+    console.log(`[WIDGET] Rejected origin ${origin || '(none)'} for client ${client._id}`);
+    return res.status(403).json({
+      success: false,
+      message: 'This site is not allowed to use the widget'
+    });
+  }
+
+  res.set({ 'Access-Control-Allow-Origin': origin, ...WIDGET_CORS_HEADERS });
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  if (client.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: 'This chatbot is not active'
+    });
+  }
+
+  req.client = client;
+  GeminiService.runWithClient(client, next);
+};
+
+// Visitor token of a widget request: X-Session-Token header, or ?token= for
+// EventSource streams, which can't set headers
+const getVisitorToken = req => req.get('X-Session-Token') || req.query.token;
+
+// Widget routes naming a chat session (sessionId in the path, body or query):
+// an existing session only answers requests carrying its visitor token. A new
+// session id passes, and the handler that creates the session returns its token.
+// Sessions from before visitor tokens can't be resumed; the widget starts a new
+// one. Use after authenticateWidget.
+const checkVisitorSession = async (req, res, next) => {
+  const sessionId = req.params.sessionId || req.body?.sessionId || req.query.sessionId;
+  if (!sessionId) {
+    return next();
+  }
+
+  let chatHistory;
+  try {
+    chatHistory = await ChatHistory.findOne({ clientId: req.client._id, sessionId: String(sessionId) })
+      .select('visitorToken');
+  } catch (error) {
+    console.error('[WIDGET] Failed to load session:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load chat session'
+    });
+  }
+
+  if (chatHistory && !chatHistory.visitorToken) {
+    return res.status(409).json({
+      success: false,
+      message: 'This chat session can no longer be resumed; start a new session'
+    });
+  }
+  if (chatHistory && !chatHistory.hasVisitorToken(getVisitorToken(req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid session token'
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateWidget, checkVisitorSession };
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// An appointment a visitor booked through the chat
+const bookingSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  sessionId: String,
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // Client time zone the slot was offered in
+  timezone: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // E.164
+  phone: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['confirmed', 'cancelled'],
+    default: 'confirmed'
+  },
+  // Calendar invite identity; SEQUENCE goes up with every change so calendars apply updates
+  icsUid: {
+    type: String,
+    required: true
+  },
+  icsSequence: {
+    type: Number,
+    default: 0
+  },
+  // When the booking took its current time (booked or rescheduled). Of two
+  // bookings that overlap, the one that took its time later gives way.
+  slotTakenAt: {
+    type: Date,
+    default: Date.now
+  },
+  rescheduledFrom: [{
+    _id: false,
+    start: Date,
+    end: Date,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  cancelledAt: Date,
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  notification: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    sentAt: Date,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+// One confirmed booking per slot start: concurrent requests for the same slot
+// fail on this index instead of double-booking
+bookingSchema.index(
+  { clientId: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: 'confirmed' } }
+);
+bookingSchema.index({ clientId: 1, status: 1, start: 1 });
+
+module.exports = mongoose.model('Booking', bookingSchema);
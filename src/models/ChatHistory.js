@@ -1,9 +1,71 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { anonymizeIp } = require('../utils/origin.util');
 
+// Where a response came from: an uploaded Q&A pair or a scraped website chunk
+const messageSourceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['qa', 'website'],
+    required: true
+  },
+  uploadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientQA'
+  },
+  fileName: String,
+  pairId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  question: String,
+  chunkId: String,
+  sourceUrl: String,
+  pageTitle: String,
+  score: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'outdated', 'irrelevant', 'unclear', 'other'];
+
+// The visitor's rating of a response
+const messageFeedbackSchema = new mongoose.Schema({
+  rating: {
+    type: String,
+    enum: ['up', 'down'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: FEEDBACK_REASONS
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const MESSAGE_AUTHORS = ['bot', 'visitor', 'agent', 'system'];
+const HANDOFF_REASONS = ['requested', 'low_confidence', 'frustration', 'agent'];
+
+// A bot turn holds the visitor's query and the bot's response. While a session
+// is handed off to a person, visitor and agent messages are stored one per
+// message, and system messages mark the handoff starting and ending.
 const chatMessageSchema = new mongoose.Schema({
+  author: {
+    type: String,
+    enum: MESSAGE_AUTHORS,
+    default: 'bot'
+  },
   query: {
     type: String,
-    required: true,
+    required: function() { return this.author === 'bot' || this.author === 'visitor'; },
     trim: true
   },
   refinedQuery: {
@@ -12,7 +74,12 @@ const chatMessageSchema = new mongoose.Schema({
   },
   response: {
     type: String,
-    required: true
+    required: function() { return this.author !== 'visitor'; }
+  },
+  // Agent who wrote an agent message
+  agent: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    name: String
   },
   confidence: {
     type: String,
@@ -30,12 +97,49 @@ const chatMessageSchema = new mongoose.Schema({
   matchedQuestion: {
     type: String
   },
+  responseType: {
+    type: String // Response `type` returned to the widget (answer, website_answer, suggestions, ...)
+  },
+  sources: [messageSourceSchema],
+  feedback: messageFeedbackSchema,
+  // Set once a down rating of the message has counted toward its pairs'
+  // downSinceReview, so rating it down again doesn't count twice
+  feedbackDownCounted: {
+    type: Boolean
+  },
+  // PII detectors that masked part of the query or response (see config/redaction.js)
+  redactedTypes: {
+    type: [String],
+    default: undefined
+  },
+  // Encrypted JSON of the unmasked fields, kept only when the client opts in.
+  // Never sent to API responses; read through the lead transcript.
+  encryptedOriginal: {
+    type: String
+  },
+  // Guardrail check that refused the query (responseType 'restricted')
+  guardrail: {
+    type: {
+      type: String,
+      enum: ['regex', 'semantic', 'deny_topic', 'moderation']
+    },
+    name: String,
+    score: Number
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+// Encrypted originals stay in the database
+chatMessageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.encryptedOriginal;
+    return ret;
+  }
+});
+
 const chatHistorySchema = new mongoose.Schema({
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,21 +155,71 @@ const chatHistorySchema = new mongoose.Schema({
     type: String, // For tracking individual users within a client
     default: 'anonymous'
   },
+  // Secret handed to the visitor's widget once, when the session starts; needed
+  // to read or end the session's conversation with an agent
+  visitorToken: {
+    type: String,
+    select: false
+  },
   messages: [chatMessageSchema],
+  // 'handoff' while a person, not the bot, answers the visitor
+  mode: {
+    type: String,
+    enum: ['bot', 'handoff'],
+    default: 'bot'
+  },
+  // Latest handoff of the session
+  handoff: {
+    status: {
+      type: String,
+      enum: ['waiting', 'active', 'closed']
+    },
+    reason: {
+      type: String,
+      enum: HANDOFF_REASONS
+    },
+    requestedAt: Date,
+    acceptedAt: Date,
+    closedAt: Date,
+    closedBy: {
+      type: String,
+      enum: ['visitor', 'agent']
+    },
+    agent: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+      name: String
+    }
+  },
   context: {
     recentTopics: [String], // Track recent conversation topics
     userPreferences: {
       language: { type: String, default: 'en' },
       responseStyle: { type: String, default: 'standard' }
     },
-    frequentQueries: [String] // Track user's common questions
+    frequentQueries: [String], // Track user's common questions
+    lead: {
+      promptedAt: Date, // When the lead form was offered in this session
+      leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }
+    },
+    // Guided flow the session is in, cleared when the flow ends
+    flow: {
+      flowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flow' },
+      nodeId: String, // Buttons or input node waiting for the visitor's reply
+      variables: { type: Map, of: String },
+      attempts: Number, // Invalid replies to the current input node
+      language: String,
+      startedAt: Date
+    }
   },
   metadata: {
     totalQueries: { type: Number, default: 0 },
     avgConfidence: { type: Number, default: 0 },
     lastActive: { type: Date, default: Date.now },
     userAgent: String,
-    ipAddress: String
+    ipAddress: {
+      type: String,
+      set: anonymizeIp
+    }
   }
 }, {
   timestamps: true
@@ -74,11 +228,15 @@ const chatHistorySchema = new mongoose.Schema({
 // Indexes for better performance
 chatHistorySchema.index({ clientId: 1, sessionId: 1 });
 chatHistorySchema.index({ 'metadata.lastActive': -1 });
+chatHistorySchema.index({ clientId: 1, 'metadata.lastActive': -1 });
 chatHistorySchema.index({ 'messages.timestamp': -1 });
+chatHistorySchema.index({ clientId: 1, 'messages.feedback.rating': 1 });
+chatHistorySchema.index({ clientId: 1, mode: 1, 'handoff.status': 1 });
 
 // Methods for context analysis
 chatHistorySchema.methods.getRecentContext = function(limit = 5) {
   return this.messages
+    .filter(msg => msg.author === 'bot')
     .slice(-limit)
     .map(msg => ({
       query: msg.query,
@@ -90,14 +248,21 @@ chatHistorySchema.methods.getRecentContext = function(limit = 5) {
 
 chatHistorySchema.methods.addMessage = function(messageData) {
   this.messages.push(messageData);
-  this.metadata.totalQueries += 1;
   this.metadata.lastActive = new Date();
+  if (!messageData.query) {
+    // Agent and system messages don't count as visitor queries
+    return this.save();
+  }
+  this.metadata.totalQueries += 1;
   
-  // Update average confidence
+  // Update average confidence of the bot's answers
   const confidenceScores = { high: 1, medium: 0.6, low: 0.3 };
-  const totalScore = this.messages.reduce((sum, msg) => 
-    sum + (confidenceScores[msg.confidence] || 0.6), 0);
-  this.metadata.avgConfidence = totalScore / this.messages.length;
+  const botMessages = this.messages.filter(msg => msg.author === 'bot');
+  if (botMessages.length > 0) {
+    const totalScore = botMessages.reduce((sum, msg) => 
+      sum + (confidenceScores[msg.confidence] || 0.6), 0);
+    this.metadata.avgConfidence = totalScore / botMessages.length;
+  }
   
   // Update recent topics (extract keywords from queries)
   const keywords = this.extractKeywords(messageData.query);
@@ -106,6 +271,22 @@ chatHistorySchema.methods.addMessage = function(messageData) {
   return this.save();
 };
 
+// Give the session a new visitor token and return it
+chatHistorySchema.methods.issueVisitorToken = function() {
+  this.visitorToken = crypto.randomBytes(24).toString('hex');
+  return this.visitorToken;
+};
+
+// Whether `token` is the session's visitor token (load it with +visitorToken)
+chatHistorySchema.methods.hasVisitorToken = function(token) {
+  if (!this.visitorToken || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(this.visitorToken);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
 chatHistorySchema.methods.extractKeywords = function(text) {
   // Simple keyword extraction (can be enhanced with NLP)
   const stopWords = ['the', 'is', 'at', 'which', 'on', 'what', 'who', 'how', 'when', 'where', 'why'];
@@ -116,3 +297,5 @@ chatHistorySchema.methods.extractKeywords = function(text) {
 };
 
 module.exports = mongoose.model('ChatHistory', chatHistorySchema);
+module.exports.FEEDBACK_REASONS = FEEDBACK_REASONS;
+module.exports.HANDOFF_REASONS = HANDOFF_REASONS;
@@ -1,4 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { normalizeOrigin } = require('../utils/origin.util');
+const { FIELD_TYPES } = require('../config/leadCapture');
 
 const clientSchema = new mongoose.Schema({
   name: {
@@ -59,6 +62,159 @@ const clientSchema = new mongoose.Schema({
     type: String,
     default: 'all-MiniLM-L6-v2'
   },
+  // Optional per-client LLM provider; falls back to LLM_PROVIDER when unset
+  llmConfig: {
+    provider: {
+      type: String,
+      enum: ['gemini', 'openai', 'fake']
+    },
+    textModel: String,
+    embeddingModel: String,
+    baseUrl: String,
+    apiKeyEnv: String // Name of the env variable holding the API key (LLM_API_KEY_*)
+  },
+  // Retrieval overrides for this client; unset fields use the defaults in config/retrieval.js
+  retrievalConfig: {
+    answerThreshold: { type: Number, min: 0, max: 1 },
+    synthesisThreshold: { type: Number, min: 0, max: 1 },
+    topK: { type: Number, min: 1, max: 20 },
+    websiteThreshold: { type: Number, min: 0, max: 1 },
+    suggestionClickFloor: { type: Number, min: 0, max: 1 },
+    confidenceTiers: {
+      high: { type: Number, min: 0, max: 1 },
+      medium: { type: Number, min: 0, max: 1 }
+    },
+    hybrid: {
+      enabled: Boolean,
+      vectorWeight: { type: Number, min: 0 },
+      lexicalWeight: { type: Number, min: 0 },
+      rrfK: { type: Number, min: 1 }
+    },
+    answerCache: {
+      enabled: Boolean,
+      minSimilarity: { type: Number, min: 0, max: 1 }
+    },
+    calibratedAt: Date
+  },
+  // Lead form settings; unset fields use the defaults in config/leadCapture.js
+  leadCaptureConfig: {
+    enabled: Boolean,
+    title: { type: String, trim: true },
+    successMessage: { type: String, trim: true },
+    fields: {
+      type: [{
+        _id: false,
+        name: { type: String, required: true },
+        label: String,
+        type: { type: String, enum: FIELD_TYPES, required: true },
+        required: Boolean
+      }],
+      default: undefined
+    },
+    triggers: {
+      intents: { type: [String], default: undefined },
+      unansweredCount: { type: Number, min: 0 }
+    },
+    defaultCountry: { type: String, uppercase: true, trim: true },
+    notifyEmail: { type: String, trim: true, lowercase: true }
+  },
+  // Appointment booking settings; unset fields use the defaults in config/booking.js
+  availability: {
+    enabled: Boolean,
+    timezone: String,
+    slotMinutes: { type: Number, min: 5, max: 480 },
+    weeklyHours: {
+      type: [{
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true },
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+      }],
+      default: undefined
+    },
+    blackoutDates: { type: [String], default: undefined },
+    minNoticeMinutes: { type: Number, min: 0 },
+    maxDaysAhead: { type: Number, min: 1, max: 365 }
+  },
+  // Topics, rules, moderation and refusal messages applied to visitor queries;
+  // unset fields use the defaults in config/guardrails.js
+  guardrailPolicy: {
+    enabled: Boolean,
+    allowTopics: { type: [String], default: undefined },
+    denyTopics: { type: [String], default: undefined },
+    topicThreshold: { type: Number, min: 0, max: 1 },
+    rules: {
+      type: [{
+        _id: false,
+        name: { type: String, required: true },
+        type: { type: String, enum: ['regex', 'semantic'], required: true },
+        pattern: String,
+        flags: String,
+        examples: { type: [String], default: undefined },
+        threshold: { type: Number, min: 0, max: 1 }
+      }],
+      default: undefined
+    },
+    moderation: {
+      enabled: Boolean,
+      categories: { type: [String], default: undefined }
+    },
+    refusalMessages: {
+      type: Map,
+      of: String
+    }
+  },
+  // PII masking of stored chat history; unset fields use the defaults in config/redaction.js
+  redactionConfig: {
+    enabled: Boolean,
+    detectors: {
+      email: Boolean,
+      phone: Boolean,
+      creditCard: Boolean,
+      iban: Boolean
+    },
+    customPatterns: {
+      type: [{
+        _id: false,
+        name: { type: String, required: true },
+        pattern: { type: String, required: true },
+        flags: String,
+        mask: String
+      }],
+      default: undefined
+    },
+    keepEncryptedOriginals: Boolean
+  },
+  // Live-agent handoff settings; unset fields use the defaults in config/handoff.js
+  handoffConfig: {
+    enabled: Boolean,
+    triggers: {
+      request: Boolean,
+      lowConfidenceCount: { type: Number, min: 0 },
+      frustration: Boolean
+    },
+    notifyEmails: { type: [String], default: undefined },
+    waitingMessage: { type: String, trim: true },
+    closedMessage: { type: String, trim: true }
+  },
+  // Publishable key the embedded widget identifies the client with
+  publicKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  publicKeyRotatedAt: {
+    type: Date
+  },
+  // Sites allowed to embed the widget; when empty, only the client's website
+  allowedOrigins: [{
+    type: String,
+    set: value => normalizeOrigin(value) || value,
+    validate: {
+      validator: value => normalizeOrigin(value) === value,
+      message: props => `${props.value} is not a valid origin`
+    }
+  }],
   embedScript: {
     type: String,
     trim: true
@@ -81,6 +237,27 @@ clientSchema.index({ website: 1 });
 clientSchema.index({ status: 1 });
 clientSchema.index({ createdBy: 1 });
 
+// Every client gets a publishable key when first saved
+clientSchema.pre('validate', function(next) {
+  if (!this.publicKey) {
+    this.publicKey = this.constructor.generatePublicKey();
+  }
+  next();
+});
+
+clientSchema.statics.generatePublicKey = function() {
+  return `pk_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Origins allowed to embed the widget
+clientSchema.methods.getAllowedOrigins = function() {
+  if (this.allowedOrigins && this.allowedOrigins.length > 0) {
+    return this.allowedOrigins;
+  }
+  const websiteOrigin = normalizeOrigin(/^https?:\/\//i.test(this.website) ? this.website : `https://${this.website}`);
+  return websiteOrigin ? [websiteOrigin] : [];
+};
+
 // Virtual for client ID string
 clientSchema.virtual('clientId').get(function() {
   return this._id.toString();
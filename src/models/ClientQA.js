@@ -1,6 +1,30 @@
 // backend/src/models/ClientQA.js
 const mongoose = require('mongoose');
 
+const QA_EVENT_TYPES = ['uploaded', 'replaced', 'rolled_back', 'deleted', 'restored', 'pair_added', 'pair_updated', 'pair_deleted'];
+
+// A change to an upload or one of its pairs, and the admin who made it
+const qaEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QA_EVENT_TYPES,
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  pairId: mongoose.Schema.Types.ObjectId, // pair_* events
+  version: Number // Version restored by a rollback
+}, { _id: false });
+
+// One version of an upload. Replacing or rolling back an upload adds a version
+// with the same uploadGroupId; only the active version of an upload that isn't
+// deleted is searched (see liveFilter).
 const ClientQASchema = new mongoose.Schema({
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,7 +39,7 @@ const ClientQASchema = new mongoose.Schema({
   fileType: {
     type: String,
     required: true,
-    enum: ['csv', 'pdf', 'txt', 'json', 'xlsx', 'markdown']
+    enum: ['csv', 'pdf', 'txt', 'json', 'xlsx', 'markdown', 'manual'] // 'manual': pairs written in the admin panel
   },
   uploadedAt: {
     type: Date,
@@ -43,6 +67,12 @@ const ClientQASchema = new mongoose.Schema({
       type: String,
       default: 'general'
     },
+    // Language code or name from the upload's language column, if any
+    language: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
     confidence: {
       type: Number,
       default: 1.0,
@@ -51,6 +81,22 @@ const ClientQASchema = new mongoose.Schema({
     },
     embedding: {
       type: [Number]
+    },
+    // 'failed' pairs are kept without an embedding and retried by the
+    // embed_pairs job; unset on pairs saved before failures were kept
+    embeddingStatus: {
+      type: String,
+      enum: ['completed', 'failed']
+    },
+    embeddingError: String,
+    // Visitor ratings of answers built from this pair
+    feedbackStats: {
+      up: { type: Number, default: 0 },
+      down: { type: Number, default: 0 },
+      // Down ratings since an admin last reviewed the pair
+      downSinceReview: { type: Number, default: 0 },
+      lastFeedbackAt: Date,
+      reviewedAt: Date
     }
   }],
   fullText: {
@@ -62,7 +108,66 @@ const ClientQASchema = new mongoose.Schema({
     enum: ['processing', 'completed', 'failed'],
     default: 'processing'
   },
-  errorMessage: String
+  errorMessage: String,
+  // Job that parses and embeds the file (see jobs/qaUpload.job.js)
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  // Columns picked by the admin for a CSV or spreadsheet upload; detected from
+  // the headers when unset
+  columnMapping: {
+    question: String,
+    answer: String,
+    category: String,
+    language: String,
+    confidence: String
+  },
+  // Id of the upload's first version, shared by all its versions
+  uploadGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: function() {
+      return this._id;
+    }
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // How this version was made: a new upload, a replacement file or a rollback
+  changeType: {
+    type: String,
+    enum: ['upload', 'replace', 'rollback'],
+    default: 'upload'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Soft delete; set on every version of the upload
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  events: [qaEventSchema]
 });
 
-module.exports = mongoose.model('ClientQA', ClientQASchema);
\ No newline at end of file
+ClientQASchema.index({ clientId: 1, uploadGroupId: 1, version: -1 });
+
+// Versions the chat answers from: completed, active and not deleted. Uploads
+// saved before versioning have no isActive or deletedAt and count as live.
+ClientQASchema.statics.liveFilter = function(clientId) {
+  return { clientId, status: 'completed', isActive: { $ne: false }, deletedAt: null };
+};
+
+ClientQASchema.statics.findLive = function(clientId) {
+  return this.find(this.liveFilter(clientId));
+};
+
+module.exports = mongoose.model('ClientQA', ClientQASchema);
+module.exports.QA_EVENT_TYPES = QA_EVENT_TYPES;
\ No newline at end of file
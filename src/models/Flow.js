@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const FLOW_NODE_TYPES = ['message', 'buttons', 'input', 'condition', 'qa_answer', 'lead_capture', 'handoff'];
+const INPUT_TYPES = ['text', 'email', 'phone', 'number', 'regex'];
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'contains', 'greater_than', 'less_than', 'exists'];
+
+// A choice offered by a buttons node
+const flowButtonSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stored in the node's variable when picked; the label when unset
+  value: {
+    type: String,
+    trim: true
+  },
+  next: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Branch of a condition node, taken when `variable <operator> value` holds
+const flowConditionSchema = new mongoose.Schema({
+  variable: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    required: true
+  },
+  value: String,
+  next: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One step of a flow. Which fields apply depends on `type` (see FlowService.validateFlow).
+// Text may use {{variable}} placeholders for values the visitor entered.
+const flowNodeSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: FLOW_NODE_TYPES,
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true
+  },
+  // Node that follows; the flow ends after this node when unset
+  next: String,
+  buttons: {
+    type: [flowButtonSchema],
+    default: undefined
+  },
+  // Where buttons and input nodes store the visitor's answer
+  variable: String,
+  validation: {
+    type: {
+      type: String,
+      enum: INPUT_TYPES
+    },
+    pattern: String, // regex inputs
+    min: Number, // number value or text length
+    max: Number
+  },
+  // Shown when an input doesn't validate
+  errorMessage: {
+    type: String,
+    trim: true
+  },
+  conditions: {
+    type: [flowConditionSchema],
+    default: undefined
+  },
+  // Condition node branch when no condition holds
+  defaultNext: String,
+  // Q&A pair answered by a qa_answer node
+  pairId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { _id: false });
+
+// Admin-authored guided conversation (decision tree). Started when a visitor's
+// query matches one of its triggers; the session's position is kept in
+// ChatHistory.context.flow.
+const flowSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  triggers: {
+    // Query analysis intents that start the flow
+    intents: [String],
+    // Words or phrases that start the flow when the query contains them
+    keywords: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  startNodeId: {
+    type: String,
+    required: true
+  },
+  nodes: [flowNodeSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+flowSchema.index({ clientId: 1, name: 1 }, { unique: true });
+flowSchema.index({ clientId: 1, enabled: 1 });
+
+module.exports = mongoose.model('Flow', flowSchema);
+module.exports.FLOW_NODE_TYPES = FLOW_NODE_TYPES;
+module.exports.INPUT_TYPES = INPUT_TYPES;
+module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['qa_upload', 'scrape', 'embed_chunks', 'embed_pairs', 'reembed'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+// Finished jobs are removed after this long
+const JOB_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Background work run by JobQueueService. Stored so that jobs survive restarts:
+// running jobs whose worker stops sending heartbeats are queued again.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  payload: mongoose.Schema.Types.Mixed, // Input for the job type's handler
+  result: mongoose.Schema.Types.Mixed,
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  progressMessage: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Not picked up before this time (retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  error: String, // Last attempt's error
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Worker running the job, and when it last reported in
+  lockedBy: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ clientId: 1, createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
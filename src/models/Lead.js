@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Contact details a visitor left through the chat widget's lead form
+const leadSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: String,
+    index: true
+  },
+  chatHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatHistory'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // E.164, e.g. +14155552671
+  phone: {
+    type: String,
+    trim: true
+  },
+  phoneCountry: String,
+  message: {
+    type: String,
+    trim: true
+  },
+  // Every submitted form field, including custom ones
+  fields: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // What showed the form: an intent such as 'pricing', 'unanswered', or 'visitor'
+  trigger: {
+    type: String,
+    default: 'visitor'
+  },
+  pageUrl: String,
+  status: {
+    type: String,
+    enum: ['new', 'contacted', 'qualified', 'closed'],
+    default: 'new'
+  },
+  notification: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    to: String,
+    sentAt: Date,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+leadSchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Lead', leadSchema);
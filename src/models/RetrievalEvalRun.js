@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const evalResultSchema = new mongoose.Schema({
+  query: String,
+  queryText: String, // Text actually searched (refined unless it matched a question directly)
+  answerable: Boolean,
+  retrieved: [{
+    _id: false,
+    pairId: String,
+    question: String,
+    score: Number,
+    rankers: [String],
+    relevant: Boolean
+  }],
+  firstRelevantRank: {
+    type: Number,
+    default: null
+  },
+  bestScore: {
+    type: Number,
+    default: 0
+  },
+  answered: Boolean,
+  correct: Boolean,
+  error: String
+}, { _id: false });
+
+// One run of an eval set, with the settings it ran under so runs can be compared
+const retrievalEvalRunSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  evalSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RetrievalEvalSet',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  settings: {
+    retrievalConfig: mongoose.Schema.Types.Mixed, // Effective config, including run overrides
+    provider: String,
+    textModel: String,
+    embeddingModel: String,
+    refine: Boolean,
+    reindexed: Boolean // Pairs were re-embedded with the run's provider
+  },
+  metrics: {
+    queries: Number,
+    answerable: Number,
+    k: Number,
+    recallAtK: Number,
+    mrr: Number,
+    answerRate: Number,
+    falseAnswerRate: Number,
+    correctAnswers: Number,
+    falseAnswers: Number,
+    errors: Number
+  },
+  results: [evalResultSchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  durationMs: Number,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+retrievalEvalRunSchema.index({ evalSetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RetrievalEvalRun', retrievalEvalRunSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A golden query: expected Q&A pair ids and/or the expected answer text.
+// Queries with neither are ones the bot should not answer.
+const evalQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expectedPairIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  expectedAnswer: {
+    type: String,
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }]
+});
+
+evalQuerySchema.virtual('answerable').get(function() {
+  return (this.expectedPairIds && this.expectedPairIds.length > 0) || Boolean(this.expectedAnswer);
+});
+
+const retrievalEvalSetSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  queries: {
+    type: [evalQuerySchema],
+    validate: {
+      validator: function(queries) {
+        return queries.length > 0 && queries.length <= 500;
+      },
+      message: 'An eval set needs between 1 and 500 queries'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+retrievalEvalSetSchema.index({ clientId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RetrievalEvalSet', retrievalEvalSetSchema);
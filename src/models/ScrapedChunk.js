@@ -84,24 +84,26 @@ const scrapedChunkSchema = new mongoose.Schema({
     }
   },
   embedding: {
-    type: [Number], // Array of floats for vector embedding
-    required: true,
-    validate: {
-      validator: function(arr) {
-        return arr && arr.length > 0; // Ensure non-empty embedding
-      },
-      message: 'Embedding must be a non-empty array'
-    }
+    type: [Number], // Array of floats for vector embedding, empty until embedded
+    default: []
+  },
+  embeddingStatus: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending',
+    index: true
   },
   embeddingModel: {
     type: String,
-    default: 'text-embedding-004', // Updated for Gemini
-    enum: ['text-embedding-004', 'all-MiniLM-L6-v2'] // Support both Gemini and fallback
+    default: null // Model that produced the embedding; only vectors from the query model are comparable
   },
   embeddingDimensions: {
     type: Number,
-    required: true,
-    default: 768 // Gemini embedding dimensions
+    default: 0
+  },
+  embeddingError: {
+    type: String,
+    default: null
   },
   scrapedAt: {
     type: Date,
@@ -126,6 +128,7 @@ scrapedChunkSchema.index({ clientId: 1, isHeader: 1 });
 scrapedChunkSchema.index({ clientId: 1, 'semanticMetadata.contentType': 1 });
 scrapedChunkSchema.index({ clientId: 1, tokenCount: 1 });
 scrapedChunkSchema.index({ embeddingModel: 1 });
+scrapedChunkSchema.index({ clientId: 1, embeddingStatus: 1 });
 
 // Static methods for common queries
 scrapedChunkSchema.statics.findByClient = function(clientId) {
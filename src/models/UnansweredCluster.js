@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One phrasing of an unanswered question as a visitor asked it
+const unansweredExampleSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  refinedQuery: {
+    type: String,
+    trim: true
+  },
+  language: String,
+  sessionId: String,
+  responseType: String, // 'suggestions' or 'no_data'
+  askedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Near-duplicate visitor questions the knowledge base couldn't answer, grouped
+// by query embedding. Admins answer a cluster once or mark it out of scope.
+const unansweredClusterSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  // First phrasing seen; shown as the cluster's title
+  representativeQuery: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Normalized mean of the members' query embeddings
+  centroid: {
+    type: [Number],
+    default: []
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  // Most recent phrasings, newest last
+  examples: [unansweredExampleSchema],
+  languages: [String],
+  firstAskedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAskedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'out_of_scope'],
+    default: 'open'
+  },
+  // Q&A pair created from the admin's answer
+  answer: {
+    uploadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientQA'
+    },
+    pairId: mongoose.Schema.Types.ObjectId,
+    question: String
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+unansweredClusterSchema.index({ clientId: 1, status: 1, lastAskedAt: -1 });
+unansweredClusterSchema.index({ clientId: 1, status: 1, count: -1 });
+
+module.exports = mongoose.model('UnansweredCluster', unansweredClusterSchema);
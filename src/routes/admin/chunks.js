@@ -31,6 +31,9 @@ router.get('/client/:clientId', chunksController.getClientChunks);
 // Delete chunks for a client
 router.delete('/:clientId/chunks', chunksController.deleteClientChunks);
 
+// Embed pending and failed chunks with the client's embedding provider
+router.post('/:clientId/chunks/embed', chunksController.embedClientChunks);
+
 // Search chunks by text
 router.post('/:clientId/chunks/search', chunksController.searchChunks);
 
@@ -1,7 +1,20 @@
 const express = require('express');
 const clientController = require('../../controllers/client.controller');
 const clientQAController = require('../../controllers/clientQA.controller');
+const qaPairController = require('../../controllers/qaPair.controller');
+const retrievalEvalController = require('../../controllers/retrievalEval.controller');
+const chatController = require('../../controllers/chat.controller');
+const feedbackController = require('../../controllers/feedback.controller');
+const unansweredController = require('../../controllers/unanswered.controller');
+const leadController = require('../../controllers/lead.controller');
+const bookingController = require('../../controllers/booking.controller');
+const guardrailController = require('../../controllers/guardrail.controller');
+const redactionController = require('../../controllers/redaction.controller');
+const handoffController = require('../../controllers/handoff.controller');
+const flowController = require('../../controllers/flow.controller');
+const jobController = require('../../controllers/job.controller');
 const { authenticateAdmin } = require('../../middleware/auth');
+const { loadOwnedClient } = require('../../middleware/clientAccess');
 
 const router = express.Router();
 
@@ -24,7 +37,7 @@ router.get('/:id', clientController.getClient);
 router.post('/', clientController.createClient);
 
 // @route   PUT /api/admin/clients/:id
-// @desc    Update client
+// @desc    Update client (a new embedding provider or model is applied by a reembed job)
 // @access  Private (Admin only)
 router.put('/:id', clientController.updateClient);
 
@@ -53,16 +66,371 @@ router.get('/:id/export-csv', clientController.exportScrapedDataCSV);
 // @access  Private (Admin only)
 router.get('/scraping/status/:jobId', clientController.getScrapingStatus);
 
+// @route   GET /api/admin/clients/:id/jobs
+// @desc    List background jobs (uploads, scraping, embedding) (filters: type, status; page, limit)
+// @access  Private (Admin only)
+router.get('/:id/jobs', loadOwnedClient, jobController.getJobs);
+
+// @route   GET /api/admin/clients/:id/jobs/:jobId
+// @desc    Get a background job's status and progress
+// @access  Private (Admin only)
+router.get('/:id/jobs/:jobId', loadOwnedClient, jobController.getJob);
+
+// @route   POST /api/admin/clients/:id/jobs/:jobId/cancel
+// @desc    Cancel a queued or running job
+// @access  Private (Admin only)
+router.post('/:id/jobs/:jobId/cancel', loadOwnedClient, jobController.cancelJob);
+
 // @route   POST /api/admin/clients/:id/upload-qa
-// @desc    Upload Q&A pairs file for client
+// @desc    Upload Q&A pairs file for client (optional column mapping for CSV and spreadsheets)
 // @access  Private (Admin only)
 router.post('/:id/upload-qa', clientQAController.upload, clientQAController.uploadQAPairs);
 
+// @route   POST /api/admin/clients/:id/upload-qa/preview
+// @desc    Parse a Q&A file without saving it: columns, proposed mapping, sample pairs and warnings
+// @access  Private (Admin only)
+router.post('/:id/upload-qa/preview', loadOwnedClient, clientQAController.upload, clientQAController.previewUpload);
+
 // @route   GET /api/admin/clients/:id/qa-data
 // @desc    Get Q&A data for client
 // @access  Private (Admin only)
 router.get('/:id/qa-data', clientQAController.getClientQA);
 
+// @route   POST /api/admin/clients/:id/uploads/:uploadId/replace
+// @desc    Upload a new file as the next version of an upload
+// @access  Private (Admin only)
+router.post('/:id/uploads/:uploadId/replace', clientQAController.upload, clientQAController.replaceUpload);
+
+// @route   GET /api/admin/clients/:id/uploads/:uploadId/versions
+// @desc    Version history of an upload
+// @access  Private (Admin only)
+router.get('/:id/uploads/:uploadId/versions', loadOwnedClient, clientQAController.getUploadVersions);
+
+// @route   GET /api/admin/clients/:id/uploads/:uploadId/diff
+// @desc    Compare two versions of an upload (query: from, to)
+// @access  Private (Admin only)
+router.get('/:id/uploads/:uploadId/diff', loadOwnedClient, clientQAController.getUploadDiff);
+
+// @route   POST /api/admin/clients/:id/uploads/:uploadId/rollback
+// @desc    Make an earlier version of an upload live again
+// @access  Private (Admin only)
+router.post('/:id/uploads/:uploadId/rollback', loadOwnedClient, clientQAController.rollbackUpload);
+
+// @route   DELETE /api/admin/clients/:id/uploads/:uploadId
+// @desc    Soft-delete an upload
+// @access  Private (Admin only)
+router.delete('/:id/uploads/:uploadId', loadOwnedClient, clientQAController.deleteUpload);
+
+// @route   POST /api/admin/clients/:id/uploads/:uploadId/restore
+// @desc    Restore a soft-deleted upload
+// @access  Private (Admin only)
+router.post('/:id/uploads/:uploadId/restore', loadOwnedClient, clientQAController.restoreUpload);
+
+// @route   GET /api/admin/clients/:id/qa-pairs
+// @desc    List Q&A pairs (filters: search, category, uploadId, minConfidence, maxConfidence; page, limit)
+// @access  Private (Admin only)
+router.get('/:id/qa-pairs', loadOwnedClient, qaPairController.getPairs);
+
+// @route   POST /api/admin/clients/:id/qa-pairs
+// @desc    Add a Q&A pair to an upload or the manual answers
+// @access  Private (Admin only)
+router.post('/:id/qa-pairs', loadOwnedClient, qaPairController.createPair);
+
+// @route   POST /api/admin/clients/:id/qa-pairs/embed
+// @desc    Retry embedding Q&A pairs whose embedding failed
+// @access  Private (Admin only)
+router.post('/:id/qa-pairs/embed', loadOwnedClient, qaPairController.embedFailedPairs);
+
+// @route   GET /api/admin/clients/:id/qa-pairs/:pairId
+// @desc    Get a Q&A pair
+// @access  Private (Admin only)
+router.get('/:id/qa-pairs/:pairId', loadOwnedClient, qaPairController.getPair);
+
+// @route   PUT /api/admin/clients/:id/qa-pairs/:pairId
+// @desc    Edit a Q&A pair (a changed question is re-embedded)
+// @access  Private (Admin only)
+router.put('/:id/qa-pairs/:pairId', loadOwnedClient, qaPairController.updatePair);
+
+// @route   DELETE /api/admin/clients/:id/qa-pairs/:pairId
+// @desc    Delete a Q&A pair
+// @access  Private (Admin only)
+router.delete('/:id/qa-pairs/:pairId', loadOwnedClient, qaPairController.deletePair);
+
+// @route   GET /api/admin/clients/:id/vector-index
+// @desc    Get in-memory vector index size and memory stats (?warm=true builds it first)
+// @access  Private (Admin only)
+router.get('/:id/vector-index', clientQAController.getVectorIndexStats);
+
+// @route   GET /api/admin/clients/:id/retrieval-config
+// @desc    Get retrieval thresholds and confidence tiers for client
+// @access  Private (Admin only)
+router.get('/:id/retrieval-config', clientController.getRetrievalConfig);
+
+// @route   PUT /api/admin/clients/:id/retrieval-config
+// @desc    Update retrieval thresholds (partial; null resets a setting to its default)
+// @access  Private (Admin only)
+router.put('/:id/retrieval-config', clientController.updateRetrievalConfig);
+
+// @route   POST /api/admin/clients/:id/retrieval-config/calibrate
+// @desc    Suggest thresholds from labelled example queries ({ apply: true } saves them)
+// @access  Private (Admin only)
+router.post('/:id/retrieval-config/calibrate', clientController.calibrateRetrieval);
+
+// @route   GET /api/admin/clients/:id/answer-cache
+// @desc    Get semantic answer cache stats (hit/miss counters, top cached queries)
+// @access  Private (Admin only)
+router.get('/:id/answer-cache', clientController.getAnswerCache);
+
+// @route   DELETE /api/admin/clients/:id/answer-cache
+// @desc    Clear semantic answer cache for client
+// @access  Private (Admin only)
+router.delete('/:id/answer-cache', clientController.clearAnswerCache);
+
+// @route   GET /api/admin/clients/:id/eval-sets
+// @desc    List retrieval evaluation sets for client
+// @access  Private (Admin only)
+router.get('/:id/eval-sets', retrievalEvalController.getEvalSets);
+
+// @route   POST /api/admin/clients/:id/eval-sets
+// @desc    Create retrieval evaluation set (golden queries with expected pairs/answers)
+// @access  Private (Admin only)
+router.post('/:id/eval-sets', retrievalEvalController.createEvalSet);
+
+// @route   GET /api/admin/clients/:id/eval-sets/:setId
+// @desc    Get retrieval evaluation set
+// @access  Private (Admin only)
+router.get('/:id/eval-sets/:setId', retrievalEvalController.getEvalSet);
+
+// @route   PUT /api/admin/clients/:id/eval-sets/:setId
+// @desc    Update retrieval evaluation set
+// @access  Private (Admin only)
+router.put('/:id/eval-sets/:setId', retrievalEvalController.updateEvalSet);
+
+// @route   DELETE /api/admin/clients/:id/eval-sets/:setId
+// @desc    Delete retrieval evaluation set and its runs
+// @access  Private (Admin only)
+router.delete('/:id/eval-sets/:setId', retrievalEvalController.deleteEvalSet);
+
+// @route   POST /api/admin/clients/:id/eval-sets/:setId/run
+// @desc    Run evaluation set (recall@k, MRR, answer rate, false-answer rate)
+// @access  Private (Admin only)
+router.post('/:id/eval-sets/:setId/run', retrievalEvalController.runEvalSet);
+
+// @route   GET /api/admin/clients/:id/eval-sets/:setId/runs
+// @desc    List past runs of an evaluation set with metrics and settings
+// @access  Private (Admin only)
+router.get('/:id/eval-sets/:setId/runs', retrievalEvalController.getEvalRuns);
+
+// @route   GET /api/admin/clients/:id/eval-runs/:runId
+// @desc    Get evaluation run with per-query results
+// @access  Private (Admin only)
+router.get('/:id/eval-runs/:runId', retrievalEvalController.getEvalRun);
+
+// @route   GET /api/admin/clients/:id/conversations
+// @desc    Browse chat sessions (filters: from, to, language, confidence, matchedQuestion, noAnswer, search, userId; page, limit)
+// @access  Private (Admin only)
+router.get('/:id/conversations', loadOwnedClient, chatController.getChatSessions);
+
+// @route   GET /api/admin/clients/:id/conversations/:sessionId
+// @desc    Get full transcript of a chat session
+// @access  Private (Admin only)
+router.get('/:id/conversations/:sessionId', loadOwnedClient, chatController.getChatHistory);
+
+// @route   DELETE /api/admin/clients/:id/conversations/:sessionId
+// @desc    Delete a chat session
+// @access  Private (Admin only)
+router.delete('/:id/conversations/:sessionId', loadOwnedClient, chatController.deleteChatHistory);
+
+// @route   GET /api/admin/clients/:id/feedback
+// @desc    Visitor rating totals and most disliked Q&A pairs
+// @access  Private (Admin only)
+router.get('/:id/feedback', loadOwnedClient, feedbackController.getFeedbackSummary);
+
+// @route   GET /api/admin/clients/:id/feedback/review-queue
+// @desc    Low-rated Q&A pairs awaiting review
+// @access  Private (Admin only)
+router.get('/:id/feedback/review-queue', loadOwnedClient, feedbackController.getReviewQueue);
+
+// @route   POST /api/admin/clients/:id/feedback/review-queue/:pairId/resolve
+// @desc    Mark a low-rated Q&A pair as reviewed
+// @access  Private (Admin only)
+router.post('/:id/feedback/review-queue/:pairId/resolve', loadOwnedClient, feedbackController.resolveReview);
+
+// @route   GET /api/admin/clients/:id/unanswered
+// @desc    Clusters of visitor questions the bot couldn't answer
+// @access  Private (Admin only)
+router.get('/:id/unanswered', loadOwnedClient, unansweredController.getClusters);
+
+// @route   GET /api/admin/clients/:id/unanswered/:clusterId
+// @desc    Get an unanswered-question cluster with example phrasings
+// @access  Private (Admin only)
+router.get('/:id/unanswered/:clusterId', loadOwnedClient, unansweredController.getCluster);
+
+// @route   POST /api/admin/clients/:id/unanswered/:clusterId/answer
+// @desc    Answer a cluster, adding a Q&A pair to the manual collection
+// @access  Private (Admin only)
+router.post('/:id/unanswered/:clusterId/answer', loadOwnedClient, unansweredController.answerCluster);
+
+// @route   POST /api/admin/clients/:id/unanswered/:clusterId/out-of-scope
+// @desc    Mark a cluster as out of scope
+// @access  Private (Admin only)
+router.post('/:id/unanswered/:clusterId/out-of-scope', loadOwnedClient, unansweredController.markOutOfScope);
+
+// @route   POST /api/admin/clients/:id/unanswered/:clusterId/reopen
+// @desc    Move a resolved cluster back to the open inbox
+// @access  Private (Admin only)
+router.post('/:id/unanswered/:clusterId/reopen', loadOwnedClient, unansweredController.reopenCluster);
+
+// @route   GET /api/admin/clients/:id/lead-capture-config
+// @desc    Get lead form settings
+// @access  Private (Admin only)
+router.get('/:id/lead-capture-config', loadOwnedClient, leadController.getLeadCaptureConfig);
+
+// @route   PUT /api/admin/clients/:id/lead-capture-config
+// @desc    Update lead form fields, triggers and notification address
+// @access  Private (Admin only)
+router.put('/:id/lead-capture-config', loadOwnedClient, leadController.updateLeadCaptureConfig);
+
+// @route   GET /api/admin/clients/:id/leads
+// @desc    List captured leads (filters: status, from, to, search; page, limit)
+// @access  Private (Admin only)
+router.get('/:id/leads', loadOwnedClient, leadController.getLeads);
+
+// @route   GET /api/admin/clients/:id/leads/export
+// @desc    Export leads as CSV (same filters as the list)
+// @access  Private (Admin only)
+router.get('/:id/leads/export', loadOwnedClient, leadController.exportLeadsCSV);
+
+// @route   PUT /api/admin/clients/:id/leads/:leadId
+// @desc    Update a lead's status
+// @access  Private (Admin only)
+router.put('/:id/leads/:leadId', loadOwnedClient, leadController.updateLead);
+
+// @route   GET /api/admin/clients/:id/leads/:leadId/transcript
+// @desc    Chat transcript of a lead's session, with decrypted originals of redacted messages
+// @access  Private (Admin only)
+router.get('/:id/leads/:leadId/transcript', loadOwnedClient, leadController.getLeadTranscript);
+
+// @route   GET /api/admin/clients/:id/availability
+// @desc    Get appointment booking hours and settings
+// @access  Private (Admin only)
+router.get('/:id/availability', loadOwnedClient, bookingController.getAvailability);
+
+// @route   PUT /api/admin/clients/:id/availability
+// @desc    Update time zone, weekly hours, slot length, blackout dates and booking window
+// @access  Private (Admin only)
+router.put('/:id/availability', loadOwnedClient, bookingController.updateAvailability);
+
+// @route   GET /api/admin/clients/:id/bookings
+// @desc    List bookings (filters: status, from, to; page, limit)
+// @access  Private (Admin only)
+router.get('/:id/bookings', loadOwnedClient, bookingController.getBookings);
+
+// @route   POST /api/admin/clients/:id/bookings/:bookingId/cancel
+// @desc    Cancel a booking and email the visitor a cancellation
+// @access  Private (Admin only)
+router.post('/:id/bookings/:bookingId/cancel', loadOwnedClient, bookingController.cancelBooking);
+
+// @route   POST /api/admin/clients/:id/bookings/:bookingId/reschedule
+// @desc    Move a booking to another free slot and email the updated invite
+// @access  Private (Admin only)
+router.post('/:id/bookings/:bookingId/reschedule', loadOwnedClient, bookingController.rescheduleBooking);
+
+// @route   GET /api/admin/clients/:id/guardrails
+// @desc    Get the guardrail policy (topics, rules, moderation, refusal messages)
+// @access  Private (Admin only)
+router.get('/:id/guardrails', loadOwnedClient, guardrailController.getGuardrailPolicy);
+
+// @route   PUT /api/admin/clients/:id/guardrails
+// @desc    Update the guardrail policy
+// @access  Private (Admin only)
+router.put('/:id/guardrails', loadOwnedClient, guardrailController.updateGuardrailPolicy);
+
+// @route   POST /api/admin/clients/:id/guardrails/test
+// @desc    Check a query against the saved or a draft policy and report which rule fires
+// @access  Private (Admin only)
+router.post('/:id/guardrails/test', loadOwnedClient, guardrailController.testGuardrailPolicy);
+
+// @route   GET /api/admin/clients/:id/redaction-config
+// @desc    Get PII redaction settings for stored chat history
+// @access  Private (Admin only)
+router.get('/:id/redaction-config', loadOwnedClient, redactionController.getRedactionConfig);
+
+// @route   PUT /api/admin/clients/:id/redaction-config
+// @desc    Update PII detectors, custom patterns and encrypted originals
+// @access  Private (Admin only)
+router.put('/:id/redaction-config', loadOwnedClient, redactionController.updateRedactionConfig);
+
+// @route   POST /api/admin/clients/:id/redaction-config/test
+// @desc    Show how a text would be stored with the client's redaction settings
+// @access  Private (Admin only)
+router.post('/:id/redaction-config/test', loadOwnedClient, redactionController.testRedaction);
+
+// @route   GET /api/admin/clients/:id/handoff-config
+// @desc    Get live-agent handoff settings
+// @access  Private (Admin only)
+router.get('/:id/handoff-config', loadOwnedClient, handoffController.getHandoffConfig);
+
+// @route   PUT /api/admin/clients/:id/handoff-config
+// @desc    Update handoff triggers, agent emails and messages
+// @access  Private (Admin only)
+router.put('/:id/handoff-config', loadOwnedClient, handoffController.updateHandoffConfig);
+
+// @route   GET /api/admin/clients/:id/handoffs
+// @desc    Sessions waiting for or handled by an agent (query: status)
+// @access  Private (Admin only)
+router.get('/:id/handoffs', loadOwnedClient, handoffController.getHandoffs);
+
+// @route   GET /api/admin/clients/:id/handoffs/stream
+// @desc    Handoff requests and messages as Server-Sent Events
+// @access  Private (Admin only)
+router.get('/:id/handoffs/stream', loadOwnedClient, handoffController.streamHandoffEvents);
+
+// @route   POST /api/admin/clients/:id/handoffs/:sessionId/accept
+// @desc    Take a waiting session, or take over one the bot is answering
+// @access  Private (Admin only)
+router.post('/:id/handoffs/:sessionId/accept', loadOwnedClient, handoffController.acceptHandoff);
+
+// @route   POST /api/admin/clients/:id/handoffs/:sessionId/messages
+// @desc    Reply to the visitor as an agent
+// @access  Private (Admin only)
+router.post('/:id/handoffs/:sessionId/messages', loadOwnedClient, handoffController.sendAgentMessage);
+
+// @route   POST /api/admin/clients/:id/handoffs/:sessionId/close
+// @desc    End the handoff and return the session to the bot
+// @access  Private (Admin only)
+router.post('/:id/handoffs/:sessionId/close', loadOwnedClient, handoffController.closeHandoff);
+
+// @route   GET /api/admin/clients/:id/flows
+// @desc    List guided conversation flows
+// @access  Private (Admin only)
+router.get('/:id/flows', loadOwnedClient, flowController.getFlows);
+
+// @route   POST /api/admin/clients/:id/flows
+// @desc    Create a flow (nodes, start node and intent/keyword triggers)
+// @access  Private (Admin only)
+router.post('/:id/flows', loadOwnedClient, flowController.createFlow);
+
+// @route   GET /api/admin/clients/:id/flows/:flowId
+// @desc    Get a flow with its nodes
+// @access  Private (Admin only)
+router.get('/:id/flows/:flowId', loadOwnedClient, flowController.getFlow);
+
+// @route   PUT /api/admin/clients/:id/flows/:flowId
+// @desc    Update a flow
+// @access  Private (Admin only)
+router.put('/:id/flows/:flowId', loadOwnedClient, flowController.updateFlow);
+
+// @route   DELETE /api/admin/clients/:id/flows/:flowId
+// @desc    Delete a flow
+// @access  Private (Admin only)
+router.delete('/:id/flows/:flowId', loadOwnedClient, flowController.deleteFlow);
+
+// @route   POST /api/admin/clients/:id/widget-key/rotate
+// @desc    Issue a new publishable widget key (and embed script)
+// @access  Private (Admin only)
+router.post('/:id/widget-key/rotate', clientController.rotateWidgetKey);
+
 // @route   GET /api/admin/clients/:id/embed-script
 // @desc    Get embed script for client website integration
 // Get embed script for existing client
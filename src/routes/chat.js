@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
+const feedbackController = require('../controllers/feedback.controller');
+const { authenticateAdmin } = require('../middleware/auth');
+const { loadRequestedClient } = require('../middleware/clientAccess');
+
+// The admin panel's test chat. Visitors use the widget API (routes/widget.js),
+// which is keyed by the client's publishable key.
+router.use(authenticateAdmin);
 
 // @route   GET /api/chat/priority-questions/:clientId
 // @desc    Get top priority questions for a client (for chatbot UI)
-// @access  Public
-router.get('/priority-questions/:clientId', chatController.getPriorityQuestions);
+// @access  Private (Admin only)
+router.get('/priority-questions/:clientId', loadRequestedClient, chatController.getPriorityQuestions);
 
 // @route   POST /api/chat/semantic-search
 // @desc    Perform semantic search on Q&A data
-// @access  Public
-router.post('/semantic-search', chatController.semanticSearch);
+// @access  Private (Admin only)
+router.post('/semantic-search', loadRequestedClient, chatController.semanticSearch);
+
+// @route   GET|POST /api/chat/stream
+// @desc    Semantic search streamed as Server-Sent Events
+// @access  Private (Admin only)
+router.get('/stream', loadRequestedClient, chatController.streamChat);
+router.post('/stream', loadRequestedClient, chatController.streamChat);
+
+// @route   POST /api/chat/suggestion-click
+// @desc    Answer a clicked suggestion
+// @access  Private (Admin only)
+router.post('/suggestion-click', loadRequestedClient, chatController.handleSuggestionClick);
 
-router.post('/suggestion-click', chatController.handleSuggestionClick);
+// @route   POST /api/chat/feedback
+// @desc    Rate a bot response (thumbs up/down with optional reason and comment)
+// @access  Private (Admin only)
+router.post('/feedback', loadRequestedClient, feedbackController.submitFeedback);
 
 module.exports = router;
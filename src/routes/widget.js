@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/chat.controller');
+const feedbackController = require('../controllers/feedback.controller');
+const leadController = require('../controllers/lead.controller');
+const bookingController = require('../controllers/booking.controller');
+const handoffController = require('../controllers/handoff.controller');
+const { authenticateWidget, checkVisitorSession } = require('../middleware/widgetAccess');
+
+// Every widget route is keyed by the client's publishable key and only answers
+// pages on the client's allowed origins. Routes naming an existing chat session
+// also need its visitor token (X-Session-Token header, or query: token), which
+// the response that starts the session returns as sessionToken.
+router.use('/:publicKey', authenticateWidget);
+
+// @route   GET /api/widget/:publicKey/config
+// @desc    Widget display name and priority questions
+// @access  Public (allowed origins)
+router.get('/:publicKey/config', chatController.getWidgetConfig);
+
+// @route   POST /api/widget/:publicKey/chat
+// @desc    Answer a visitor's question
+// @access  Public (allowed origins)
+router.post('/:publicKey/chat', checkVisitorSession, chatController.handleWidgetRequest);
+
+// @route   GET|POST /api/widget/:publicKey/stream
+// @desc    Answer a visitor's question as Server-Sent Events (GET query or POST body:
+//          query, sessionId); the done event carries the response
+// @access  Public (allowed origins)
+router.get('/:publicKey/stream', checkVisitorSession, chatController.streamChat);
+router.post('/:publicKey/stream', checkVisitorSession, chatController.streamChat);
+
+// @route   POST /api/widget/:publicKey/suggestions
+// @desc    Answer a clicked suggestion
+// @access  Public (allowed origins)
+router.post('/:publicKey/suggestions', checkVisitorSession, chatController.handleSuggestionClick);
+
+// @route   POST /api/widget/:publicKey/feedback
+// @desc    Rate a bot response
+// @access  Public (allowed origins)
+router.post('/:publicKey/feedback', checkVisitorSession, feedbackController.submitFeedback);
+
+// @route   POST /api/widget/:publicKey/lead
+// @desc    Submit the lead form
+// @access  Public (allowed origins)
+router.post('/:publicKey/lead', leadController.submitLead);
+
+// @route   GET /api/widget/:publicKey/slots
+// @desc    Free appointment slots
+// @access  Public (allowed origins)
+router.get('/:publicKey/slots', bookingController.getSlots);
+
+// @route   POST /api/widget/:publicKey/bookings
+// @desc    Book an appointment slot
+// @access  Public (allowed origins)
+router.post('/:publicKey/bookings', bookingController.createBooking);
+
+// @route   POST /api/widget/:publicKey/handoff
+// @desc    Ask for a live agent
+// @access  Public (allowed origins)
+router.post('/:publicKey/handoff', checkVisitorSession, handoffController.requestHandoff);
+
+// @route   GET /api/widget/:publicKey/handoff/:sessionId
+// @desc    Poll agent messages (query: after)
+// @access  Public (allowed origins)
+router.get('/:publicKey/handoff/:sessionId', checkVisitorSession, handoffController.getHandoffMessages);
+
+// @route   GET /api/widget/:publicKey/handoff/:sessionId/stream
+// @desc    Agent messages as Server-Sent Events
+// @access  Public (allowed origins)
+router.get('/:publicKey/handoff/:sessionId/stream', checkVisitorSession, handoffController.streamHandoff);
+
+// @route   POST /api/widget/:publicKey/handoff/:sessionId/close
+// @desc    End the conversation with the agent
+// @access  Public (allowed origins)
+router.post('/:publicKey/handoff/:sessionId/close', checkVisitorSession, handoffController.closeHandoffByVisitor);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// Redact PII in chat history saved before redaction was enabled.
+//
+//   npm run redact:history -- [--client=<clientId>] [--dry-run]
+//
+// Uses each client's redaction settings. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const RedactionService = require('../services/redaction.service');
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, clientId: null };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--client=')) {
+      args.clientId = arg.slice('--client='.length);
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  });
+  if (args.clientId && !mongoose.Types.ObjectId.isValid(args.clientId)) {
+    throw new Error(`Invalid client id ${args.clientId}`);
+  }
+  return args;
+};
+
+const main = async () => {
+  const { dryRun, clientId } = parseArgs(process.argv.slice(2));
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`[REDACTION] Backfill started${clientId ? ` for client ${clientId}` : ''}${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await RedactionService.redactStoredHistory({
+    clientId,
+    dryRun,
+    onProgress: progress => console.log(`[REDACTION] ${progress.sessions} sessions scanned, ${progress.sessionsChanged} changed`)
+  });
+
+  console.log(`[REDACTION] Done: ${stats.sessions} sessions scanned, ${stats.sessionsChanged} sessions and ${stats.messagesChanged} messages ${dryRun ? 'would change' : 'redacted'}, ${stats.clustersChanged} unanswered clusters ${dryRun ? 'would change' : 'redacted'}`);
+};
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error('[REDACTION] Backfill failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -1,10 +1,13 @@
 const app = require('./app');
 const connectDB = require('./config/database');
+const JobQueueService = require('./jobs');
 
 const PORT = process.env.PORT || 8080;
 
-// Connect to database
-connectDB();
+// Connect to database, then pick up queued and interrupted background jobs
+connectDB()
+  .then(() => JobQueueService.start())
+  .catch(error => console.error('❌ Failed to start the job queue:', error));
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,153 @@
+const VectorIndexService = require('./vectorIndex.service');
+const RedactionService = require('./redaction.service');
+const { normalizeVector } = require('../utils/vector.util');
+
+const MAX_ENTRIES_PER_CLIENT = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 200;
+const ENTRY_TTL_MS = parseInt(process.env.ANSWER_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+// Process-level cache of final chat answers per client, looked up by the
+// similarity of the (refined) query embedding. Entries remember the knowledge
+// base version they were built from and are dropped once it changes.
+class AnswerCacheService {
+  constructor() {
+    this.caches = new Map();
+    this.counters = { hits: 0, misses: 0, stores: 0, evictions: 0, staleDrops: 0, clears: 0 };
+  }
+
+  getClientCache(clientId) {
+    const key = String(clientId);
+    if (!this.caches.has(key)) {
+      this.caches.set(key, {
+        entries: [],
+        counters: { hits: 0, misses: 0, stores: 0, evictions: 0, staleDrops: 0 }
+      });
+    }
+    return this.caches.get(key);
+  }
+
+  // Drop entries built from an older knowledge base or past their TTL
+  prune(clientId, cache) {
+    const version = VectorIndexService.getVersion(clientId);
+    const now = Date.now();
+    const before = cache.entries.length;
+
+    cache.entries = cache.entries.filter(entry => entry.kbVersion === version && now - entry.createdAt < ENTRY_TTL_MS);
+
+    const dropped = before - cache.entries.length;
+    cache.counters.staleDrops += dropped;
+    this.counters.staleDrops += dropped;
+  }
+
+  // Cached result for the most similar earlier query in the same language,
+  // provided their cosine similarity is at least `minSimilarity`
+  lookup(clientId, queryEmbedding, language, minSimilarity) {
+    const cache = this.getClientCache(clientId);
+    this.prune(clientId, cache);
+
+    const query = normalizeVector(queryEmbedding);
+    let best = null;
+    let bestSimilarity = -1;
+
+    for (const entry of cache.entries) {
+      if (entry.language !== language || entry.embedding.length !== query.length) continue;
+
+      let dot = 0;
+      for (let i = 0; i < query.length; i++) {
+        dot += entry.embedding[i] * query[i];
+      }
+      if (dot > bestSimilarity) {
+        best = entry;
+        bestSimilarity = dot;
+      }
+    }
+
+    if (!best || bestSimilarity < minSimilarity) {
+      cache.counters.misses++;
+      this.counters.misses++;
+      return null;
+    }
+
+    best.hits++;
+    best.lastHitAt = Date.now();
+    cache.counters.hits++;
+    this.counters.hits++;
+    console.log(`[CACHE] Hit for client ${clientId} (similarity ${bestSimilarity.toFixed(4)}): "${best.query}"`);
+
+    return { result: best.result, similarity: bestSimilarity, cachedQuery: best.query };
+  }
+
+  // The query is only kept masked: it shows up in logs, cache stats and in
+  // replies to other visitors. The embedding comes from the raw text.
+  store(clientId, query, queryEmbedding, language, result) {
+    const cache = this.getClientCache(clientId);
+
+    cache.entries.push({
+      query: RedactionService.forLog(query),
+      embedding: normalizeVector(queryEmbedding),
+      language,
+      result,
+      kbVersion: VectorIndexService.getVersion(clientId),
+      createdAt: Date.now(),
+      lastHitAt: null,
+      hits: 0
+    });
+    cache.counters.stores++;
+    this.counters.stores++;
+
+    // Evict the least recently used entries beyond the per-client limit
+    if (cache.entries.length > MAX_ENTRIES_PER_CLIENT) {
+      cache.entries.sort((a, b) => (b.lastHitAt || b.createdAt) - (a.lastHitAt || a.createdAt));
+      const evicted = cache.entries.length - MAX_ENTRIES_PER_CLIENT;
+      cache.entries.length = MAX_ENTRIES_PER_CLIENT;
+      cache.counters.evictions += evicted;
+      this.counters.evictions += evicted;
+    }
+  }
+
+  // Forget a client's cached answers, e.g. after its retrieval settings changed
+  clear(clientId) {
+    const key = String(clientId);
+    const cache = this.caches.get(key);
+    const cleared = cache ? cache.entries.length : 0;
+
+    if (cache) {
+      cache.entries = [];
+    }
+    this.counters.clears++;
+    console.log(`[CACHE] Cleared ${cleared} cached answers for client ${key}`);
+    return cleared;
+  }
+
+  getStats(clientId) {
+    const cache = this.getClientCache(clientId);
+    this.prune(clientId, cache);
+
+    const { hits, misses } = cache.counters;
+    return {
+      entries: cache.entries.length,
+      maxEntries: MAX_ENTRIES_PER_CLIENT,
+      ttlMs: ENTRY_TTL_MS,
+      kbVersion: VectorIndexService.getVersion(clientId),
+      counters: { ...cache.counters },
+      hitRate: hits + misses > 0 ? parseFloat((hits / (hits + misses)).toFixed(4)) : 0,
+      topEntries: [...cache.entries]
+        .sort((a, b) => b.hits - a.hits)
+        .slice(0, 20)
+        .map(entry => ({
+          query: entry.query,
+          language: entry.language,
+          type: entry.result.type,
+          hits: entry.hits,
+          createdAt: new Date(entry.createdAt),
+          lastHitAt: entry.lastHitAt ? new Date(entry.lastHitAt) : null
+        })),
+      totals: {
+        clients: this.caches.size,
+        entries: [...this.caches.values()].reduce((sum, clientCache) => sum + clientCache.entries.length, 0),
+        counters: { ...this.counters }
+      }
+    };
+  }
+}
+
+module.exports = new AnswerCacheService();
@@ -0,0 +1,297 @@
+const moment = require('moment-timezone');
+const { v4: uuidv4 } = require('uuid');
+const Booking = require('../models/Booking');
+const MailService = require('./mail.service');
+const { resolveAvailability } = require('../config/booking');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { normalizeEmail, normalizePhone } = require('../utils/contact.util');
+const { buildEvent } = require('../utils/ics.util');
+
+const DEFAULT_SLOT_DAYS = 14;
+
+const bookingError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Appointment slots generated from a client's weekly hours, and bookings made
+// against them. A booking must start on a free slot; the unique index on
+// confirmed bookings settles races between visitors picking the same slot, and
+// an overlap check after writing those for overlapping slots of different
+// starts (e.g. after the slot length changed).
+class BookingService {
+  formatSlot(start, config) {
+    return moment.tz(start, config.timezone).format('dddd, MMMM D, YYYY [at] h:mm A z');
+  }
+
+  // Slot starts between `from` and `days` days later that are within the
+  // weekly hours, not on a blackout date, and within the notice/horizon window.
+  generateSlots(config, { from = new Date(), days = DEFAULT_SLOT_DAYS } = {}) {
+    const now = moment.tz(config.timezone);
+    const earliest = now.clone().add(config.minNoticeMinutes, 'minutes');
+    const horizon = now.clone().startOf('day').add(config.maxDaysAhead, 'days').endOf('day');
+    const firstDay = moment.max(moment.tz(from, config.timezone), now).clone().startOf('day');
+    const blackout = new Set(config.blackoutDates);
+    const slots = [];
+
+    for (let day = firstDay.clone(); day.isBefore(firstDay.clone().add(days, 'days')) && !day.isAfter(horizon); day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      if (blackout.has(date)) continue;
+
+      config.weeklyHours
+        .filter(hours => hours.day === day.day())
+        .forEach(hours => {
+          const windowEnd = moment.tz(`${date} ${hours.end}`, 'YYYY-MM-DD HH:mm', config.timezone);
+          const slot = moment.tz(`${date} ${hours.start}`, 'YYYY-MM-DD HH:mm', config.timezone);
+
+          while (!slot.clone().add(config.slotMinutes, 'minutes').isAfter(windowEnd)) {
+            if (!slot.isBefore(earliest) && !slot.isAfter(horizon)) {
+              slots.push({ start: slot.toDate(), end: slot.clone().add(config.slotMinutes, 'minutes').toDate() });
+            }
+            slot.add(config.slotMinutes, 'minutes');
+          }
+        });
+    }
+
+    return slots.sort((a, b) => a.start - b.start);
+  }
+
+  // Free slots: generated slots minus those overlapping confirmed bookings
+  async getFreeSlots(clientId, config, { from, days, limit, excludeBookingId } = {}) {
+    const slots = this.generateSlots(config, { from, days });
+    if (slots.length === 0) {
+      return [];
+    }
+
+    const filter = {
+      clientId,
+      status: 'confirmed',
+      start: { $lt: slots[slots.length - 1].end },
+      end: { $gt: slots[0].start }
+    };
+    if (excludeBookingId) {
+      filter._id = { $ne: excludeBookingId };
+    }
+    const bookings = await Booking.find(filter).select('start end').lean();
+
+    const free = slots.filter(slot => !bookings.some(booking => booking.start < slot.end && booking.end > slot.start));
+    return (limit ? free.slice(0, limit) : free).map(slot => ({
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      label: this.formatSlot(slot.start, config)
+    }));
+  }
+
+  // The free slot starting exactly at `start`, or null
+  async findFreeSlot(clientId, config, start, { excludeBookingId } = {}) {
+    const dayStart = moment.tz(start, config.timezone).startOf('day').toDate();
+    const slots = await this.getFreeSlots(clientId, config, { from: dayStart, days: 1, excludeBookingId });
+    return slots.find(slot => slot.start === start.toISOString()) || null;
+  }
+
+  // Whether another confirmed booking of the client overlaps this one and took
+  // its time first (earlier slotTakenAt, then smaller _id; bookings without
+  // slotTakenAt count as first). Run after the booking is written: of two
+  // requests for overlapping times, however they interleave, only the one that
+  // took its time later backs out.
+  async hasOverlap(booking) {
+    const overlapping = await Booking.exists({
+      _id: { $ne: booking._id },
+      clientId: booking.clientId,
+      status: 'confirmed',
+      start: { $lt: booking.end },
+      end: { $gt: booking.start },
+      $or: [
+        { slotTakenAt: { $lt: booking.slotTakenAt } },
+        { slotTakenAt: booking.slotTakenAt, _id: { $lt: booking._id } },
+        { slotTakenAt: { $exists: false } }
+      ]
+    });
+    return Boolean(overlapping);
+  }
+
+  // Book a slot for a visitor and email them the invite
+  async book(client, { start, name, email, phone, notes, sessionId }) {
+    const config = resolveAvailability(client);
+    if (!config.enabled) {
+      throw bookingError('Appointment booking is not enabled for this chatbot', 400);
+    }
+
+    const errors = [];
+    const startDate = new Date(start);
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = phone ? normalizePhone(String(phone), resolveLeadCaptureConfig(client).defaultCountry) : null;
+    if (!start || isNaN(startDate)) errors.push('start must be a valid date');
+    if (typeof name !== 'string' || !name.trim()) errors.push('Name is required');
+    if (!normalizedEmail) errors.push('A valid email address is required');
+    if (phone && !normalizedPhone) errors.push('Phone must be a valid phone number');
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 2000)) {
+      errors.push('notes must be a string of at most 2000 characters');
+    }
+    if (errors.length > 0) {
+      const error = bookingError('Invalid booking details', 400);
+      error.errors = errors;
+      throw error;
+    }
+
+    const slot = await this.findFreeSlot(client._id, config, startDate);
+    if (!slot) {
+      throw bookingError('That time is no longer available', 409);
+    }
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        clientId: client._id,
+        sessionId,
+        start: slot.start,
+        end: slot.end,
+        timezone: config.timezone,
+        name: name.trim(),
+        email: normalizedEmail,
+        phone: normalizedPhone ? normalizedPhone.e164 : undefined,
+        notes: notes || undefined,
+        icsUid: `${uuidv4()}@chatbot`
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw bookingError('That time is no longer available', 409);
+      }
+      throw error;
+    }
+
+    if (await this.hasOverlap(booking)) {
+      await Booking.deleteOne({ _id: booking._id });
+      throw bookingError('That time is no longer available', 409);
+    }
+
+    console.log(`[BOOKING] ${booking._id} for client ${client._id} at ${slot.start}`);
+    this.sendInvite(booking, client, 'confirmed')
+      .catch(error => console.error(`[BOOKING] Invite for ${booking._id} crashed:`, error));
+
+    return { booking, label: slot.label };
+  }
+
+  // Move a confirmed booking to another free slot
+  async reschedule(booking, client, start) {
+    if (booking.status !== 'confirmed') {
+      throw bookingError('Only confirmed bookings can be rescheduled', 400);
+    }
+
+    const startDate = new Date(start);
+    if (!start || isNaN(startDate)) {
+      throw bookingError('start must be a valid date', 400);
+    }
+
+    const config = resolveAvailability(client);
+    const slot = await this.findFreeSlot(booking.clientId, config, startDate, { excludeBookingId: booking._id });
+    if (!slot) {
+      throw bookingError('That time is not available', 409);
+    }
+
+    const previous = { start: booking.start, end: booking.end, timezone: booking.timezone, slotTakenAt: booking.slotTakenAt };
+    booking.rescheduledFrom.push({ start: booking.start, end: booking.end, changedAt: new Date() });
+    booking.start = slot.start;
+    booking.end = slot.end;
+    booking.timezone = config.timezone;
+    booking.slotTakenAt = new Date();
+    booking.icsSequence += 1;
+    try {
+      await booking.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw bookingError('That time is not available', 409);
+      }
+      throw error;
+    }
+
+    if (await this.hasOverlap(booking)) {
+      // Move back to the original time
+      booking.rescheduledFrom.pop();
+      Object.assign(booking, previous);
+      booking.icsSequence -= 1;
+      await booking.save();
+      throw bookingError('That time is not available', 409);
+    }
+
+    console.log(`[BOOKING] ${booking._id} rescheduled to ${slot.start}`);
+    this.sendInvite(booking, client, 'rescheduled')
+      .catch(error => console.error(`[BOOKING] Update for ${booking._id} crashed:`, error));
+    return booking;
+  }
+
+  async cancel(booking, client, reason) {
+    if (booking.status !== 'confirmed') {
+      throw bookingError('Booking is already cancelled', 400);
+    }
+
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date();
+    booking.cancelReason = reason;
+    booking.icsSequence += 1;
+    await booking.save();
+
+    console.log(`[BOOKING] ${booking._id} cancelled`);
+    this.sendInvite(booking, client, 'cancelled')
+      .catch(error => console.error(`[BOOKING] Cancellation for ${booking._id} crashed:`, error));
+    return booking;
+  }
+
+  // Email the visitor (copying the client) the calendar invite, update or cancellation
+  async sendInvite(booking, client, kind) {
+    const method = kind === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    const when = this.formatSlot(booking.start, { timezone: booking.timezone });
+    const subjects = {
+      confirmed: `Your appointment with ${client.name} is confirmed`,
+      rescheduled: `Your appointment with ${client.name} has moved`,
+      cancelled: `Your appointment with ${client.name} is cancelled`
+    };
+    const intro = {
+      confirmed: `Your appointment with ${client.name} is booked for ${when}.`,
+      rescheduled: `Your appointment with ${client.name} is now on ${when}.`,
+      cancelled: `Your appointment with ${client.name} on ${when} has been cancelled.`
+    };
+
+    const content = buildEvent({
+      uid: booking.icsUid,
+      sequence: booking.icsSequence,
+      method,
+      start: booking.start,
+      end: booking.end,
+      summary: `Appointment with ${client.name}`,
+      description: booking.notes,
+      organizer: client.contactEmail ? { name: client.name, email: client.contactEmail } : null,
+      attendee: { name: booking.name, email: booking.email }
+    });
+
+    try {
+      await MailService.send({
+        to: booking.email,
+        cc: client.contactEmail || undefined,
+        replyTo: client.contactEmail || undefined,
+        subject: subjects[kind],
+        text: [
+          `Hi ${booking.name},`,
+          '',
+          intro[kind],
+          kind === 'cancelled' && booking.cancelReason ? `Reason: ${booking.cancelReason}` : null,
+          '',
+          `${client.name}`
+        ].filter(line => line !== null).join('\n'),
+        icalEvent: { method, filename: 'invite.ics', content }
+      });
+      booking.notification = MailService.isConfigured()
+        ? { status: 'sent', sentAt: new Date() }
+        : { status: 'skipped', error: 'SMTP is not configured; the email was only logged' };
+    } catch (error) {
+      console.error(`[BOOKING] Failed to email booking ${booking._id}:`, error.message);
+      booking.notification = { status: 'failed', error: error.message };
+    }
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { notification: booking.notification } });
+    return booking;
+  }
+}
+
+module.exports = new BookingService();
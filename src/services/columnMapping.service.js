@@ -0,0 +1,187 @@
+// Which spreadsheet/CSV column holds which pair field. Detection looks for
+// these header names (case-insensitive); admins can override it per upload.
+const COLUMN_ALIASES = {
+  question: ['question', 'q', 'query', 'ask', 'प्रश्न', 'pregunta', 'frage'],
+  answer: ['answer', 'a', 'response', 'reply', 'उत्तर', 'respuesta', 'antwort'],
+  category: ['category', 'cat', 'type', 'topic', 'श्रेणी', 'categoría', 'kategorie'],
+  language: ['language', 'lang', 'locale', 'भाषा', 'idioma', 'sprache'],
+  confidence: ['confidence', 'conf', 'score', 'weight']
+};
+const MAPPING_FIELDS = Object.keys(COLUMN_ALIASES);
+const REQUIRED_FIELDS = ['question', 'answer'];
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 1000;
+const MIN_TEXT_LENGTH = 4;
+const MAX_LANGUAGE_LENGTH = 20;
+// Rows listed per warning; the count covers all of them
+const MAX_WARNING_ROWS = 20;
+
+const normalizeQuestion = question => String(question || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const cellText = value => (value === undefined || value === null ? '' : value.toString().trim());
+
+// Turns rows of CSV or spreadsheet files into Q&A pairs using a column mapping,
+// and lists what an upload would skip or get wrong before it is committed.
+class ColumnMappingService {
+  // { question, answer, category, language, confidence } column names guessed
+  // from the headers. With neither a question nor an answer header, the first
+  // two columns are used.
+  proposeMapping(columns) {
+    const mapping = {};
+    MAPPING_FIELDS.forEach(field => {
+      const column = columns.find(name => COLUMN_ALIASES[field].includes(String(name).toLowerCase().trim()));
+      if (column !== undefined) mapping[field] = column;
+    });
+
+    if (!mapping.question && !mapping.answer && columns.length >= 2) {
+      mapping.question = columns[0];
+      mapping.answer = columns[1];
+    }
+    return mapping;
+  }
+
+  // Check an admin-supplied mapping. Returns a list of error messages; empty when valid.
+  validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return ['mapping must be an object of column names'];
+    }
+
+    const errors = [];
+    Object.keys(mapping).forEach(field => {
+      if (!MAPPING_FIELDS.includes(field)) {
+        errors.push(`Unknown mapping field ${field}; expected ${MAPPING_FIELDS.join(', ')}`);
+      } else if (typeof mapping[field] !== 'string' || !mapping[field].trim()) {
+        errors.push(`mapping.${field} must be a column name`);
+      }
+    });
+    REQUIRED_FIELDS.forEach(field => {
+      if (mapping[field] === undefined) errors.push(`mapping.${field} is required`);
+    });
+    if (mapping.question !== undefined && mapping.question === mapping.answer) {
+      errors.push('mapping.question and mapping.answer must be different columns');
+    }
+    return errors;
+  }
+
+  // Mapped column names that aren't among `columns`
+  missingColumns(mapping, columns) {
+    return MAPPING_FIELDS
+      .filter(field => mapping[field] !== undefined && !columns.includes(mapping[field]))
+      .map(field => mapping[field]);
+  }
+
+  // Pairs from `rows` (objects keyed by column name). Blank rows are ignored;
+  // rows without a usable question or answer are returned in `skipped` with
+  // their row number.
+  extractPairs(rows, mapping, { source } = {}) {
+    const pairs = [];
+    const skipped = [];
+
+    rows.forEach((row, index) => {
+      // Spreadsheet rows know their 0-based sheet row; CSV rows start under the header
+      const rowNumber = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+      if (Object.values(row).every(value => !cellText(value))) {
+        return;
+      }
+      const question = mapping.question ? cellText(row[mapping.question]) : '';
+      const answer = mapping.answer ? cellText(row[mapping.answer]) : '';
+
+      if (question.length < MIN_TEXT_LENGTH || answer.length < MIN_TEXT_LENGTH) {
+        skipped.push({
+          row: rowNumber,
+          source,
+          reason: question.length < MIN_TEXT_LENGTH ? 'empty_question' : 'empty_answer',
+          question: question.substring(0, 100)
+        });
+        return;
+      }
+
+      const pair = {
+        question: question.substring(0, MAX_QUESTION_LENGTH),
+        answer: answer.substring(0, MAX_ANSWER_LENGTH),
+        category: (mapping.category && cellText(row[mapping.category])) || 'general',
+        confidence: 1.0,
+        row: rowNumber
+      };
+      if (mapping.confidence) {
+        const confidence = parseFloat(row[mapping.confidence]);
+        if (!isNaN(confidence)) {
+          pair.confidence = Math.max(0, Math.min(1, confidence));
+        }
+      }
+      const language = mapping.language ? cellText(row[mapping.language]).toLowerCase() : '';
+      if (language) {
+        pair.language = language.substring(0, MAX_LANGUAGE_LENGTH);
+      }
+      if (source) {
+        pair.source = source;
+      }
+      pairs.push(pair);
+    });
+
+    return { pairs, skipped };
+  }
+
+  // Problems an admin should look at before committing a parsed file:
+  // [{ type, message, count, rows }]
+  buildWarnings(pairs, skipped = []) {
+    const warnings = [];
+    const rowsOf = items => items.slice(0, MAX_WARNING_ROWS).map(item => (item.source ? `${item.source}, row ${item.row}` : item.row));
+
+    // Parsers return a single "... Processing Notice" pair when nothing was found
+    const placeholder = pairs.find(pair => /Processing Notice$/.test(pair.question) && pair.confidence === 0);
+    if (placeholder || pairs.length === 0) {
+      warnings.push({
+        type: 'no_pairs',
+        message: placeholder
+          ? `No Q&A pairs were found; committing this file would add the placeholder "${placeholder.question}" as an answer`
+          : 'No Q&A pairs were found',
+        count: 1
+      });
+    }
+
+    [
+      ['empty_question', 'Rows skipped because the question column is empty or too short'],
+      ['empty_answer', 'Rows skipped because the answer column is empty or too short']
+    ].forEach(([type, message]) => {
+      const rows = skipped.filter(item => item.reason === type);
+      if (rows.length > 0) {
+        warnings.push({ type, message, count: rows.length, rows: rowsOf(rows) });
+      }
+    });
+
+    const byQuestion = new Map();
+    pairs.forEach(pair => {
+      const key = normalizeQuestion(pair.question);
+      byQuestion.set(key, [...(byQuestion.get(key) || []), pair]);
+    });
+    const duplicates = [...byQuestion.values()].filter(group => group.length > 1);
+    if (duplicates.length > 0) {
+      warnings.push({
+        type: 'duplicate_questions',
+        message: 'Questions that appear more than once; only the best-matching answer is used in chat',
+        count: duplicates.length,
+        questions: duplicates.slice(0, MAX_WARNING_ROWS).map(group => ({
+          question: group[0].question,
+          rows: group[0].row !== undefined ? rowsOf(group) : undefined
+        }))
+      });
+    }
+
+    return warnings;
+  }
+
+  // Separator of a CSV file from its header line: the most frequent of
+  // , ; tab and | outside quotes (comma when none)
+  detectSeparator(headerLine) {
+    const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+    let quoted = false;
+    for (const char of headerLine) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && counts[char] !== undefined) counts[char]++;
+    }
+    return Object.keys(counts).reduce((best, char) => (counts[char] > counts[best] ? char : best), ',');
+  }
+}
+
+module.exports = new ColumnMappingService();
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const ChatHistory = require('../models/ChatHistory');
+const ClientQA = require('../models/ClientQA');
+const RedactionService = require('./redaction.service');
+
+// Most recent visitor comments shown with each pair in the review queue
+const REVIEW_COMMENTS_PER_PAIR = 5;
+
+// Visitor ratings of chat responses. Ratings live on the message; per-pair
+// counters on ClientQA are kept in step so admins can see which answers
+// visitors dislike without scanning every conversation.
+class FeedbackService {
+  // Q&A pairs a response was built from
+  getPairIds(message) {
+    const ids = (message.sources || [])
+      .filter(source => source.type === 'qa' && source.pairId)
+      .map(source => source.pairId.toString());
+    return [...new Set(ids)].map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  // Store the visitor's rating of a message, replacing any earlier one
+  async rateMessage(clientId, sessionId, messageId, { rating, reason, comment }) {
+    const chatHistory = await ChatHistory.findOne({ clientId, sessionId });
+    if (!chatHistory) {
+      const error = new Error('Chat session not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const message = chatHistory.messages.id(messageId);
+    if (!message) {
+      const error = new Error('Message not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const previousRating = message.feedback ? message.feedback.rating : null;
+    if (comment) {
+      const { config, defaultCountry } = await RedactionService.getClientSettings(clientId);
+      comment = RedactionService.redact(comment, config, { defaultCountry }).text;
+    }
+    message.feedback = { rating, reason, comment, ratedAt: new Date() };
+    await chatHistory.save();
+
+    const pairIds = this.getPairIds(message);
+    if (pairIds.length > 0 && previousRating !== rating) {
+      const countDown = rating === 'down' && await this.claimDownCount(chatHistory._id, message._id);
+      await this.rollUp(clientId, pairIds, rating, previousRating, countDown);
+    }
+
+    console.log(`[FEEDBACK] ${rating} for message ${messageId} (session ${sessionId}, ${pairIds.length} pairs)`);
+    return message.feedback;
+  }
+
+  // Mark a message's down rating as counted toward the review queue. False when
+  // an earlier down rating of the message already counted.
+  async claimDownCount(chatHistoryId, messageId) {
+    const result = await ChatHistory.updateOne(
+      { _id: chatHistoryId, messages: { $elemMatch: { _id: messageId, feedbackDownCounted: { $ne: true } } } },
+      { $set: { 'messages.$.feedbackDownCounted': true } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Move the pairs' counters from the previous rating (if any) to the new one.
+  // A message counts toward the review queue (downSinceReview) once, even if
+  // the visitor changes its rating back and forth.
+  async rollUp(clientId, pairIds, rating, previousRating, countDown) {
+    const inc = { [`pairs.$[pair].feedbackStats.${rating}`]: 1 };
+    if (previousRating) {
+      inc[`pairs.$[pair].feedbackStats.${previousRating}`] = -1;
+    }
+    if (countDown) {
+      inc['pairs.$[pair].feedbackStats.downSinceReview'] = 1;
+    }
+
+    await ClientQA.updateMany(
+      { ...ClientQA.liveFilter(clientId), 'pairs._id': { $in: pairIds } },
+      { $inc: inc, $set: { 'pairs.$[pair].feedbackStats.lastFeedbackAt': new Date() } },
+      { arrayFilters: [{ 'pair._id': { $in: pairIds } }] }
+    );
+  }
+
+  // Rating totals for a client, by reason and by response type, plus the pairs
+  // with the most down ratings
+  async getSummary(clientId, { from, to } = {}) {
+    const messageMatch = { 'messages.feedback.rating': { $exists: true } };
+    if (from || to) {
+      messageMatch['messages.feedback.ratedAt'] = {};
+      if (from) messageMatch['messages.feedback.ratedAt'].$gte = from;
+      if (to) messageMatch['messages.feedback.ratedAt'].$lte = to;
+    }
+
+    const [facets] = await ChatHistory.aggregate([
+      { $match: { clientId } },
+      { $unwind: '$messages' },
+      { $match: messageMatch },
+      {
+        $facet: {
+          ratings: [{ $group: { _id: '$messages.feedback.rating', count: { $sum: 1 } } }],
+          reasons: [
+            { $match: { 'messages.feedback.rating': 'down' } },
+            { $group: { _id: { $ifNull: ['$messages.feedback.reason', 'unspecified'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          responseTypes: [
+            {
+              $group: {
+                _id: { $ifNull: ['$messages.responseType', 'unknown'] },
+                up: { $sum: { $cond: [{ $eq: ['$messages.feedback.rating', 'up'] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ['$messages.feedback.rating', 'down'] }, 1, 0] } }
+              }
+            },
+            { $sort: { down: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const count = rating => (facets.ratings.find(item => item._id === rating) || { count: 0 }).count;
+    const up = count('up');
+    const down = count('down');
+
+    const worstPairs = await ClientQA.aggregate([
+      { $match: ClientQA.liveFilter(clientId) },
+      { $unwind: '$pairs' },
+      { $match: { 'pairs.feedbackStats.down': { $gt: 0 } } },
+      { $sort: { 'pairs.feedbackStats.down': -1 } },
+      { $limit: 20 },
+      {
+        $project: {
+          _id: 0,
+          pairId: '$pairs._id',
+          uploadId: '$_id',
+          fileName: 1,
+          question: '$pairs.question',
+          feedbackStats: '$pairs.feedbackStats'
+        }
+      }
+    ]);
+
+    return {
+      total: up + down,
+      up,
+      down,
+      satisfaction: up + down > 0 ? parseFloat((up / (up + down)).toFixed(4)) : null,
+      reasons: facets.reasons.map(item => ({ reason: item._id, count: item.count })),
+      responseTypes: facets.responseTypes.map(item => ({ type: item._id, up: item.up, down: item.down })),
+      worstPairs
+    };
+  }
+
+  // Pairs with at least `minDown` down ratings since their last review and at
+  // least `minDownRate` of all their ratings down, worst first, with the
+  // visitors' latest complaints
+  async getReviewQueue(clientId, { minDown = 2, minDownRate = 0.5, limit = 50 } = {}) {
+    const pairs = await ClientQA.aggregate([
+      { $match: ClientQA.liveFilter(clientId) },
+      { $unwind: '$pairs' },
+      { $match: { 'pairs.feedbackStats.downSinceReview': { $gte: minDown } } },
+      {
+        $addFields: {
+          downRate: {
+            $divide: [
+              '$pairs.feedbackStats.down',
+              { $max: [1, { $add: ['$pairs.feedbackStats.up', '$pairs.feedbackStats.down'] }] }
+            ]
+          }
+        }
+      },
+      { $match: { downRate: { $gte: minDownRate } } },
+      { $sort: { 'pairs.feedbackStats.downSinceReview': -1, downRate: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          pairId: '$pairs._id',
+          uploadId: '$_id',
+          fileName: 1,
+          question: '$pairs.question',
+          answer: '$pairs.answer',
+          feedbackStats: '$pairs.feedbackStats',
+          downRate: { $round: ['$downRate', 4] }
+        }
+      }
+    ]);
+
+    if (pairs.length === 0) {
+      return [];
+    }
+
+    const pairIds = pairs.map(pair => pair.pairId);
+    const complaints = await ChatHistory.aggregate([
+      { $match: { clientId, 'messages.sources.pairId': { $in: pairIds } } },
+      { $unwind: '$messages' },
+      { $match: { 'messages.feedback.rating': 'down', 'messages.sources.pairId': { $in: pairIds } } },
+      { $sort: { 'messages.feedback.ratedAt': -1 } },
+      { $limit: pairIds.length * REVIEW_COMMENTS_PER_PAIR * 4 },
+      {
+        $project: {
+          _id: 0,
+          sessionId: 1,
+          messageId: '$messages._id',
+          query: '$messages.query',
+          response: '$messages.response',
+          pairIds: '$messages.sources.pairId',
+          feedback: '$messages.feedback'
+        }
+      }
+    ]);
+
+    return pairs.map(pair => ({
+      ...pair,
+      recentComplaints: complaints
+        .filter(complaint => complaint.pairIds.some(id => id && id.equals(pair.pairId)))
+        .slice(0, REVIEW_COMMENTS_PER_PAIR)
+        .map(({ pairIds, ...complaint }) => complaint)
+    }));
+  }
+
+  // Take a pair out of the review queue until it collects new down ratings
+  async markReviewed(clientId, pairId) {
+    const result = await ClientQA.updateOne(
+      { ...ClientQA.liveFilter(clientId), 'pairs._id': pairId },
+      {
+        $set: {
+          'pairs.$.feedbackStats.downSinceReview': 0,
+          'pairs.$.feedbackStats.reviewedAt': new Date()
+        }
+      }
+    );
+    return result.matchedCount > 0;
+  }
+}
+
+module.exports = new FeedbackService();
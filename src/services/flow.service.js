@@ -0,0 +1,572 @@
+const mongoose = require('mongoose');
+const Flow = require('../models/Flow');
+const VectorIndexService = require('./vectorIndex.service');
+const LeadService = require('./lead.service');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { resolveHandoffConfig } = require('../config/handoff');
+const { normalizeEmail, normalizePhone } = require('../utils/contact.util');
+const { hasNestedQuantifier } = require('../utils/regex.util');
+
+const { FLOW_NODE_TYPES, INPUT_TYPES, CONDITION_OPERATORS } = Flow;
+// Intents reported by QueryAnalysisService
+const INTENTS = ['contact_email', 'contact_phone', 'website', 'pricing', 'appointment', 'human_agent', 'other'];
+
+const MAX_NODES = 100;
+const MAX_BUTTONS = 10;
+const MAX_KEYWORDS = 20;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_INPUT_LENGTH = 500;
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,39}$/;
+// Nodes that stop the flow until the visitor replies
+const WAITING_TYPES = ['buttons', 'input'];
+// Nodes run in one turn before the executor gives up, in case a flow slips past validation
+const MAX_STEPS = 50;
+// Invalid replies to an input node before the visitor is let out of the flow
+const MAX_INPUT_ATTEMPTS = 3;
+
+const DEFAULT_INPUT_ERROR = "Sorry, that doesn't look right. Please try again.";
+const MISSING_ANSWER_MESSAGE = "I'm sorry, I couldn't find that answer.";
+const HANDOFF_UNAVAILABLE_MESSAGE = "I'm sorry, our team isn't available in the chat right now.";
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+// Lowercased words of a text separated by single spaces, padded for phrase lookups
+const normalizeForMatch = text => ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+
+// Ids of the nodes a node can lead to
+const nodeTargets = (node) => {
+  switch (node.type) {
+    case 'buttons':
+      return (node.buttons || []).map(button => button.next);
+    case 'condition':
+      return [...(node.conditions || []).map(condition => condition.next), node.defaultNext];
+    case 'lead_capture':
+    case 'handoff':
+      return [];
+    default:
+      return [node.next];
+  }
+};
+
+// Type-specific checks of one node; `label` names the node in messages
+const validateNode = (node, label) => {
+  const errors = [];
+  const requireText = () => {
+    if (typeof node.text !== 'string' || !node.text.trim()) {
+      errors.push(`${label} needs text`);
+    }
+  };
+
+  if (isSet(node.text) && (typeof node.text !== 'string' || node.text.length > MAX_TEXT_LENGTH)) {
+    errors.push(`${label} text must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (isSet(node.variable) && !VARIABLE_PATTERN.test(node.variable)) {
+    errors.push(`${label} variable must be a name of letters, digits and underscores`);
+  }
+
+  switch (node.type) {
+    case 'message':
+      requireText();
+      break;
+
+    case 'buttons': {
+      requireText();
+      const buttons = node.buttons || [];
+      if (buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+        errors.push(`${label} needs 1 to ${MAX_BUTTONS} buttons`);
+      }
+      buttons.forEach((button, i) => {
+        if (!button || typeof button.label !== 'string' || !button.label.trim() || button.label.length > 80) {
+          errors.push(`${label} buttons[${i}] needs a label of at most 80 characters`);
+        }
+        if (!button || !isSet(button.next)) {
+          errors.push(`${label} buttons[${i}] needs a next node`);
+        }
+      });
+      const labels = buttons.filter(button => button && typeof button.label === 'string')
+        .map(button => button.label.trim().toLowerCase());
+      if (new Set(labels).size !== labels.length) {
+        errors.push(`${label} button labels must be unique`);
+      }
+      break;
+    }
+
+    case 'input': {
+      requireText();
+      if (!isSet(node.variable)) {
+        errors.push(`${label} needs a variable to store the reply in`);
+      }
+      const validation = node.validation || {};
+      if (isSet(validation.type) && !INPUT_TYPES.includes(validation.type)) {
+        errors.push(`${label} validation.type must be one of ${INPUT_TYPES.join(', ')}`);
+      }
+      if (validation.type === 'regex') {
+        if (typeof validation.pattern !== 'string' || !validation.pattern) {
+          errors.push(`${label} needs a validation.pattern`);
+        } else {
+          try {
+            new RegExp(validation.pattern);
+            // Visitor replies are matched against it
+            if (hasNestedQuantifier(validation.pattern)) {
+              errors.push(`${label} validation.pattern must not repeat a group that itself repeats, as in (a+)+, or use backreferences`);
+            }
+          } catch (error) {
+            errors.push(`${label} validation.pattern is not a valid regular expression: ${error.message}`);
+          }
+        }
+      }
+      ['min', 'max'].forEach(key => {
+        if (isSet(validation[key]) && !Number.isFinite(validation[key])) {
+          errors.push(`${label} validation.${key} must be a number`);
+        }
+      });
+      if (Number.isFinite(validation.min) && Number.isFinite(validation.max) && validation.min > validation.max) {
+        errors.push(`${label} validation.min must not be greater than validation.max`);
+      }
+      break;
+    }
+
+    case 'condition': {
+      const conditions = node.conditions || [];
+      if (conditions.length === 0) {
+        errors.push(`${label} needs at least one condition`);
+      }
+      conditions.forEach((condition, i) => {
+        if (!condition || !VARIABLE_PATTERN.test(condition.variable || '')) {
+          errors.push(`${label} conditions[${i}] needs a variable`);
+          return;
+        }
+        if (!CONDITION_OPERATORS.includes(condition.operator)) {
+          errors.push(`${label} conditions[${i}].operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+        } else if (condition.operator !== 'exists' && !isSet(condition.value)) {
+          errors.push(`${label} conditions[${i}] needs a value`);
+        } else if (['greater_than', 'less_than'].includes(condition.operator) && !Number.isFinite(Number(condition.value))) {
+          errors.push(`${label} conditions[${i}].value must be a number`);
+        }
+        if (!isSet(condition.next)) {
+          errors.push(`${label} conditions[${i}] needs a next node`);
+        }
+      });
+      if (!isSet(node.defaultNext)) {
+        errors.push(`${label} needs a defaultNext node for when no condition holds`);
+      }
+      break;
+    }
+
+    case 'qa_answer':
+      if (!mongoose.Types.ObjectId.isValid(node.pairId)) {
+        errors.push(`${label} needs the pairId of a Q&A pair`);
+      }
+      break;
+
+    case 'lead_capture':
+    case 'handoff':
+      if (isSet(node.next)) {
+        errors.push(`${label} ends the flow and cannot have a next node`);
+      }
+      break;
+
+    default:
+      errors.push(`${label} type must be one of ${FLOW_NODE_TYPES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Node ids on a loop that runs without waiting for the visitor, or null. Loops
+// through a buttons or input node are fine (e.g. "back to the menu").
+const findAutomaticCycle = (nodesById) => {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const path = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    path.push(id);
+    const node = nodesById.get(id);
+    const targets = WAITING_TYPES.includes(node.type) ? [] : nodeTargets(node).filter(isSet);
+    for (const target of targets) {
+      if (state.get(target) === 'visiting') {
+        return [...path.slice(path.indexOf(target)), target];
+      }
+      if (!state.has(target)) {
+        const cycle = visit(target);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of nodesById.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+// Runs admin-authored flows: a flow walks its nodes from the start node, sending
+// message text, until it reaches a node that waits for the visitor (buttons or
+// input) or ends. The session's position and collected variables are kept in
+// ChatHistory.context.flow, so the next message resumes where it stopped.
+class FlowService {
+  // Check a flow's structure. Returns a list of error messages; empty when valid.
+  validateFlow(flow) {
+    const errors = [];
+    const nodes = Array.isArray(flow.nodes) ? flow.nodes : [];
+
+    const triggers = flow.triggers || {};
+    const intents = triggers.intents || [];
+    const keywords = triggers.keywords || [];
+    if (!Array.isArray(intents) || !intents.every(intent => INTENTS.includes(intent))) {
+      errors.push(`triggers.intents must only contain ${INTENTS.join(', ')}`);
+    }
+    if (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS ||
+      !keywords.every(keyword => typeof keyword === 'string' && normalizeForMatch(keyword).trim() && keyword.length <= 60)) {
+      errors.push(`triggers.keywords must be an array of at most ${MAX_KEYWORDS} words or phrases`);
+    }
+    if (flow.enabled !== false && intents.length === 0 && keywords.length === 0) {
+      errors.push('An enabled flow needs at least one intent or keyword trigger');
+    }
+
+    if (nodes.length === 0 || nodes.length > MAX_NODES) {
+      errors.push(`nodes must be an array of 1 to ${MAX_NODES} nodes`);
+      return errors;
+    }
+
+    const nodesById = new Map();
+    nodes.forEach((node, i) => {
+      if (!node || typeof node.id !== 'string' || !NODE_ID_PATTERN.test(node.id)) {
+        errors.push(`nodes[${i}].id must be 1 to 64 letters, digits, dashes or underscores`);
+        return;
+      }
+      if (nodesById.has(node.id)) {
+        errors.push(`Node id "${node.id}" is used more than once`);
+        return;
+      }
+      nodesById.set(node.id, node);
+      errors.push(...validateNode(node, `Node "${node.id}"`));
+    });
+
+    if (!nodesById.has(flow.startNodeId)) {
+      errors.push('startNodeId must be the id of one of the nodes');
+    }
+    nodesById.forEach((node, id) => {
+      nodeTargets(node).filter(isSet).forEach(target => {
+        if (!nodesById.has(target)) {
+          errors.push(`Node "${id}" leads to unknown node "${target}"`);
+        }
+      });
+    });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    // Every node must be reachable from the start node
+    const reached = new Set([flow.startNodeId]);
+    const queue = [flow.startNodeId];
+    while (queue.length > 0) {
+      nodeTargets(nodesById.get(queue.shift())).filter(isSet).forEach(target => {
+        if (!reached.has(target)) {
+          reached.add(target);
+          queue.push(target);
+        }
+      });
+    }
+    const unreachable = [...nodesById.keys()].filter(id => !reached.has(id));
+    if (unreachable.length > 0) {
+      errors.push(`Nodes not reachable from the start node: ${unreachable.join(', ')}`);
+    }
+
+    const cycle = findAutomaticCycle(nodesById);
+    if (cycle) {
+      errors.push(`Nodes ${cycle.join(' -> ')} loop without waiting for the visitor`);
+    }
+
+    return errors;
+  }
+
+  // Check that the flow's qa_answer nodes point at the client's current Q&A pairs
+  async validateReferences(clientId, flow) {
+    const pairIds = (flow.nodes || [])
+      .filter(node => node.type === 'qa_answer')
+      .map(node => ({ id: node.id, pairId: String(node.pairId) }));
+    if (pairIds.length === 0) {
+      return [];
+    }
+
+    const { pairs } = await VectorIndexService.getIndex(clientId);
+    const known = new Set(pairs.map(pair => pair.pairId));
+    return pairIds
+      .filter(({ pairId }) => !known.has(pairId))
+      .map(({ id, pairId }) => `Node "${id}" points to Q&A pair ${pairId}, which does not exist`);
+  }
+
+  // The enabled flow whose triggers match the query, or null. Keywords win over
+  // intents; among several matches the most recently edited flow starts.
+  async findTriggered(clientId, query, intent) {
+    const flows = await Flow.find({ clientId, enabled: true })
+      .select('triggers')
+      .sort({ updatedAt: -1 })
+      .lean();
+    if (flows.length === 0) {
+      return null;
+    }
+
+    const text = normalizeForMatch(query);
+    const match = flows.find(flow => (flow.triggers.keywords || []).some(keyword => text.includes(normalizeForMatch(keyword)))) ||
+      (intent && intent !== 'other' ? flows.find(flow => (flow.triggers.intents || []).includes(intent)) : null);
+
+    return match ? Flow.findById(match._id).lean() : null;
+  }
+
+  // Enter a flow at its start node. Returns the turn (see run).
+  start(chatHistory, flow, client, language = 'en') {
+    const state = {
+      flowId: flow._id,
+      variables: {},
+      attempts: 0,
+      language,
+      startedAt: new Date()
+    };
+    console.log(`[FLOW] Session ${chatHistory.sessionId} started flow "${flow.name}"`);
+    return this.run(chatHistory, flow, flow.startNodeId, state, client);
+  }
+
+  // Handle the visitor's reply to the node the session is waiting on. Returns the
+  // turn, or null when the reply isn't for the flow (no button matches, too many
+  // invalid inputs, or the flow was removed); the session then leaves the flow.
+  async resume(chatHistory, input, client) {
+    const stored = chatHistory.context.flow;
+    const flow = await Flow.findOne({ _id: stored.flowId, enabled: true }).lean();
+    const node = flow && flow.nodes.find(candidate => candidate.id === stored.nodeId);
+    if (!node || !WAITING_TYPES.includes(node.type)) {
+      await this.exit(chatHistory, 'flow changed');
+      return null;
+    }
+
+    const state = {
+      flowId: flow._id,
+      variables: stored.variables ? Object.fromEntries(stored.variables) : {},
+      attempts: stored.attempts || 0,
+      language: stored.language || 'en',
+      startedAt: stored.startedAt
+    };
+    const reply = String(input).trim();
+
+    if (node.type === 'buttons') {
+      const choice = reply.toLowerCase();
+      const button = node.buttons.find(candidate =>
+        candidate.label.toLowerCase() === choice || (candidate.value && candidate.value.toLowerCase() === choice));
+      if (!button) {
+        await this.exit(chatHistory, 'reply matched no button');
+        return null;
+      }
+      if (node.variable) {
+        state.variables[node.variable] = button.value || button.label;
+      }
+      return this.run(chatHistory, flow, button.next, state, client);
+    }
+
+    const { value, error } = this.validateInput(node, reply, resolveLeadCaptureConfig(client).defaultCountry);
+    if (error) {
+      state.attempts += 1;
+      if (state.attempts >= MAX_INPUT_ATTEMPTS) {
+        await this.exit(chatHistory, 'too many invalid replies');
+        return null;
+      }
+      state.nodeId = node.id;
+      chatHistory.context.flow = state;
+      return {
+        flowId: flow._id,
+        flowName: flow.name,
+        language: state.language,
+        messages: [this.render(node.errorMessage || DEFAULT_INPUT_ERROR, state.variables)],
+        buttons: null,
+        input: this.toInputPrompt(node),
+        done: false,
+        leadForm: null,
+        handoff: false
+      };
+    }
+
+    state.variables[node.variable] = value;
+    state.attempts = 0;
+    return this.run(chatHistory, flow, node.next, state, client);
+  }
+
+  // Walk the flow from `nodeId` until a node waits for the visitor or the flow
+  // ends. Updates the session's flow state (saved with the turn) and returns
+  // { flowId, flowName, language, messages, buttons, input, done, leadForm, handoff };
+  // `leadForm` and `handoff` ask the caller to show the form or hand off.
+  async run(chatHistory, flow, nodeId, state, client) {
+    const nodesById = new Map(flow.nodes.map(node => [node.id, node]));
+    const turn = {
+      flowId: flow._id,
+      flowName: flow.name,
+      language: state.language,
+      messages: [],
+      buttons: null,
+      input: null,
+      done: false,
+      leadForm: null,
+      handoff: false
+    };
+    const say = text => {
+      if (isSet(text)) turn.messages.push(this.render(text, state.variables));
+    };
+
+    let current = nodeId;
+    for (let steps = 0; current; steps++) {
+      const node = nodesById.get(current);
+      if (!node || steps >= MAX_STEPS) {
+        console.warn(`[FLOW] Flow "${flow.name}" stopped at node "${current}"`);
+        break;
+      }
+
+      if (node.type === 'message') {
+        say(node.text);
+        current = node.next;
+
+      } else if (node.type === 'buttons' || node.type === 'input') {
+        say(node.text);
+        if (node.type === 'buttons') {
+          turn.buttons = node.buttons.map(button => ({
+            label: this.render(button.label, state.variables),
+            value: button.value || button.label
+          }));
+        } else {
+          turn.input = this.toInputPrompt(node);
+        }
+        state.nodeId = node.id;
+        chatHistory.context.flow = state;
+        return turn;
+
+      } else if (node.type === 'condition') {
+        const branch = node.conditions.find(condition => this.testCondition(condition, state.variables));
+        current = branch ? branch.next : node.defaultNext;
+
+      } else if (node.type === 'qa_answer') {
+        const { pairs } = await VectorIndexService.getIndex(chatHistory.clientId);
+        const pair = pairs.find(candidate => candidate.pairId === String(node.pairId));
+        say(node.text);
+        say(pair ? pair.answer : MISSING_ANSWER_MESSAGE);
+        current = node.next;
+
+      } else if (node.type === 'lead_capture') {
+        const config = resolveLeadCaptureConfig(client);
+        if (config.enabled) {
+          // Prefill form fields named like the flow's variables
+          const values = {};
+          config.fields.forEach(field => {
+            if (isSet(state.variables[field.name])) values[field.name] = state.variables[field.name];
+          });
+          turn.leadForm = { reason: 'flow', ...LeadService.getForm(config), values };
+        }
+        say(node.text || (turn.leadForm ? turn.leadForm.title : null));
+        current = null;
+
+      } else if (node.type === 'handoff') {
+        const config = resolveHandoffConfig(client);
+        turn.handoff = config.enabled;
+        say(node.text || (config.enabled ? config.waitingMessage : HANDOFF_UNAVAILABLE_MESSAGE));
+        current = null;
+      }
+    }
+
+    turn.done = true;
+    chatHistory.context.flow = undefined;
+    console.log(`[FLOW] Session ${chatHistory.sessionId} finished flow "${flow.name}"`);
+    return turn;
+  }
+
+  // Leave the flow without a reply, so the bot answers the message as usual
+  async exit(chatHistory, reason) {
+    chatHistory.context.flow = undefined;
+    await chatHistory.save();
+    console.log(`[FLOW] Session ${chatHistory.sessionId} left its flow (${reason})`);
+  }
+
+  // Check a reply to an input node. Returns { value } (normalized) or { error }.
+  validateInput(node, reply, defaultCountry) {
+    const validation = node.validation || {};
+    const type = validation.type || 'text';
+    if (!reply || reply.length > MAX_INPUT_LENGTH) {
+      return { error: true };
+    }
+
+    if (type === 'email') {
+      const email = normalizeEmail(reply);
+      return email ? { value: email } : { error: true };
+    }
+    if (type === 'phone') {
+      const phone = normalizePhone(reply, defaultCountry);
+      return phone ? { value: phone.e164 } : { error: true };
+    }
+    if (type === 'number') {
+      const number = Number(reply.replace(',', '.'));
+      if (!Number.isFinite(number) ||
+        (Number.isFinite(validation.min) && number < validation.min) ||
+        (Number.isFinite(validation.max) && number > validation.max)) {
+        return { error: true };
+      }
+      return { value: String(number) };
+    }
+    // Patterns saved before backtracking-prone ones were refused are checked as text
+    if (type === 'regex' && !hasNestedQuantifier(validation.pattern)) {
+      // The whole reply must match
+      return new RegExp(`^(?:${validation.pattern})$`).test(reply) ? { value: reply } : { error: true };
+    }
+
+    if ((Number.isFinite(validation.min) && reply.length < validation.min) ||
+      (Number.isFinite(validation.max) && reply.length > validation.max)) {
+      return { error: true };
+    }
+    return { value: reply };
+  }
+
+  testCondition(condition, variables) {
+    const actual = variables[condition.variable];
+    if (condition.operator === 'exists') {
+      return isSet(actual);
+    }
+    if (!isSet(actual)) {
+      return condition.operator === 'not_equals';
+    }
+
+    const text = String(actual).toLowerCase();
+    const expected = String(condition.value).toLowerCase();
+    switch (condition.operator) {
+      case 'equals':
+        return text === expected;
+      case 'not_equals':
+        return text !== expected;
+      case 'contains':
+        return text.includes(expected);
+      case 'greater_than':
+        return Number(actual) > Number(condition.value);
+      case 'less_than':
+        return Number(actual) < Number(condition.value);
+      default:
+        return false;
+    }
+  }
+
+  // Replace {{variable}} placeholders with the visitor's answers
+  render(text, variables) {
+    return String(text).replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (placeholder, name) =>
+      isSet(variables[name]) ? variables[name] : '');
+  }
+
+  toInputPrompt(node) {
+    return {
+      variable: node.variable,
+      type: (node.validation && node.validation.type) || 'text'
+    };
+  }
+}
+
+module.exports = new FlowService();
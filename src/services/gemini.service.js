@@ -1,16 +1,115 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { AsyncLocalStorage } = require('async_hooks');
+const { resolveProviderConfig, createProvider } = require('./providers');
+const { TokenBucket } = require('../utils/tokenBucket.util');
+const RedactionService = require('./redaction.service');
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
 
+// Bulk embedding (embedMany): texts per provider call, calls in flight per
+// embedMany, and provider calls per minute shared by everything using a provider
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 50;
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY) || 2;
+const EMBEDDING_REQUESTS_PER_MINUTE = parseInt(process.env.EMBEDDING_REQUESTS_PER_MINUTE) || 60;
+const EMBEDDING_BURST = parseInt(process.env.EMBEDDING_BURST) || 5;
+// Retries of a rate-limited or failed call, with exponential backoff
+const EMBEDDING_MAX_RETRIES = parseInt(process.env.EMBEDDING_MAX_RETRIES) || 5;
+const EMBEDDING_BACKOFF_MS = 2000;
+const EMBEDDING_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP status of a provider error (axios or Gemini SDK)
+const errorStatus = error => error.status || error.response?.status;
+
+// Rate limits, server errors and dropped connections are worth retrying
+const isRetryable = (error) => {
+  const status = errorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  return NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(error.cause?.code);
+};
+
+// Wait asked for by the provider: a Retry-After header (seconds or date), or
+// Gemini's RetryInfo detail ("37s"). Null when there is none.
+const retryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+    if (ms >= 0) return Math.min(ms, EMBEDDING_MAX_BACKOFF_MS);
+  }
+
+  const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+  const delay = retryInfo && parseFloat(retryInfo.retryDelay);
+  return Number.isFinite(delay) ? Math.min(delay * 1000, EMBEDDING_MAX_BACKOFF_MS) : null;
+};
+
+// Facade over the configured LLM provider (Gemini, OpenAI-compatible or fake).
+// The provider comes from LLM_PROVIDER unless a client-specific one is bound
+// for the current request with runWithClient().
 class GeminiService {
   constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is not set in environment variables.');
+    this.defaultProvider = null;
+    this.clientProviders = new Map();
+    this.providerContext = new AsyncLocalStorage();
+    this.embeddingLimiters = new WeakMap(); // provider -> TokenBucket
+  }
+
+  getDefaultProvider() {
+    if (!this.defaultProvider) {
+      this.defaultProvider = createProvider(resolveProviderConfig());
+      console.log(`[LLM] Using default provider: ${this.defaultProvider.name}`);
+    }
+    return this.defaultProvider;
+  }
+
+  // Provider for a client with an llmConfig override, cached per distinct config
+  getProviderForClient(client) {
+    const llmConfig = client?.llmConfig?.toObject ? client.llmConfig.toObject() : client?.llmConfig;
+    if (!llmConfig || !llmConfig.provider) {
+      return this.getDefaultProvider();
+    }
+
+    const cacheKey = JSON.stringify(llmConfig);
+    if (!this.clientProviders.has(cacheKey)) {
+      this.clientProviders.set(cacheKey, createProvider(resolveProviderConfig(llmConfig)));
+    }
+    return this.clientProviders.get(cacheKey);
+  }
+
+  // Provider for the current async context
+  getProvider() {
+    return this.providerContext.getStore() || this.getDefaultProvider();
+  }
+
+  // Run fn (and everything it awaits) against the client's provider
+  runWithClient(client, fn) {
+    return this.providerContext.run(this.getProviderForClient(client), fn);
+  }
+
+  runWithProvider(provider, fn) {
+    return this.providerContext.run(provider, fn);
+  }
+
+  // Pass options.onToken to receive the text incrementally as the provider streams it
+  async generateText(prompt, options = {}) {
+    const { onToken, ...providerOptions } = options;
+    const provider = this.getProvider();
+
+    if (onToken && provider.streamText) {
+      let text = '';
+      for await (const chunk of provider.streamText(prompt, providerOptions)) {
+        text += chunk;
+        onToken(chunk);
+      }
+      return text;
     }
-    this.generativeAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.embeddingModel = this.generativeAI.getGenerativeModel({ model: 'embedding-001' });
-    this.generativeModel = this.generativeAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+
+    const text = await provider.generateText(prompt, providerOptions);
+    return text || '';
   }
 
   async refineQuery(query) {
@@ -28,11 +127,9 @@ Original query: "${query}"
 
 Refined query:`;
 
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = await result.response;
-      const refinedQuery = response.text().trim();
+      const refinedQuery = (await this.generateText(prompt)).trim() || query;
       
-      console.log(`[GEMINI] Original Query: '${query}' | Refined Query: '${refinedQuery}'`);
+      console.log(`[GEMINI] Original Query: '${RedactionService.forLog(query)}' | Refined Query: '${RedactionService.forLog(refinedQuery)}'`);
       return refinedQuery;
 
     } catch (error) {
@@ -58,15 +155,13 @@ Text to analyze: "${text}"
 
 Language code:`;
 
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = await result.response;
-      const languageCode = response.text().trim().toLowerCase();
+      const languageCode = (await this.generateText(prompt)).trim().toLowerCase();
       
       // Validate the response is a proper language code
       const validCodes = ['en', 'hi', 'es', 'fr', 'de'];
       const detectedLang = validCodes.includes(languageCode) ? languageCode : 'en';
       
-      console.log(`[GEMINI-LANG] Detected language: '${detectedLang}' for text: '${text}'`);
+      console.log(`[GEMINI-LANG] Detected language: '${detectedLang}' for text: '${RedactionService.forLog(text)}'`);
       return detectedLang;
 
     } catch (error) {
@@ -92,7 +187,7 @@ Language code:`;
     return 'en';
   }
 
-  async translateResponse(text, targetLanguage) {
+  async translateResponse(text, targetLanguage, options = {}) {
     // Skip translation if target is English or if text is empty
     if (targetLanguage === 'en' || !text || typeof text !== 'string') {
       return text;
@@ -110,11 +205,9 @@ Language code:`;
       
       const prompt = `Translate the following text to ${targetLanguageName}. Maintain the same tone and formatting. If there are technical terms or proper nouns, keep them in English but provide the translation in parentheses if helpful.\n\nText to translate: "${text}"\n\nTranslation:`;
 
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = await result.response;
-      const translatedText = response.text().trim();
+      const translatedText = (await this.generateText(prompt, options)).trim() || text;
       
-      console.log(`[TRANSLATION] Translated to ${targetLanguageName}: ${translatedText.substring(0, 100)}...`);
+      console.log(`[TRANSLATION] Translated to ${targetLanguageName}: ${RedactionService.forLog(translatedText.substring(0, 100))}...`);
       return translatedText;
 
     } catch (error) {
@@ -131,8 +224,7 @@ Language code:`;
     // Add retries for resilience
     for (let i = 0; i < MAX_RETRIES; i++) {
       try {
-        const result = await this.embeddingModel.embedContent(text);
-        const embedding = result.embedding.values;
+        const embedding = await this.getProvider().generateEmbedding(text);
         // console.log('Embedding generated successfully:', embedding.slice(0, 5));
         return embedding;
       } catch (error) {
@@ -146,6 +238,128 @@ Language code:`;
     }
     return null; // Should not be reached
   }
+
+  // Embed several texts in one provider call; falls back to one call per text
+  // when the batch request fails. Failed entries come back as null.
+  async embedBatch(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return [];
+    }
+
+    try {
+      return await this.getProvider().embedBatch(texts);
+    } catch (error) {
+      console.error(`Batch embedding of ${texts.length} texts failed, embedding individually:`, error.message);
+      const embeddings = [];
+      for (const text of texts) {
+        embeddings.push(await this.generateEmbedding(text));
+      }
+      return embeddings;
+    }
+  }
+
+  getEmbeddingLimiter(provider) {
+    if (!this.embeddingLimiters.has(provider)) {
+      this.embeddingLimiters.set(provider, new TokenBucket({
+        capacity: EMBEDDING_BURST,
+        refillPerSecond: EMBEDDING_REQUESTS_PER_MINUTE / 60
+      }));
+    }
+    return this.embeddingLimiters.get(provider);
+  }
+
+  // One rate-limited provider call, retried with exponential backoff (or the
+  // provider's Retry-After, which also holds back other calls) on retryable errors
+  async embedBatchWithRetry(provider, texts) {
+    const limiter = this.getEmbeddingLimiter(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.take();
+      try {
+        return await provider.embedBatch(texts);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= EMBEDDING_MAX_RETRIES) {
+          throw error;
+        }
+
+        const requested = retryAfterMs(error);
+        const delay = requested !== null
+          ? requested
+          : Math.min(EMBEDDING_BACKOFF_MS * 2 ** attempt, EMBEDDING_MAX_BACKOFF_MS) * (0.5 + Math.random() / 2);
+        if (requested !== null) {
+          limiter.pauseUntil(Date.now() + requested);
+        }
+        console.warn(`[EMBED] ${provider.name} embedding call failed (${errorStatus(error) || error.code || error.message}), retry ${attempt + 1}/${EMBEDDING_MAX_RETRIES} in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Embed many texts (uploads, scraping) in rate-limited batches. Returns
+  // { embeddings, errors } by input position: a vector or null, and why it is
+  // null. A batch rejected outright is retried text by text to isolate bad input.
+  // `onProgress(percent, message)` is awaited after each batch; if it throws,
+  // no further batches are started and the error is passed on.
+  async embedMany(texts, { onProgress = async () => {} } = {}) {
+    const provider = this.getProvider();
+    const embeddings = new Array(texts.length).fill(null);
+    const errors = new Array(texts.length).fill(null);
+
+    const batches = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+      batches.push({ start, texts: texts.slice(start, start + EMBEDDING_BATCH_SIZE) });
+    }
+
+    const store = (index, embedding, error) => {
+      if (embedding && embedding.length > 0) {
+        embeddings[index] = embedding;
+      } else {
+        errors[index] = error || 'Embedding provider returned no vector';
+      }
+    };
+
+    let next = 0;
+    let done = 0;
+    let stopped = false;
+    const worker = async () => {
+      while (!stopped && next < batches.length) {
+        const batch = batches[next++];
+        try {
+          const vectors = await this.embedBatchWithRetry(provider, batch.texts);
+          batch.texts.forEach((text, j) => store(batch.start + j, vectors[j]));
+        } catch (error) {
+          if (batch.texts.length > 1 && !isRetryable(error)) {
+            for (const [j, text] of batch.texts.entries()) {
+              try {
+                const [vector] = await this.embedBatchWithRetry(provider, [text]);
+                store(batch.start + j, vector);
+              } catch (textError) {
+                store(batch.start + j, null, textError.message);
+              }
+            }
+          } else {
+            batch.texts.forEach((text, j) => store(batch.start + j, null, error.message));
+          }
+        }
+
+        done += batch.texts.length;
+        try {
+          await onProgress((done / texts.length) * 100, `Embedded ${done}/${texts.length}`);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(EMBEDDING_CONCURRENCY, batches.length) }, worker));
+
+    const failed = errors.filter(Boolean).length;
+    if (failed > 0) {
+      console.warn(`[EMBED] ${failed}/${texts.length} texts could not be embedded with ${provider.name}`);
+    }
+    return { embeddings, errors };
+  }
 }
 
 module.exports = new GeminiService();
@@ -0,0 +1,194 @@
+const GeminiService = require('./gemini.service');
+const { resolveGuardrailPolicy } = require('../config/guardrails');
+const { cosineSimilarity } = require('../utils/vector.util');
+
+// Topic phrases and rule examples kept embedded, over all clients; the least
+// recently checked clients' phrases are dropped beyond it
+const MAX_CACHED_EMBEDDINGS = 2000;
+
+// Decides whether a visitor query is answered, using the client's guardrail
+// policy: allow topics exempt a query from the deny rules; regex rules, semantic
+// rules and deny topics refuse it; LLM moderation, when enabled, runs last.
+class GuardrailService {
+  constructor() {
+    this.phraseSets = new Map(); // clientId -> { model, embeddings: Map(phrase -> vector) }
+    this.regexes = new Map();
+  }
+
+  getRegex(rule) {
+    const key = `${rule.flags}/${rule.pattern}`;
+    if (!this.regexes.has(key)) {
+      this.regexes.set(key, new RegExp(rule.pattern, rule.flags));
+    }
+    return this.regexes.get(key);
+  }
+
+  // Embeddings of a policy's topic phrases and rule examples, as a map from
+  // phrase to vector; phrases that could not be embedded are left out. Missing
+  // phrases are embedded in one embedMany call. With a clientId the result is
+  // kept, since the same phrases are checked on every query of that client.
+  async embedPhrases(phrases, clientId) {
+    const provider = GeminiService.getProvider();
+    const model = `${provider.name}:${provider.embeddingModelName}`;
+    const key = clientId ? String(clientId) : null;
+    const cached = key && this.phraseSets.get(key);
+    const known = cached && cached.model === model ? cached.embeddings : new Map();
+
+    const missing = [...new Set(phrases)].filter(phrase => !known.has(phrase));
+    const { embeddings } = missing.length > 0 ? await GeminiService.embedMany(missing) : { embeddings: [] };
+    missing.forEach((phrase, i) => {
+      if (embeddings[i]) known.set(phrase, embeddings[i]);
+    });
+
+    // Only the policy's current phrases are kept
+    const result = new Map(phrases.filter(phrase => known.has(phrase)).map(phrase => [phrase, known.get(phrase)]));
+    if (key) {
+      this.phraseSets.delete(key);
+      this.phraseSets.set(key, { model, embeddings: result });
+      this.evictPhraseSets(key);
+    }
+    return result;
+  }
+
+  // Drop the least recently checked clients' phrases while over the limit
+  evictPhraseSets(currentKey) {
+    let total = 0;
+    for (const { embeddings } of this.phraseSets.values()) {
+      total += embeddings.size;
+    }
+    for (const [key, { embeddings }] of this.phraseSets) {
+      if (total <= MAX_CACHED_EMBEDDINGS || key === currentKey) break;
+      this.phraseSets.delete(key);
+      total -= embeddings.size;
+    }
+  }
+
+  // Highest similarity between the query and any of the phrases
+  bestMatch(queryEmbedding, phrases, phraseEmbeddings) {
+    let best = { phrase: null, score: 0 };
+    for (const phrase of phrases) {
+      const embedding = phraseEmbeddings.get(phrase);
+      const score = embedding ? cosineSimilarity(queryEmbedding, embedding) : 0;
+      if (score > best.score) {
+        best = { phrase, score };
+      }
+    }
+    return best;
+  }
+
+  // Ask the LLM whether the query falls in one of the moderation categories.
+  // Fails open: a moderation outage must not take the chatbot down.
+  async moderate(query, categories) {
+    const prompt = `You are a content moderator for a customer support chatbot.
+
+Categories: ${categories.join(', ')}
+
+User message: "${query}"
+
+Return a JSON object with exactly these fields:
+- "flagged": true if the message clearly belongs to one of the categories, otherwise false
+- "category": the matching category, or null
+
+JSON:`;
+
+    try {
+      const raw = await GeminiService.generateText(prompt, { json: true, temperature: 0 });
+      const match = (raw || '').match(/\{[\s\S]*\}/);
+      const data = match ? JSON.parse(match[0]) : null;
+      if (!data || typeof data.flagged !== 'boolean') {
+        console.log('[GUARDRAIL] Moderation returned no verdict, allowing query');
+        return { flagged: false };
+      }
+      return { flagged: data.flagged, category: categories.includes(data.category) ? data.category : null };
+    } catch (error) {
+      console.log(`[GUARDRAIL] Moderation failed (${error.message}), allowing query`);
+      return { flagged: false };
+    }
+  }
+
+  // Check a query against a resolved policy. Returns { allowed, rule, allowedBy, checks };
+  // `rule` describes the check that refused the query and `checks` lists every check run.
+  // `clientId` keeps the policy's phrase embeddings for the client's next queries.
+  async evaluate(query, policy, { clientId } = {}) {
+    const checks = [];
+    const refuse = rule => ({ allowed: false, rule, allowedBy: null, checks });
+
+    if (!policy.enabled) {
+      return { allowed: true, rule: null, allowedBy: null, checks };
+    }
+
+    const semanticRules = policy.rules.filter(rule => rule.type === 'semantic');
+    const needsEmbedding = policy.allowTopics.length > 0 || policy.denyTopics.length > 0 || semanticRules.length > 0;
+    const queryEmbedding = needsEmbedding ? await GeminiService.generateEmbedding(query) : null;
+    if (needsEmbedding && !queryEmbedding) {
+      console.log('[GUARDRAIL] Could not embed query, skipping topic and semantic checks');
+    }
+    const phraseEmbeddings = queryEmbedding
+      ? await this.embedPhrases([...policy.allowTopics, ...semanticRules.flatMap(rule => rule.examples), ...policy.denyTopics], clientId)
+      : null;
+
+    let allowedBy = null;
+    if (queryEmbedding && policy.allowTopics.length > 0) {
+      const { phrase, score } = this.bestMatch(queryEmbedding, policy.allowTopics, phraseEmbeddings);
+      const matched = score >= policy.topicThreshold;
+      checks.push({ type: 'allow_topic', name: phrase, score, matched });
+      if (matched) {
+        allowedBy = { type: 'allow_topic', name: phrase, score };
+      }
+    }
+
+    if (!allowedBy) {
+      for (const rule of policy.rules) {
+        if (rule.type === 'regex') {
+          const matched = this.getRegex(rule).test(query);
+          checks.push({ type: 'regex', name: rule.name, matched });
+          if (matched) return refuse({ type: 'regex', name: rule.name });
+        } else if (queryEmbedding) {
+          const { phrase, score } = this.bestMatch(queryEmbedding, rule.examples, phraseEmbeddings);
+          const matched = score >= rule.threshold;
+          checks.push({ type: 'semantic', name: rule.name, example: phrase, score, matched });
+          if (matched) return refuse({ type: 'semantic', name: rule.name, example: phrase, score });
+        }
+      }
+
+      if (queryEmbedding && policy.denyTopics.length > 0) {
+        const { phrase, score } = this.bestMatch(queryEmbedding, policy.denyTopics, phraseEmbeddings);
+        const matched = score >= policy.topicThreshold;
+        checks.push({ type: 'deny_topic', name: phrase, score, matched });
+        if (matched) return refuse({ type: 'deny_topic', name: phrase, score });
+      }
+    }
+
+    if (policy.moderation.enabled) {
+      const { flagged, category } = await this.moderate(query, policy.moderation.categories);
+      checks.push({ type: 'moderation', name: category || null, matched: flagged });
+      if (flagged) return refuse({ type: 'moderation', name: category || 'flagged' });
+    }
+
+    return { allowed: true, rule: null, allowedBy, checks };
+  }
+
+  // Refusal in the visitor's language: the client's message for that language,
+  // otherwise the English one translated
+  async getRefusal(policy, language) {
+    if (policy.refusalMessages[language]) {
+      return policy.refusalMessages[language];
+    }
+    return GeminiService.translateResponse(policy.refusalMessages.en, language);
+  }
+
+  // Check a chat query for a client. Returns null when it may be answered,
+  // otherwise the refusal and the rule that fired.
+  async check(client, query, language = 'en') {
+    const policy = resolveGuardrailPolicy(client);
+    const { allowed, rule } = await this.evaluate(query, policy, { clientId: client._id });
+    if (allowed) {
+      return null;
+    }
+
+    console.log(`[GUARDRAIL] Query refused by ${rule.type} rule "${rule.name}"${rule.score !== undefined ? ` (score ${rule.score.toFixed(3)})` : ''}`);
+    return { rule, message: await this.getRefusal(policy, language) };
+  }
+}
+
+module.exports = new GuardrailService();
@@ -0,0 +1,276 @@
+const { EventEmitter } = require('events');
+const MailService = require('./mail.service');
+const RedactionService = require('./redaction.service');
+const { resolveHandoffConfig } = require('../config/handoff');
+
+const UNANSWERED_TYPES = ['suggestions', 'no_data'];
+// Messages of the transcript included in the agent notification email
+const NOTIFY_TRANSCRIPT_MESSAGES = 10;
+
+const handoffError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Hands a chat session from the bot to a person and back. Visitor and agent
+// messages are stored in the session's ChatHistory; live updates go out through
+// in-process events (agent streams per client, visitor streams per session), so
+// with several server instances the polling endpoints are the reliable path.
+class HandoffService {
+  constructor() {
+    this.events = new EventEmitter();
+    // One listener per open SSE stream
+    this.events.setMaxListeners(0);
+  }
+
+  // Listen to handoff events of a client's sessions; returns the unsubscribe function
+  subscribeClient(clientId, listener) {
+    const channel = `client:${clientId}`;
+    this.events.on(channel, listener);
+    return () => this.events.off(channel, listener);
+  }
+
+  // Listen to agent and system messages for one visitor session
+  subscribeSession(clientId, sessionId, listener) {
+    const channel = `session:${clientId}:${sessionId}`;
+    this.events.on(channel, listener);
+    return () => this.events.off(channel, listener);
+  }
+
+  publish(chatHistory, type, data = {}, { toVisitor = false } = {}) {
+    const event = { type, sessionId: chatHistory.sessionId, mode: chatHistory.mode, handoff: this.getStatus(chatHistory), ...data };
+    this.events.emit(`client:${chatHistory.clientId}`, event);
+    if (toVisitor) {
+      this.events.emit(`session:${chatHistory.clientId}:${chatHistory.sessionId}`, event);
+    }
+  }
+
+  getStatus(chatHistory) {
+    const handoff = chatHistory.handoff;
+    if (!handoff || !handoff.status) {
+      return null;
+    }
+    return {
+      status: handoff.status,
+      reason: handoff.reason,
+      requestedAt: handoff.requestedAt,
+      acceptedAt: handoff.acceptedAt,
+      closedAt: handoff.closedAt,
+      agentName: handoff.agent ? handoff.agent.name : undefined
+    };
+  }
+
+  // Handoff reason for a query about to be answered by the bot, or null:
+  // the visitor asked for a person or sounds frustrated
+  getRequestTrigger(config, analysis) {
+    if (!config.enabled) {
+      return null;
+    }
+    if (config.triggers.request && analysis.intent === 'human_agent') {
+      return 'requested';
+    }
+    if (config.triggers.frustration && analysis.frustrated) {
+      return 'frustration';
+    }
+    return null;
+  }
+
+  // 'low_confidence' once the bot's last answers in a row (since any earlier
+  // handoff) were all unanswered or low confidence, else null
+  getLowConfidenceTrigger(config, chatHistory) {
+    const threshold = config.triggers.lowConfidenceCount;
+    if (!config.enabled || threshold === 0) {
+      return null;
+    }
+
+    const recent = [];
+    for (let i = chatHistory.messages.length - 1; i >= 0 && recent.length < threshold; i--) {
+      if (chatHistory.messages[i].author !== 'bot') break;
+      recent.push(chatHistory.messages[i]);
+    }
+    const weak = recent.filter(message =>
+      UNANSWERED_TYPES.includes(message.responseType) ||
+      message.response === 'suggestions_provided' ||
+      message.confidence === 'low');
+
+    return recent.length === threshold && weak.length === threshold ? 'low_confidence' : null;
+  }
+
+  // Move a session to handoff mode and tell the agents. `waitingMessage`, when
+  // given, is added as a system message (already in the visitor's language);
+  // leave it out when the bot's reply to the last query already says so.
+  async start(chatHistory, client, reason, waitingMessage) {
+    if (chatHistory.mode === 'handoff') {
+      return chatHistory;
+    }
+
+    chatHistory.mode = 'handoff';
+    chatHistory.handoff = { status: 'waiting', reason, requestedAt: new Date() };
+    if (waitingMessage) {
+      await chatHistory.addMessage({ author: 'system', response: waitingMessage, responseType: 'handoff' });
+    } else {
+      await chatHistory.save();
+    }
+
+    console.log(`[HANDOFF] Session ${chatHistory.sessionId} of client ${chatHistory.clientId} handed off (${reason})`);
+    this.publish(chatHistory, 'handoff_requested', { message: this.lastMessage(chatHistory) });
+    if (reason !== 'agent') {
+      this.notifyAgents(chatHistory, client, reason)
+        .catch(error => console.error(`[HANDOFF] Notifying agents for session ${chatHistory.sessionId} failed:`, error.message));
+    }
+
+    return chatHistory;
+  }
+
+  // Agent joins a session the bot is still answering
+  async takeOver(chatHistory, client, agent) {
+    await this.start(chatHistory, client, 'agent');
+    return this.accept(chatHistory, agent);
+  }
+
+  // Store a visitor message sent while the session is handed off
+  async addVisitorMessage(chatHistory, text) {
+    const { query, redactedTypes, encryptedOriginal } = RedactionService.redactMessage(
+      { query: text },
+      await RedactionService.getClientSettings(chatHistory.clientId)
+    );
+    await chatHistory.addMessage({
+      author: 'visitor',
+      query,
+      redactedTypes: redactedTypes.length > 0 ? redactedTypes : undefined,
+      encryptedOriginal
+    });
+
+    const message = this.lastMessage(chatHistory);
+    this.publish(chatHistory, 'visitor_message', { message });
+    return message;
+  }
+
+  // Agent takes the session
+  async accept(chatHistory, agent) {
+    if (chatHistory.mode !== 'handoff') {
+      throw handoffError('This session is not waiting for an agent', 409);
+    }
+    if (chatHistory.handoff.status === 'active' && String(chatHistory.handoff.agent.id) !== String(agent.id)) {
+      throw handoffError(`${chatHistory.handoff.agent.name} is already handling this session`, 409);
+    }
+    if (chatHistory.handoff.status === 'active') {
+      return chatHistory;
+    }
+
+    chatHistory.handoff.status = 'active';
+    chatHistory.handoff.acceptedAt = new Date();
+    chatHistory.handoff.agent = { id: agent.id, name: agent.name };
+    await chatHistory.addMessage({ author: 'system', response: `${agent.name} joined the conversation`, responseType: 'handoff' });
+
+    console.log(`[HANDOFF] ${agent.email} accepted session ${chatHistory.sessionId}`);
+    this.publish(chatHistory, 'handoff_accepted', { message: this.lastMessage(chatHistory) }, { toVisitor: true });
+    return chatHistory;
+  }
+
+  // Agent message to the visitor; takes a waiting session first
+  async reply(chatHistory, agent, text) {
+    if (chatHistory.mode !== 'handoff') {
+      throw handoffError('This session is not handed off to an agent', 409);
+    }
+    await this.accept(chatHistory, agent);
+
+    await chatHistory.addMessage({
+      author: 'agent',
+      response: text,
+      agent: { id: agent.id, name: agent.name },
+      responseType: 'agent'
+    });
+
+    const message = this.lastMessage(chatHistory);
+    this.publish(chatHistory, 'agent_message', { message }, { toVisitor: true });
+    return message;
+  }
+
+  // Return the session to the bot. `closedBy` is 'agent' or 'visitor'.
+  async close(chatHistory, closedBy, closedMessage) {
+    if (chatHistory.mode !== 'handoff') {
+      throw handoffError('This session is not handed off to an agent', 409);
+    }
+
+    chatHistory.mode = 'bot';
+    chatHistory.handoff.status = 'closed';
+    chatHistory.handoff.closedAt = new Date();
+    chatHistory.handoff.closedBy = closedBy;
+    await chatHistory.addMessage({ author: 'system', response: closedMessage, responseType: 'handoff' });
+
+    console.log(`[HANDOFF] Session ${chatHistory.sessionId} returned to the bot (closed by ${closedBy})`);
+    this.publish(chatHistory, 'handoff_closed', { message: this.lastMessage(chatHistory) }, { toVisitor: true });
+    return chatHistory;
+  }
+
+  // Agent and system messages after the message with id `after` (all when unset),
+  // for visitors polling instead of streaming
+  getMessagesSince(chatHistory, after) {
+    let messages = chatHistory.messages;
+    if (after) {
+      const index = messages.findIndex(message => String(message._id) === String(after));
+      messages = index === -1 ? messages : messages.slice(index + 1);
+    }
+    return messages
+      .filter(message => message.author === 'agent' || message.author === 'system')
+      .map(message => this.toVisitorMessage(message));
+  }
+
+  lastMessage(chatHistory) {
+    return this.toVisitorMessage(chatHistory.messages[chatHistory.messages.length - 1]);
+  }
+
+  // Message fields safe to send to the visitor and agents
+  toVisitorMessage(message) {
+    return {
+      _id: message._id,
+      author: message.author,
+      text: message.author === 'visitor' ? message.query : message.response,
+      agentName: message.agent ? message.agent.name : undefined,
+      timestamp: message.timestamp
+    };
+  }
+
+  // Email the client's agents that a visitor is waiting, with the recent transcript
+  async notifyAgents(chatHistory, client, reason) {
+    const config = resolveHandoffConfig(client);
+    const recipients = config.notifyEmails.length > 0 ? config.notifyEmails : [client.contactEmail].filter(Boolean);
+    if (recipients.length === 0) {
+      console.log(`[HANDOFF] No agent email for client ${client._id}; agents must watch the handoff queue`);
+      return;
+    }
+
+    const reasons = {
+      requested: 'The visitor asked to talk to a person.',
+      low_confidence: 'The bot could not answer several questions in a row.',
+      frustration: 'The visitor seems frustrated with the bot.',
+      agent: 'An agent took over the conversation.'
+    };
+    const transcript = chatHistory.messages
+      .slice(-NOTIFY_TRANSCRIPT_MESSAGES)
+      .map(message => {
+        if (message.author === 'bot') return `Visitor: ${message.query}\nBot: ${message.response}`;
+        if (message.author === 'visitor') return `Visitor: ${message.query}`;
+        return `${message.author === 'agent' ? 'Agent' : 'System'}: ${message.response}`;
+      })
+      .join('\n\n');
+
+    await MailService.send({
+      to: recipients.join(', '),
+      subject: `${client.name}: a chat visitor is waiting for an agent`,
+      text: [
+        reasons[reason],
+        '',
+        `Session: ${chatHistory.sessionId}`,
+        '',
+        'Recent conversation:',
+        '',
+        transcript
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new HandoffService();
@@ -0,0 +1,310 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = 2000;
+// Running jobs report progress and check for cancellation this often
+const HEARTBEAT_MS = 5000;
+// A running job without a heartbeat for this long lost its worker (crash, restart)
+const STALE_AFTER_MS = 60 * 1000;
+// Retry delay: RETRY_BASE_DELAY_MS, doubled per attempt, capped
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 15 * 60 * 1000;
+
+const DEFAULT_HANDLER_OPTIONS = {
+  concurrency: 1,
+  maxAttempts: 3
+};
+
+// Thrown by ctx.progress() once an admin cancelled the job
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.cancelled = true;
+  }
+}
+
+const queueError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Mongo-backed queue for background work. Handlers register per job type (see
+// src/jobs) with a concurrency limit and attempt count; this process claims
+// queued jobs atomically, retries failures with exponential backoff and sends
+// heartbeats so that jobs of a crashed worker are picked up again.
+//
+// A handler is { run(job, ctx), finalize(job), recover(), concurrency, maxAttempts }.
+// run() reports progress with `await ctx.progress(percent, message)`, which
+// also throws once the job is cancelled. finalize() runs once the job is
+// completed, failed for good or cancelled. recover() runs at startup.
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.running = new Map(); // jobId -> { type, progress, progressMessage, cancelRequested }
+    this.timer = null;
+    this.polling = false;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, { ...DEFAULT_HANDLER_OPTIONS, ...handler });
+  }
+
+  // Error that fails the job without further attempts (bad input, missing data)
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+
+  // Queue a job, to run no earlier than `runAt`. With `dedupe`, an already
+  // queued job of the same type for the client is returned instead of adding another.
+  async enqueue(type, { clientId, payload, createdBy, runAt, dedupe = false } = {}) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    if (dedupe) {
+      const queued = await Job.findOne({ type, clientId, status: 'queued' });
+      if (queued) return queued;
+    }
+
+    const job = await Job.create({
+      type,
+      clientId,
+      payload,
+      createdBy,
+      runAt,
+      maxAttempts: handler.maxAttempts
+    });
+    console.log(`[JOBS] Queued ${type} job ${job._id}${clientId ? ` for client ${clientId}` : ''}`);
+
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  // Recover jobs left behind by a previous process and start polling
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStale();
+    for (const [type, handler] of this.handlers) {
+      if (!handler.recover) continue;
+      try {
+        await handler.recover();
+      } catch (error) {
+        console.error(`[JOBS] Recovering ${type} jobs failed:`, error);
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.recoverStale().catch(error => console.error('[JOBS] Stale job check failed:', error.message));
+      this.poll();
+    }, POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`[JOBS] Worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')})`);
+    this.poll();
+  }
+
+  // Queue running jobs without a recent heartbeat again, or fail them when
+  // they have used all their attempts
+  async recoverStale() {
+    const stale = await Job.find({
+      status: 'running',
+      heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+    }).select('_id type attempts maxAttempts cancelRequested');
+
+    for (const job of stale) {
+      if (this.running.has(String(job._id))) continue;
+
+      const outcome = job.cancelRequested
+        ? { status: 'cancelled', finishedAt: new Date() }
+        : job.attempts >= job.maxAttempts
+          ? { status: 'failed', finishedAt: new Date() }
+          : { status: 'queued', runAt: new Date() };
+      const updated = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+        { $set: { ...outcome, error: 'The worker running this job stopped', lockedBy: null } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      console.warn(`[JOBS] ${job.type} job ${job._id} lost its worker; ${outcome.status === 'queued' ? 'queued again' : outcome.status}`);
+      if (updated.status !== 'queued') {
+        await this.finalize(updated);
+      }
+    }
+  }
+
+  runningCount(type) {
+    let count = 0;
+    this.running.forEach(entry => {
+      if (entry.type === type) count++;
+    });
+    return count;
+  }
+
+  // Claim and start queued jobs up to each type's concurrency limit
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const [type, handler] of this.handlers) {
+        while (this.runningCount(type) < handler.concurrency) {
+          const job = await Job.findOneAndUpdate(
+            { type, status: 'queued', runAt: { $lte: new Date() } },
+            {
+              $set: { status: 'running', lockedBy: this.workerId, heartbeatAt: new Date(), startedAt: new Date() },
+              $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1, createdAt: 1 }, new: true }
+          );
+          if (!job) break;
+
+          this.running.set(String(job._id), { type, progress: job.progress, progressMessage: job.progressMessage, cancelRequested: false });
+          this.execute(job, handler);
+        }
+      }
+    } catch (error) {
+      console.error('[JOBS] Polling failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async execute(job, handler) {
+    const jobId = String(job._id);
+    const state = this.running.get(jobId);
+    const heartbeat = setInterval(() => this.heartbeat(job._id, state), HEARTBEAT_MS);
+
+    const ctx = {
+      progress: async (percent, message) => {
+        if (state.cancelRequested) throw new JobCancelledError();
+        state.progress = Math.max(0, Math.min(100, Math.round(percent)));
+        if (message !== undefined) state.progressMessage = message;
+      },
+      isCancelled: () => state.cancelRequested
+    };
+
+    console.log(`[JOBS] Running ${job.type} job ${jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    let update;
+    try {
+      const result = await handler.run(job, ctx);
+      update = { status: 'completed', progress: 100, result, error: null, finishedAt: new Date() };
+      console.log(`[JOBS] ${job.type} job ${jobId} completed`);
+    } catch (error) {
+      const message = error && error.message ? error.message : 'Unknown job error';
+      if (error instanceof JobCancelledError || state.cancelRequested) {
+        update = { status: 'cancelled', error: null, finishedAt: new Date() };
+        console.log(`[JOBS] ${job.type} job ${jobId} cancelled`);
+      } else if (!(error && error.retryable === false) && job.attempts < job.maxAttempts) {
+        const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1), RETRY_MAX_DELAY_MS);
+        update = { status: 'queued', error: message, runAt: new Date(Date.now() + delay) };
+        console.warn(`[JOBS] ${job.type} job ${jobId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+      } else {
+        update = { status: 'failed', error: message, finishedAt: new Date() };
+        console.error(`[JOBS] ${job.type} job ${jobId} failed:`, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      const saved = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { ...update, progressMessage: state.progressMessage, lockedBy: null, ...(update.progress === undefined && { progress: state.progress }) } },
+        { new: true }
+      );
+      if (saved && saved.status !== 'queued') {
+        await this.finalize(saved);
+      }
+    } catch (error) {
+      console.error(`[JOBS] Saving the outcome of job ${jobId} failed:`, error);
+    } finally {
+      this.running.delete(jobId);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  // Save progress and pick up cancellation requests of a running job
+  async heartbeat(jobId, state) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: jobId, lockedBy: this.workerId },
+        { $set: { heartbeatAt: new Date(), progress: state.progress, progressMessage: state.progressMessage } },
+        { new: true, projection: { cancelRequested: 1 } }
+      );
+      if (job && job.cancelRequested) {
+        state.cancelRequested = true;
+      }
+    } catch (error) {
+      console.error(`[JOBS] Heartbeat for job ${jobId} failed:`, error.message);
+    }
+  }
+
+  async finalize(job) {
+    const handler = this.handlers.get(job.type);
+    if (!handler || !handler.finalize) return;
+    try {
+      await handler.finalize(job);
+    } catch (error) {
+      console.error(`[JOBS] Finalizing ${job.type} job ${job._id} failed:`, error);
+    }
+  }
+
+  // Cancel a job: queued jobs stop at once, running ones at their next
+  // progress report
+  async cancel(job) {
+    if (!['queued', 'running'].includes(job.status)) {
+      throw queueError(`The job is already ${job.status}`, 409);
+    }
+
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+      { new: true }
+    );
+    if (cancelled) {
+      await this.finalize(cancelled);
+      return cancelled;
+    }
+
+    const running = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (!running) {
+      throw queueError('The job has already finished', 409);
+    }
+    const state = this.running.get(String(job._id));
+    if (state) state.cancelRequested = true;
+    return running;
+  }
+
+  // Job fields for the admin panel
+  toJob(job) {
+    return {
+      id: job._id,
+      type: job.type,
+      clientId: job.clientId,
+      status: job.status,
+      progress: job.progress,
+      progressMessage: job.progressMessage,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      cancelRequested: job.cancelRequested,
+      error: job.error,
+      result: job.result,
+      nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new JobQueueService();
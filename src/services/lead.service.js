@@ -0,0 +1,185 @@
+const Lead = require('../models/Lead');
+const ChatHistory = require('../models/ChatHistory');
+const MailService = require('./mail.service');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { normalizeEmail, normalizePhone } = require('../utils/contact.util');
+
+const MAX_FIELD_LENGTH = 2000;
+const UNANSWERED_TYPES = ['suggestions', 'no_data'];
+
+// Lead capture: deciding when the chat offers the lead form, validating what
+// the visitor submits and notifying the client by email.
+class LeadService {
+  // Form description sent to the widget
+  getForm(config) {
+    return {
+      title: config.title,
+      successMessage: config.successMessage,
+      fields: config.fields
+    };
+  }
+
+  // The form to offer after this chat turn, or null. Offered at most once per
+  // session, when the query's intent is a trigger or the session has reached
+  // the configured number of unanswered questions.
+  getPrompt(client, { intent, chatHistory }) {
+    const config = resolveLeadCaptureConfig(client);
+    const sessionLead = chatHistory.context && chatHistory.context.lead;
+    if (!config.enabled || (sessionLead && (sessionLead.promptedAt || sessionLead.leadId))) {
+      return null;
+    }
+
+    let reason = null;
+    if (intent && config.triggers.intents.includes(intent)) {
+      reason = intent;
+    } else if (config.triggers.unansweredCount > 0) {
+      const unanswered = chatHistory.messages.filter(message =>
+        UNANSWERED_TYPES.includes(message.responseType) || message.response === 'suggestions_provided').length;
+      if (unanswered >= config.triggers.unansweredCount) {
+        reason = 'unanswered';
+      }
+    }
+
+    return reason ? { reason, ...this.getForm(config) } : null;
+  }
+
+  async markPrompted(chatHistory) {
+    await ChatHistory.updateOne({ _id: chatHistory._id }, { $set: { 'context.lead.promptedAt': new Date() } });
+  }
+
+  // Check submitted values against the form. Returns { values, phoneCountry, errors }
+  // with emails lowercased and phone numbers in E.164.
+  validateSubmission(config, input = {}) {
+    const values = {};
+    const errors = [];
+    let phoneCountry = null;
+
+    config.fields.forEach(field => {
+      const raw = input[field.name];
+      const text = typeof raw === 'string' ? raw.trim() : (typeof raw === 'number' ? String(raw) : '');
+
+      if (!text) {
+        if (field.required) errors.push(`${field.label} is required`);
+        return;
+      }
+      if (text.length > MAX_FIELD_LENGTH) {
+        errors.push(`${field.label} must be at most ${MAX_FIELD_LENGTH} characters`);
+        return;
+      }
+
+      if (field.type === 'email') {
+        const email = normalizeEmail(text);
+        if (!email) {
+          errors.push(`${field.label} must be a valid email address`);
+          return;
+        }
+        values[field.name] = email;
+      } else if (field.type === 'phone') {
+        const phone = normalizePhone(text, config.defaultCountry);
+        if (!phone) {
+          errors.push(`${field.label} must be a valid phone number`);
+          return;
+        }
+        values[field.name] = phone.e164;
+        phoneCountry = phoneCountry || phone.country;
+      } else {
+        values[field.name] = text;
+      }
+    });
+
+    return { values, phoneCountry, errors };
+  }
+
+  // Store a lead from the widget and email the client in the background
+  async submitLead(client, { sessionId, values: input, trigger, pageUrl }) {
+    const config = resolveLeadCaptureConfig(client);
+    if (!config.enabled) {
+      const error = new Error('Lead capture is not enabled for this chatbot');
+      error.status = 400;
+      throw error;
+    }
+
+    const { values, phoneCountry, errors } = this.validateSubmission(config, input);
+    if (errors.length > 0) {
+      const error = new Error('Invalid lead details');
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const firstOfType = type => {
+      const field = config.fields.find(candidate => candidate.type === type && values[candidate.name]);
+      return field ? values[field.name] : undefined;
+    };
+    const chatHistory = sessionId
+      ? await ChatHistory.findOne({ clientId: client._id, sessionId }).select('_id')
+      : null;
+
+    const lead = await Lead.create({
+      clientId: client._id,
+      sessionId,
+      chatHistoryId: chatHistory ? chatHistory._id : undefined,
+      name: values.name,
+      email: firstOfType('email'),
+      phone: firstOfType('phone'),
+      phoneCountry: phoneCountry || undefined,
+      message: values.message,
+      fields: values,
+      trigger: typeof trigger === 'string' ? trigger.slice(0, 50) : 'visitor',
+      pageUrl: typeof pageUrl === 'string' ? pageUrl.slice(0, 2000) : undefined
+    });
+
+    if (chatHistory) {
+      await ChatHistory.updateOne({ _id: chatHistory._id }, { $set: { 'context.lead.leadId': lead._id } });
+    }
+    console.log(`[LEAD] New lead ${lead._id} for client ${client._id} (trigger: ${lead.trigger})`);
+
+    this.notify(lead, client, config)
+      .catch(error => console.error(`[LEAD] Notification for lead ${lead._id} crashed:`, error));
+
+    return { lead, successMessage: config.successMessage };
+  }
+
+  // Email the lead to the client's notify address (or contactEmail)
+  async notify(lead, client, config) {
+    const to = config.notifyEmail || client.contactEmail;
+    if (!to) {
+      lead.notification = { status: 'skipped', error: 'No notification address configured' };
+      await lead.save();
+      return lead;
+    }
+
+    const lines = config.fields
+      .filter(field => lead.fields.get(field.name))
+      .map(field => `${field.label}: ${lead.fields.get(field.name)}`);
+
+    try {
+      await MailService.send({
+        to,
+        replyTo: lead.email,
+        subject: `New lead from your ${client.name} chatbot`,
+        text: [
+          `A visitor left their details in the ${client.name} chatbot.`,
+          '',
+          ...lines,
+          '',
+          `Trigger: ${lead.trigger}`,
+          lead.pageUrl ? `Page: ${lead.pageUrl}` : null,
+          lead.sessionId ? `Chat session: ${lead.sessionId}` : null,
+          `Received: ${lead.createdAt.toISOString()}`
+        ].filter(line => line !== null).join('\n')
+      });
+      lead.notification = MailService.isConfigured()
+        ? { status: 'sent', to, sentAt: new Date() }
+        : { status: 'skipped', to, error: 'SMTP is not configured; the email was only logged' };
+    } catch (error) {
+      console.error(`[LEAD] Failed to email lead ${lead._id} to ${to}:`, error.message);
+      lead.notification = { status: 'failed', to, error: error.message };
+    }
+
+    await lead.save();
+    return lead;
+  }
+}
+
+module.exports = new LeadService();
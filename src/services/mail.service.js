@@ -0,0 +1,60 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. Configure SMTP with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER, SMTP_PASS and MAIL_FROM; for local testing point SMTP_HOST and
+// SMTP_PORT at a sink such as MailHog (localhost:1025, no auth). Without
+// SMTP_HOST, messages are only rendered and logged.
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      if (process.env.SMTP_HOST) {
+        this.transport = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          ...(process.env.SMTP_USER && {
+            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          })
+        });
+        console.log(`[MAIL] Using SMTP transport ${process.env.SMTP_HOST}:${parseInt(process.env.SMTP_PORT) || 587}`);
+      } else {
+        this.transport = nodemailer.createTransport({ jsonTransport: true });
+        console.log('[MAIL] SMTP_HOST not set, emails will only be logged');
+      }
+    }
+    return this.transport;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  // Send a message; resolves with nodemailer's info (messageId, ...).
+  // icalEvent ({ method, content }) attaches a calendar invite.
+  async send({ to, cc, subject, text, html, replyTo, attachments, icalEvent }) {
+    const info = await this.getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'Chatbot <no-reply@localhost>',
+      to,
+      cc,
+      subject,
+      text,
+      html,
+      replyTo,
+      attachments,
+      icalEvent
+    });
+
+    if (!this.isConfigured()) {
+      console.log(`[MAIL] (not sent) To: ${to} | Subject: ${subject}`);
+    } else {
+      console.log(`[MAIL] Sent "${subject}" to ${to} (${info.messageId})`);
+    }
+    return info;
+  }
+}
+
+module.exports = new MailService();
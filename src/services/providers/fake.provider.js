@@ -0,0 +1,57 @@
+// Deterministic in-process provider for tests, demos and offline development.
+// Embeddings are hashed bags of words, so texts sharing words get similar vectors.
+class FakeProvider {
+  constructor(config = {}) {
+    this.name = 'fake';
+    this.textModelName = 'fake-text';
+    this.embeddingModelName = 'fake-embedding';
+    this.dimensions = config.dimensions || 768;
+    this.responder = config.responder || (() => '');
+  }
+
+  // Replace the text generator, e.g. to script LLM answers in a test
+  setResponder(responder) {
+    this.responder = responder;
+  }
+
+  async generateText(prompt, options = {}) {
+    const text = await this.responder(prompt, options);
+    return typeof text === 'string' ? text : JSON.stringify(text);
+  }
+
+  async *streamText(prompt, options = {}) {
+    const text = await this.generateText(prompt, options);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      yield piece;
+    }
+  }
+
+  hashToken(token) {
+    // FNV-1a 32-bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  async generateEmbedding(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = String(text).toLowerCase().split(/[^\p{L}\p{N}$]+/u).filter(Boolean);
+
+    for (const token of tokens) {
+      const hash = this.hashToken(token);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.generateEmbedding(text)));
+  }
+}
+
+module.exports = FakeProvider;
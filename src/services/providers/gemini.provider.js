@@ -0,0 +1,68 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor(config = {}) {
+    this.name = 'gemini';
+    this.apiKey = config.apiKey;
+    this.textModelName = config.textModel || 'gemini-1.5-flash';
+    this.embeddingModelName = config.embeddingModel || 'embedding-001';
+    this.generativeAI = null;
+  }
+
+  // Create the SDK client on first use so a missing key only fails the calls that need it
+  getClient() {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables.');
+    }
+    if (!this.generativeAI) {
+      this.generativeAI = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.generativeAI;
+  }
+
+  getTextModel(options = {}) {
+    const generationConfig = {};
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+    if (typeof options.temperature === 'number') generationConfig.temperature = options.temperature;
+    if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+
+    return this.getClient().getGenerativeModel({
+      model: options.model || this.textModelName,
+      generationConfig
+    });
+  }
+
+  getEmbeddingModel() {
+    return this.getClient().getGenerativeModel({ model: this.embeddingModelName });
+  }
+
+  async generateText(prompt, options = {}) {
+    const result = await this.getTextModel(options).generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  async *streamText(prompt, options = {}) {
+    const result = await this.getTextModel(options).generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async generateEmbedding(text) {
+    const result = await this.getEmbeddingModel().embedContent(text);
+    return result.embedding.values;
+  }
+
+  async embedBatch(texts) {
+    const result = await this.getEmbeddingModel().batchEmbedContents({
+      requests: texts.map(text => ({
+        content: { role: 'user', parts: [{ text }] }
+      }))
+    });
+    return result.embeddings.map(embedding => embedding.values);
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,110 @@
+const GeminiProvider = require('./gemini.provider');
+const OpenAICompatibleProvider = require('./openai.provider');
+const FakeProvider = require('./fake.provider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  fake: FakeProvider
+};
+
+// Client overrides may only read API keys from variables named like this, so
+// that a client's provider is never handed another server secret
+const CLIENT_API_KEY_ENV_PATTERN = /^LLM_API_KEY_[A-Z0-9_]+$/;
+const LLM_CONFIG_FIELDS = ['provider', 'textModel', 'embeddingModel', 'baseUrl', 'apiKeyEnv'];
+
+// API key for a provider: the client's own variable when it names an allowed
+// one, else the server default (unless the client sends requests elsewhere)
+function resolveApiKey(overrides, defaultEnv) {
+  if (overrides.apiKeyEnv) {
+    if (!CLIENT_API_KEY_ENV_PATTERN.test(overrides.apiKeyEnv)) {
+      console.warn(`[LLM] Ignoring apiKeyEnv ${overrides.apiKeyEnv}: client keys must be in LLM_API_KEY_* variables`);
+      return undefined;
+    }
+    return process.env[overrides.apiKeyEnv];
+  }
+  return overrides.baseUrl ? undefined : process.env[defaultEnv];
+}
+
+// Build provider settings from the environment, optionally overridden per client
+function resolveProviderConfig(overrides = {}) {
+  const name = overrides.provider || process.env.LLM_PROVIDER || 'gemini';
+
+  switch (name) {
+    case 'gemini':
+      return {
+        provider: name,
+        apiKey: resolveApiKey(overrides, 'GEMINI_API_KEY'),
+        textModel: overrides.textModel || process.env.GEMINI_TEXT_MODEL,
+        embeddingModel: overrides.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL
+      };
+    case 'openai':
+      return {
+        provider: name,
+        baseUrl: overrides.baseUrl || process.env.OPENAI_BASE_URL,
+        apiKey: resolveApiKey(overrides, 'OPENAI_API_KEY'),
+        textModel: overrides.textModel || process.env.OPENAI_TEXT_MODEL,
+        embeddingModel: overrides.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL
+      };
+    case 'fake':
+      return {
+        provider: name,
+        dimensions: parseInt(process.env.FAKE_EMBEDDING_DIMENSIONS) || undefined
+      };
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+// Check a client's llmConfig override. Returns a list of error messages; empty when valid.
+function validateLLMConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['llmConfig must be an object'];
+  }
+
+  const errors = [];
+  Object.keys(config).forEach(key => {
+    if (!LLM_CONFIG_FIELDS.includes(key)) errors.push(`Unknown llmConfig field ${key}`);
+  });
+  if (!PROVIDERS[config.provider]) {
+    errors.push(`llmConfig.provider must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  ['textModel', 'embeddingModel', 'baseUrl', 'apiKeyEnv'].forEach(key => {
+    if (config[key] !== undefined && (typeof config[key] !== 'string' || !config[key].trim())) {
+      errors.push(`llmConfig.${key} must be a non-empty string`);
+    }
+  });
+  if (typeof config.apiKeyEnv === 'string' && !CLIENT_API_KEY_ENV_PATTERN.test(config.apiKeyEnv)) {
+    errors.push('llmConfig.apiKeyEnv must name an LLM_API_KEY_* environment variable');
+  }
+  if (typeof config.baseUrl === 'string') {
+    if (config.provider !== 'openai') {
+      errors.push('llmConfig.baseUrl is only used by the openai provider');
+    }
+    let url = null;
+    try {
+      url = new URL(config.baseUrl);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('llmConfig.baseUrl must be an http(s) URL');
+    }
+  }
+  return errors;
+}
+
+function createProvider(config) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+  return new Provider(config);
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  resolveProviderConfig,
+  validateLLMConfig,
+  createProvider
+};
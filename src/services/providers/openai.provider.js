@@ -0,0 +1,98 @@
+const axios = require('axios');
+
+// Works with any server implementing the OpenAI REST API (OpenAI, llama.cpp server, Ollama /v1, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.textModelName = config.textModel || 'gpt-4o-mini';
+    this.embeddingModelName = config.embeddingModel || 'text-embedding-3-small';
+    this.timeout = config.timeout || 60000;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually run without auth
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async post(path, body) {
+    const response = await axios.post(`${this.baseUrl}${path}`, body, {
+      headers: this.getHeaders(),
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  buildChatBody(prompt, options = {}) {
+    const body = {
+      model: options.model || this.textModelName,
+      messages: [{ role: 'user', content: prompt }]
+    };
+    if (options.json) body.response_format = { type: 'json_object' };
+    if (typeof options.temperature === 'number') body.temperature = options.temperature;
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    return body;
+  }
+
+  async generateText(prompt, options = {}) {
+    const data = await this.post('/chat/completions', this.buildChatBody(prompt, options));
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  // Parse the server's SSE stream of completion deltas
+  async *streamText(prompt, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      ...this.buildChatBody(prompt, options),
+      stream: true
+    }, {
+      headers: this.getHeaders(),
+      timeout: this.timeout,
+      responseType: 'stream'
+    });
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        try {
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch (error) {
+          // Ignore keep-alive or partial lines
+        }
+      }
+    }
+  }
+
+  async generateEmbedding(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const data = await this.post('/embeddings', {
+      model: this.embeddingModelName,
+      input: texts
+    });
+    // Results carry their input index; some servers don't keep the order
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
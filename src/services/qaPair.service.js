@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const ClientQA = require('../models/ClientQA');
+const Flow = require('../models/Flow');
+const GeminiService = require('./gemini.service');
+const VectorIndexService = require('./vectorIndex.service');
+
+const MANUAL_FILE_NAME = 'Manual answers';
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 10000;
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_LANGUAGE_LENGTH = 20;
+const PAIR_FIELDS = ['question', 'answer', 'category', 'language', 'confidence'];
+
+const pairError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pair fields sent to the admin panel (no embedding)
+const toPair = (upload, pair) => ({
+  pairId: pair._id,
+  uploadId: upload._id,
+  fileName: upload.fileName,
+  fileType: upload.fileType,
+  question: pair.question,
+  answer: pair.answer,
+  category: pair.category,
+  language: pair.language,
+  confidence: pair.confidence,
+  feedbackStats: pair.feedbackStats,
+  embedded: Array.isArray(pair.embedding) && pair.embedding.length > 0,
+  embeddingError: pair.embeddingError
+});
+
+// Edits individual Q&A pairs inside the live version of a client's uploads.
+// Questions are re-embedded when they change, `totalPairs` moves with every add
+// and removal, each change is logged as an upload event with the admin who made
+// it, and the client's vector index (and with it the answer cache) is invalidated.
+class QAPairService {
+  // The client's ClientQA record for pairs written in the admin panel
+  async getManualCollection(clientId) {
+    return ClientQA.findOneAndUpdate(
+      { clientId, fileType: 'manual', deletedAt: null },
+      {
+        $setOnInsert: {
+          clientId,
+          fileName: MANUAL_FILE_NAME,
+          fileType: 'manual',
+          status: 'completed',
+          uploadedAt: new Date(),
+          processedAt: new Date(),
+          totalPairs: 0
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Check pair fields. With `partial`, missing fields are left alone (updates).
+  // Returns a list of error messages; empty when valid.
+  validatePair(input, { partial = false } = {}) {
+    const errors = [];
+
+    Object.keys(input).forEach(key => {
+      if (!PAIR_FIELDS.includes(key)) errors.push(`Unknown field ${key}`);
+    });
+    [['question', MAX_QUESTION_LENGTH], ['answer', MAX_ANSWER_LENGTH]].forEach(([key, maxLength]) => {
+      if (partial && input[key] === undefined) return;
+      if (typeof input[key] !== 'string' || !input[key].trim() || input[key].length > maxLength) {
+        errors.push(`${key} must be a text of at most ${maxLength} characters`);
+      }
+    });
+    if (input.category !== undefined &&
+      (typeof input.category !== 'string' || !input.category.trim() || input.category.length > MAX_CATEGORY_LENGTH)) {
+      errors.push(`category must be a name of at most ${MAX_CATEGORY_LENGTH} characters`);
+    }
+    if (input.language !== undefined &&
+      (typeof input.language !== 'string' || !input.language.trim() || input.language.length > MAX_LANGUAGE_LENGTH)) {
+      errors.push(`language must be a code of at most ${MAX_LANGUAGE_LENGTH} characters`);
+    }
+    if (input.confidence !== undefined &&
+      (typeof input.confidence !== 'number' || input.confidence < 0 || input.confidence > 1)) {
+      errors.push('confidence must be a number between 0 and 1');
+    }
+
+    return errors;
+  }
+
+  // Page of the client's pairs, newest upload first. Filters: search (question or
+  // answer text), category, uploadId, minConfidence, maxConfidence.
+  async listPairs(clientId, { search, category, uploadId, minConfidence, maxConfidence, page = 1, limit = 20 } = {}) {
+    const uploadMatch = ClientQA.liveFilter(new mongoose.Types.ObjectId(String(clientId)));
+    if (uploadId) {
+      uploadMatch._id = new mongoose.Types.ObjectId(String(uploadId));
+    }
+
+    const pairMatch = {};
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      pairMatch.$or = [{ 'pairs.question': pattern }, { 'pairs.answer': pattern }];
+    }
+    if (category) {
+      pairMatch['pairs.category'] = category;
+    }
+    if (minConfidence !== undefined || maxConfidence !== undefined) {
+      pairMatch['pairs.confidence'] = {};
+      if (minConfidence !== undefined) pairMatch['pairs.confidence'].$gte = minConfidence;
+      if (maxConfidence !== undefined) pairMatch['pairs.confidence'].$lte = maxConfidence;
+    }
+
+    const [result] = await ClientQA.aggregate([
+      { $match: uploadMatch },
+      { $sort: { uploadedAt: -1 } },
+      { $project: { fileName: 1, fileType: 1, pairs: 1 } },
+      { $unwind: '$pairs' },
+      { $match: pairMatch },
+      {
+        $facet: {
+          pairs: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      pairs: result.pairs.map(row => toPair(row, row.pairs)),
+      total: result.total.length > 0 ? result.total[0].count : 0
+    };
+  }
+
+  // Categories in use, for the category filter
+  async getCategories(clientId) {
+    const categories = await ClientQA.distinct('pairs.category', ClientQA.liveFilter(clientId));
+    return categories.filter(Boolean).sort();
+  }
+
+  // One pair, or null
+  async getPair(clientId, pairId) {
+    const upload = await ClientQA.findOne({ ...ClientQA.liveFilter(clientId), 'pairs._id': pairId })
+      .select({ fileName: 1, fileType: 1, pairs: { $elemMatch: { _id: pairId } } })
+      .lean();
+    return upload ? toPair(upload, upload.pairs[0]) : null;
+  }
+
+  // Add a pair to an upload's live version (the manual collection when `uploadId`
+  // is unset). Run inside the client's provider context.
+  async createPair(clientId, { question, answer, category, language, confidence }, { uploadId, adminId } = {}) {
+    let upload;
+    if (uploadId) {
+      upload = await ClientQA.findOne({ ...ClientQA.liveFilter(clientId), _id: uploadId }).select('fileName fileType');
+      if (!upload) {
+        throw pairError('Upload not found, or not the live version of a completed upload', 404);
+      }
+    } else {
+      upload = await this.getManualCollection(clientId);
+    }
+
+    const embedding = await this.embedQuestion(question);
+    const pair = {
+      _id: new mongoose.Types.ObjectId(),
+      question: question.trim(),
+      answer: answer.trim(),
+      category: category ? category.trim() : 'general',
+      confidence: confidence === undefined ? 1.0 : confidence,
+      embedding,
+      embeddingStatus: 'completed'
+    };
+    if (language) {
+      pair.language = language.trim().toLowerCase();
+    }
+
+    await ClientQA.updateOne(
+      { _id: upload._id },
+      {
+        $push: { pairs: pair, events: { type: 'pair_added', adminId, pairId: pair._id, at: new Date() } },
+        $inc: { totalPairs: 1 },
+        $set: { processedAt: new Date() }
+      }
+    );
+    VectorIndexService.invalidate(clientId);
+
+    console.log(`[QA] Added pair ${pair._id} to upload ${upload._id} of client ${clientId}`);
+    return toPair(upload, pair);
+  }
+
+  // Change a pair's fields; a changed question is re-embedded. Run inside the
+  // client's provider context.
+  async updatePair(clientId, pairId, updates, adminId) {
+    const current = await this.getPair(clientId, pairId);
+    if (!current) {
+      throw pairError('Q&A pair not found', 404);
+    }
+
+    const $set = {};
+    ['answer', 'category'].forEach(key => {
+      if (updates[key] !== undefined) $set[`pairs.$.${key}`] = updates[key].trim();
+    });
+    if (updates.language !== undefined) {
+      $set['pairs.$.language'] = updates.language.trim().toLowerCase();
+    }
+    if (updates.confidence !== undefined) {
+      $set['pairs.$.confidence'] = updates.confidence;
+    }
+    if (updates.question !== undefined && updates.question.trim() !== current.question) {
+      $set['pairs.$.question'] = updates.question.trim();
+      $set['pairs.$.embedding'] = await this.embedQuestion(updates.question);
+      $set['pairs.$.embeddingStatus'] = 'completed';
+    }
+    if (Object.keys($set).length === 0) {
+      return current;
+    }
+
+    const result = await ClientQA.updateOne(
+      { ...ClientQA.liveFilter(clientId), 'pairs._id': pairId },
+      {
+        $set: { ...$set, processedAt: new Date() },
+        ...($set['pairs.$.embedding'] && { $unset: { 'pairs.$.embeddingError': '' } }),
+        $push: { events: { type: 'pair_updated', adminId, pairId, at: new Date() } }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw pairError('Q&A pair not found', 404);
+    }
+    VectorIndexService.invalidate(clientId);
+
+    console.log(`[QA] Updated pair ${pairId} of client ${clientId}${$set['pairs.$.question'] ? ' (question re-embedded)' : ''}`);
+    return this.getPair(clientId, pairId);
+  }
+
+  // Remove a pair. Refused while a flow's qa_answer node still points at it.
+  async deletePair(clientId, pairId, adminId) {
+    const flows = await Flow.find({ clientId, 'nodes.pairId': pairId }).select('name').lean();
+    if (flows.length > 0) {
+      throw pairError(`This pair is answered by the flow(s) ${flows.map(flow => `"${flow.name}"`).join(', ')}; remove it there first`, 409);
+    }
+
+    // Pull and decrement together: the filter only matches while the pair is still there
+    const result = await ClientQA.updateOne(
+      { ...ClientQA.liveFilter(clientId), 'pairs._id': pairId },
+      {
+        $pull: { pairs: { _id: pairId } },
+        $push: { events: { type: 'pair_deleted', adminId, pairId, at: new Date() } },
+        $inc: { totalPairs: -1 },
+        $set: { processedAt: new Date() }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw pairError('Q&A pair not found', 404);
+    }
+    VectorIndexService.invalidate(clientId);
+
+    console.log(`[QA] Deleted pair ${pairId} of client ${clientId}`);
+  }
+
+  // Number of live pairs whose embedding failed
+  async countFailedEmbeddings(clientId) {
+    const [result] = await ClientQA.aggregate([
+      { $match: { ...ClientQA.liveFilter(new mongoose.Types.ObjectId(String(clientId))), 'pairs.embeddingStatus': 'failed' } },
+      { $unwind: '$pairs' },
+      { $match: { 'pairs.embeddingStatus': 'failed' } },
+      { $count: 'count' }
+    ]);
+    return result ? result.count : 0;
+  }
+
+  // Embed live pairs whose embedding failed at upload (provider outage, quota),
+  // in rate-limited batches. Pairs edited in the meantime are left alone. Run
+  // inside the client's provider context; `onProgress(percent, message)` is
+  // awaited after each batch.
+  async embedFailedPairs(clientId, onProgress = async () => {}) {
+    const uploads = await ClientQA.find({ ...ClientQA.liveFilter(clientId), 'pairs.embeddingStatus': 'failed' })
+      .select('pairs._id pairs.question pairs.embeddingStatus')
+      .lean();
+    const failed = [];
+    uploads.forEach(upload => upload.pairs.forEach(pair => {
+      if (pair.embeddingStatus === 'failed') failed.push({ uploadId: upload._id, pair });
+    }));
+    if (failed.length === 0) {
+      return { embedded: 0, failed: 0 };
+    }
+
+    console.log(`[QA] Embedding ${failed.length} pairs of client ${clientId} whose embedding failed`);
+    const { embeddings, errors } = await GeminiService.embedMany(
+      failed.map(({ pair }) => pair.question),
+      { onProgress: (percent, message) => onProgress(percent * 0.95, `${message} questions`) }
+    );
+
+    await ClientQA.bulkWrite(failed.map(({ uploadId, pair }, i) => ({
+      updateOne: {
+        filter: { _id: uploadId },
+        update: embeddings[i]
+          ? {
+            $set: { 'pairs.$[pair].embedding': embeddings[i], 'pairs.$[pair].embeddingStatus': 'completed' },
+            $unset: { 'pairs.$[pair].embeddingError': '' }
+          }
+          : { $set: { 'pairs.$[pair].embeddingError': errors[i] } },
+        arrayFilters: [{ 'pair._id': pair._id, 'pair.question': pair.question, 'pair.embeddingStatus': 'failed' }]
+      }
+    })));
+    VectorIndexService.invalidate(clientId);
+
+    const embedded = embeddings.filter(Boolean).length;
+    console.log(`[QA] Embedded ${embedded} pairs of client ${clientId} (${failed.length - embedded} failed)`);
+    return { embedded, failed: failed.length - embedded };
+  }
+
+  // Embed every live pair with the current provider, for a change of embedding
+  // model. Nothing is saved: returns [{ uploadId, pairId, question, embedding }],
+  // the embedding null where it failed. See saveModelEmbeddings.
+  async embedLivePairs(clientId, onProgress = async () => {}) {
+    const uploads = await ClientQA.find(ClientQA.liveFilter(clientId))
+      .select('pairs._id pairs.question')
+      .lean();
+    const pairs = [];
+    uploads.forEach(upload => upload.pairs.forEach(pair => {
+      pairs.push({ uploadId: upload._id, pairId: pair._id, question: pair.question });
+    }));
+
+    const { embeddings } = await GeminiService.embedMany(
+      pairs.map(pair => pair.question),
+      { onProgress: (percent, message) => onProgress(percent, `${message} questions`) }
+    );
+    return pairs.map((pair, i) => ({ ...pair, embedding: embeddings[i] }));
+  }
+
+  // Store the embeddings of embedLivePairs. Live pairs without one from the new
+  // model (failed, or added or reworded meanwhile with the previous model) lose
+  // their embedding and are marked failed for an embed_pairs job. Returns their number.
+  async saveModelEmbeddings(clientId, pairs) {
+    const saved = pairs.filter(pair => pair.embedding);
+    if (saved.length > 0) {
+      await ClientQA.bulkWrite(saved.map(pair => ({
+        updateOne: {
+          filter: { _id: pair.uploadId },
+          update: {
+            $set: { 'pairs.$[pair].embedding': pair.embedding, 'pairs.$[pair].embeddingStatus': 'completed' },
+            $unset: { 'pairs.$[pair].embeddingError': '' }
+          },
+          arrayFilters: [{ 'pair._id': pair.pairId, 'pair.question': pair.question }]
+        }
+      })));
+    }
+
+    const current = new Set(saved.map(pair => `${pair.pairId}:${pair.question}`));
+    const uploads = await ClientQA.find(ClientQA.liveFilter(clientId))
+      .select('pairs._id pairs.question')
+      .lean();
+    const stale = [];
+    uploads.forEach(upload => upload.pairs.forEach(pair => {
+      if (!current.has(`${pair._id}:${pair.question}`)) stale.push({ uploadId: upload._id, pairId: pair._id });
+    }));
+    if (stale.length > 0) {
+      await ClientQA.bulkWrite(stale.map(({ uploadId, pairId }) => ({
+        updateOne: {
+          filter: { _id: uploadId },
+          update: {
+            $set: {
+              'pairs.$[pair].embedding': [],
+              'pairs.$[pair].embeddingStatus': 'failed',
+              'pairs.$[pair].embeddingError': 'Not embedded with the new embedding model'
+            }
+          },
+          arrayFilters: [{ 'pair._id': pairId }]
+        }
+      })));
+    }
+
+    console.log(`[QA] Saved new-model embeddings of ${saved.length} pairs of client ${clientId} (${stale.length} left to embed)`);
+    return stale.length;
+  }
+
+  async embedQuestion(question) {
+    const embedding = await GeminiService.generateEmbedding(question.trim());
+    if (!embedding) {
+      throw pairError('Failed to generate an embedding for the question', 502);
+    }
+    return embedding;
+  }
+}
+
+module.exports = new QAPairService();
@@ -0,0 +1,178 @@
+const GeminiService = require('./gemini.service');
+const RedactionService = require('./redaction.service');
+
+const INTENTS = ['contact_email', 'contact_phone', 'website', 'pricing', 'appointment', 'human_agent', 'other'];
+const CONTACT_TYPES = ['email', 'phone', 'general', 'none'];
+const LANGUAGES = ['en', 'hi', 'es', 'fr', 'de'];
+
+// Wording that usually means the visitor is fed up with the bot
+const FRUSTRATION_PATTERN = /\b(useless|stupid|not helpful|doesn'?t help|waste of time|ridiculous|terrible|annoying|you don'?t understand|not what i asked)\b|[!?]{3,}/i;
+const HUMAN_AGENT_PATTERN = /\b(human|real person|live agent|live chat|talk to (an? )?(agent|person|someone)|speak to (an? )?(agent|person|someone)|representative|customer service)\b/i;
+
+// Single LLM round-trip that replaces the separate greeting, contact intent,
+// context rewrite, refinement and language detection calls.
+class QueryAnalysisService {
+  buildPrompt(query, recentContext = []) {
+    const contextString = recentContext.length > 0
+      ? recentContext.map(msg => `Q: ${msg.query} A: ${(msg.response || '').substring(0, 100)}...`).join('\n')
+      : 'None';
+
+    return `You analyze user messages for a knowledge base chatbot. Consider English, Hindi (Devanagari or romanized/Hinglish), Spanish, French and German.
+
+Recent conversation:
+${contextString}
+
+User message: "${query}"
+
+Return a JSON object with exactly these fields:
+- "isGreeting": true if the message is only a greeting or casual conversation starter (hi, hello, namaste, hola, how are you), otherwise false
+- "intent": one of ${INTENTS.join(' | ')}
+  - "email", "mail id", "ईमेल", "correo" -> contact_email
+  - "phone number", "contact number", "नंबर" -> contact_phone
+  - "website", "site", "वेबसाइट" -> website
+  - "price", "pricing", "cost", "precio" -> pricing
+  - "book appointment", "schedule a call" -> appointment
+  - "talk to a human", "real person", "live agent", "speak to someone" -> human_agent
+  - otherwise -> other
+- "contactType": what contact information is requested, one of ${CONTACT_TYPES.join(' | ')} ("give me contact" -> general, "phone number" -> phone, "mail id" -> email, not asking for contact -> none)
+- "frustrated": true if the message shows the user is annoyed or frustrated with the assistant's answers, otherwise false
+- "language": ISO 639-1 code of the message, one of ${LANGUAGES.join(' | ')}
+- "refinedQuery": the message with minor spelling/grammar fixed, made specific using the recent conversation only if it is a follow-up. Keep the exact meaning, topic and language. If it is already clear, return it unchanged.
+
+JSON:`;
+  }
+
+  async analyze(query, { recentContext = [] } = {}) {
+    try {
+      const raw = await GeminiService.generateText(this.buildPrompt(query, recentContext), { json: true, temperature: 0 });
+      const { value, errors } = this.validate(this.parseJSON(raw), query);
+
+      if (errors.length > 0) {
+        console.log(`[ANALYSIS] Invalid analysis (${errors.join('; ')}), using fallback`);
+        return this.fallback(query);
+      }
+
+      console.log(`[ANALYSIS] Query: "${RedactionService.forLog(query)}" | ${RedactionService.forLog(JSON.stringify(value))}`);
+      return { ...value, source: 'llm' };
+    } catch (error) {
+      console.log(`[ANALYSIS] Error analyzing query: ${error.message}, using fallback`);
+      return this.fallback(query);
+    }
+  }
+
+  // Accept bare JSON, fenced JSON or JSON surrounded by prose
+  parseJSON(raw) {
+    if (!raw) return null;
+    const match = raw.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  validate(data, query) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { value: null, errors: ['response is not a JSON object'] };
+    }
+    if (typeof data.isGreeting !== 'boolean') {
+      errors.push('isGreeting must be a boolean');
+    }
+    if (!INTENTS.includes(data.intent)) {
+      errors.push(`intent must be one of ${INTENTS.join(', ')}`);
+    }
+    if (!CONTACT_TYPES.includes(data.contactType)) {
+      errors.push(`contactType must be one of ${CONTACT_TYPES.join(', ')}`);
+    }
+    if (typeof data.language !== 'string' || !LANGUAGES.includes(data.language.toLowerCase())) {
+      errors.push(`language must be one of ${LANGUAGES.join(', ')}`);
+    }
+    if (typeof data.refinedQuery !== 'string') {
+      errors.push('refinedQuery must be a string');
+    }
+    if (data.frustrated !== undefined && typeof data.frustrated !== 'boolean') {
+      errors.push('frustrated must be a boolean');
+    }
+
+    if (errors.length > 0) {
+      return { value: null, errors };
+    }
+
+    return {
+      value: {
+        isGreeting: data.isGreeting,
+        intent: data.intent,
+        contactType: data.contactType,
+        frustrated: data.frustrated === true,
+        language: data.language.toLowerCase(),
+        refinedQuery: this.guardRefinedQuery(query, data.refinedQuery)
+      },
+      errors
+    };
+  }
+
+  // Discard rewrites that drifted away from what the user actually asked
+  guardRefinedQuery(query, refinedQuery) {
+    const refined = refinedQuery.trim();
+    if (!refined || refined === query.trim()) {
+      return query;
+    }
+
+    const originalWords = query.toLowerCase().split(/\s+/);
+    const refinedWords = refined.toLowerCase().split(/\s+/);
+    const significantWords = originalWords.filter(word => word.length > 3);
+    const hasCommonWords = significantWords.length === 0 ||
+      significantWords.some(word => refinedWords.includes(word));
+
+    if (!hasCommonWords) {
+      console.log(`[ANALYSIS] Refined query seems unrelated, using original: "${RedactionService.forLog(query)}"`);
+      return query;
+    }
+    return refined;
+  }
+
+  // Pattern-based analysis used when the LLM is unavailable or returns junk
+  fallback(query) {
+    const q = query.toLowerCase().trim();
+    const greetingPattern = /^(hi|hello|hey|namaste|hola|bonjour|guten tag|good morning|good afternoon|good evening|how are you|what's up)[\s!.?]*$/i;
+
+    let contactType = 'none';
+    if (q.includes('phone') || q.includes('number') || q.includes('mobile')) {
+      contactType = 'phone';
+    } else if (q.includes('email') || q.includes('mail')) {
+      contactType = 'email';
+    } else if (q.includes('contact')) {
+      contactType = 'general';
+    }
+
+    let intent = 'other';
+    if (contactType === 'email') {
+      intent = 'contact_email';
+    } else if (contactType === 'phone') {
+      intent = 'contact_phone';
+    } else if (/\b(price|prices|pricing|cost|costs|fee|fees|plan|plans)\b/.test(q)) {
+      intent = 'pricing';
+    } else if (HUMAN_AGENT_PATTERN.test(q)) {
+      intent = 'human_agent';
+    } else if (/\b(appointment|book|booking|schedule|meeting)\b/.test(q)) {
+      intent = 'appointment';
+    } else if (/\b(website|site|url)\b/.test(q)) {
+      intent = 'website';
+    }
+
+    return {
+      isGreeting: greetingPattern.test(q),
+      intent,
+      contactType,
+      frustrated: FRUSTRATION_PATTERN.test(query),
+      language: GeminiService.detectLanguageFallback(query),
+      refinedQuery: query,
+      source: 'fallback'
+    };
+  }
+}
+
+module.exports = new QueryAnalysisService();
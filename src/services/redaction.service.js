@@ -0,0 +1,254 @@
+const { findPhoneNumbersInText } = require('libphonenumber-js');
+const Client = require('../models/Client');
+const ChatHistory = require('../models/ChatHistory');
+const UnansweredCluster = require('../models/UnansweredCluster');
+const { DEFAULT_REDACTION_CONFIG, resolveRedactionConfig } = require('../config/redaction');
+const { resolveLeadCaptureConfig } = require('../config/leadCapture');
+const { isEncryptionConfigured, encrypt } = require('../utils/crypto.util');
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Digit runs that may be card numbers, allowing space or dash separators
+const CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+// IBANs written compact or in groups of four
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/gi;
+
+const MASKS = {
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  creditCard: '[CARD]',
+  iban: '[IBAN]'
+};
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: move the first four characters to the end, turn letters into
+// numbers (A = 10) and take the remainder mod 97 piecewise
+const ibanValid = (value) => {
+  const iban = value.replace(/ /g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+// Masks PII in visitor text with per-client detectors before it is saved or
+// logged, and optionally encrypts the original for lead follow-up.
+class RedactionService {
+  constructor() {
+    this.regexes = new Map();
+    this.warnedNoKey = false;
+  }
+
+  getRegex(pattern, flags) {
+    const key = `${flags}/${pattern}`;
+    if (!this.regexes.has(key)) {
+      this.regexes.set(key, new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`));
+    }
+    const regex = this.regexes.get(key);
+    regex.lastIndex = 0;
+    return regex;
+  }
+
+  // Redact one text. Returns { text, types } where types lists the detectors that fired.
+  redact(text, config = DEFAULT_REDACTION_CONFIG, { defaultCountry = 'US' } = {}) {
+    if (typeof text !== 'string' || !text || !config.enabled) {
+      return { text, types: [] };
+    }
+
+    const types = new Set();
+    const replace = (value, regex, type, mask, accept = () => true) => value.replace(regex, match => {
+      if (!accept(match)) return match;
+      types.add(type);
+      return mask;
+    });
+
+    let result = text;
+    if (config.detectors.email) {
+      result = replace(result, EMAIL_PATTERN, 'email', MASKS.email);
+    }
+    if (config.detectors.creditCard) {
+      result = replace(result, CARD_PATTERN, 'creditCard', MASKS.creditCard, match => {
+        const digits = match.replace(/\D/g, '');
+        return digits.length >= 13 && digits.length <= 19 && luhnValid(digits);
+      });
+    }
+    if (config.detectors.iban) {
+      result = replace(result, IBAN_PATTERN, 'iban', MASKS.iban, ibanValid);
+    }
+    if (config.detectors.phone) {
+      let found = [];
+      try {
+        found = findPhoneNumbersInText(result, defaultCountry);
+      } catch (error) {
+        console.log(`[REDACTION] Phone detection failed: ${error.message}`);
+      }
+      // Replace from the end so earlier offsets stay valid
+      found.sort((a, b) => b.startsAt - a.startsAt).forEach(({ startsAt, endsAt }) => {
+        result = result.slice(0, startsAt) + MASKS.phone + result.slice(endsAt);
+        types.add('phone');
+      });
+    }
+    config.customPatterns.forEach(custom => {
+      result = replace(result, this.getRegex(custom.pattern, custom.flags), custom.name, custom.mask);
+    });
+
+    return { text: result, types: [...types] };
+  }
+
+  // Text for log lines, masked with the default detectors
+  forLog(text) {
+    return this.redact(text).text;
+  }
+
+  // Redaction settings of a client, with the phone country of its lead form
+  async getClientSettings(clientId) {
+    const client = await Client.findById(clientId).select('redactionConfig leadCaptureConfig').lean();
+    return {
+      config: resolveRedactionConfig(client),
+      defaultCountry: resolveLeadCaptureConfig(client).defaultCountry
+    };
+  }
+
+  // Redact the visitor-facing text fields of a chat message. Returns the masked
+  // fields plus redactedTypes and, when the client keeps them, encryptedOriginal.
+  redactMessage(fields, { config, defaultCountry }) {
+    const masked = {};
+    const types = new Set();
+
+    Object.keys(fields).forEach(key => {
+      const { text, types: found } = this.redact(fields[key], config, { defaultCountry });
+      masked[key] = text;
+      found.forEach(type => types.add(type));
+    });
+
+    const result = { ...masked, redactedTypes: [...types] };
+    if (types.size > 0 && config.keepEncryptedOriginals) {
+      if (isEncryptionConfigured()) {
+        result.encryptedOriginal = encrypt(JSON.stringify(fields));
+      } else if (!this.warnedNoKey) {
+        console.warn('[REDACTION] keepEncryptedOriginals is on but PII_ENCRYPTION_KEY is not set; originals are discarded');
+        this.warnedNoKey = true;
+      }
+    }
+    return result;
+  }
+
+  // Redact one stored session in place. Returns the number of changed messages.
+  redactChatHistory(chatHistory, settings) {
+    let changed = 0;
+
+    chatHistory.messages.forEach(message => {
+      const redacted = this.redactMessage(
+        { query: message.query, refinedQuery: message.refinedQuery, response: message.response },
+        settings
+      );
+      if (message.feedback && message.feedback.comment) {
+        const { text, types } = this.redact(message.feedback.comment, settings.config, settings);
+        if (types.length > 0) {
+          message.feedback.comment = text;
+          redacted.redactedTypes.push(...types.filter(type => !redacted.redactedTypes.includes(type)));
+        }
+      }
+      if (redacted.redactedTypes.length === 0) return;
+
+      message.query = redacted.query;
+      message.refinedQuery = redacted.refinedQuery;
+      message.response = redacted.response;
+      message.redactedTypes = [...new Set([...(message.redactedTypes || []), ...redacted.redactedTypes])];
+      if (redacted.encryptedOriginal && !message.encryptedOriginal) {
+        message.encryptedOriginal = redacted.encryptedOriginal;
+      }
+      changed++;
+    });
+
+    if (changed > 0) {
+      // Topics and frequent queries were derived from the unmasked queries
+      let topics = [];
+      chatHistory.messages.forEach(message => {
+        topics = [...new Set([...chatHistory.extractKeywords(message.query), ...topics])].slice(0, 10);
+      });
+      chatHistory.context.recentTopics = topics;
+      chatHistory.context.frequentQueries = chatHistory.context.frequentQueries
+        .map(query => this.redact(query, settings.config, settings).text);
+    }
+    if (chatHistory.metadata.ipAddress) {
+      // Re-assigning runs the schema setter, which drops the host part
+      chatHistory.metadata.ipAddress = chatHistory.metadata.ipAddress;
+    }
+
+    return changed;
+  }
+
+  // Backfill: redact chat history and unanswered-question examples stored before
+  // redaction was enabled (or before a client added detectors). Safe to re-run;
+  // masked values don't match the detectors again.
+  async redactStoredHistory({ clientId, dryRun = false, onProgress = () => {} } = {}) {
+    const stats = { sessions: 0, sessionsChanged: 0, messagesChanged: 0, clustersChanged: 0 };
+    const settingsByClient = new Map();
+    const getSettings = async (id) => {
+      const key = String(id);
+      if (!settingsByClient.has(key)) {
+        settingsByClient.set(key, await this.getClientSettings(id));
+      }
+      return settingsByClient.get(key);
+    };
+    const filter = clientId ? { clientId } : {};
+
+    const sessions = ChatHistory.find(filter).cursor();
+    for await (const chatHistory of sessions) {
+      stats.sessions++;
+      const changed = this.redactChatHistory(chatHistory, await getSettings(chatHistory.clientId));
+      if (changed > 0 || chatHistory.isModified()) {
+        stats.sessionsChanged++;
+        stats.messagesChanged += changed;
+        if (!dryRun) {
+          await chatHistory.save({ timestamps: false });
+        }
+      }
+      if (stats.sessions % 500 === 0) {
+        onProgress(stats);
+      }
+    }
+
+    const clusters = UnansweredCluster.find(filter).cursor();
+    for await (const cluster of clusters) {
+      const settings = await getSettings(cluster.clientId);
+      const redactText = text => this.redact(text, settings.config, settings).text;
+
+      cluster.representativeQuery = redactText(cluster.representativeQuery);
+      cluster.examples.forEach(example => {
+        example.query = redactText(example.query);
+        example.refinedQuery = redactText(example.refinedQuery);
+      });
+      if (cluster.isModified()) {
+        stats.clustersChanged++;
+        if (!dryRun) {
+          await cluster.save({ timestamps: false });
+        }
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new RedactionService();
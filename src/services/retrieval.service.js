@@ -0,0 +1,334 @@
+const VectorIndexService = require('./vectorIndex.service');
+const GeminiService = require('./gemini.service');
+const { topKIndices } = require('../utils/vector.util');
+const { tokenize } = require('../utils/text.util');
+const { DEFAULT_RETRIEVAL_CONFIG, resolveRetrievalConfig } = require('../config/retrieval');
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Questions count twice: they're written to match how users ask
+const QUESTION_BOOST = 2;
+
+// Answer thresholds tried during calibration
+const CALIBRATION_GRID = Array.from({ length: 66 }, (_, i) => Math.round((0.3 + i * 0.01) * 100) / 100);
+// Answers at or above the suggested high tier should be at least this precise
+const HIGH_CONFIDENCE_PRECISION = 0.95;
+
+// Hybrid Q&A retrieval: BM25 over questions and answers fused with the vector
+// ranking by reciprocal rank fusion. Cosine similarity stays on every match as
+// `score` so answer thresholds keep their meaning: the answer threshold is
+// checked against the cosine score, never the fused score (see selectAnswerMatch).
+class RetrievalService {
+  constructor() {
+    // Lexical statistics hang off the vector index they were built from, so they
+    // are rebuilt whenever the vector index is
+    this.lexicalIndexes = new WeakMap();
+  }
+
+  getConfig(client) {
+    return resolveRetrievalConfig(client);
+  }
+
+  getHybridConfig(client) {
+    return resolveRetrievalConfig(client).hybrid;
+  }
+
+  getLexicalIndex(index) {
+    let lexical = this.lexicalIndexes.get(index);
+    if (lexical) {
+      return lexical;
+    }
+
+    const termFrequencies = [];
+    const lengths = new Uint32Array(index.size);
+    const documentFrequency = new Map();
+
+    index.entries.forEach((entry, row) => {
+      const questionTokens = tokenize(entry.question);
+      const tokens = [];
+      for (let i = 0; i < QUESTION_BOOST; i++) tokens.push(...questionTokens);
+      tokens.push(...tokenize(entry.answer));
+
+      const frequencies = new Map();
+      tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+      frequencies.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+
+      termFrequencies.push(frequencies);
+      lengths[row] = tokens.length;
+    });
+
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    lexical = {
+      termFrequencies,
+      lengths,
+      documentFrequency,
+      averageLength: index.size > 0 ? totalLength / index.size || 1 : 1
+    };
+
+    this.lexicalIndexes.set(index, lexical);
+    return lexical;
+  }
+
+  // BM25 score of every indexed entry for the query text, by row
+  scoreLexical(index, queryText) {
+    const lexical = this.getLexicalIndex(index);
+    const scores = new Float32Array(index.size);
+    const terms = [...new Set(tokenize(queryText))];
+
+    for (const term of terms) {
+      const df = lexical.documentFrequency.get(term);
+      if (!df) continue;
+
+      const idf = Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+      for (let row = 0; row < index.size; row++) {
+        const tf = lexical.termFrequencies[row].get(term);
+        if (!tf) continue;
+
+        const norm = 1 - BM25_B + BM25_B * (lexical.lengths[row] / lexical.averageLength);
+        scores[row] += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+      }
+    }
+
+    return scores;
+  }
+
+  // Top-k Q&A entries for a query. Each match reports the rankers that
+  // returned it and its rank in each; `fusedScore` orders hybrid results.
+  search(index, queryEmbedding, queryText, { k = 5, hybrid = DEFAULT_RETRIEVAL_CONFIG.hybrid } = {}) {
+    if (!index || index.size === 0) {
+      return [];
+    }
+
+    const vectorScores = VectorIndexService.scoreAll(index, queryEmbedding);
+
+    if (!hybrid.enabled) {
+      if (!vectorScores) return [];
+      return topKIndices(vectorScores, k).map((row, rank) => ({
+        ...index.entries[row],
+        score: vectorScores[row],
+        vectorRank: rank + 1,
+        lexicalRank: null,
+        rankers: ['vector']
+      }));
+    }
+
+    // Fuse deeper candidate lists than we return so either ranker can promote an entry
+    const depth = Math.max(k * 4, 20);
+    const lexicalScores = this.scoreLexical(index, queryText);
+    const vectorTop = vectorScores ? topKIndices(vectorScores, depth) : [];
+    const lexicalTop = topKIndices(lexicalScores, depth).filter(row => lexicalScores[row] > 0);
+
+    const candidates = new Map();
+    const addRanking = (rows, ranker, weight) => {
+      rows.forEach((row, rank) => {
+        const candidate = candidates.get(row) || { row, vectorRank: null, lexicalRank: null, fusedScore: 0, rankers: [] };
+        candidate[`${ranker}Rank`] = rank + 1;
+        candidate.fusedScore += weight / (hybrid.rrfK + rank + 1);
+        candidate.rankers.push(ranker);
+        candidates.set(row, candidate);
+      });
+    };
+    addRanking(vectorTop, 'vector', hybrid.vectorWeight);
+    addRanking(lexicalTop, 'lexical', hybrid.lexicalWeight);
+
+    return [...candidates.values()]
+      .sort((a, b) => b.fusedScore - a.fusedScore)
+      .slice(0, k)
+      .map(candidate => ({
+        ...index.entries[candidate.row],
+        score: vectorScores ? vectorScores[candidate.row] : 0,
+        lexicalScore: lexicalScores[candidate.row],
+        fusedScore: candidate.fusedScore,
+        vectorRank: candidate.vectorRank,
+        lexicalRank: candidate.lexicalRank,
+        rankers: candidate.rankers
+      }));
+  }
+
+  // The match to answer from at `threshold`, or null to refuse. The top match
+  // answers when its cosine score reaches the threshold. Fusion can rank a
+  // lexical hit with a low cosine first, so otherwise the candidate with the
+  // best cosine score answers if it reaches the threshold. Without hybrid the
+  // top match is also the best by cosine.
+  selectAnswerMatch(matches, threshold) {
+    if (matches.length === 0) {
+      return null;
+    }
+    if (matches[0].score >= threshold) {
+      return matches[0];
+    }
+
+    const bestCosine = matches.reduce((best, match) => (match.score > best.score ? match : best));
+    return bestCosine.score >= threshold ? bestCosine : null;
+  }
+
+  // Check if query is a direct question match from knowledge base (skip refinement)
+  async isDirectQuestionMatch(query, clientId) {
+    try {
+      const { pairs } = await VectorIndexService.getIndex(clientId);
+      const queryLower = query.toLowerCase().trim();
+      
+      for (const qaPair of pairs) {
+        // Check for exact or very close match (case-insensitive)
+        const questionLower = qaPair.question.toLowerCase().trim();
+        
+        if (questionLower === queryLower || 
+            questionLower.includes(queryLower) || 
+            queryLower.includes(questionLower)) {
+          console.log(`[DIRECT-MATCH] Found direct question match: "${qaPair.question}"`);
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      console.error('Error checking direct question match:', error);
+      return false; // Fallback to normal processing
+    }
+  }
+
+  // The Q&A retrieval step of the chat pipeline: embed the query text, search
+  // the client's index with its settings and decide whether the best match is
+  // good enough to answer. Shared by the chat pipeline and evaluation runs.
+  // Pass options.queryEmbedding when the caller already embedded the query text,
+  // and options.index to search another index than the client's stored one.
+  async retrieve(clientId, queryText, config, options = {}) {
+    const queryEmbedding = options.queryEmbedding || await GeminiService.generateEmbedding(queryText);
+    if (!queryEmbedding) {
+      const error = new Error('Failed to generate query embedding.');
+      error.status = 500;
+      throw error;
+    }
+
+    const index = options.index || await VectorIndexService.getIndex(clientId);
+    const matches = this.search(index, queryEmbedding, queryText, { k: config.topK, hybrid: config.hybrid });
+
+    // The match we answer from leads the list
+    const answerMatch = this.selectAnswerMatch(matches, config.answerThreshold);
+    if (answerMatch && answerMatch !== matches[0]) {
+      matches.splice(matches.indexOf(answerMatch), 1);
+      matches.unshift(answerMatch);
+    }
+
+    return {
+      queryEmbedding,
+      index,
+      matches,
+      bestMatch: matches[0] || null,
+      answered: Boolean(answerMatch)
+    };
+  }
+
+  // Suggest thresholds from labelled queries. Each example is { query } plus
+  // `expectedQuestion` or `expectedPairId` when the knowledge base should
+  // answer it; examples without either should not be answered.
+  async calibrate(clientId, examples, config) {
+    const index = await VectorIndexService.getIndex(clientId);
+    if (index.size === 0) {
+      const error = new Error('No embedded Q&A pairs to calibrate against');
+      error.status = 400;
+      throw error;
+    }
+
+    const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const embeddings = await GeminiService.embedBatch(examples.map(example => example.query));
+
+    const results = examples.map((example, i) => {
+      const answerable = Boolean(example.expectedQuestion || example.expectedPairId);
+      const matches = embeddings[i]
+        ? this.search(index, embeddings[i], example.query, { k: config.topK, hybrid: config.hybrid })
+        : [];
+      const isCorrect = match => Boolean(answerable && (
+        (example.expectedPairId && match.pairId === String(example.expectedPairId)) ||
+        (example.expectedQuestion && normalize(match.question) === normalize(example.expectedQuestion))
+      ));
+
+      // Under hybrid retrieval a lower-ranked candidate with a better cosine
+      // score answers when the top match misses the threshold
+      const [best] = matches;
+      const bestCosine = matches.reduce((top, match) => (match.score > top.score ? match : top), best);
+
+      return {
+        query: example.query,
+        answerable,
+        matchedQuestion: best ? best.question : null,
+        score: best ? parseFloat(best.score.toFixed(4)) : 0,
+        correct: Boolean(best && isCorrect(best)),
+        fallback: bestCosine !== best ? {
+          matchedQuestion: bestCosine.question,
+          score: parseFloat(bestCosine.score.toFixed(4)),
+          correct: isCorrect(bestCosine)
+        } : null,
+        embedded: Boolean(embeddings[i])
+      };
+    });
+
+    const grid = CALIBRATION_GRID.map(threshold => this.evaluateThreshold(results, threshold));
+
+    // Most accurate threshold; among ties take the middle one so the threshold
+    // isn't sitting right on an example's score
+    const bestAccuracy = Math.max(...grid.map(point => point.accuracy));
+    const tied = grid.filter(point => point.accuracy === bestAccuracy);
+    const best = tied[Math.floor(tied.length / 2)];
+
+    // Answered matches are 'medium' until precision is high enough to call them 'high'
+    const answerThreshold = best.threshold;
+    const highPoint = grid.find(point =>
+      point.threshold >= answerThreshold && point.answered > 0 && point.precision >= HIGH_CONFIDENCE_PRECISION);
+    const high = highPoint ? highPoint.threshold : answerThreshold;
+
+    return {
+      examples: results.length,
+      answerable: results.filter(result => result.answerable).length,
+      current: this.evaluateThreshold(results, config.answerThreshold),
+      suggested: {
+        answerThreshold,
+        // Keep the same gap below the answer threshold as the defaults
+        synthesisThreshold: Math.max(0, Math.round((answerThreshold - 0.1) * 100) / 100),
+        confidenceTiers: { high, medium: answerThreshold }
+      },
+      suggestedMetrics: best,
+      results
+    };
+  }
+
+  // Outcome of answering every example whose best match scores at least `threshold`
+  evaluateThreshold(results, threshold) {
+    let correctAnswers = 0;
+    let falseAnswers = 0;
+    let correctRefusals = 0;
+    let missed = 0;
+
+    results.forEach(result => {
+      // Same rule as selectAnswerMatch: the top match, else the best-cosine fallback
+      const answer = result.score >= threshold
+        ? result
+        : (result.fallback && result.fallback.score >= threshold ? result.fallback : null);
+      if (answer && answer.correct) correctAnswers++;
+      else if (answer) falseAnswers++;
+      // Refused: a miss when the knowledge base has the answer, even if the
+      // best match wasn't the right pair
+      else if (result.answerable) missed++;
+      else correctRefusals++;
+    });
+
+    const answered = correctAnswers + falseAnswers;
+    const answerable = results.filter(result => result.answerable).length;
+    const round = value => parseFloat(value.toFixed(4));
+
+    return {
+      threshold,
+      answered,
+      correctAnswers,
+      falseAnswers,
+      missed,
+      correctRefusals,
+      accuracy: round(results.length > 0 ? (correctAnswers + correctRefusals) / results.length : 0),
+      precision: round(answered > 0 ? correctAnswers / answered : 0),
+      recall: round(answerable > 0 ? correctAnswers / answerable : 0)
+    };
+  }
+}
+
+module.exports = new RetrievalService();
@@ -0,0 +1,175 @@
+const RetrievalEvalRun = require('../models/RetrievalEvalRun');
+const GeminiService = require('./gemini.service');
+const QueryAnalysisService = require('./queryAnalysis.service');
+const RetrievalService = require('./retrieval.service');
+const VectorIndexService = require('./vectorIndex.service');
+
+// Runs golden query sets through the chat pipeline's retrieval step (query
+// analysis, direct-match check, embedding, hybrid search, answer threshold)
+// and stores the metrics so configurations can be compared over time.
+class RetrievalEvalService {
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // A match is relevant if it is one of the expected pairs or carries the expected answer
+  isRelevant(match, evalQuery) {
+    const expectedPairIds = (evalQuery.expectedPairIds || []).map(id => id.toString());
+    if (expectedPairIds.includes(match.pairId)) {
+      return true;
+    }
+
+    const expectedAnswer = this.normalize(evalQuery.expectedAnswer);
+    return Boolean(expectedAnswer) && this.normalize(match.answer).includes(expectedAnswer);
+  }
+
+  isAnswerable(evalQuery) {
+    return (evalQuery.expectedPairIds && evalQuery.expectedPairIds.length > 0) || Boolean(evalQuery.expectedAnswer);
+  }
+
+  // Create the run record and start evaluating. `provider` is the LLM provider to
+  // run under, `indexProvider` the one the client's stored vectors were embedded
+  // with and `config` the effective retrieval config; resolves when done.
+  async startRun(evalSet, { provider, indexProvider, config, refine = true, label, createdBy }) {
+    // Query vectors from another embedding model can't be scored against the
+    // stored ones, so such runs search a temporary index embedded by `provider`
+    const reindex = provider.name !== indexProvider.name || provider.embeddingModelName !== indexProvider.embeddingModelName;
+    const run = await RetrievalEvalRun.create({
+      clientId: evalSet.clientId,
+      evalSetId: evalSet._id,
+      label,
+      status: 'running',
+      settings: {
+        retrievalConfig: config,
+        provider: provider.name,
+        textModel: provider.textModelName,
+        embeddingModel: provider.embeddingModelName,
+        refine,
+        reindexed: reindex
+      },
+      createdBy
+    });
+
+    const done = GeminiService.runWithProvider(provider, () => this.executeRun(run, evalSet, config, refine, reindex));
+    return { run, done };
+  }
+
+  async executeRun(run, evalSet, config, refine, reindex = false) {
+    const startedAt = Date.now();
+    console.log(`[EVAL] Running set "${evalSet.name}" (${evalSet.queries.length} queries) for client ${evalSet.clientId}`);
+
+    try {
+      const index = reindex ? await this.buildEvalIndex(evalSet.clientId) : undefined;
+      const results = [];
+      for (const evalQuery of evalSet.queries) {
+        results.push(await this.evaluateQuery(evalSet.clientId, evalQuery, config, refine, index));
+      }
+
+      run.results = results;
+      run.metrics = this.computeMetrics(results, config.topK);
+      run.status = 'completed';
+      console.log(`[EVAL] Run ${run._id} completed: ${JSON.stringify(run.metrics)}`);
+    } catch (error) {
+      console.error(`[EVAL] Run ${run._id} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.completedAt = new Date();
+    run.durationMs = Date.now() - startedAt;
+    await run.save();
+    return run;
+  }
+
+  // The client's Q&A pairs embedded with the current provider, kept for this run only
+  async buildEvalIndex(clientId) {
+    const { pairs } = await VectorIndexService.getIndex(clientId);
+    const { embeddings } = await GeminiService.embedMany(pairs.map(pair => pair.question));
+
+    const index = VectorIndexService.packIndex('qa', clientId,
+      pairs.map((pair, i) => ({ id: pair.pairId, entry: pair, embedding: embeddings[i] })));
+    index.pairs = pairs;
+
+    if (index.size === 0) {
+      throw new Error('No Q&A pairs could be embedded with the eval provider');
+    }
+    console.log(`[EVAL] Embedded ${index.size}/${pairs.length} pairs with the eval provider for client ${clientId}`);
+    return index;
+  }
+
+  async evaluateQuery(clientId, evalQuery, config, refine, index) {
+    const answerable = this.isAnswerable(evalQuery);
+
+    try {
+      // Same query text the chat pipeline searches with
+      let queryText = evalQuery.query;
+      if (refine) {
+        const [analysis, isDirectQuestionMatch] = await Promise.all([
+          QueryAnalysisService.analyze(evalQuery.query),
+          RetrievalService.isDirectQuestionMatch(evalQuery.query, clientId)
+        ]);
+        if (!isDirectQuestionMatch) {
+          queryText = analysis.refinedQuery;
+        }
+      }
+
+      const { matches, bestMatch, answered } = await RetrievalService.retrieve(clientId, queryText, config, { index });
+      const retrieved = matches.map(match => ({
+        pairId: match.pairId,
+        question: match.question,
+        score: parseFloat(match.score.toFixed(4)),
+        rankers: match.rankers,
+        relevant: this.isRelevant(match, evalQuery)
+      }));
+      const firstRelevant = retrieved.findIndex(match => match.relevant);
+
+      return {
+        query: evalQuery.query,
+        queryText,
+        answerable,
+        retrieved,
+        firstRelevantRank: firstRelevant === -1 ? null : firstRelevant + 1,
+        bestScore: bestMatch ? parseFloat(bestMatch.score.toFixed(4)) : 0,
+        answered,
+        correct: answered && retrieved[0].relevant
+      };
+    } catch (error) {
+      console.log(`[EVAL] Query "${evalQuery.query}" failed: ${error.message}`);
+      return {
+        query: evalQuery.query,
+        answerable,
+        retrieved: [],
+        answered: false,
+        correct: false,
+        error: error.message
+      };
+    }
+  }
+
+  // recall@k and MRR over answerable queries; answer rate and false-answer rate
+  // (answered with a wrong pair, or answered a query that should be refused)
+  // over all queries
+  computeMetrics(results, k) {
+    const answerable = results.filter(result => result.answerable);
+    const answered = results.filter(result => result.answered);
+    const correctAnswers = answered.filter(result => result.correct).length;
+    const falseAnswers = answered.length - correctAnswers;
+    const round = value => parseFloat(value.toFixed(4));
+    const ratio = (count, total) => total > 0 ? round(count / total) : 0;
+
+    return {
+      queries: results.length,
+      answerable: answerable.length,
+      k,
+      recallAtK: ratio(answerable.filter(result => result.firstRelevantRank).length, answerable.length),
+      mrr: ratio(answerable.reduce((sum, result) => sum + (result.firstRelevantRank ? 1 / result.firstRelevantRank : 0), 0), answerable.length),
+      answerRate: ratio(answered.length, results.length),
+      falseAnswerRate: ratio(falseAnswers, results.length),
+      correctAnswers,
+      falseAnswers,
+      errors: results.filter(result => result.error).length
+    };
+  }
+}
+
+module.exports = new RetrievalEvalService();
@@ -4,6 +4,8 @@ const axios = require('axios');
 const { URL } = require('url');
 const mongoose = require('mongoose');
 const ScrapedChunk = require('../models/ScrapedChunk');
+const GeminiService = require('./gemini.service');
+const VectorIndexService = require('./vectorIndex.service');
 
 class NodeWebScraper {
   constructor() {
@@ -340,7 +342,7 @@ class NodeWebScraper {
     }
   }
 
-  // Process scraped data into chunks (200 words each, no embeddings needed)
+  // Process scraped data into chunks (200 words each, embedded separately)
   processIntoChunks(scrapedData, clientId, jobId) {
     const chunks = [];
     const chunkSize = 200; // Changed to 200 words as requested
@@ -372,9 +374,6 @@ class NodeWebScraper {
         // Generate unique chunk ID
         const chunkId = `${jobId}-${globalChunkIndex}`;
 
-        // Create minimal embedding (still required by schema but not used)
-        const minimalEmbedding = new Array(768).fill(0.001); // Minimal dummy values
-
         chunks.push({
           // Required fields matching existing schema
           chunkId,
@@ -401,10 +400,9 @@ class NodeWebScraper {
             contentType: 'content'
           },
           
-          // Minimal embedding info (required by schema but not used)
-          embedding: minimalEmbedding, // Minimal dummy values
-          embeddingModel: 'text-embedding-004', // Valid enum value
-          embeddingDimensions: 768, // Required field
+          // Filled in by embedChunks before the chunks are saved
+          embedding: [],
+          embeddingStatus: 'pending',
           
           // Timestamps and job tracking
           scrapedAt: page.scraped_at,
@@ -419,8 +417,119 @@ class NodeWebScraper {
     return chunks;
   }
 
-  // Main scraping job processor
-  async processScrapeJob(jobId, jobData) {
+  // Text sent to the embedding model; the page title gives short chunks some context
+  getEmbeddingText(chunk) {
+    return chunk.pageTitle ? `${chunk.pageTitle}\n${chunk.text}` : chunk.text;
+  }
+
+  // Embed chunks in place with the current provider, in rate-limited batches
+  // (GeminiService.embedMany). Chunks whose embedding failed are marked
+  // 'failed' so they can be retried later. `onProgress(percent, message)` is
+  // awaited after each batch.
+  async embedChunks(chunks, onProgress = async () => {}) {
+    const provider = GeminiService.getProvider();
+    const { embeddings, errors } = await GeminiService.embedMany(
+      chunks.map(chunk => this.getEmbeddingText(chunk)),
+      {
+        onProgress: (percent, message) => {
+          console.log(`🧮 ${message} chunks`);
+          return onProgress(percent, `${message} chunks`);
+        }
+      }
+    );
+
+    let embedded = 0;
+    chunks.forEach((chunk, i) => {
+      const embedding = embeddings[i];
+      if (embedding) {
+        chunk.embedding = embedding;
+        chunk.embeddingStatus = 'completed';
+        chunk.embeddingModel = provider.embeddingModelName;
+        chunk.embeddingDimensions = embedding.length;
+        chunk.embeddingError = null;
+        embedded++;
+      } else {
+        chunk.embedding = [];
+        chunk.embeddingStatus = 'failed';
+        chunk.embeddingError = errors[i];
+      }
+    });
+
+    return { embedded, failed: chunks.length - embedded };
+  }
+
+  // (Re-)embed a client's pending and failed chunks, e.g. chunks saved by the
+  // Python scraper or left over from a provider outage
+  async embedPendingChunks(clientId, onProgress = async () => {}) {
+    const chunks = await ScrapedChunk.find({
+      clientId,
+      embeddingStatus: { $in: ['pending', 'failed'] }
+    })
+      .select('_id text pageTitle')
+      .lean();
+
+    if (chunks.length === 0) {
+      return { embedded: 0, failed: 0 };
+    }
+
+    console.log(`🧮 Embedding ${chunks.length} pending chunks for client ${clientId}`);
+    const result = await this.embedChunks(chunks, (percent, message) => onProgress(percent * 0.95, message));
+
+    await this.saveChunkEmbeddings(chunks);
+
+    VectorIndexService.invalidate(clientId);
+    console.log(`✅ Embedded ${result.embedded} chunks for client ${clientId} (${result.failed} failed)`);
+    return result;
+  }
+
+  // Embed all of a client's chunks with the current provider, for a change of
+  // embedding model. Nothing is saved; see saveModelEmbeddings.
+  async embedAllChunks(clientId, onProgress = async () => {}) {
+    const chunks = await ScrapedChunk.find({ clientId })
+      .select('_id text pageTitle')
+      .lean();
+
+    await this.embedChunks(chunks, onProgress);
+    return chunks;
+  }
+
+  // Store the embeddings of embedAllChunks. Chunks scraped meanwhile were
+  // embedded with the previous model and are set back to pending. Returns the
+  // number of chunks left for an embed_chunks job (those and failed ones).
+  async saveModelEmbeddings(clientId, chunks) {
+    await this.saveChunkEmbeddings(chunks);
+    const { modifiedCount } = await ScrapedChunk.updateMany(
+      { clientId, _id: { $nin: chunks.map(chunk => chunk._id) } },
+      { $set: { embedding: [], embeddingStatus: 'pending', embeddingModel: null, embeddingDimensions: 0 } }
+    );
+
+    const failed = chunks.filter(chunk => chunk.embeddingStatus === 'failed').length;
+    const left = modifiedCount + failed;
+    console.log(`✅ Saved new-model embeddings of ${chunks.length - failed} chunks for client ${clientId} (${left} left to embed)`);
+    return left;
+  }
+
+  async saveChunkEmbeddings(chunks) {
+    if (chunks.length === 0) return;
+    await ScrapedChunk.bulkWrite(chunks.map(chunk => ({
+      updateOne: {
+        filter: { _id: chunk._id },
+        update: {
+          $set: {
+            embedding: chunk.embedding,
+            embeddingStatus: chunk.embeddingStatus,
+            embeddingModel: chunk.embeddingModel || null,
+            embeddingDimensions: chunk.embeddingDimensions || 0,
+            embeddingError: chunk.embeddingError
+          }
+        }
+      }
+    })));
+  }
+
+  // Main scraping job processor. `onProgress(percent, message)` is awaited
+  // between steps and pages.
+  async processScrapeJob(jobId, jobData, onProgress = async () => {}) {
     try {
       console.log(`🚀 Starting Node.js scrape job ${jobId} for client ${jobData.client_id}`);
 
@@ -430,6 +539,7 @@ class NodeWebScraper {
 
       let urlsToScrape = [];
 
+      await onProgress(0, 'Finding pages');
       if (specificUrls.length > 0) {
         urlsToScrape = specificUrls;
         console.log(`📋 Using ${specificUrls.length} specific URLs`);
@@ -453,11 +563,13 @@ class NodeWebScraper {
 
       // Scrape all URLs
       const scrapedPages = [];
-      for (const url of urlsToScrape) {
+      await onProgress(10, `Scraping ${urlsToScrape.length} pages`);
+      for (const [index, url] of urlsToScrape.entries()) {
         const pageData = await this.scrapeUrl(url);
         if (pageData) {
           scrapedPages.push(pageData);
         }
+        await onProgress(10 + ((index + 1) / urlsToScrape.length) * 60, `Scraped ${index + 1}/${urlsToScrape.length} pages`);
       }
 
       console.log(`✅ Successfully scraped ${scrapedPages.length} pages`);
@@ -466,10 +578,14 @@ class NodeWebScraper {
       const chunks = this.processIntoChunks(scrapedPages, clientId, jobId);
       console.log(`📦 Created ${chunks.length} chunks`);
 
+      // Embed chunks so they can be retrieved when answering questions
+      const embeddingResult = await this.embedChunks(chunks, (percent, message) => onProgress(70 + percent * 0.25, message));
+
       // Save chunks to database
       if (chunks.length > 0) {
         await ScrapedChunk.insertMany(chunks);
-        console.log(`💾 Saved ${chunks.length} chunks to database`);
+        console.log(`💾 Saved ${chunks.length} chunks to database (${embeddingResult.failed} without embeddings)`);
+        VectorIndexService.invalidate(clientId);
       }
 
       // Update client's page count and last scraped time
@@ -511,6 +627,7 @@ class NodeWebScraper {
         success: true,
         pages_scraped: scrapedPages.length,
         chunks_created: chunks.length,
+        chunks_embedded: embeddingResult.embedded,
         urls_processed: urlsToScrape.length
       };
 
@@ -0,0 +1,96 @@
+const UnansweredCluster = require('../models/UnansweredCluster');
+const RedactionService = require('./redaction.service');
+const QAPairService = require('./qaPair.service');
+const { normalizeVector } = require('../utils/vector.util');
+
+// Queries at least this similar to a cluster's centroid join it
+const CLUSTER_SIMILARITY = parseFloat(process.env.UNANSWERED_CLUSTER_SIMILARITY) || 0.85;
+// Most recently active clusters compared against each new query
+const MAX_CANDIDATE_CLUSTERS = 2000;
+const EXAMPLES_PER_CLUSTER = 10;
+
+// Collects the questions the chat pipeline could not answer into clusters of
+// near-duplicates, and turns an admin's answer into a Q&A pair.
+class UnansweredService {
+  // Add a query that got suggestions or no data to the closest cluster, or
+  // start a new one. `embedding` is the refined query's embedding.
+  async record(clientId, { query: rawQuery, refinedQuery: rawRefinedQuery, embedding, language, sessionId, responseType }) {
+    // The inbox keeps the visitor's wording, with PII masked like the chat history
+    const { query, refinedQuery } = RedactionService.redactMessage(
+      { query: rawQuery, refinedQuery: rawRefinedQuery },
+      await RedactionService.getClientSettings(clientId)
+    );
+    const vector = normalizeVector(embedding);
+    const candidates = await UnansweredCluster.find({ clientId })
+      .select('centroid count status')
+      .sort({ lastAskedAt: -1 })
+      .limit(MAX_CANDIDATE_CLUSTERS)
+      .lean();
+
+    let best = null;
+    let bestSimilarity = -1;
+    for (const cluster of candidates) {
+      if (cluster.centroid.length !== vector.length) continue;
+
+      let dot = 0;
+      for (let i = 0; i < vector.length; i++) {
+        dot += cluster.centroid[i] * vector[i];
+      }
+      if (dot > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = dot;
+      }
+    }
+
+    const now = new Date();
+    const example = { query, refinedQuery, language, sessionId, responseType, askedAt: now };
+
+    if (!best || bestSimilarity < CLUSTER_SIMILARITY) {
+      const cluster = await UnansweredCluster.create({
+        clientId,
+        representativeQuery: query,
+        centroid: Array.from(vector),
+        examples: [example],
+        languages: language ? [language] : [],
+        firstAskedAt: now,
+        lastAskedAt: now
+      });
+      console.log(`[UNANSWERED] New cluster ${cluster._id} for client ${clientId}: "${query}"`);
+      return cluster;
+    }
+
+    // Move the centroid toward the new member
+    const sum = best.centroid.map((value, i) => value * best.count + vector[i]);
+    const update = {
+      $inc: { count: 1 },
+      $push: { examples: { $each: [example], $slice: -EXAMPLES_PER_CLUSTER } },
+      $set: { centroid: Array.from(normalizeVector(sum)), lastAskedAt: now },
+      ...(language && { $addToSet: { languages: language } })
+    };
+    // An answered question that still falls through needs another look
+    if (best.status === 'answered') {
+      update.$set.status = 'open';
+    }
+
+    console.log(`[UNANSWERED] Added to cluster ${best._id} (similarity ${bestSimilarity.toFixed(4)}): "${query}"`);
+    return UnansweredCluster.findByIdAndUpdate(best._id, update, { new: true });
+  }
+
+  // Answer a cluster: add the pair to the manual collection and close the
+  // cluster. Run inside the client's provider context.
+  async answerCluster(cluster, { question, answer, category }, adminId) {
+    const pair = await QAPairService.createPair(cluster.clientId, { question, answer, category }, { adminId });
+    const pairId = pair.pairId;
+
+    cluster.status = 'answered';
+    cluster.answer = { uploadId: pair.uploadId, pairId, question };
+    cluster.resolvedAt = new Date();
+    cluster.resolvedBy = adminId;
+    await cluster.save();
+
+    console.log(`[UNANSWERED] Cluster ${cluster._id} answered with pair ${pairId}`);
+    return cluster;
+  }
+}
+
+module.exports = new UnansweredService();
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const ClientQA = require('../models/ClientQA');
+const Flow = require('../models/Flow');
+const VectorIndexService = require('./vectorIndex.service');
+
+const versionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeQuestion = question => String(question || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Filter for every version of the upload `upload` belongs to. Uploads saved
+// before versioning have no uploadGroupId; their own id is the group id.
+const groupFilter = (upload) => {
+  const groupId = upload.uploadGroupId || upload._id;
+  return { clientId: upload.clientId, $or: [{ uploadGroupId: groupId }, { _id: groupId }] };
+};
+
+// Pair fields compared between versions and returned in diffs
+const PAIR_DIFF_FIELDS = ['question', 'answer', 'category', 'language', 'confidence'];
+const toDiffPair = pair => ({
+  pairId: pair._id,
+  question: pair.question,
+  answer: pair.answer,
+  category: pair.category,
+  language: pair.language,
+  confidence: pair.confidence
+});
+
+// Upload lifecycle: replacing an upload's file, soft delete and restore, and
+// the version history with diffs and rollback. Older versions are kept
+// inactive; switching versions invalidates the client's vector index.
+class UploadVersionService {
+  // Any version of one of the client's uploads, or null
+  async findUpload(clientId, uploadId) {
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+      return null;
+    }
+    return ClientQA.findOne({ _id: uploadId, clientId }).select('-pairs -fullText');
+  }
+
+  // All versions of the upload, newest first, without pairs
+  async getVersions(upload) {
+    return ClientQA.find(groupFilter(upload))
+      .select('-pairs -fullText')
+      .sort({ version: -1 })
+      .populate('uploadedBy', 'name email')
+      .populate('deletedBy', 'name email')
+      .populate('events.adminId', 'name email')
+      .lean();
+  }
+
+  // { _id, version, status, isActive } of every version, oldest first
+  async getVersionRefs(upload) {
+    const versions = await ClientQA.find(groupFilter(upload)).select('version status isActive').lean();
+    return versions
+      .map(version => ({ ...version, version: version.version || 1 }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // The version the chat answers from (with pairs), or null
+  async getLiveVersion(upload) {
+    return ClientQA.findOne({ ...groupFilter(upload), ...ClientQA.liveFilter(upload.clientId) }).lean();
+  }
+
+  // Create the next version of an upload for a replacement file. It stays
+  // inactive until processing finishes (see activate).
+  async startReplacement(upload, { fileName, fileType, columnMapping }, adminId) {
+    if (upload.deletedAt) {
+      throw versionError('Restore the upload before replacing it', 409);
+    }
+    if (upload.fileType === 'manual') {
+      throw versionError('Manual answers are edited pair by pair, not replaced', 400);
+    }
+
+    const versions = await this.getVersionRefs(upload);
+    if (versions.some(version => version.status === 'processing')) {
+      throw versionError('A version of this upload is still processing', 409);
+    }
+
+    const replacement = new ClientQA({
+      clientId: upload.clientId,
+      uploadGroupId: upload.uploadGroupId || upload._id,
+      version: versions[versions.length - 1].version + 1,
+      isActive: false,
+      changeType: 'replace',
+      fileName,
+      fileType,
+      columnMapping,
+      status: 'processing',
+      uploadedBy: adminId,
+      events: [{ type: 'replaced', adminId }]
+    });
+    await replacement.save();
+    return replacement;
+  }
+
+  // Give parsed pairs of a new version the id, feedback and (for the same text)
+  // embedding of the matching question in the version it replaces, so flows,
+  // feedback and eval sets that point at a pair keep working.
+  carryOver(pairs, previousPairs = []) {
+    const previousByQuestion = new Map();
+    previousPairs.forEach(pair => {
+      const key = normalizeQuestion(pair.question);
+      if (!previousByQuestion.has(key)) previousByQuestion.set(key, pair);
+    });
+
+    const used = new Set();
+    return pairs.map(pair => {
+      const previous = previousByQuestion.get(normalizeQuestion(pair.question));
+      if (!previous || used.has(String(previous._id))) {
+        return pair;
+      }
+      used.add(String(previous._id));
+      return {
+        ...pair,
+        _id: previous._id,
+        feedbackStats: previous.feedbackStats,
+        embedding: previous.question.trim() === String(pair.question).trim() ? previous.embedding : undefined
+      };
+    });
+  }
+
+  // Make a completed version the upload's live one
+  async activate(version) {
+    await ClientQA.updateMany(groupFilter(version), [
+      { $set: { isActive: { $eq: ['$_id', version._id] } } }
+    ]);
+    VectorIndexService.invalidate(version.clientId);
+    console.log(`[UPLOADS] Version ${version.version} of upload ${version.uploadGroupId} is live`);
+  }
+
+  // Added, removed and changed pairs going from version `from` to version `to`.
+  // Pairs are matched by id, then by question for versions saved before ids
+  // were carried over.
+  diff(from, to) {
+    const fromById = new Map(from.pairs.map(pair => [String(pair._id), pair]));
+    const fromByQuestion = new Map();
+    from.pairs.forEach(pair => {
+      const key = normalizeQuestion(pair.question);
+      if (!fromByQuestion.has(key)) fromByQuestion.set(key, pair);
+    });
+
+    const matched = new Set();
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    to.pairs.forEach(pair => {
+      let previous = fromById.get(String(pair._id));
+      if (!previous || matched.has(String(previous._id))) {
+        previous = fromByQuestion.get(normalizeQuestion(pair.question));
+      }
+      if (!previous || matched.has(String(previous._id))) {
+        added.push(toDiffPair(pair));
+        return;
+      }
+
+      matched.add(String(previous._id));
+      const fields = PAIR_DIFF_FIELDS.filter(field => previous[field] !== pair[field]);
+      if (fields.length > 0) {
+        changed.push({ fields, before: toDiffPair(previous), after: toDiffPair(pair) });
+      } else {
+        unchanged++;
+      }
+    });
+
+    const removed = from.pairs
+      .filter(pair => !matched.has(String(pair._id)))
+      .map(toDiffPair);
+
+    return {
+      from: { version: from.version, totalPairs: from.pairs.length },
+      to: { version: to.version, totalPairs: to.pairs.length },
+      summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  // Two completed versions of the upload by number, with pairs. `fromVersion`
+  // defaults to the version before `toVersion`, `toVersion` to the live one.
+  async getDiffVersions(upload, { fromVersion, toVersion } = {}) {
+    const versions = (await this.getVersionRefs(upload)).filter(version => version.status === 'completed');
+    const to = toVersion
+      ? versions.find(version => version.version === toVersion)
+      : versions.find(version => version.isActive !== false);
+    if (!to) {
+      throw versionError(toVersion ? `Version ${toVersion} not found or not completed` : 'The upload has no live version', 404);
+    }
+
+    const from = fromVersion
+      ? versions.find(version => version.version === fromVersion)
+      : [...versions].reverse().find(version => version.version < to.version);
+    if (!from) {
+      throw versionError(fromVersion ? `Version ${fromVersion} not found or not completed` : 'There is no earlier version to compare with', 404);
+    }
+
+    const [fromDoc, toDoc] = await Promise.all([
+      ClientQA.findById(from._id).select('version pairs').lean(),
+      ClientQA.findById(to._id).select('version pairs').lean()
+    ]);
+    return {
+      from: { ...fromDoc, version: from.version },
+      to: { ...toDoc, version: to.version }
+    };
+  }
+
+  // Bring back an earlier version's pairs as a new live version. Feedback counts
+  // stay with the current version's pairs.
+  async rollback(upload, targetVersion, adminId) {
+    if (upload.deletedAt) {
+      throw versionError('Restore the upload before rolling it back', 409);
+    }
+
+    const versions = await this.getVersionRefs(upload);
+    const targetRef = versions.find(version => version.version === targetVersion && version.status === 'completed');
+    if (!targetRef) {
+      throw versionError(`Version ${targetVersion} not found or not completed`, 404);
+    }
+    if (versions.some(version => version.status === 'processing')) {
+      throw versionError('A version of this upload is still processing', 409);
+    }
+
+    const [target, live] = await Promise.all([
+      ClientQA.findById(targetRef._id).lean(),
+      this.getLiveVersion(upload)
+    ]);
+    if (live && String(live._id) === String(target._id)) {
+      throw versionError(`Version ${targetVersion} is already live`, 409);
+    }
+
+    const liveStats = new Map((live ? live.pairs : []).map(pair => [String(pair._id), pair.feedbackStats]));
+    const pairs = target.pairs.map(pair => ({
+      ...pair,
+      feedbackStats: liveStats.get(String(pair._id)) || pair.feedbackStats
+    }));
+
+    const version = await ClientQA.create({
+      clientId: target.clientId,
+      uploadGroupId: target.uploadGroupId || target._id,
+      version: versions[versions.length - 1].version + 1,
+      isActive: false,
+      changeType: 'rollback',
+      fileName: target.fileName,
+      fileType: target.fileType,
+      pairs,
+      fullText: target.fullText,
+      totalPairs: pairs.length,
+      status: 'completed',
+      uploadedAt: new Date(),
+      processedAt: new Date(),
+      uploadedBy: adminId,
+      events: [{ type: 'rolled_back', adminId, version: targetVersion }]
+    });
+    await this.activate(version);
+
+    console.log(`[UPLOADS] Upload ${version.uploadGroupId} rolled back to version ${targetVersion} as version ${version.version}`);
+    return version;
+  }
+
+  // Hide every version of the upload from the chat. Refused while a flow's
+  // qa_answer node still points at one of its pairs.
+  async softDelete(upload, adminId) {
+    if (upload.deletedAt) {
+      throw versionError('The upload is already deleted', 409);
+    }
+
+    const live = await this.getLiveVersion(upload);
+    const pairIds = live ? live.pairs.map(pair => pair._id) : [];
+    const flows = pairIds.length > 0
+      ? await Flow.find({ clientId: upload.clientId, 'nodes.pairId': { $in: pairIds } }).select('name').lean()
+      : [];
+    if (flows.length > 0) {
+      throw versionError(`Pairs of this upload are answered by the flow(s) ${flows.map(flow => `"${flow.name}"`).join(', ')}; remove them there first`, 409);
+    }
+
+    const deletedAt = new Date();
+    await ClientQA.updateMany(groupFilter(upload), { $set: { deletedAt, deletedBy: adminId } });
+    await ClientQA.updateOne(
+      { _id: live ? live._id : upload._id },
+      { $push: { events: { type: 'deleted', adminId, at: deletedAt } } }
+    );
+    VectorIndexService.invalidate(upload.clientId);
+
+    console.log(`[UPLOADS] Upload ${upload.uploadGroupId || upload._id} of client ${upload.clientId} deleted`);
+  }
+
+  // Undo a soft delete
+  async restore(upload, adminId) {
+    if (!upload.deletedAt) {
+      throw versionError('The upload is not deleted', 409);
+    }
+    if (upload.fileType === 'manual' && await ClientQA.exists({ clientId: upload.clientId, fileType: 'manual', deletedAt: null })) {
+      throw versionError('The client already has a manual answers collection', 409);
+    }
+
+    await ClientQA.updateMany(groupFilter(upload), { $unset: { deletedAt: 1, deletedBy: 1 } });
+    const live = await this.getLiveVersion(upload);
+    await ClientQA.updateOne(
+      { _id: live ? live._id : upload._id },
+      { $push: { events: { type: 'restored', adminId, at: new Date() } } }
+    );
+    VectorIndexService.invalidate(upload.clientId);
+
+    console.log(`[UPLOADS] Upload ${upload.uploadGroupId || upload._id} of client ${upload.clientId} restored`);
+  }
+}
+
+module.exports = new UploadVersionService();
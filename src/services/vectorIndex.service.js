@@ -0,0 +1,254 @@
+const ClientQA = require('../models/ClientQA');
+const ScrapedChunk = require('../models/ScrapedChunk');
+const { normalizeVector, topKIndices } = require('../utils/vector.util');
+
+// Rebuild from Mongo at least this often so changes made by other processes show up
+const INDEX_TTL_MS = parseInt(process.env.VECTOR_INDEX_TTL_MS) || 10 * 60 * 1000;
+
+const INDEX_KINDS = ['qa', 'chunks'];
+
+// Process-level indexes of each client's knowledge: completed Q&A pairs ('qa')
+// and embedded website chunks ('chunks'). Vectors are stored pre-normalised in
+// one Float32Array so a search is a single pass of dot products.
+class VectorIndexService {
+  constructor() {
+    this.indexes = new Map();
+    this.pendingBuilds = new Map();
+    this.versions = new Map();
+    this.counters = { hits: 0, builds: 0, invalidations: 0 };
+  }
+
+  getVersion(clientId) {
+    return this.versions.get(String(clientId)) || 0;
+  }
+
+  // Q&A pair index
+  getIndex(clientId) {
+    return this.getCachedIndex('qa', clientId);
+  }
+
+  // Website chunk index
+  getChunkIndex(clientId) {
+    return this.getCachedIndex('chunks', clientId);
+  }
+
+  async getCachedIndex(kind, clientId) {
+    const clientKey = String(clientId);
+    const key = `${kind}:${clientKey}`;
+    const cached = this.indexes.get(key);
+
+    if (cached && Date.now() - cached.builtAt < INDEX_TTL_MS) {
+      this.counters.hits++;
+      return cached;
+    }
+
+    // Concurrent requests share one build, unless it started before the latest invalidation
+    const version = this.getVersion(clientKey);
+    const pending = this.pendingBuilds.get(key);
+    if (pending && pending.version === version) {
+      return pending.build;
+    }
+
+    const builder = kind === 'chunks' ? this.buildChunkIndex(clientKey) : this.buildIndex(clientKey);
+    const build = builder
+      .then(index => {
+        // Invalidated while loading: the data may predate the change, so build again
+        if (this.getVersion(clientKey) !== version) {
+          return this.getCachedIndex(kind, clientKey);
+        }
+        this.indexes.set(key, index);
+        return index;
+      })
+      .finally(() => {
+        if (this.pendingBuilds.get(key)?.build === build) {
+          this.pendingBuilds.delete(key);
+        }
+      });
+
+    this.pendingBuilds.set(key, { version, build });
+    return build;
+  }
+
+  async buildIndex(clientId) {
+    const startedAt = Date.now();
+    const documents = await ClientQA.findLive(clientId)
+      .select('fileName pairs')
+      .lean();
+
+    const pairs = [];
+    const items = [];
+
+    for (const doc of documents) {
+      for (const pair of doc.pairs) {
+        const entry = {
+          pairId: pair._id.toString(),
+          uploadId: doc._id.toString(),
+          fileName: doc.fileName,
+          question: pair.question,
+          answer: pair.answer,
+          category: pair.category,
+          confidence: pair.confidence
+        };
+        pairs.push(entry);
+        items.push({ id: entry.pairId, entry, embedding: pair.embedding });
+      }
+    }
+
+    const index = this.packIndex('qa', clientId, items);
+    index.pairs = pairs;
+    index.metadataBytes = pairs.reduce((sum, pair) =>
+      sum + 2 * ((pair.question || '').length + (pair.answer || '').length + (pair.fileName || '').length) + 128, 0);
+
+    console.log(`[INDEX] Built index for client ${clientId}: ${index.size}/${pairs.length} pairs embedded (${Date.now() - startedAt}ms)`);
+    return index;
+  }
+
+  async buildChunkIndex(clientId) {
+    const startedAt = Date.now();
+    const chunks = await ScrapedChunk.find({ clientId, embeddingStatus: 'completed' })
+      .select('chunkId sourceUrl pageTitle text embedding')
+      .lean();
+
+    const items = chunks.map(chunk => ({
+      id: chunk.chunkId,
+      entry: {
+        chunkId: chunk.chunkId,
+        sourceUrl: chunk.sourceUrl,
+        pageTitle: chunk.pageTitle,
+        text: chunk.text
+      },
+      embedding: chunk.embedding
+    }));
+
+    const index = this.packIndex('chunks', clientId, items);
+    index.metadataBytes = index.entries.reduce((sum, chunk) =>
+      sum + 2 * ((chunk.text || '').length + (chunk.sourceUrl || '').length + (chunk.pageTitle || '').length) + 128, 0);
+
+    console.log(`[INDEX] Built chunk index for client ${clientId}: ${index.size}/${chunks.length} chunks embedded (${Date.now() - startedAt}ms)`);
+    return index;
+  }
+
+  // Pack { id, entry, embedding } items into a searchable index. Items without
+  // an embedding, or with a different dimension than the first one, are skipped.
+  packIndex(kind, clientId, items) {
+    const embedded = [];
+    let dimensions = 0;
+
+    for (const item of items) {
+      if (!item.embedding || item.embedding.length === 0) continue;
+      if (!dimensions) dimensions = item.embedding.length;
+
+      if (item.embedding.length !== dimensions) {
+        console.warn(`[INDEX] Skipping ${kind} entry ${item.id}: embedding has ${item.embedding.length} dimensions, expected ${dimensions}`);
+        continue;
+      }
+      embedded.push(item);
+    }
+
+    const vectors = new Float32Array(embedded.length * dimensions);
+    embedded.forEach(({ embedding }, row) => normalizeVector(embedding, vectors, row * dimensions));
+
+    this.counters.builds++;
+
+    return {
+      kind,
+      clientId,
+      entries: embedded.map(item => item.entry),
+      vectors,
+      dimensions,
+      size: embedded.length,
+      builtAt: Date.now()
+    };
+  }
+
+  // Cosine similarity of every indexed entry to the query embedding, by row.
+  // Returns null when the query can't be compared with this index.
+  scoreAll(index, queryEmbedding) {
+    if (!index || index.size === 0 || !queryEmbedding) {
+      return null;
+    }
+    if (queryEmbedding.length !== index.dimensions) {
+      console.warn(`[INDEX] Query embedding has ${queryEmbedding.length} dimensions, ${index.kind} index has ${index.dimensions}`);
+      return null;
+    }
+
+    const { vectors, dimensions, size } = index;
+    const query = normalizeVector(queryEmbedding);
+    const scores = new Float32Array(size);
+
+    for (let row = 0; row < size; row++) {
+      const offset = row * dimensions;
+      let dot = 0;
+      for (let i = 0; i < dimensions; i++) {
+        dot += vectors[offset + i] * query[i];
+      }
+      scores[row] = dot;
+    }
+
+    return scores;
+  }
+
+  // Top-k entries by cosine similarity to the query embedding
+  search(index, queryEmbedding, k = 5) {
+    const scores = this.scoreAll(index, queryEmbedding);
+    if (!scores) {
+      return [];
+    }
+
+    return topKIndices(scores, k).map(row => ({
+      ...index.entries[row],
+      score: scores[row]
+    }));
+  }
+
+  // Drop a client's indexes after its Q&A or website data changed; the next query rebuilds them
+  invalidate(clientId) {
+    const key = String(clientId);
+    this.versions.set(key, this.getVersion(key) + 1);
+    INDEX_KINDS.forEach(kind => this.indexes.delete(`${kind}:${key}`));
+    this.counters.invalidations++;
+    console.log(`[INDEX] Invalidated indexes for client ${key}`);
+  }
+
+  describe(index) {
+    return {
+      kind: index.kind,
+      clientId: index.clientId,
+      pairs: index.pairs ? index.pairs.length : undefined,
+      vectors: index.size,
+      dimensions: index.dimensions,
+      vectorBytes: index.vectors.byteLength,
+      // Rough estimate of the metadata held alongside the vectors (UTF-16 strings)
+      estimatedBytes: index.vectors.byteLength + index.metadataBytes,
+      builtAt: new Date(index.builtAt),
+      ageMs: Date.now() - index.builtAt,
+      version: this.getVersion(index.clientId)
+    };
+  }
+
+  getStats(clientId = null) {
+    const indexes = [...this.indexes.values()].map(index => this.describe(index));
+    let client;
+
+    if (clientId) {
+      client = {};
+      INDEX_KINDS.forEach(kind => {
+        client[kind] = indexes.find(index => index.kind === kind && index.clientId === String(clientId)) || null;
+      });
+    }
+
+    return {
+      client,
+      totals: {
+        clients: new Set(indexes.map(index => index.clientId)).size,
+        indexes: indexes.length,
+        vectors: indexes.reduce((sum, index) => sum + index.vectors, 0),
+        estimatedBytes: indexes.reduce((sum, index) => sum + index.estimatedBytes, 0)
+      },
+      counters: { ...this.counters },
+      ttlMs: INDEX_TTL_MS
+    };
+  }
+}
+
+module.exports = new VectorIndexService();
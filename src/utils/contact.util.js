@@ -0,0 +1,30 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Trimmed, lowercased email address, or null if it isn't one
+const normalizeEmail = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const email = value.trim().toLowerCase();
+  return email.length <= 254 && EMAIL_PATTERN.test(email) ? email : null;
+};
+
+// { e164, country } for a valid phone number, or null. Numbers without an
+// international prefix are read as numbers of `defaultCountry`.
+const normalizePhone = (value, defaultCountry = 'US') => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const phone = parsePhoneNumberFromString(value.trim(), defaultCountry);
+  if (!phone || !phone.isValid()) {
+    return null;
+  }
+  return { e164: phone.number, country: phone.country || null };
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone
+};
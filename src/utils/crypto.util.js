@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for PII kept at rest. The key is derived from PII_ENCRYPTION_KEY,
+// so any sufficiently long secret works; changing it makes old values unreadable.
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+  const secret = process.env.PII_ENCRYPTION_KEY;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+const isEncryptionConfigured = () => Boolean(process.env.PII_ENCRYPTION_KEY);
+
+// 'v1:<iv>:<auth tag>:<ciphertext>' (base64 parts)
+const encrypt = (plaintext) => {
+  const key = getKey();
+  if (!key) {
+    throw new Error('PII_ENCRYPTION_KEY is not set');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+// Plaintext of a value from encrypt(); throws if the key is wrong or the value was altered
+const decrypt = (payload) => {
+  const key = getKey();
+  if (!key) {
+    throw new Error('PII_ENCRYPTION_KEY is not set');
+  }
+
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  isEncryptionConfigured,
+  encrypt,
+  decrypt
+};
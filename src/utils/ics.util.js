@@ -0,0 +1,57 @@
+// Minimal iCalendar (RFC 5545) event for booking invites
+
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape backslashes, semicolons, commas and newlines in text values
+const escapeText = text => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (e.g. CN) are DQUOTE-quoted; they can't contain DQUOTE or
+// control characters, and have no escapes
+const quoteParam = text => `"${String(text || '').replace(/["\x00-\x08\x0a-\x1f\x7f]/g, ' ')}"`;
+
+// Fold lines longer than 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+// method: REQUEST for new and updated invites, CANCEL for cancellations
+const buildEvent = ({ uid, sequence = 0, method = 'REQUEST', start, end, summary, description, location, organizer, attendee }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Gemini Chatbot//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    organizer ? `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}` : null,
+    attendee ? `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}` : null,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.filter(line => line !== null).map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildEvent };
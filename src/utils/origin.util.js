@@ -0,0 +1,66 @@
+// Origin of a URL or origin string ('https://shop.example.com'), or null when it
+// isn't an http(s) URL. Allowlist entries may use a leading wildcard
+// ('https://*.example.com'), which is kept as is.
+const normalizeOrigin = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+  const wildcard = text.match(/^(https?):\/\/\*\.([^/:]+(?::\d+)?)\/?$/);
+  if (wildcard) {
+    return `${wildcard[1]}://*.${wildcard[2]}`;
+  }
+
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    return url.origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Origin the request was made from: the Origin header, else the Referer's origin
+const getRequestOrigin = (req) => normalizeOrigin(req.headers.origin) || normalizeOrigin(req.headers.referer);
+
+// Whether `origin` is on the allowlist. A wildcard entry matches subdomains
+// only, not the bare domain, which needs its own entry.
+const isOriginAllowed = (origin, allowedOrigins) => {
+  if (!origin) {
+    return false;
+  }
+
+  return allowedOrigins.some(allowed => {
+    if (!allowed.includes('://*.')) {
+      return allowed === origin;
+    }
+    const [scheme, domain] = allowed.split('://*.');
+    return origin.startsWith(`${scheme}://`) && origin.endsWith(`.${domain}`);
+  });
+};
+
+// Network part of an IP address only (IPv4 /24, IPv6 /48), so stored
+// addresses don't identify a visitor
+const anonymizeIp = (ip) => {
+  if (typeof ip !== 'string' || !ip) {
+    return ip;
+  }
+  const address = ip.replace(/^::ffff:/, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    return address.replace(/\.\d{1,3}$/, '.0');
+  }
+  if (address.includes(':')) {
+    return `${address.split(':').slice(0, 3).join(':')}::`;
+  }
+  return undefined;
+};
+
+module.exports = {
+  normalizeOrigin,
+  getRequestOrigin,
+  isOriginAllowed,
+  anonymizeIp
+};
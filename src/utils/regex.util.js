@@ -0,0 +1,37 @@
+// Patterns prone to catastrophic backtracking: a group holding a repeat that is
+// itself repeated, as in (a+)+ or (\w*\s)*, and backreferences. Conservative:
+// some harmless patterns are refused too.
+const hasNestedQuantifier = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return true;
+  }
+
+  const groups = []; // Per open group: whether it contains a repeat
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeats = groups.pop();
+      const repeated = /^[*+{]/.test(pattern.slice(i + 1));
+      if (repeats && repeated) {
+        return true;
+      }
+      if ((repeats || repeated) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ('*+{'.includes(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+module.exports = { hasNestedQuantifier };
@@ -0,0 +1,42 @@
+// Words that carry no meaning for keyword matching
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'from', 'by', 'about', 'as', 'into',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'this', 'that', 'these', 'those', 'there', 'their', 'they',
+  'who', 'what', 'when', 'where', 'why', 'how', 'which', 'whom', 'whose',
+  'is', 'am', 'are', 'was', 'were', 'be', 'being', 'been', 'do', 'does', 'did', 'has', 'have', 'had',
+  'may', 'might', 'must', 'can', 'could', 'shall', 'should', 'will', 'would', 'please', 'tell', 'any', 'some'
+]);
+
+// Prices and numbers ("$299", "4.5", "20%") or words and codes ("sku-123", "pro_plan")
+const TOKEN_PATTERN = /\$?\d+(?:[.,:]\d+)*%?|[\p{L}\p{N}]+(?:[-_'][\p{L}\p{N}]+)*/gu;
+
+// Crude plural folding so "plans" matches "plan"; leaves short words and codes alone
+function foldPlural(token) {
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && /^\p{L}+$/u.test(token)) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+// Split text into lowercase keyword tokens. Prices keep their currency sign
+// and also yield the bare number; compound codes also yield their parts.
+function tokenize(text) {
+  if (!text) return [];
+
+  const tokens = [];
+  for (const [raw] of String(text).toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (STOPWORDS.has(raw)) continue;
+
+    tokens.push(foldPlural(raw));
+    if (raw.startsWith('$')) {
+      tokens.push(raw.slice(1));
+    } else if (/[-_']/.test(raw)) {
+      raw.split(/[-_']/)
+        .filter(part => part.length > 1 && !STOPWORDS.has(part))
+        .forEach(part => tokens.push(foldPlural(part)));
+    }
+  }
+  return tokens;
+}
+
+module.exports = { STOPWORDS, tokenize };
@@ -0,0 +1,43 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limiter: holds up to `capacity` tokens, refilled at `refillPerSecond`.
+// take() waits until a token is free; pauseUntil() holds every caller back
+// until the given time, e.g. while a provider's Retry-After runs.
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000));
+    }
+  }
+
+  pauseUntil(time) {
+    this.pausedUntil = Math.max(this.pausedUntil, time);
+  }
+}
+
+module.exports = { TokenBucket };
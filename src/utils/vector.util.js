@@ -29,4 +29,30 @@ function cosineSimilarity(vecA, vecB) {
   return dot / (magA * magB);
 }
 
-module.exports = { cosineSimilarity };
+// Copy a vector into a Float32Array scaled to unit length (zero vectors stay zero)
+function normalizeVector(vec, target = new Float32Array(vec.length), offset = 0) {
+  const mag = magnitude(vec);
+  for (let i = 0; i < vec.length; i++) {
+    target[offset + i] = mag === 0 ? 0 : vec[i] / mag;
+  }
+  return target;
+}
+
+// Indices of the k highest scores, best first
+function topKIndices(scores, k) {
+  const top = [];
+  for (let i = 0; i < scores.length; i++) {
+    const score = scores[i];
+    if (top.length === k && score <= scores[top[k - 1]]) continue;
+
+    let position = top.length === k ? k - 1 : top.length;
+    while (position > 0 && scores[top[position - 1]] < score) {
+      top[position] = top[position - 1];
+      position--;
+    }
+    top[position] = i;
+  }
+  return top;
+}
+
+module.exports = { cosineSimilarity, normalizeVector, topKIndices };
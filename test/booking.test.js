@@ -0,0 +1,95 @@
+// Booking races and calendar invites. Bookings live in an in-memory list
+// queried with matchesFilter; nothing reaches Mongo.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { compare, matchesFilter } = require('./helpers');
+const Booking = require('../src/models/Booking');
+const BookingService = require('../src/services/booking.service');
+const { buildEvent } = require('../src/utils/ics.util');
+
+const clientId = new mongoose.Types.ObjectId();
+const client = { _id: clientId, name: 'Acme', availability: { enabled: true } };
+let bookings;
+
+const at = minutes => new Date(Date.UTC(2030, 0, 7, 9, minutes));
+const addBooking = (start, minutes, fields = {}) => {
+  const booking = new Booking({
+    clientId,
+    start: at(start),
+    end: at(start + minutes),
+    timezone: 'UTC',
+    name: 'Visitor',
+    email: 'visitor@example.com',
+    icsUid: `${new mongoose.Types.ObjectId()}@chatbot`,
+    ...fields
+  });
+  bookings.push(booking);
+  return booking;
+};
+
+test.beforeEach(() => {
+  bookings = [];
+  Booking.exists = async filter => bookings.find(doc => matchesFilter(doc, filter)) || null;
+  Booking.create = async fields => addBooking(0, 0, fields);
+  Booking.deleteOne = async ({ _id }) => {
+    bookings = bookings.filter(doc => !doc._id.equals(_id));
+  };
+  BookingService.findFreeSlot = async (id, config, start) => ({
+    start,
+    end: new Date(start.getTime() + 30 * 60 * 1000),
+    label: start.toISOString()
+  });
+  BookingService.sendInvite = async () => {};
+});
+
+test('of two overlapping bookings only the one that took its time later backs out', async () => {
+  const earlier = addBooking(0, 30, { slotTakenAt: new Date(1000) });
+  const later = addBooking(15, 30, { slotTakenAt: new Date(2000) });
+
+  assert.strictEqual(await BookingService.hasOverlap(earlier), false);
+  assert.strictEqual(await BookingService.hasOverlap(later), true);
+});
+
+test('breaks ties on the time taken by _id', async () => {
+  const takenAt = new Date(1000);
+  const [first, second] = [addBooking(0, 30, { slotTakenAt: takenAt }), addBooking(15, 30, { slotTakenAt: takenAt })]
+    .sort((a, b) => compare(a._id, b._id));
+
+  assert.strictEqual(await BookingService.hasOverlap(first), false);
+  assert.strictEqual(await BookingService.hasOverlap(second), true);
+});
+
+test('bookings made before slotTakenAt keep their time', async () => {
+  const legacy = addBooking(0, 30);
+  legacy.slotTakenAt = undefined;
+  const booking = addBooking(15, 30);
+
+  assert.strictEqual(await BookingService.hasOverlap(booking), true);
+});
+
+test('backs out of a new booking that overlaps a confirmed one', async () => {
+  addBooking(0, 45, { slotTakenAt: new Date(1000) });
+
+  await assert.rejects(
+    BookingService.book(client, { start: at(30).toISOString(), name: 'Jane', email: 'jane@example.com' }),
+    error => error.status === 409
+  );
+  assert.strictEqual(bookings.length, 1);
+});
+
+test('quotes names in the invite\'s CN parameters', () => {
+  const ics = buildEvent({
+    uid: 'booking-1@chatbot',
+    start: at(0),
+    end: at(30),
+    summary: 'Appointment with Acme',
+    organizer: { name: 'Acme; Sales', email: 'sales@acme.test' },
+    attendee: { name: 'Doe, "Jane"\r\nX-INJECTED:1', email: 'jane@example.com' }
+  });
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+
+  assert.ok(lines.includes('ORGANIZER;CN="Acme; Sales":mailto:sales@acme.test'));
+  assert.ok(lines.includes('ATTENDEE;CN="Doe,  Jane   X-INJECTED:1";ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:jane@example.com'));
+  assert.ok(!lines.some(line => line.startsWith('X-INJECTED')));
+});
@@ -0,0 +1,66 @@
+// Runs the chat pipeline's single-answer path end to end with the fake LLM
+// provider. Mongo reads are served from memory; nothing is saved.
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const Client = require('../src/models/Client');
+const ClientQA = require('../src/models/ClientQA');
+const ChatHistory = require('../src/models/ChatHistory');
+const ScrapedChunk = require('../src/models/ScrapedChunk');
+const Flow = require('../src/models/Flow');
+const GeminiService = require('../src/services/gemini.service');
+const chatController = require('../src/controllers/chat.controller');
+
+const QUESTION = 'What are your opening hours?';
+const ANSWER = 'We are open from 9am to 5pm, Monday to Friday, except on public holidays.';
+const DIRECT_ANSWER = 'Open 9am to 5pm on weekdays.';
+
+test.before(async () => {
+  const provider = GeminiService.getDefaultProvider();
+  const embedding = await provider.generateEmbedding(QUESTION);
+
+  Client.findById = id => stubQuery({ _id: id, name: 'Test client' });
+  ClientQA.findLive = () => stubQuery([{
+    _id: new mongoose.Types.ObjectId(),
+    fileName: 'faq.csv',
+    pairs: [{ _id: new mongoose.Types.ObjectId(), question: QUESTION, answer: ANSWER, category: 'general', confidence: 1, embedding }]
+  }]);
+  ScrapedChunk.find = () => stubQuery([]);
+  Flow.find = () => stubQuery([]);
+  ChatHistory.findOne = () => stubQuery(null);
+  ChatHistory.prototype.save = async function () { return this; };
+
+  // Scripted LLM: only the direct-answer extraction replies
+  provider.setResponder(prompt => (/^\s*Extract the most direct/.test(prompt) ? DIRECT_ANSWER : ''));
+});
+
+test('answers from the best-matching Q&A pair', async () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const result = await chatController.processQuery({ query: QUESTION, clientId, sessionId: 'session-1' });
+
+  assert.strictEqual(result.type, 'answer');
+  assert.strictEqual(result.matchedQuestion, QUESTION);
+  assert.strictEqual(result.answer, DIRECT_ANSWER);
+  assert.ok(result.messageId);
+  assert.ok(result.sessionToken, 'a new session gets a visitor token');
+});
+
+test('streams the answer to an event listener', async () => {
+  // Another client, so the answer isn't replayed from the first test's cache entry
+  const clientId = new mongoose.Types.ObjectId();
+  const events = [];
+  const result = await chatController.processQuery(
+    { query: QUESTION, clientId, sessionId: 'session-2' },
+    { onEvent: (name, data) => events.push({ name, data }) }
+  );
+
+  assert.strictEqual(result.type, 'answer');
+  const names = events.map(event => event.name);
+  assert.ok(names.includes('matches'));
+  assert.ok(names.includes('answer'));
+  const streamed = events.filter(event => event.name === 'token').map(event => event.data.text).join('');
+  assert.strictEqual(streamed, DIRECT_ANSWER);
+});
@@ -0,0 +1,83 @@
+// Guardrail policies with the fake LLM provider: the default off-topic rules,
+// the check that refuses backtracking-prone patterns, and topic matching.
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const GeminiService = require('../src/services/gemini.service');
+const GuardrailService = require('../src/services/guardrail.service');
+const { resolveGuardrailPolicy } = require('../src/config/guardrails');
+const { hasNestedQuantifier } = require('../src/utils/regex.util');
+
+test('refuses repeated groups that repeat and backreferences', () => {
+  ['(a+)+', '(\\w*\\s)*', '(a|b+){2,}', '((ab)*c)+', '(a)\\1', '(?<x>a)\\k<x>'].forEach(pattern => {
+    assert.strictEqual(hasNestedQuantifier(pattern), true, pattern);
+  });
+});
+
+test('accepts patterns without nested repeats', () => {
+  ['a+b+', '(ab)+', '(a+)b', '\\(a+\\)+', '[(+]+', '\\d{3}-\\d{4}', '\\b(law|lawsuit)\\b'].forEach(pattern => {
+    assert.strictEqual(hasNestedQuantifier(pattern), false, pattern);
+  });
+});
+
+test('the default rules refuse off-topic questions', async () => {
+  const policy = resolveGuardrailPolicy({});
+  const refused = {
+    'Can you write some python code for me?': 'coding',
+    'What is 12 * 7?': 'math',
+    "What's the weather like tomorrow?": 'weather_time',
+    'I need legal advice about my landlord': 'legal',
+    'Should I buy bitcoin?': 'financial'
+  };
+
+  for (const [query, name] of Object.entries(refused)) {
+    const { allowed, rule } = await GuardrailService.evaluate(query, policy);
+    assert.strictEqual(allowed, false, query);
+    assert.strictEqual(rule.name, name, query);
+  }
+});
+
+test('the default rules only match whole words', async () => {
+  const policy = resolveGuardrailPolicy({});
+  const queries = [
+    'How do I update my billing address?',
+    'Do you sell lawn mowers?',
+    'Is the sqlite-backed plan still available?',
+    'Can I get a healthy snack box delivered?',
+    'Do you ship to Mathura?'
+  ];
+
+  for (const query of queries) {
+    const { allowed, checks } = await GuardrailService.evaluate(query, policy);
+    assert.strictEqual(allowed, true, `${query} refused by ${(checks.find(check => check.matched) || {}).name}`);
+  }
+});
+
+test('embeds a client\'s topic phrases in one batch and reuses them', async () => {
+  const policy = resolveGuardrailPolicy({
+    guardrailPolicy: { allowTopics: ['shipping and delivery'], denyTopics: ['competitor prices', 'job applications'], rules: [] }
+  });
+  const clientId = new mongoose.Types.ObjectId();
+  const embedMany = GeminiService.embedMany;
+  const batches = [];
+  GeminiService.embedMany = async (texts, options) => {
+    batches.push(texts);
+    return embedMany.call(GeminiService, texts, options);
+  };
+
+  try {
+    const first = await GuardrailService.evaluate('Job applications, please', policy, { clientId });
+    const second = await GuardrailService.evaluate('Shipping and delivery times?', policy, { clientId });
+
+    assert.deepStrictEqual(batches, [['shipping and delivery', 'competitor prices', 'job applications']]);
+    assert.strictEqual(first.allowed, false);
+    assert.strictEqual(first.rule.type, 'deny_topic');
+    assert.strictEqual(first.rule.name, 'job applications');
+    assert.strictEqual(second.allowed, true);
+    assert.strictEqual(second.allowedBy.name, 'shipping and delivery');
+  } finally {
+    GeminiService.embedMany = embedMany;
+  }
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Stand-in for a Mongoose query that resolves to `value`: supports the chain
+// methods the services use (select, sort, limit, lean) and await.
+const stubQuery = (value) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: async () => value,
+    exec: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return query;
+};
+
+// Whether a plain document matches a Mongo filter. Covers what the services
+// query with: equality and $ne, $lt, $lte, $gt, $in, $exists, plus $or.
+const plain = value => (value instanceof mongoose.Types.ObjectId ? value.toString() : value instanceof Date ? value.getTime() : value);
+const compare = (a, b) => (plain(a) < plain(b) ? -1 : plain(a) > plain(b) ? 1 : 0);
+const OPERATORS = {
+  $ne: (value, operand) => compare(value, operand) !== 0,
+  $lt: (value, operand) => value !== undefined && value !== null && compare(value, operand) < 0,
+  $lte: (value, operand) => value !== undefined && value !== null && compare(value, operand) <= 0,
+  $gt: (value, operand) => value !== undefined && value !== null && compare(value, operand) > 0,
+  $in: (value, operand) => operand.some(item => compare(value, item) === 0),
+  $exists: (value, operand) => (value !== undefined) === operand
+};
+const matchesValue = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date || condition instanceof mongoose.Types.ObjectId) {
+    return compare(value, condition) === 0;
+  }
+  return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+};
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([key, condition]) => (key === '$or'
+  ? condition.some(branch => matchesFilter(doc, branch))
+  : matchesValue(doc[key], condition)));
+
+module.exports = { stubQuery, compare, matchesFilter };
@@ -0,0 +1,160 @@
+// The background job queue against an in-memory Job collection: retries with
+// backoff, heartbeats, cancellation and recovery of jobs whose worker stopped.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery, compare, matchesFilter } = require('./helpers');
+const Job = require('../src/models/Job');
+const JobQueueService = require('../src/services/jobQueue.service');
+
+const clientId = new mongoose.Types.ObjectId();
+let jobs;
+let finalized;
+
+test.beforeEach(() => {
+  jobs = [];
+  finalized = [];
+  JobQueueService.handlers.clear();
+
+  Job.create = async fields => {
+    const job = new Job(fields).toObject();
+    jobs.push(job);
+    return { ...job };
+  };
+  Job.find = filter => stubQuery(jobs.filter(job => matchesFilter(job, filter)).map(job => ({ ...job })));
+  Job.findOneAndUpdate = async (filter, update, options = {}) => {
+    const matching = jobs.filter(job => matchesFilter(job, filter));
+    if (options.sort) matching.sort((a, b) => compare(a.runAt, b.runAt));
+    const [job] = matching;
+    if (!job) return null;
+
+    Object.assign(job, update.$set);
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+      job[key] += amount;
+    });
+    return { ...job };
+  };
+});
+
+const register = (type, handler) => JobQueueService.register(type, {
+  finalize: async job => finalized.push({ id: String(job._id), status: job.status }),
+  ...handler
+});
+
+// Let the queue claim and run whatever is due
+const settle = async () => {
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  await tick();
+  while (JobQueueService.running.size > 0 || JobQueueService.polling) {
+    await tick();
+  }
+  await tick();
+};
+
+test('retries a failing job with backoff, then fails it for good', async () => {
+  register('embed_pairs', { maxAttempts: 2, run: async () => { throw new Error('Provider down'); } });
+  const job = await JobQueueService.enqueue('embed_pairs', { clientId });
+  await settle();
+
+  const [stored] = jobs;
+  assert.strictEqual(stored.status, 'queued');
+  assert.strictEqual(stored.attempts, 1);
+  assert.strictEqual(stored.error, 'Provider down');
+  const delay = stored.runAt - Date.now();
+  assert.ok(delay > 25 * 1000 && delay <= 30 * 1000, `retry in ${delay}ms`);
+  assert.deepStrictEqual(finalized, []);
+
+  stored.runAt = new Date(0);
+  await JobQueueService.poll();
+  await settle();
+
+  assert.strictEqual(stored.status, 'failed');
+  assert.strictEqual(stored.attempts, 2);
+  assert.strictEqual(stored.lockedBy, null);
+  assert.deepStrictEqual(finalized, [{ id: String(job._id), status: 'failed' }]);
+});
+
+test('fails a job with a permanent error without retrying', async () => {
+  register('embed_pairs', { run: async () => { throw JobQueueService.permanentError('Upload not found'); } });
+  await JobQueueService.enqueue('embed_pairs', { clientId });
+  await settle();
+
+  assert.strictEqual(jobs[0].status, 'failed');
+  assert.strictEqual(jobs[0].attempts, 1);
+  assert.strictEqual(jobs[0].error, 'Upload not found');
+});
+
+test('heartbeats save progress and stop a job cancelled elsewhere', async () => {
+  let release;
+  const paused = new Promise(resolve => { release = resolve; });
+  let reachedEnd = false;
+  register('embed_chunks', {
+    run: async (job, ctx) => {
+      await ctx.progress(40, 'Embedded 40/100');
+      await paused;
+      await ctx.progress(80, 'Embedded 80/100');
+      reachedEnd = true;
+    }
+  });
+  const job = await JobQueueService.enqueue('embed_chunks', { clientId });
+  const state = () => JobQueueService.running.get(String(job._id));
+  while (!state() || state().progress !== 40) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // An admin cancels through another process: only the stored job changes
+  jobs[0].cancelRequested = true;
+  await JobQueueService.heartbeat(job._id, state());
+
+  assert.strictEqual(jobs[0].progress, 40);
+  assert.strictEqual(jobs[0].progressMessage, 'Embedded 40/100');
+  assert.strictEqual(state().cancelRequested, true);
+
+  release();
+  await settle();
+
+  assert.strictEqual(reachedEnd, false);
+  assert.strictEqual(jobs[0].status, 'cancelled');
+  assert.deepStrictEqual(finalized, [{ id: String(job._id), status: 'cancelled' }]);
+});
+
+test('cancels a queued job at once and refuses finished ones', async () => {
+  register('scrape', { run: async () => {} });
+  const job = await JobQueueService.enqueue('scrape', { clientId, runAt: new Date(Date.now() + 60 * 60 * 1000) });
+  await settle();
+
+  const cancelled = await JobQueueService.cancel(job);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(finalized, [{ id: String(job._id), status: 'cancelled' }]);
+
+  await assert.rejects(JobQueueService.cancel(cancelled), error => error.status === 409);
+});
+
+test('recovers jobs whose worker stopped and runs handler recovery at startup', async () => {
+  let recovered = 0;
+  register('embed_pairs', { run: async () => ({ embedded: 1 }), recover: async () => { recovered++; } });
+  const running = (fields) => {
+    const job = new Job({ type: 'embed_pairs', clientId, status: 'running', lockedBy: 'old-host:1', ...fields }).toObject();
+    jobs.push(job);
+    return job;
+  };
+  const longAgo = new Date(Date.now() - 5 * 60 * 1000);
+  const retried = running({ attempts: 1, heartbeatAt: longAgo });
+  const exhausted = running({ attempts: 3, heartbeatAt: longAgo });
+  const cancelled = running({ attempts: 1, heartbeatAt: longAgo, cancelRequested: true });
+  const alive = running({ attempts: 1, heartbeatAt: new Date() });
+
+  await JobQueueService.start();
+  clearInterval(JobQueueService.timer);
+  JobQueueService.timer = null;
+  await settle();
+
+  assert.strictEqual(recovered, 1);
+  assert.strictEqual(retried.status, 'completed');
+  assert.strictEqual(retried.attempts, 2);
+  assert.deepStrictEqual(retried.result, { embedded: 1 });
+  assert.strictEqual(exhausted.status, 'failed');
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(alive.status, 'running');
+  assert.deepStrictEqual(finalized.map(job => job.id).sort(), [String(exhausted._id), String(cancelled._id), String(retried._id)].sort());
+});
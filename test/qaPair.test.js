@@ -0,0 +1,95 @@
+// Editing single Q&A pairs with the fake embedding provider: questions are
+// embedded when added or changed, pair counts move with adds and removals and
+// every change invalidates the client's index. Mongo is served from memory.
+process.env.LLM_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const ClientQA = require('../src/models/ClientQA');
+const Flow = require('../src/models/Flow');
+const GeminiService = require('../src/services/gemini.service');
+const VectorIndexService = require('../src/services/vectorIndex.service');
+const QAPairService = require('../src/services/qaPair.service');
+
+const clientId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+const upload = { _id: new mongoose.Types.ObjectId(), fileName: 'Manual answers', fileType: 'manual' };
+let pair;
+let updates;
+
+const embeddingOf = text => GeminiService.getDefaultProvider().generateEmbedding(text);
+
+test.beforeEach(async () => {
+  pair = {
+    _id: new mongoose.Types.ObjectId(),
+    question: 'What are your opening hours?',
+    answer: 'We are open from 9am to 5pm.',
+    category: 'general',
+    confidence: 1,
+    embedding: await embeddingOf('What are your opening hours?')
+  };
+  updates = [];
+  ClientQA.findOneAndUpdate = async () => upload;
+  ClientQA.findOne = () => stubQuery({ ...upload, pairs: [pair] });
+  ClientQA.updateOne = async (filter, update) => {
+    updates.push(update);
+    return { matchedCount: 1 };
+  };
+  Flow.find = () => stubQuery([]);
+});
+
+test('embeds the question of a new pair and counts it', async () => {
+  const version = VectorIndexService.getVersion(clientId);
+  const created = await QAPairService.createPair(clientId, { question: '  Do you ship abroad? ', answer: 'Yes, worldwide.' }, { adminId });
+
+  const [{ $push, $inc }] = updates;
+  assert.strictEqual($push.pairs.question, 'Do you ship abroad?');
+  assert.deepStrictEqual($push.pairs.embedding, await embeddingOf('Do you ship abroad?'));
+  assert.strictEqual($push.events.type, 'pair_added');
+  assert.deepStrictEqual($inc, { totalPairs: 1 });
+  assert.strictEqual(created.embedded, true);
+  assert.strictEqual(VectorIndexService.getVersion(clientId), version + 1);
+});
+
+test('re-embeds a pair whose question changed', async () => {
+  await QAPairService.updatePair(clientId, pair._id, { question: 'When are you open?' }, adminId);
+
+  const [{ $set, $unset }] = updates;
+  assert.strictEqual($set['pairs.$.question'], 'When are you open?');
+  assert.deepStrictEqual($set['pairs.$.embedding'], await embeddingOf('When are you open?'));
+  assert.strictEqual($set['pairs.$.embeddingStatus'], 'completed');
+  assert.deepStrictEqual($unset, { 'pairs.$.embeddingError': '' });
+});
+
+test('keeps the embedding when only the answer changed', async () => {
+  const generateEmbedding = GeminiService.generateEmbedding;
+  let embedded = 0;
+  GeminiService.generateEmbedding = async text => {
+    embedded++;
+    return generateEmbedding.call(GeminiService, text);
+  };
+
+  try {
+    await QAPairService.updatePair(clientId, pair._id, { question: pair.question, answer: 'Open 9am to 6pm.' }, adminId);
+  } finally {
+    GeminiService.generateEmbedding = generateEmbedding;
+  }
+
+  const [{ $set }] = updates;
+  assert.strictEqual(embedded, 0);
+  assert.strictEqual($set['pairs.$.answer'], 'Open 9am to 6pm.');
+  assert.strictEqual($set['pairs.$.embedding'], undefined);
+});
+
+test('removes a pair and its count, unless a flow answers with it', async () => {
+  await QAPairService.deletePair(clientId, pair._id, adminId);
+  const [{ $pull, $inc }] = updates;
+  assert.deepStrictEqual($pull, { pairs: { _id: pair._id } });
+  assert.deepStrictEqual($inc, { totalPairs: -1 });
+
+  Flow.find = () => stubQuery([{ name: 'Opening hours' }]);
+  await assert.rejects(QAPairService.deletePair(clientId, pair._id, adminId), error => error.status === 409);
+  assert.strictEqual(updates.length, 1);
+});
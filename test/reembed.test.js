@@ -0,0 +1,106 @@
+// Changing a client's embedding model: the update is deferred to a reembed
+// job, which embeds the knowledge base with the new provider and then switches.
+// Mongo is served from memory.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const Client = require('../src/models/Client');
+const ClientQA = require('../src/models/ClientQA');
+const ScrapedChunk = require('../src/models/ScrapedChunk');
+const Job = require('../src/models/Job');
+const JobQueueService = require('../src/services/jobQueue.service');
+const clientController = require('../src/controllers/client.controller');
+const reembedJob = require('../src/jobs/reembed.job');
+
+const clientId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+let enqueued;
+let clientUpdates;
+
+test.beforeEach(() => {
+  enqueued = [];
+  clientUpdates = [];
+  Client.findOne = () => stubQuery({ _id: clientId, llmConfig: { provider: 'gemini' } });
+  Client.findById = () => stubQuery({ _id: clientId });
+  Client.findOneAndUpdate = async (filter, updates) => {
+    clientUpdates.push(updates);
+    return { _id: clientId, ...updates };
+  };
+  Client.updateOne = async (filter, update) => clientUpdates.push(update);
+  Job.exists = async () => null;
+  JobQueueService.enqueue = async (type, options) => {
+    enqueued.push({ type, ...options });
+    return { _id: new mongoose.Types.ObjectId(), type };
+  };
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const updateClient = async body => {
+  const res = mockResponse();
+  await clientController.updateClient({ params: { id: String(clientId) }, body, admin: { id: adminId } }, res);
+  return res;
+};
+
+test('defers a new embedding provider to a reembed job', async () => {
+  const res = await updateClient({ name: 'Renamed', llmConfig: { provider: 'fake' } });
+
+  assert.strictEqual(res.statusCode, 202);
+  assert.deepStrictEqual(clientUpdates, [{ name: 'Renamed' }]);
+  assert.strictEqual(enqueued.length, 1);
+  assert.strictEqual(enqueued[0].type, 'reembed');
+  assert.deepStrictEqual(enqueued[0].payload, { llmConfig: { provider: 'fake' } });
+});
+
+test('applies an llmConfig with the same embedding model at once', async () => {
+  const res = await updateClient({ llmConfig: { provider: 'gemini', textModel: 'gemini-1.5-pro' } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(clientUpdates, [{ llmConfig: { provider: 'gemini', textModel: 'gemini-1.5-pro' } }]);
+  assert.strictEqual(enqueued.length, 0);
+});
+
+test('refuses llmConfig changes while a reembed job is pending', async () => {
+  Job.exists = async () => ({ _id: new mongoose.Types.ObjectId() });
+  const res = await updateClient({ llmConfig: { provider: 'fake' } });
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(enqueued.length, 0);
+});
+
+test('the reembed job saves new vectors before switching the client', async () => {
+  const uploadId = new mongoose.Types.ObjectId();
+  const pair = { _id: new mongoose.Types.ObjectId(), question: 'What are your opening hours?' };
+  const addedMeanwhile = { _id: new mongoose.Types.ObjectId(), question: 'Do you ship abroad?' };
+  const listings = [[{ _id: uploadId, pairs: [pair] }], [{ _id: uploadId, pairs: [pair, addedMeanwhile] }]];
+  const writes = [];
+  ClientQA.find = () => stubQuery(listings.shift());
+  ClientQA.bulkWrite = async operations => writes.push(...operations);
+  ScrapedChunk.find = () => stubQuery([]);
+  ScrapedChunk.updateMany = async () => ({ modifiedCount: 0 });
+
+  const result = await reembedJob.run(
+    { clientId, payload: { llmConfig: { provider: 'fake' } } },
+    { progress: async () => {} }
+  );
+
+  const [saved, stale] = writes.map(operation => operation.updateOne);
+  assert.strictEqual(saved.update.$set['pairs.$[pair].embedding'].length, 768);
+  assert.deepStrictEqual(stale.arrayFilters, [{ 'pair._id': addedMeanwhile._id }]);
+  assert.strictEqual(stale.update.$set['pairs.$[pair].embeddingStatus'], 'failed');
+  assert.deepStrictEqual(clientUpdates, [{ $set: { llmConfig: { provider: 'fake' } } }]);
+  assert.deepStrictEqual(enqueued.map(job => job.type), ['embed_pairs']);
+  assert.deepStrictEqual(result, { pairs: 1, chunks: 0, pairsLeft: 1, chunksLeft: 0 });
+});
@@ -0,0 +1,62 @@
+// Hybrid retrieval on a hand-built index: reciprocal rank fusion of the vector
+// and BM25 rankings, and the cosine threshold that decides which match answers.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const VectorIndexService = require('../src/services/vectorIndex.service');
+const RetrievalService = require('../src/services/retrieval.service');
+const { DEFAULT_RETRIEVAL_CONFIG } = require('../src/config/retrieval');
+
+const clientId = new mongoose.Types.ObjectId();
+const QUERY_EMBEDDING = [1, 0, 0];
+
+// Cosine scores against the query: hours 1, returns 0.8, SKU 0
+const index = VectorIndexService.packIndex('qa', clientId, [
+  { question: 'What are your opening hours?', answer: 'We are open from 9am to 5pm.', embedding: [1, 0, 0] },
+  { question: 'What does the PX-9 sku cost?', answer: 'The PX-9 costs $299.', embedding: [0, 1, 0] },
+  { question: 'Can I return a product?', answer: 'Returns are accepted within 30 days.', embedding: [0.8, 0.6, 0] }
+].map((item, i) => ({ id: String(i), entry: { pairId: String(i), question: item.question, answer: item.answer }, embedding: item.embedding })));
+
+const search = (hybrid = DEFAULT_RETRIEVAL_CONFIG.hybrid) => RetrievalService.search(index, QUERY_EMBEDDING, 'px-9 price', { k: 3, hybrid });
+
+test('fuses the vector and keyword rankings by reciprocal rank', () => {
+  const matches = search();
+  const { rrfK } = DEFAULT_RETRIEVAL_CONFIG.hybrid;
+
+  assert.deepStrictEqual(matches.map(match => match.pairId), ['1', '0', '2']);
+  assert.deepStrictEqual(matches[0].rankers, ['vector', 'lexical']);
+  assert.strictEqual(matches[0].vectorRank, 3);
+  assert.strictEqual(matches[0].lexicalRank, 1);
+  assert.ok(Math.abs(matches[0].fusedScore - (1 / (rrfK + 3) + 1 / (rrfK + 1))) < 1e-12);
+  assert.ok(Math.abs(matches[1].fusedScore - 1 / (rrfK + 1)) < 1e-12);
+  // Cosine scores stay on the matches
+  assert.ok(Math.abs(matches[0].score) < 1e-6);
+  assert.ok(Math.abs(matches[2].score - 0.8) < 1e-6);
+});
+
+test('ranks by cosine alone with hybrid off', () => {
+  const matches = search({ ...DEFAULT_RETRIEVAL_CONFIG.hybrid, enabled: false });
+
+  assert.deepStrictEqual(matches.map(match => match.pairId), ['0', '2', '1']);
+  assert.deepStrictEqual(matches[0].rankers, ['vector']);
+});
+
+test('answers from the best cosine match when the fused top match misses the threshold', () => {
+  const matches = search();
+
+  assert.strictEqual(RetrievalService.selectAnswerMatch(matches, 0.7).pairId, '0');
+  assert.strictEqual(RetrievalService.selectAnswerMatch(matches, 1.01), null);
+  assert.strictEqual(RetrievalService.selectAnswerMatch([], 0.7), null);
+
+  const keywordHit = { ...matches[0], score: 0.75 };
+  assert.strictEqual(RetrievalService.selectAnswerMatch([keywordHit, ...matches.slice(1)], 0.7), keywordHit);
+});
+
+test('retrieve puts the answering match first', async () => {
+  const config = { ...DEFAULT_RETRIEVAL_CONFIG, topK: 3 };
+  const result = await RetrievalService.retrieve(clientId, 'px-9 price', config, { index, queryEmbedding: QUERY_EMBEDDING });
+
+  assert.strictEqual(result.answered, true);
+  assert.strictEqual(result.bestMatch.pairId, '0');
+  assert.deepStrictEqual(result.matches.map(match => match.pairId), ['0', '1', '2']);
+});
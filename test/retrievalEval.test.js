@@ -0,0 +1,86 @@
+// Runs an eval set under the fake provider against Q&A pairs stored with
+// another provider's embeddings, through the admin run endpoint. Mongo reads are
+// served from memory; nothing is saved.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const Client = require('../src/models/Client');
+const ClientQA = require('../src/models/ClientQA');
+const RetrievalEvalSet = require('../src/models/RetrievalEvalSet');
+const RetrievalEvalRun = require('../src/models/RetrievalEvalRun');
+const retrievalEvalController = require('../src/controllers/retrievalEval.controller');
+
+const PAIRS = [
+  { question: 'What are your opening hours?', answer: 'We are open from 9am to 5pm.' },
+  { question: 'How much does shipping cost?', answer: 'Shipping is free over $50.' },
+  { question: 'Can I return a product for a refund?', answer: 'Returns are accepted within 30 days.' }
+].map((pair, i) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...pair,
+  category: 'general',
+  confidence: 1,
+  // Stored vectors from the client's own embedding model: nothing like the fake provider's
+  embedding: [i === 0 ? 1 : 0, i === 1 ? 1 : 0, i === 2 ? 1 : 0]
+}));
+
+const clientId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+const evalSet = {
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  name: 'FAQ',
+  queries: [
+    { query: 'What are your opening hours', expectedPairIds: [PAIRS[0]._id] },
+    { query: 'How much does shipping cost', expectedPairIds: [PAIRS[1]._id] },
+    { query: 'Can I return a product for a refund', expectedPairIds: [PAIRS[2]._id] },
+    { query: 'Tell me a joke about penguins' }
+  ]
+};
+
+test.before(() => {
+  Client.findOne = () => stubQuery({ _id: clientId, toObject: () => ({}) });
+  ClientQA.findLive = () => stubQuery([{ _id: new mongoose.Types.ObjectId(), fileName: 'faq.csv', pairs: PAIRS }]);
+  RetrievalEvalSet.findOne = () => stubQuery(evalSet);
+  RetrievalEvalRun.create = async fields => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...fields,
+    save: async function () { return this; }
+  });
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+test('re-embeds the pairs when the run uses another embedding model', async () => {
+  const res = mockResponse();
+  await retrievalEvalController.runEvalSet({
+    params: { id: String(clientId), setId: String(evalSet._id) },
+    body: { llmConfig: { provider: 'fake' }, refine: false, wait: true },
+    admin: { id: adminId }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  const { run } = res.body;
+  assert.strictEqual(run.status, 'completed', run.error);
+  assert.strictEqual(run.settings.provider, 'fake');
+  assert.strictEqual(run.settings.reindexed, true);
+
+  assert.strictEqual(run.metrics.errors, 0);
+  assert.strictEqual(run.metrics.recallAtK, 1);
+  assert.strictEqual(run.metrics.mrr, 1);
+  assert.strictEqual(run.metrics.correctAnswers, 3);
+  assert.strictEqual(run.metrics.falseAnswers, 0);
+  assert.ok(run.results.every(result => result.retrieved.length > 0));
+});
@@ -0,0 +1,97 @@
+// Upload versions: carrying pair ids over to a replacement file, diffs between
+// versions and rollback to an earlier one. Mongo is served from memory.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const ClientQA = require('../src/models/ClientQA');
+const VectorIndexService = require('../src/services/vectorIndex.service');
+const UploadVersionService = require('../src/services/uploadVersion.service');
+
+const clientId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+const id = () => new mongoose.Types.ObjectId();
+
+test('carries ids, feedback and same-text embeddings over to the new pairs', () => {
+  const hours = { _id: id(), question: 'What are your hours?', embedding: [1, 0], feedbackStats: { up: 2, down: 1 } };
+  const shipping = { _id: id(), question: 'Do you ship?', embedding: [0, 1] };
+
+  const pairs = UploadVersionService.carryOver([
+    { question: 'what are  your HOURS?', answer: 'Nine to five.' },
+    { question: 'Do you ship?', answer: 'Worldwide.' },
+    { question: 'Do you ship?', answer: 'Listed twice.' },
+    { question: 'Do you have gift cards?', answer: 'Yes.' }
+  ], [hours, shipping]);
+
+  assert.strictEqual(pairs[0]._id, hours._id);
+  assert.deepStrictEqual(pairs[0].feedbackStats, hours.feedbackStats);
+  assert.strictEqual(pairs[0].embedding, undefined, 'reworded question is embedded again');
+  assert.strictEqual(pairs[1]._id, shipping._id);
+  assert.deepStrictEqual(pairs[1].embedding, shipping.embedding);
+  assert.strictEqual(pairs[2]._id, undefined, 'an id goes to one pair only');
+  assert.strictEqual(pairs[3]._id, undefined);
+});
+
+test('diffs versions by pair id, then by question', () => {
+  const hours = { _id: id(), question: 'What are your hours?', answer: 'Nine to five.', category: 'general' };
+  const shipping = { _id: id(), question: 'Do you ship?', answer: 'Yes.', category: 'general' };
+  const refunds = { _id: id(), question: 'Can I get a refund?', answer: 'Within 30 days.', category: 'general' };
+  const returns = { _id: id(), question: 'How do returns work?', answer: 'Send it back.', category: 'general' };
+
+  const diff = UploadVersionService.diff(
+    { version: 1, pairs: [hours, shipping, refunds, returns] },
+    {
+      version: 2,
+      pairs: [
+        { ...hours },
+        { ...shipping, answer: 'Yes, worldwide.', category: 'shipping' },
+        // Saved before ids were carried over: matched by question
+        { ...refunds, _id: id() },
+        { _id: id(), question: 'Do you sell gift cards?', answer: 'Yes.', category: 'general' }
+      ]
+    }
+  );
+
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 2 });
+  assert.deepStrictEqual(diff.from, { version: 1, totalPairs: 4 });
+  assert.strictEqual(diff.added[0].question, 'Do you sell gift cards?');
+  assert.strictEqual(diff.removed[0].pairId, returns._id);
+  assert.deepStrictEqual(diff.changed[0].fields, ['answer', 'category']);
+  assert.strictEqual(diff.changed[0].before.answer, 'Yes.');
+  assert.strictEqual(diff.changed[0].after.answer, 'Yes, worldwide.');
+});
+
+test('rolls back to an earlier version as a new live version', async () => {
+  const groupId = id();
+  const pairId = id();
+  const first = { _id: groupId, clientId, version: 1, status: 'completed', isActive: false, fileName: 'faq.csv', fileType: 'csv', pairs: [{ _id: pairId, question: 'Hours?', answer: 'Nine to five.', feedbackStats: { up: 1 } }] };
+  const live = { _id: id(), clientId, uploadGroupId: groupId, version: 2, status: 'completed', isActive: true, pairs: [{ _id: pairId, question: 'Hours?', answer: 'Ten to six.', feedbackStats: { up: 5, down: 2 } }] };
+  let created;
+  let activated;
+
+  ClientQA.find = () => stubQuery([live, first]);
+  ClientQA.findById = () => stubQuery(first);
+  ClientQA.findOne = () => stubQuery(live);
+  ClientQA.create = async fields => {
+    created = { _id: id(), ...fields };
+    return created;
+  };
+  ClientQA.updateMany = async (filter, pipeline) => {
+    activated = pipeline[0].$set.isActive.$eq[1];
+  };
+  const version = VectorIndexService.getVersion(clientId);
+
+  await UploadVersionService.rollback(live, 1, adminId);
+
+  assert.strictEqual(created.version, 3);
+  assert.strictEqual(created.changeType, 'rollback');
+  assert.strictEqual(created.uploadGroupId, groupId);
+  assert.strictEqual(created.pairs[0].answer, 'Nine to five.');
+  assert.deepStrictEqual(created.pairs[0].feedbackStats, { up: 5, down: 2 }, 'feedback stays with the live pairs');
+  assert.deepStrictEqual(created.events, [{ type: 'rolled_back', adminId, version: 1 }]);
+  assert.strictEqual(activated, created._id);
+  assert.strictEqual(VectorIndexService.getVersion(clientId), version + 1);
+
+  ClientQA.findById = () => stubQuery(live);
+  await assert.rejects(UploadVersionService.rollback(live, 2, adminId), error => error.status === 409);
+});
@@ -0,0 +1,77 @@
+// Index builds racing with invalidation: a build that started before the
+// latest invalidation is never shared or returned. Mongo loads are held open
+// by the test so it can finish them in either order.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const ClientQA = require('../src/models/ClientQA');
+const VectorIndexService = require('../src/services/vectorIndex.service');
+
+let loads;
+
+test.beforeEach(() => {
+  loads = [];
+  ClientQA.findLive = () => {
+    let resolve;
+    const documents = new Promise(done => { resolve = done; });
+    loads.push(resolve);
+    return stubQuery(documents);
+  };
+});
+
+const upload = questions => [{
+  _id: new mongoose.Types.ObjectId(),
+  fileName: 'faq.csv',
+  pairs: questions.map((question, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    question,
+    answer: `Answer ${i}`,
+    embedding: [1, i]
+  }))
+}];
+
+test('concurrent requests share one build', async () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const requests = [VectorIndexService.getIndex(clientId), VectorIndexService.getIndex(clientId)];
+  loads[0](upload(['Hours?']));
+
+  const [a, b] = await Promise.all(requests);
+  assert.strictEqual(loads.length, 1);
+  assert.strictEqual(a, b);
+  assert.strictEqual(a.size, 1);
+});
+
+test('a build started before an invalidation is neither shared nor returned', async () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const stale = VectorIndexService.getIndex(clientId);
+  VectorIndexService.invalidate(clientId);
+  const fresh = VectorIndexService.getIndex(clientId);
+  assert.strictEqual(loads.length, 2);
+
+  // The stale load finishes first and waits for the fresh build
+  loads[0](upload(['Hours?']));
+  loads[1](upload(['Hours?', 'Shipping?']));
+
+  const [a, b] = await Promise.all([stale, fresh]);
+  assert.strictEqual(a, b);
+  assert.strictEqual(a.size, 2);
+  assert.strictEqual(loads.length, 2);
+});
+
+test('a stale build finishing last returns the fresh index', async () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const stale = VectorIndexService.getIndex(clientId);
+  VectorIndexService.invalidate(clientId);
+  const fresh = VectorIndexService.getIndex(clientId);
+
+  loads[1](upload(['Hours?', 'Shipping?']));
+  const b = await fresh;
+  loads[0](upload(['Hours?']));
+  const a = await stale;
+
+  assert.strictEqual(a, b);
+  assert.strictEqual(a.size, 2);
+  assert.strictEqual(await VectorIndexService.getIndex(clientId), b);
+  assert.strictEqual(loads.length, 2);
+});
@@ -0,0 +1,48 @@
+// Visitor token check of widget routes that name a chat session
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { stubQuery } = require('./helpers');
+const ChatHistory = require('../src/models/ChatHistory');
+const { checkVisitorSession } = require('../src/middleware/widgetAccess');
+
+const clientId = new mongoose.Types.ObjectId();
+const sessions = new Map();
+
+test.before(() => {
+  ChatHistory.findOne = filter => stubQuery(sessions.get(filter.sessionId) || null);
+});
+
+// Runs the middleware; resolves with the response status, or 'next' when it passes
+const check = (body, token) => new Promise(resolve => {
+  const req = {
+    client: { _id: clientId },
+    params: {},
+    query: {},
+    body,
+    get: name => (name === 'X-Session-Token' ? token : undefined)
+  };
+  const res = {
+    status: code => ({ json: () => resolve(code) })
+  };
+  checkVisitorSession(req, res, () => resolve('next'));
+});
+
+test('lets a new session through', async () => {
+  assert.strictEqual(await check({ sessionId: 'new-session' }), 'next');
+});
+
+test('requires the visitor token of an existing session', async () => {
+  const chatHistory = new ChatHistory({ clientId, sessionId: 'existing' });
+  const token = chatHistory.issueVisitorToken();
+  sessions.set('existing', chatHistory);
+
+  assert.strictEqual(await check({ sessionId: 'existing' }), 403);
+  assert.strictEqual(await check({ sessionId: 'existing' }, 'not-the-token'), 403);
+  assert.strictEqual(await check({ sessionId: 'existing' }, token), 'next');
+});
+
+test('refuses sessions stored before visitor tokens', async () => {
+  sessions.set('legacy', new ChatHistory({ clientId, sessionId: 'legacy' }));
+  assert.strictEqual(await check({ sessionId: 'legacy' }), 409);
+});